@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Network relay command-line tool.
+ *
+ * Hosts online two-player games for browsers on this machine (see
+ * src/relay.js):
+ *
+ *   npm run relay -- --port 8787
+ *
+ * then open the game with `?online` in two windows.
+ *
+ * Options:
+ *
+ *   --port N       port to listen on (default 8787)
+ *   --host ADDR    interface to listen on (default 127.0.0.1)
+ *   --seed N       seed for every session (default: a fresh one per session)
+ *   --width N      playfield width (default 800)
+ *   --height N     playfield height (default 600)
+ */
+
+import { parseArgs } from 'node:util';
+import { RelayServer } from '../src/relay.js';
+import { DEFAULT_RELAY_PORT } from '../src/net-protocol.js';
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: String(DEFAULT_RELAY_PORT) },
+      host: { type: 'string', default: '127.0.0.1' },
+      seed: { type: 'string' },
+      width: { type: 'string', default: '800' },
+      height: { type: 'string', default: '600' },
+    },
+  });
+
+  const relay = new RelayServer({
+    port: Number(values.port),
+    host: values.host,
+    seed: values.seed === undefined ? undefined : Number(values.seed),
+    width: Number(values.width),
+    height: Number(values.height),
+  });
+  const { host, port } = await relay.start();
+  console.log(`relay: listening on ws://${host}:${port}`);
+
+  process.once('SIGINT', () => relay.stop());
+}
+
+main().catch((err) => {
+  console.error(`relay: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Headless simulation command-line tool.
+ *
+ * Plays seeded games without a browser and prints their stats as JSON on
+ * stdout (see src/simulation.js):
+ *
+ *   npm run simulate -- --bot aim --seed 1 --runs 1000 --summary
+ *
+ * Options:
+ *
+ *   --seed N       first seed; run i uses seed N + i (default 1)
+ *   --runs N       number of games (default 1)
+ *   --ticks N      tick limit per game (default ten simulated minutes)
+ *   --bot NAME     controller: idle, aim or script (default aim)
+ *   --script FILE  JSON array of per-tick controls, for --bot script
+ *   --width N      playfield width (default 800)
+ *   --height N     playfield height (default 600)
+ *   --summary      print only the aggregate, not every run
+ *
+ * Numbers must be whole, and all but --seed at least 1.
+ *
+ * One run prints its stats; several print `{ summary, runs }`.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  runSimulation,
+  summarizeRuns,
+  idleController,
+  createAimBot,
+  createScriptedController,
+  DEFAULT_MAX_TICKS,
+} from '../src/simulation.js';
+
+const BOTS = {
+  idle: () => idleController,
+  aim: () => createAimBot(),
+  script: ({ script }) => {
+    if (!script) throw new Error('--bot script needs --script FILE');
+    return createScriptedController(JSON.parse(readFileSync(script, 'utf8')));
+  },
+};
+
+/**
+ * Read a numeric option, which must be a whole number of at least `min`
+ * (any whole number without one).
+ * @returns {number}
+ */
+function wholeNumber(values, name, min = -Infinity) {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min) {
+    const bound = min === -Infinity ? '' : ` of at least ${min}`;
+    throw new Error(
+      `--${name} must be a whole number${bound}: ${values[name]}`,
+    );
+  }
+  return value;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      seed: { type: 'string', default: '1' },
+      runs: { type: 'string', default: '1' },
+      ticks: { type: 'string', default: String(DEFAULT_MAX_TICKS) },
+      bot: { type: 'string', default: 'aim' },
+      script: { type: 'string' },
+      width: { type: 'string', default: '800' },
+      height: { type: 'string', default: '600' },
+      summary: { type: 'boolean', default: false },
+    },
+  });
+
+  const createController = BOTS[values.bot];
+  if (!createController) {
+    throw new Error(
+      `Unknown bot: ${values.bot} (expected ${Object.keys(BOTS).join(', ')})`,
+    );
+  }
+
+  const firstSeed = wholeNumber(values, 'seed');
+  const runs = wholeNumber(values, 'runs', 1);
+  const maxTicks = wholeNumber(values, 'ticks', 1);
+  const width = wholeNumber(values, 'width', 1);
+  const height = wholeNumber(values, 'height', 1);
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    results.push(
+      runSimulation({
+        seed: firstSeed + i,
+        // Fresh per run: scripts and bots may keep state between ticks.
+        controller: createController(values),
+        maxTicks,
+        width,
+        height,
+      }),
+    );
+  }
+
+  const summary = summarizeRuns(results);
+  let output;
+  if (values.summary) output = summary;
+  else if (runs === 1) output = results[0];
+  else output = { summary, runs: results };
+  console.log(JSON.stringify(output, null, 2));
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`simulate: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,130 @@
+/**
+ * Screen-reader announcements module.
+ *
+ * The canvas is invisible to assistive technology, so an ARIA live region
+ * next to it carries the game's progress as text: the game starting and
+ * ending, each new wave, ships lost and gained, and the score every few
+ * seconds while it's changing (every point would flood the reader).
+ * Settings changes are announced too.
+ *
+ * The Announcer only writes to the element it is given, and findLiveRegion()
+ * takes the document as a parameter, so both can be driven with stand-ins
+ * in tests.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Shortest time between score announcements (seconds). */
+export const SCORE_ANNOUNCE_INTERVAL = 5;
+
+/** States in which a game is under way. */
+const IN_GAME_STATES = new Set(['playing', 'paused', 'lifeLost']);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+/** "N ships left", in words a reader will say naturally. */
+function livesLeft(lives) {
+  if (lives === 0) return 'No ships left';
+  return `${lives} ${lives === 1 ? 'ship' : 'ships'} left`;
+}
+
+// ---------------------------------------------------------------------------
+// Element lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * The page's `#announcer` live region, created next to `#game` if missing.
+ * It's polite (waits for the reader to finish) and visually hidden.
+ *
+ * @param {Document} [doc]
+ * @returns {HTMLElement}
+ */
+export function findLiveRegion(doc = globalThis.document) {
+  const existing = doc.getElementById('announcer');
+  if (existing) return existing;
+
+  const el = doc.createElement('div');
+  el.id = 'announcer';
+  el.className = 'visually-hidden';
+  el.setAttribute('role', 'status');
+  el.setAttribute('aria-live', 'polite');
+  const canvas = doc.getElementById('game');
+  if (canvas) canvas.after(el);
+  else doc.body.appendChild(el);
+  return el;
+}
+
+// ---------------------------------------------------------------------------
+// Announcer class
+// ---------------------------------------------------------------------------
+
+export class Announcer {
+  /**
+   * @param {HTMLElement} region – live region to write announcements into
+   */
+  constructor(region) {
+    this.region = region;
+
+    /** What was last seen of the game, or null before the first update. */
+    this.last = null;
+
+    /** Score last announced, and seconds since. */
+    this.announcedScore = 0;
+    this.sinceScore = 0;
+  }
+
+  /**
+   * Compare the game with the last update and announce what changed.
+   * Called once per simulation step.
+   *
+   * @param {number} dt
+   * @param {{ state: string, score: number, lives: number, wave: number }} game
+   */
+  update(dt, { state, score, lives, wave }) {
+    const last = this.last;
+    this.last = { state, score, lives, wave };
+    this.sinceScore += dt;
+    if (!last) {
+      this.announcedScore = score;
+      return;
+    }
+
+    const messages = [];
+    const inGame = IN_GAME_STATES.has(state);
+    if (inGame && !IN_GAME_STATES.has(last.state)) {
+      messages.push(`Game started. Wave ${wave}. ${livesLeft(lives)}`);
+      this.announcedScore = score;
+      this.sinceScore = 0;
+    } else if (inGame) {
+      if (state === 'paused' && last.state !== 'paused') {
+        messages.push('Paused');
+      }
+      if (wave !== last.wave) messages.push(`Wave ${wave}`);
+      if (lives < last.lives) messages.push(`Ship lost. ${livesLeft(lives)}`);
+      if (lives > last.lives) messages.push(`Extra ship. ${livesLeft(lives)}`);
+      if (
+        score !== this.announcedScore &&
+        this.sinceScore >= SCORE_ANNOUNCE_INTERVAL
+      ) {
+        messages.push(`Score ${score}`);
+        this.announcedScore = score;
+        this.sinceScore = 0;
+      }
+    } else if (state === 'gameOver' && last.state !== 'gameOver') {
+      messages.push(`Game over. Final score ${score}`);
+    }
+
+    if (messages.length) this.say(messages.join('. '));
+  }
+
+  /**
+   * Announce a message now.
+   * @param {string} text
+   */
+  say(text) {
+    this.region.textContent = text;
+  }
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Announcer,
+  findLiveRegion,
+  SCORE_ANNOUNCE_INTERVAL,
+} from './announcer.js';
+
+const STEP = 1 / 60;
+
+/** An announcer writing into a plain object, primed with `start`. */
+function makeAnnouncer(start) {
+  const region = { textContent: '' };
+  const announcer = new Announcer(region);
+  announcer.update(STEP, start);
+  return { announcer, region };
+}
+
+const playing = { state: 'playing', score: 0, lives: 3, wave: 1 };
+
+// ---------------------------------------------------------------------------
+// findLiveRegion
+// ---------------------------------------------------------------------------
+
+describe('findLiveRegion', () => {
+  it('returns the existing #announcer region', () => {
+    const el = {};
+    const doc = { getElementById: (id) => (id === 'announcer' ? el : null) };
+    expect(findLiveRegion(doc)).toBe(el);
+  });
+
+  it('creates a polite status region after the canvas when missing', () => {
+    const placed = [];
+    const canvas = { after: (el) => placed.push(el) };
+    const doc = {
+      getElementById: (id) => (id === 'game' ? canvas : null),
+      createElement: () => ({
+        attributes: {},
+        setAttribute(name, value) {
+          this.attributes[name] = value;
+        },
+      }),
+    };
+    const el = findLiveRegion(doc);
+    expect(placed).toEqual([el]);
+    expect(el.id).toBe('announcer');
+    expect(el.attributes).toEqual({ role: 'status', 'aria-live': 'polite' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Announcer
+// ---------------------------------------------------------------------------
+
+describe('Announcer', () => {
+  it('says nothing on the first update', () => {
+    const { region } = makeAnnouncer(playing);
+    expect(region.textContent).toBe('');
+  });
+
+  it('announces the start of a game', () => {
+    const { announcer, region } = makeAnnouncer({
+      state: 'attract',
+      score: 0,
+      lives: 0,
+      wave: 0,
+    });
+    announcer.update(STEP, playing);
+    expect(region.textContent).toBe('Game started. Wave 1. 3 ships left');
+  });
+
+  it('announces new waves and ships lost or gained', () => {
+    const { announcer, region } = makeAnnouncer(playing);
+    announcer.update(STEP, { ...playing, wave: 2 });
+    expect(region.textContent).toBe('Wave 2');
+    announcer.update(STEP, {
+      ...playing,
+      wave: 2,
+      state: 'lifeLost',
+      lives: 1,
+    });
+    expect(region.textContent).toBe('Ship lost. 1 ship left');
+    announcer.update(STEP, { ...playing, wave: 2, lives: 2 });
+    expect(region.textContent).toBe('Extra ship. 2 ships left');
+  });
+
+  it('announces the score at most every few seconds', () => {
+    const { announcer, region } = makeAnnouncer(playing);
+    announcer.update(STEP, { ...playing, score: 20 });
+    expect(region.textContent).toBe('');
+
+    announcer.update(SCORE_ANNOUNCE_INTERVAL, { ...playing, score: 70 });
+    expect(region.textContent).toBe('Score 70');
+
+    region.textContent = '';
+    announcer.update(STEP, { ...playing, score: 120 });
+    expect(region.textContent).toBe('');
+  });
+
+  it('announces pausing and the final score', () => {
+    const { announcer, region } = makeAnnouncer(playing);
+    announcer.update(STEP, { ...playing, state: 'paused' });
+    expect(region.textContent).toBe('Paused');
+    announcer.update(STEP, { ...playing, state: 'gameOver', score: 1500 });
+    expect(region.textContent).toBe('Game over. Final score 1500');
+  });
+
+  it('says() anything else straight away', () => {
+    const { announcer, region } = makeAnnouncer(playing);
+    announcer.say('High contrast colours');
+    expect(region.textContent).toBe('High contrast colours');
+  });
+});
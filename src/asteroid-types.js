@@ -0,0 +1,191 @@
+/**
+ * Asteroid type table.
+ *
+ * Every kind of asteroid — the three classic size tiers plus special
+ * variants — is described by one entry here rather than by constants spread
+ * through asteroid.js.  Adding a tier or a variant means adding an entry;
+ * the Asteroid class reads everything it needs from the table.
+ *
+ * Each type sets:
+ *
+ * - `tier`        – size class (1 = large …); drives wave spawning and stats
+ * - `radius`      – collision radius (CSS pixels)
+ * - `score`       – points for destroying it
+ * - `vertexCount` – vertices in the generated outline
+ * - `jitter`      – vertex radius deviation as a fraction of `radius`
+ * - `spin`        – `[min, max]` angular velocity range (rad / s)
+ * - `child`       – type the asteroid breaks into, or null
+ * - `childCount`  – how many children it breaks into
+ * - `hitPoints`   – hits needed to destroy it
+ * - `explosion`   – optional `{ radius, damage }` dealt to nearby asteroids
+ *                   when it is destroyed
+ * - `style`       – drawing hint for the renderer: 'plain', 'armoured' or
+ *                   'explosive'
+ */
+
+// ---------------------------------------------------------------------------
+// Table
+// ---------------------------------------------------------------------------
+
+export const ASTEROID_TYPES = {
+  large: {
+    tier: 1,
+    radius: 40,
+    score: 20,
+    vertexCount: 10,
+    jitter: 0.3,
+    spin: [-2, 2],
+    child: 'medium',
+    childCount: 2,
+    hitPoints: 1,
+    style: 'plain',
+  },
+  medium: {
+    tier: 2,
+    radius: 20,
+    score: 50,
+    vertexCount: 10,
+    jitter: 0.3,
+    spin: [-2, 2],
+    child: 'small',
+    childCount: 2,
+    hitPoints: 1,
+    style: 'plain',
+  },
+  small: {
+    tier: 3,
+    radius: 10,
+    score: 100,
+    vertexCount: 10,
+    jitter: 0.3,
+    spin: [-2, 2],
+    child: null,
+    childCount: 0,
+    hitPoints: 1,
+    style: 'plain',
+  },
+
+  // Armoured rocks are smoother, spin slowly and soak up several shots.
+  armouredLarge: {
+    tier: 1,
+    radius: 40,
+    score: 60,
+    vertexCount: 8,
+    jitter: 0.15,
+    spin: [-1, 1],
+    child: 'armouredMedium',
+    childCount: 2,
+    hitPoints: 3,
+    style: 'armoured',
+  },
+  armouredMedium: {
+    tier: 2,
+    radius: 20,
+    score: 120,
+    vertexCount: 8,
+    jitter: 0.15,
+    spin: [-1, 1],
+    child: 'small',
+    childCount: 2,
+    hitPoints: 2,
+    style: 'armoured',
+  },
+
+  // Explosive rocks are spiky and take their neighbours with them.
+  explosiveLarge: {
+    tier: 1,
+    radius: 40,
+    score: 40,
+    vertexCount: 14,
+    jitter: 0.4,
+    spin: [-3, 3],
+    child: 'medium',
+    childCount: 2,
+    hitPoints: 1,
+    explosion: { radius: 90, damage: 1 },
+    style: 'explosive',
+  },
+};
+
+/** The plain type for each size tier, used when only a tier is given. */
+export const TIER_TYPES = { 1: 'large', 2: 'medium', 3: 'small' };
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a type table for internal consistency: every numeric field in
+ * range, every `child` naming a type in the table, and no type breaking
+ * into itself (directly or through a cycle).
+ *
+ * @param {Record<string, object>} types
+ * @throws {TypeError} describing the first problem found
+ */
+export function validateAsteroidTypes(types) {
+  for (const [name, t] of Object.entries(types)) {
+    const fail = (why) => {
+      throw new TypeError(`Asteroid type "${name}": ${why}`);
+    };
+
+    if (!(t.radius > 0)) fail('radius must be positive');
+    if (!Number.isInteger(t.tier) || t.tier < 1) fail('bad tier');
+    if (!Number.isFinite(t.score) || t.score < 0) fail('bad score');
+    if (!Number.isInteger(t.vertexCount) || t.vertexCount < 3) {
+      fail('needs at least 3 vertices');
+    }
+    if (!(t.jitter >= 0 && t.jitter < 1)) fail('jitter must be in [0, 1)');
+    if (!Array.isArray(t.spin) || !(t.spin[0] <= t.spin[1])) {
+      fail('spin must be a [min, max] range');
+    }
+    if (!Number.isInteger(t.hitPoints) || t.hitPoints < 1) {
+      fail('hitPoints must be a positive integer');
+    }
+    if (!Number.isInteger(t.childCount) || t.childCount < 0) {
+      fail('childCount must be a non-negative integer');
+    }
+    if (t.child !== null && !Object.hasOwn(types, t.child)) {
+      fail(`unknown child type "${t.child}"`);
+    }
+    if (t.explosion && !(t.explosion.radius > 0)) {
+      fail('explosion radius must be positive');
+    }
+
+    // Follow the child chain: it must end, or breakups would never stop.
+    const seen = new Set([name]);
+    for (
+      let c = t.child;
+      c !== null && Object.hasOwn(types, c);
+      c = types[c].child
+    ) {
+      if (seen.has(c)) fail(`breaks up into itself via "${c}"`);
+      seen.add(c);
+    }
+  }
+}
+
+validateAsteroidTypes(ASTEROID_TYPES);
+
+/**
+ * Look up the type for an asteroid, from an explicit type name or else a
+ * size tier.
+ *
+ * @param {{ type?: string, tier?: number }} spec
+ * @returns {string} type name
+ * @throws {RangeError} if neither names a known type
+ */
+export function resolveAsteroidType({ type, tier }) {
+  if (type !== undefined) {
+    if (!Object.hasOwn(ASTEROID_TYPES, type)) {
+      throw new RangeError(`Unknown asteroid type: ${type}`);
+    }
+    return type;
+  }
+
+  const name = TIER_TYPES[tier];
+  if (!name) {
+    const tiers = Object.keys(TIER_TYPES).join(', ');
+    throw new RangeError(`Invalid asteroid tier: ${tier} (must be ${tiers})`);
+  }
+  return name;
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ASTEROID_TYPES,
+  TIER_TYPES,
+  validateAsteroidTypes,
+  resolveAsteroidType,
+} from './asteroid-types.js';
+
+const plain = {
+  tier: 1,
+  radius: 10,
+  score: 10,
+  vertexCount: 6,
+  jitter: 0.2,
+  spin: [-1, 1],
+  child: null,
+  childCount: 0,
+  hitPoints: 1,
+  style: 'plain',
+};
+
+describe('ASTEROID_TYPES', () => {
+  it('passes its own validation', () => {
+    expect(() => validateAsteroidTypes(ASTEROID_TYPES)).not.toThrow();
+  });
+
+  it('maps every tier to a type of that tier', () => {
+    for (const [tier, type] of Object.entries(TIER_TYPES)) {
+      expect(ASTEROID_TYPES[type].tier).toBe(Number(tier));
+    }
+  });
+
+  it('includes multi-hit and explosive variants', () => {
+    const types = Object.values(ASTEROID_TYPES);
+    expect(types.some((t) => t.hitPoints > 1)).toBe(true);
+    expect(types.some((t) => t.explosion)).toBe(true);
+  });
+});
+
+describe('validateAsteroidTypes', () => {
+  it('accepts a minimal table', () => {
+    expect(() => validateAsteroidTypes({ rock: plain })).not.toThrow();
+  });
+
+  it.each([
+    ['radius', { radius: 0 }],
+    ['vertexCount', { vertexCount: 2 }],
+    ['jitter', { jitter: 1 }],
+    ['spin', { spin: [2, 1] }],
+    ['hitPoints', { hitPoints: 0 }],
+    ['childCount', { childCount: -1 }],
+    ['explosion', { explosion: { radius: 0, damage: 1 } }],
+  ])('rejects a bad %s', (_, patch) => {
+    expect(() =>
+      validateAsteroidTypes({ rock: { ...plain, ...patch } }),
+    ).toThrow(TypeError);
+  });
+
+  it('rejects an unknown child type', () => {
+    expect(() =>
+      validateAsteroidTypes({ rock: { ...plain, child: 'pebble' } }),
+    ).toThrow(/unknown child type "pebble"/);
+  });
+
+  it('rejects a breakup cycle', () => {
+    expect(() =>
+      validateAsteroidTypes({
+        a: { ...plain, child: 'b', childCount: 2 },
+        b: { ...plain, child: 'a', childCount: 2 },
+      }),
+    ).toThrow(/breaks up into itself/);
+  });
+});
+
+describe('resolveAsteroidType', () => {
+  it('prefers an explicit type', () => {
+    expect(resolveAsteroidType({ type: 'armouredLarge', tier: 3 })).toBe(
+      'armouredLarge',
+    );
+  });
+
+  it('falls back to the plain type for a tier', () => {
+    expect(resolveAsteroidType({ tier: 2 })).toBe(TIER_TYPES[2]);
+  });
+
+  it('rejects unknown types and tiers', () => {
+    expect(() => resolveAsteroidType({ type: 'toString' })).toThrow(
+      RangeError,
+    );
+    expect(() => resolveAsteroidType({ tier: 9 })).toThrow(RangeError);
+    expect(() => resolveAsteroidType({})).toThrow(RangeError);
+  });
+});
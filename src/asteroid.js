@@ -1,37 +1,71 @@
 /**
  * Asteroid entity module.
  *
- * Defines the Asteroid class used in the game.  Asteroids come in three tiers
- * (1 = large, 2 = medium, 3 = small) and can break into smaller children when
- * destroyed.
+ * Defines the Asteroid class used in the game.  What an asteroid looks like,
+ * how tough it is, what it scores and what it breaks into all come from its
+ * entry in the type table (see asteroid-types.js).  The classic game uses
+ * three size tiers (1 = large, 2 = medium, 3 = small); an asteroid created
+ * from just a tier gets the plain type for that size.
+ *
+ * All randomness is drawn from an `Rng` (see rng.js) so that asteroids built
+ * from the same seed are identical down to their shape, spin and breakup.
+ *
+ * Breakup has two modes:
+ *
+ * - **classic** — the arcade rule: each child is flung off along the
+ *   parent's heading rotated ±15–30° and sped up 1.2–1.5×.
+ * - **physics** — fragments share the parent's mass and the combined
+ *   momentum of parent and projectile, so a shot pushes the pieces along
+ *   its line of travel.  They separate across the line of impact, the piece
+ *   nearest the impact point is kicked hardest, and an off-centre hit adds
+ *   spin.  Fragment shapes can optionally be carved from the parent outline.
  */
 
+import { defaultRng } from './rng.js';
+import {
+  ASTEROID_TYPES,
+  TIER_TYPES,
+  resolveAsteroidType,
+} from './asteroid-types.js';
+
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
-/** Point values awarded when an asteroid of a given tier is destroyed. */
-export const ASTEROID_SCORES = { 1: 20, 2: 50, 3: 100 };
+/** Point values awarded when a plain asteroid of a given tier is destroyed. */
+export const ASTEROID_SCORES = Object.fromEntries(
+  Object.entries(TIER_TYPES).map(([tier, type]) => [
+    tier,
+    ASTEROID_TYPES[type].score,
+  ]),
+);
 
 /** Radius (in CSS pixels) for each asteroid tier. */
-export const TIER_RADII = { 1: 40, 2: 20, 3: 10 };
+export const TIER_RADII = Object.fromEntries(
+  Object.entries(TIER_TYPES).map(([tier, type]) => [
+    tier,
+    ASTEROID_TYPES[type].radius,
+  ]),
+);
 
-/**
- * Number of vertices used when generating the jagged polygon shape.
- * More vertices → more detailed / irregular outline.
- */
-const SHAPE_VERTEX_COUNT = 10;
+/** Outline settings used by generateAsteroidShape() when none are given. */
+const DEFAULT_VERTEX_COUNT = ASTEROID_TYPES.large.vertexCount;
+const DEFAULT_JITTER = ASTEROID_TYPES.large.jitter;
+
+/** Breakup modes understood by Asteroid.breakup(). */
+export const BREAKUP_MODES = ['classic', 'physics'];
+
+/** Mass per square pixel of asteroid (mass is proportional to area). */
+export const ASTEROID_DENSITY = 1;
+
+/** Base speed at which fragments fly apart from their shared centre (px / s). */
+const FRAGMENT_SEPARATION_SPEED = 30;
 
 /**
- * How much each vertex can deviate from the base radius, expressed as a
- * fraction of the radius.  A value of 0.3 means vertices sit between
- * 0.7 × radius and 1.3 × radius.
+ * Extra spin per unit of angular impulse from an off-centre hit.  Tuned so
+ * a bullet grazing a large asteroid adds roughly one radian per second.
  */
-const SHAPE_JITTER = 0.3;
-
-/** Angular-velocity range for newly created asteroids (radians / second). */
-const MIN_ANGULAR_VELOCITY = -2;
-const MAX_ANGULAR_VELOCITY = 2;
+const IMPACT_SPIN_FACTOR = 1;
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -46,16 +80,25 @@ const MAX_ANGULAR_VELOCITY = 2;
  * natural.
  *
  * @param {number} radius – base radius to build the shape around
+ * @param {import('./rng.js').Rng} [rng] – random source; defaults to the shared generator
+ * @param {object} [opts]
+ * @param {number} [opts.vertexCount] – points around the outline
+ * @param {number} [opts.jitter] – max vertex deviation as a fraction of the
+ *   radius (0.3 → vertices sit between 0.7 × and 1.3 × radius)
  * @returns {{ x: number, y: number }[]} array of vertex offsets
  */
-export function generateAsteroidShape(radius) {
+export function generateAsteroidShape(
+  radius,
+  rng = defaultRng,
+  { vertexCount = DEFAULT_VERTEX_COUNT, jitter = DEFAULT_JITTER } = {},
+) {
   const vertices = [];
-  const angleStep = (Math.PI * 2) / SHAPE_VERTEX_COUNT;
+  const angleStep = (Math.PI * 2) / vertexCount;
 
-  for (let i = 0; i < SHAPE_VERTEX_COUNT; i++) {
+  for (let i = 0; i < vertexCount; i++) {
     const angle = i * angleStep;
-    const jitter = 1 - SHAPE_JITTER + Math.random() * (SHAPE_JITTER * 2);
-    const r = radius * jitter;
+    const scale = 1 - jitter + rng.next() * (jitter * 2);
+    const r = radius * scale;
     vertices.push({ x: Math.cos(angle) * r, y: Math.sin(angle) * r });
   }
 
@@ -63,14 +106,12 @@ export function generateAsteroidShape(radius) {
 }
 
 /**
- * Return a random angular velocity within the standard spawning range.
- * @returns {number} angular velocity in radians / second
+ * Mass of an asteroid of the given radius.
+ * @param {number} radius
+ * @returns {number}
  */
-function randomAngularVelocity() {
-  return (
-    MIN_ANGULAR_VELOCITY +
-    Math.random() * (MAX_ANGULAR_VELOCITY - MIN_ANGULAR_VELOCITY)
-  );
+export function massForRadius(radius) {
+  return Math.PI * radius * radius * ASTEROID_DENSITY;
 }
 
 // ---------------------------------------------------------------------------
@@ -80,7 +121,8 @@ function randomAngularVelocity() {
 export class Asteroid {
   /**
    * @param {object} opts
-   * @param {number} opts.tier        – 1 (large), 2 (medium), or 3 (small)
+   * @param {number} [opts.tier]      – 1 (large), 2 (medium), or 3 (small); picks the plain type
+   * @param {string} [opts.type]      – key into ASTEROID_TYPES; takes precedence over `tier`
    * @param {number} opts.x           – initial x position (CSS pixels)
    * @param {number} opts.y           – initial y position (CSS pixels)
    * @param {number} opts.vx          – horizontal velocity (px / s)
@@ -88,17 +130,39 @@ export class Asteroid {
    * @param {number} [opts.rotation]  – initial rotation angle (radians)
    * @param {number} [opts.angularVelocity] – spin speed (rad / s)
    * @param {{ x: number, y: number }[]} [opts.shape] – custom shape; auto-generated if omitted
+   * @param {number} [opts.mass]      – mass; derived from the tier radius if omitted
+   * @param {import('./rng.js').Rng} [opts.rng] – random source for shape, spin and breakup
    */
-  constructor({ tier, x, y, vx, vy, rotation, angularVelocity, shape }) {
-    if (tier < 1 || tier > 3) {
-      throw new RangeError(`Invalid asteroid tier: ${tier} (must be 1–3)`);
-    }
+  constructor({
+    tier,
+    type,
+    x,
+    y,
+    vx,
+    vy,
+    rotation,
+    angularVelocity,
+    shape,
+    mass,
+    rng,
+  }) {
+    /** Key of this asteroid's entry in ASTEROID_TYPES. */
+    this.type = resolveAsteroidType({ type, tier });
 
-    /** @type {1|2|3} */
-    this.tier = tier;
+    /** The type table entry itself. */
+    this.definition = ASTEROID_TYPES[this.type];
 
-    /** Radius derived from tier. */
-    this.radius = TIER_RADII[tier];
+    /** Random source; children created by breakup() share it. */
+    this.rng = rng ?? defaultRng;
+
+    /** Size class (1 = large …). */
+    this.tier = this.definition.tier;
+
+    /** Radius from the type table. */
+    this.radius = this.definition.radius;
+
+    /** Hits left before the asteroid is destroyed. */
+    this.hitPoints = this.definition.hitPoints;
 
     /** Position. */
     this.x = x;
@@ -112,10 +176,109 @@ export class Asteroid {
     this.rotation = rotation ?? 0;
 
     /** Angular velocity (radians / second). */
-    this.angularVelocity = angularVelocity ?? randomAngularVelocity();
+    this.angularVelocity =
+      angularVelocity ?? this.rng.range(...this.definition.spin);
 
     /** Jagged-polygon shape offsets. */
-    this.shape = shape ?? generateAsteroidShape(this.radius);
+    this.shape =
+      shape ??
+      generateAsteroidShape(this.radius, this.rng, {
+        vertexCount: this.definition.vertexCount,
+        jitter: this.definition.jitter,
+      });
+
+    /**
+     * Mass, used to share momentum between fragments in physics breakup.
+     * Fragments carry an equal share of their parent's mass rather than the
+     * mass their tier would imply, so mass is conserved across a split.
+     */
+    this.mass = mass ?? massForRadius(this.radius);
+
+    /** Transform at the start of the last step (for interpolation). */
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+  }
+
+  // -------------------------------------------------------------------------
+  // Simulation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Integrate position and rotation forward by `dt` seconds.
+   *
+   * The pre-step values are kept in `prevX` / `prevY` / `prevRotation` so the
+   * renderer can interpolate between the last two simulation steps.
+   *
+   * @param {number} dt – step length (seconds)
+   */
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.rotation += this.angularVelocity * dt;
+  }
+
+  /**
+   * Take `amount` hits.  Armoured types survive until their hit points run
+   * out; everything else is destroyed by the first hit.
+   *
+   * @param {number} [amount]
+   * @returns {boolean} whether the asteroid is now destroyed
+   */
+  damage(amount = 1) {
+    this.hitPoints = Math.max(0, this.hitPoints - amount);
+    return this.hitPoints === 0;
+  }
+
+  // -------------------------------------------------------------------------
+  // Serialization
+  // -------------------------------------------------------------------------
+
+  /**
+   * Plain-data form for snapshots.  The shape is included because carved
+   * fragments can't be regenerated from the random source.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      rotation: this.rotation,
+      angularVelocity: this.angularVelocity,
+      shape: this.shape.map(({ x, y }) => ({ x, y })),
+      mass: this.mass,
+      hitPoints: this.hitPoints,
+    };
+  }
+
+  /**
+   * Rebuild an asteroid from toJSON() output.
+   * @param {object} data
+   * @param {import('./rng.js').Rng} [rng] – random source for future breakups
+   * @returns {Asteroid}
+   */
+  static fromJSON(data, rng) {
+    const asteroid = new Asteroid({
+      type: data.type,
+      x: data.x,
+      y: data.y,
+      vx: data.vx,
+      vy: data.vy,
+      rotation: data.rotation,
+      angularVelocity: data.angularVelocity,
+      shape: data.shape.map(({ x, y }) => ({ x, y })),
+      mass: data.mass,
+      rng,
+    });
+    asteroid.hitPoints = data.hitPoints;
+    return asteroid;
   }
 
   // -------------------------------------------------------------------------
@@ -123,42 +286,74 @@ export class Asteroid {
   // -------------------------------------------------------------------------
 
   /**
-   * Break this asteroid into smaller children (or score points if smallest).
+   * Break this asteroid into its type's children (or just score points if
+   * it has none), e.g. large → 2 medium → 2 small each → nothing.
    *
-   * - Tier 1 → 2 tier-2 children
-   * - Tier 2 → 2 tier-3 children
-   * - Tier 3 → no children (fully destroyed)
+   * Both modes produce the type's `childCount` children of its `child`
+   * type; physics mode shapes them by the `impact`.  Without an impact,
+   * physics mode treats the asteroid as shattering in place with nothing
+   * pushing it.
    *
    * The caller is responsible for removing the parent asteroid from whatever
    * entity list it belongs to and adding the returned children.
    *
+   * @param {object} [opts]
+   * @param {'classic'|'physics'} [opts.mode] – breakup model
+   * @param {{ x: number, y: number, vx: number, vy: number, mass: number }} [opts.impact]
+   *   – what hit the asteroid: contact point (unwrapped, i.e. in the same
+   *   frame as the asteroid's position), velocity and mass.  Physics only.
+   * @param {number} [opts.childCount] – override the type's child count (physics only)
+   * @param {boolean} [opts.carve] – cut fragment shapes from this outline (physics only)
    * @returns {{ children: Asteroid[], score: number }}
    */
-  breakup() {
-    const score = ASTEROID_SCORES[this.tier];
+  breakup({
+    mode = 'classic',
+    impact = null,
+    childCount = this.definition.childCount,
+    carve = false,
+  } = {}) {
+    if (!BREAKUP_MODES.includes(mode)) {
+      throw new RangeError(`Unknown breakup mode: ${mode}`);
+    }
+
+    const { score, child } = this.definition;
 
-    // Smallest tier: no children to spawn.
-    if (this.tier === 3) {
+    // Nothing left to break into.
+    if (child === null) {
       return { children: [], score };
     }
 
-    const childTier = /** @type {1|2|3} */ (this.tier + 1);
+    const children =
+      mode === 'physics'
+        ? this.fragment(impact, childCount, carve)
+        : this.splitClassic();
+
+    return { children, score };
+  }
+
+  /**
+   * Classic arcade split: children with randomly deflected, sped-up copies
+   * of the parent velocity.
+   * @returns {Asteroid[]}
+   */
+  splitClassic() {
+    const { child, childCount } = this.definition;
     const children = [];
 
-    for (let i = 0; i < 2; i++) {
+    for (let i = 0; i < childCount; i++) {
       // --- Position offset ---------------------------------------------------
       // Each child is offset from the parent centre by ±(radius * 0.3) on each
       // axis so they don't stack perfectly on top of each other.
-      const offsetX = (Math.random() * 2 - 1) * this.radius * 0.3;
-      const offsetY = (Math.random() * 2 - 1) * this.radius * 0.3;
+      const offsetX = this.rng.range(-1, 1) * this.radius * 0.3;
+      const offsetY = this.rng.range(-1, 1) * this.radius * 0.3;
 
       // --- Velocity ----------------------------------------------------------
       // Rotate the parent velocity by a random angle in
       //   [-30°, -15°] ∪ [15°, 30°]
       // and scale by a factor in [1.2, 1.5].
-      const angleDeg = randomDeflectionAngle();
+      const angleDeg = randomDeflectionAngle(this.rng);
       const angleRad = (angleDeg * Math.PI) / 180;
-      const speedScale = 1.2 + Math.random() * 0.3; // [1.2, 1.5)
+      const speedScale = this.rng.range(1.2, 1.5); // [1.2, 1.5)
 
       const cos = Math.cos(angleRad);
       const sin = Math.sin(angleRad);
@@ -167,17 +362,120 @@ export class Asteroid {
 
       children.push(
         new Asteroid({
-          tier: childTier,
+          type: child,
           x: this.x + offsetX,
           y: this.y + offsetY,
           vx: childVx,
           vy: childVy,
+          rng: this.rng,
           // Fresh random shape & spin for each child.
         }),
       );
     }
 
-    return { children, score };
+    return children;
+  }
+
+  /**
+   * Physics split into `count` equal-mass fragments.
+   *
+   * Every fragment starts from the centre-of-mass velocity of parent plus
+   * projectile (an inelastic collision: the projectile's momentum is
+   * absorbed), then gets a separation kick.  Kicks point evenly around the
+   * circle starting perpendicular to the line of impact, are strongest for
+   * the fragment on the impact side, and are re-centred so they sum to
+   * zero — total momentum is exactly conserved.
+   *
+   * @param {{ x: number, y: number, vx: number, vy: number, mass: number } | null} impact
+   * @param {number} count
+   * @param {boolean} carve
+   * @returns {Asteroid[]}
+   */
+  fragment(impact, count, carve) {
+    if (count <= 0) return [];
+
+    const childType = ASTEROID_TYPES[this.definition.child];
+    const childMass = this.mass / count;
+
+    // --- Shared momentum -----------------------------------------------------
+    const impactMass = impact?.mass ?? 0;
+    const px = this.mass * this.vx + impactMass * (impact?.vx ?? 0);
+    const py = this.mass * this.vy + impactMass * (impact?.vy ?? 0);
+    const baseVx = px / this.mass;
+    const baseVy = py / this.mass;
+
+    // --- Line of impact ------------------------------------------------------
+    // From the impact point towards the centre; for a dead-centre hit, fall
+    // back to the projectile's heading (or, with no impact, a random axis).
+    let axisX = impact ? this.x - impact.x : 0;
+    let axisY = impact ? this.y - impact.y : 0;
+    if (Math.hypot(axisX, axisY) < 1e-6 && impact) {
+      axisX = impact.vx - this.vx;
+      axisY = impact.vy - this.vy;
+    }
+    const axisAngle =
+      Math.hypot(axisX, axisY) < 1e-6
+        ? this.rng.range(0, Math.PI * 2)
+        : Math.atan2(axisY, axisX);
+
+    // --- Spin from an off-centre hit ---------------------------------------
+    // Angular impulse r × p about the centre, over the parent's moment of
+    // inertia (a disc: ½ m r²).
+    let spin = 0;
+    if (impact) {
+      const rx = impact.x - this.x;
+      const ry = impact.y - this.y;
+      const torque =
+        rx * impactMass * (impact.vy - this.vy) -
+        ry * impactMass * (impact.vx - this.vx);
+      spin =
+        (IMPACT_SPIN_FACTOR * torque) / (0.5 * this.mass * this.radius ** 2);
+    }
+
+    // --- Separation kicks ----------------------------------------------------
+    const kicks = [];
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < count; i++) {
+      const angle = axisAngle + Math.PI / 2 + (i * Math.PI * 2) / count;
+      const dirX = Math.cos(angle);
+      const dirY = Math.sin(angle);
+
+      // Pieces facing the impact point (against the axis) take the brunt.
+      const proximity = impact ? Math.max(0, -Math.cos(angle - axisAngle)) : 0;
+      const speed =
+        FRAGMENT_SEPARATION_SPEED * (1 + proximity) * this.rng.range(0.8, 1.2);
+
+      kicks.push({ angle, dirX, dirY, kx: dirX * speed, ky: dirY * speed });
+      meanX += (dirX * speed) / count;
+      meanY += (dirY * speed) / count;
+    }
+
+    // --- Fragments -----------------------------------------------------------
+    return kicks.map(({ angle, dirX, dirY, kx, ky }) => {
+      const shape = carve
+        ? carveFragmentShape(
+            this.shape,
+            angle - this.rotation,
+            count,
+            childType.radius * (1 + childType.jitter / 2),
+          )
+        : null;
+
+      return new Asteroid({
+        type: this.definition.child,
+        x: this.x + dirX * this.radius * 0.4,
+        y: this.y + dirY * this.radius * 0.4,
+        vx: baseVx + kx - meanX,
+        vy: baseVy + ky - meanY,
+        rotation: shape ? this.rotation : undefined,
+        angularVelocity:
+          this.angularVelocity + spin + this.rng.range(-0.5, 0.5),
+        shape: shape ?? undefined,
+        mass: childMass,
+        rng: this.rng,
+      });
+    });
   }
 }
 
@@ -192,14 +490,100 @@ export class Asteroid {
  * itself just picks uniformly from the full union; the caller can rely on two
  * independent draws to naturally produce diverging trajectories.
  *
+ * @param {import('./rng.js').Rng} rng – random source
  * @returns {number} angle in degrees
  */
-function randomDeflectionAngle() {
+function randomDeflectionAngle(rng) {
   // The union has total length 30 (15 + 15).  Pick a uniform value in [0, 30)
   // and map it to the two intervals.
-  const t = Math.random() * 30;
+  const t = rng.next() * 30;
   if (t < 15) {
     return -30 + t; // maps to [-30, -15)
   }
   return 15 + (t - 15); // maps to [15, 30)
 }
+
+/**
+ * Where a ray from the origin at `angle` first crosses a polygon's outline.
+ *
+ * @param {{ x: number, y: number }[]} shape
+ * @param {number} angle – radians
+ * @returns {{ x: number, y: number } | null}
+ */
+function rayHitShape(shape, angle) {
+  const dx = Math.cos(angle);
+  const dy = Math.sin(angle);
+  let best = Infinity;
+
+  for (let i = 0; i < shape.length; i++) {
+    const a = shape[i];
+    const b = shape[(i + 1) % shape.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = dx * ey - dy * ex;
+    if (Math.abs(denom) < 1e-12) continue;
+
+    // Ray: t·d.  Edge: a + u·e.
+    const t = (a.x * ey - a.y * ex) / denom;
+    const u = (a.x * dy - a.y * dx) / denom;
+    if (t > 0 && u >= 0 && u <= 1 && t < best) best = t;
+  }
+
+  return best === Infinity ? null : { x: dx * best, y: dy * best };
+}
+
+/**
+ * Cut one wedge out of a parent outline for a physics-breakup fragment.
+ *
+ * The wedge spans 2π / count around `angle` (in the parent's local frame),
+ * bounded by the parent's own jagged edge.  It is re-centred on its
+ * centroid and scaled so its furthest vertex sits at `extent` — about as
+ * far as a generated outline for the fragment's type typically reaches —
+ * keeping it in proportion with the fragment's collision radius.  Returns
+ * null if the outline can't be carved (e.g. too few
+ * vertices), in which case the caller generates a fresh shape.
+ *
+ * @param {{ x: number, y: number }[]} shape – parent outline (local frame)
+ * @param {number} angle  – direction of the wedge's middle (radians, local)
+ * @param {number} count  – number of wedges the outline is cut into
+ * @param {number} extent – distance from centre to furthest vertex
+ * @returns {{ x: number, y: number }[] | null}
+ */
+function carveFragmentShape(shape, angle, count, extent) {
+  const span = (Math.PI * 2) / count;
+  let points;
+
+  if (count === 1) {
+    points = shape.map((v) => ({ ...v }));
+  } else {
+    const start = angle - span / 2;
+    const end = angle + span / 2;
+    const startHit = rayHitShape(shape, start);
+    const endHit = rayHitShape(shape, end);
+    if (!startHit || !endHit) return null;
+
+    // Outline vertices inside the wedge, ordered by angle from its start.
+    const inside = shape
+      .map((v) => {
+        const rel = Math.atan2(v.y, v.x) - start;
+        return { v, rel: rel - Math.floor(rel / (Math.PI * 2)) * Math.PI * 2 };
+      })
+      .filter(({ rel }) => rel > 0 && rel < span)
+      .sort((a, b) => a.rel - b.rel)
+      .map(({ v }) => ({ x: v.x, y: v.y }));
+
+    points = [{ x: 0, y: 0 }, startHit, ...inside, endHit];
+  }
+
+  if (points.length < 3) return null;
+
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const reach = Math.max(
+    ...points.map((p) => Math.hypot(p.x - cx, p.y - cy)),
+  );
+  if (reach < 1e-6) return null;
+
+  const scale = extent / reach;
+  return points.map((p) => ({ x: (p.x - cx) * scale, y: (p.y - cy) * scale }));
+}
@@ -4,7 +4,10 @@ import {
   ASTEROID_SCORES,
   TIER_RADII,
   generateAsteroidShape,
+  massForRadius,
 } from './asteroid.js';
+import { ASTEROID_TYPES } from './asteroid-types.js';
+import { Rng } from './rng.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -117,6 +120,45 @@ describe('Asteroid constructor', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// update()
+// ---------------------------------------------------------------------------
+
+describe('Asteroid update()', () => {
+  function makeMoving() {
+    return new Asteroid({
+      tier: 1,
+      x: 10,
+      y: 20,
+      vx: 100,
+      vy: -50,
+      rotation: 0,
+      angularVelocity: 2,
+    });
+  }
+
+  it('integrates position from velocity', () => {
+    const a = makeMoving();
+    a.update(0.5);
+    expect(a.x).toBe(60);
+    expect(a.y).toBe(-5);
+  });
+
+  it('integrates rotation from angular velocity', () => {
+    const a = makeMoving();
+    a.update(0.25);
+    expect(a.rotation).toBe(0.5);
+  });
+
+  it('records the pre-step transform for interpolation', () => {
+    const a = makeMoving();
+    a.update(0.5);
+    expect(a.prevX).toBe(10);
+    expect(a.prevY).toBe(20);
+    expect(a.prevRotation).toBe(0);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // breakup() — tier 1 (large → 2 medium)
 // ---------------------------------------------------------------------------
@@ -309,3 +351,305 @@ describe('breakup() — parent unchanged', () => {
     expect(parent.tier).toBe(origTier);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Seeded determinism
+// ---------------------------------------------------------------------------
+
+describe('seeded randomness', () => {
+  function makeSeeded(seed) {
+    return new Asteroid({
+      tier: 1,
+      x: 400,
+      y: 300,
+      vx: 50,
+      vy: -30,
+      rng: new Rng(seed),
+    });
+  }
+
+  it('generateAsteroidShape is identical for the same seed', () => {
+    expect(generateAsteroidShape(40, new Rng(3))).toEqual(
+      generateAsteroidShape(40, new Rng(3)),
+    );
+  });
+
+  it('same seed gives identical shape and spin', () => {
+    const a = makeSeeded(123);
+    const b = makeSeeded(123);
+    expect(a.shape).toEqual(b.shape);
+    expect(a.angularVelocity).toBe(b.angularVelocity);
+  });
+
+  it('different seeds give different shapes', () => {
+    expect(makeSeeded(1).shape).not.toEqual(makeSeeded(2).shape);
+  });
+
+  it('same seed gives identical breakup children', () => {
+    const a = makeSeeded(2024).breakup().children;
+    const b = makeSeeded(2024).breakup().children;
+    expect(a).toHaveLength(b.length);
+    for (let i = 0; i < a.length; i++) {
+      expect(a[i].x).toBe(b[i].x);
+      expect(a[i].y).toBe(b[i].y);
+      expect(a[i].vx).toBe(b[i].vx);
+      expect(a[i].vy).toBe(b[i].vy);
+      expect(a[i].angularVelocity).toBe(b[i].angularVelocity);
+      expect(a[i].shape).toEqual(b[i].shape);
+    }
+  });
+
+  it('children share the parent random source', () => {
+    const parent = makeSeeded(9);
+    for (const child of parent.breakup().children) {
+      expect(child.rng).toBe(parent.rng);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// breakup() — physics mode
+// ---------------------------------------------------------------------------
+
+describe('breakup() — physics mode', () => {
+  function makeParent(opts = {}) {
+    return new Asteroid({
+      tier: 1,
+      x: 400,
+      y: 300,
+      vx: 40,
+      vy: -20,
+      angularVelocity: 0,
+      rng: new Rng(7),
+      ...opts,
+    });
+  }
+
+  const bullet = { x: 400, y: 340, vx: 0, vy: -500, mass: 150 };
+
+  function momentum(bodies) {
+    return bodies.reduce(
+      (sum, b) => ({ x: sum.x + b.mass * b.vx, y: sum.y + b.mass * b.vy }),
+      { x: 0, y: 0 },
+    );
+  }
+
+  it('derives mass from the radius', () => {
+    expect(makeParent().mass).toBeCloseTo(massForRadius(TIER_RADII[1]));
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => makeParent().breakup({ mode: 'gentle' })).toThrow(
+      RangeError,
+    );
+  });
+
+  it("spawns the type's child count, or an override", () => {
+    const parent = makeParent();
+    expect(parent.breakup({ mode: 'physics' }).children).toHaveLength(
+      parent.definition.childCount,
+    );
+    const { children } = parent.breakup({ mode: 'physics', childCount: 5 });
+    expect(children).toHaveLength(5);
+    for (const child of children) expect(child.tier).toBe(2);
+  });
+
+  it('splits the parent mass evenly', () => {
+    const parent = makeParent();
+    const { children } = parent.breakup({
+      mode: 'physics',
+      childCount: 3,
+    });
+    const total = children.reduce((sum, c) => sum + c.mass, 0);
+    expect(total).toBeCloseTo(parent.mass);
+  });
+
+  it('conserves momentum including the projectile', () => {
+    const parent = makeParent();
+    const before = momentum([parent, bullet]);
+    for (const count of [2, 3, 4]) {
+      const { children } = parent.breakup({
+        mode: 'physics',
+        impact: bullet,
+        childCount: count,
+      });
+      const after = momentum(children);
+      expect(after.x).toBeCloseTo(before.x, 6);
+      expect(after.y).toBeCloseTo(before.y, 6);
+    }
+  });
+
+  it('pushes the fragments along the projectile heading', () => {
+    const still = makeParent({ vx: 0, vy: 0 });
+    const { children } = still.breakup({ mode: 'physics', impact: bullet });
+    const meanVy =
+      children.reduce((sum, c) => sum + c.vy, 0) / children.length;
+    expect(meanVy).toBeLessThan(0);
+  });
+
+  it('separates two fragments across the line of impact', () => {
+    const still = makeParent({ vx: 0, vy: 0 });
+    const [a, b] = still.breakup({ mode: 'physics', impact: bullet }).children;
+    // The shot travels along y, so the pieces part along x.
+    expect(Math.sign(a.x - still.x)).toBe(-Math.sign(b.x - still.x));
+    expect(Math.sign(a.vx)).toBe(-Math.sign(b.vx));
+  });
+
+  it('kicks the fragment on the impact side hardest', () => {
+    const still = makeParent({ vx: 0, vy: 0 });
+    const children = still.breakup({
+      mode: 'physics',
+      impact: { ...bullet, vy: 0 },
+      childCount: 4,
+    }).children;
+    // The bullet sits below the centre (+y); the fragment heading that way
+    // should be the fastest.
+    const fastest = children.reduce((a, b) =>
+      Math.hypot(a.vx, a.vy) > Math.hypot(b.vx, b.vy) ? a : b,
+    );
+    expect(fastest.y).toBeGreaterThan(still.y);
+  });
+
+  it('spins the fragments on an off-centre hit', () => {
+    const centred = makeParent().breakup({
+      mode: 'physics',
+      impact: bullet,
+    }).children;
+    const grazing = makeParent().breakup({
+      mode: 'physics',
+      impact: { ...bullet, x: 430, y: 300 },
+    }).children;
+    // Same rng draws, so the only difference is the impact torque: a
+    // bullet travelling up past the right-hand side turns the rock
+    // anticlockwise (negative angle in canvas coordinates).
+    expect(grazing[0].angularVelocity).toBeLessThan(
+      centred[0].angularVelocity,
+    );
+  });
+
+  it('carves fragment shapes from the parent outline', () => {
+    const parent = makeParent();
+    const { children } = parent.breakup({
+      mode: 'physics',
+      impact: bullet,
+      carve: true,
+    });
+    const extent = TIER_RADII[2] * 1.15;
+    for (const child of children) {
+      expect(child.rotation).toBe(parent.rotation);
+      expect(child.shape.length).toBeGreaterThanOrEqual(3);
+      const furthest = Math.max(
+        ...child.shape.map((v) => Math.hypot(v.x, v.y)),
+      );
+      expect(furthest).toBeCloseTo(extent);
+    }
+  });
+
+  it('tier 3 still leaves nothing behind', () => {
+    const small = makeParent({ tier: 3 });
+    expect(
+      small.breakup({ mode: 'physics', impact: bullet }).children,
+    ).toEqual([]);
+  });
+
+  it('is deterministic for the same seed', () => {
+    const run = () =>
+      makeParent()
+        .breakup({ mode: 'physics', impact: bullet, carve: true })
+        .children.map((c) => [c.x, c.y, c.vx, c.vy, c.shape]);
+    expect(run()).toEqual(run());
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Types and damage
+// ---------------------------------------------------------------------------
+
+describe('asteroid types', () => {
+  const at = (opts) => new Asteroid({ x: 0, y: 0, vx: 0, vy: 0, ...opts });
+
+  it('takes its stats from the type table', () => {
+    const a = at({ type: 'armouredLarge' });
+    const def = ASTEROID_TYPES.armouredLarge;
+    expect(a.tier).toBe(def.tier);
+    expect(a.radius).toBe(def.radius);
+    expect(a.hitPoints).toBe(def.hitPoints);
+    expect(a.shape).toHaveLength(def.vertexCount);
+    expect(a.angularVelocity).toBeGreaterThanOrEqual(def.spin[0]);
+    expect(a.angularVelocity).toBeLessThanOrEqual(def.spin[1]);
+  });
+
+  it('uses the plain type when only a tier is given', () => {
+    expect(at({ tier: 2 }).type).toBe('medium');
+  });
+
+  it('throws for an unknown type', () => {
+    expect(() => at({ type: 'cheese' })).toThrow(RangeError);
+  });
+
+  it('breaks into its child type and scores its own value', () => {
+    const { children, score } = at({ type: 'armouredLarge' }).breakup();
+    expect(score).toBe(ASTEROID_TYPES.armouredLarge.score);
+    expect(children).toHaveLength(ASTEROID_TYPES.armouredLarge.childCount);
+    for (const child of children) expect(child.type).toBe('armouredMedium');
+  });
+
+  it('damage() reports destruction once hit points run out', () => {
+    const a = at({ type: 'armouredLarge' });
+    expect(a.damage()).toBe(false);
+    expect(a.damage()).toBe(false);
+    expect(a.damage()).toBe(true);
+    expect(a.hitPoints).toBe(0);
+  });
+
+  it('plain asteroids are destroyed by a single hit', () => {
+    expect(at({ tier: 1 }).damage()).toBe(true);
+  });
+});
+
+describe('generateAsteroidShape options', () => {
+  it('honours vertex count and jitter', () => {
+    const shape = generateAsteroidShape(10, new Rng(1), {
+      vertexCount: 6,
+      jitter: 0,
+    });
+    expect(shape).toHaveLength(6);
+    for (const v of shape) expect(Math.hypot(v.x, v.y)).toBeCloseTo(10);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+describe('Asteroid toJSON / fromJSON', () => {
+  it('round-trips every gameplay field', () => {
+    const a = new Asteroid({
+      type: 'armouredLarge',
+      x: 12,
+      y: 34,
+      vx: 5,
+      vy: -6,
+      rotation: 0.7,
+      rng: new Rng(3),
+    });
+    a.damage();
+    const json = JSON.parse(JSON.stringify(a));
+    const b = Asteroid.fromJSON(json);
+    expect(b.toJSON()).toEqual(a.toJSON());
+    expect(b.hitPoints).toBe(a.hitPoints);
+  });
+
+  it('gives the rebuilt asteroid the supplied random source', () => {
+    const rng = new Rng(1);
+    const a = new Asteroid({ tier: 1, x: 0, y: 0, vx: 0, vy: 0 });
+    expect(Asteroid.fromJSON(a.toJSON(), rng).rng).toBe(rng);
+  });
+
+  it('rejects unknown types', () => {
+    const json = new Asteroid({ tier: 1, x: 0, y: 0, vx: 0, vy: 0 }).toJSON();
+    expect(() => Asteroid.fromJSON({ ...json, type: 'nope' })).toThrow(
+      RangeError,
+    );
+  });
+});
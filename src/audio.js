@@ -0,0 +1,541 @@
+/**
+ * Audio module.
+ *
+ * Every sound is synthesised on the fly with Web Audio oscillators and
+ * filtered noise — there are no sample files to load.  The effects:
+ *
+ * - **fire** — a short falling square-wave zap.
+ * - **explosion** — a burst of low-passed noise; bigger asteroids (lower
+ *   tiers) boom lower and longer.
+ * - **extraLife** — a run of high sine pips.
+ * - **beat** — one half of the two-tone heartbeat.  The beat speeds up as
+ *   fewer asteroids remain.
+ * - **thrust** — looping rumble, switched on and off rather than played.
+ *
+ * Browsers refuse to start an AudioContext until the user has interacted
+ * with the page, so the context is only created (or resumed) on the first
+ * pointer, key or touch event after attach().  Until then every sound is
+ * silently dropped.
+ *
+ * Master volume, effects volume and mute are persisted in localStorage.
+ * The context comes from a factory, so tests can pass a stub and spy on
+ * play() to see which sounds were triggered.
+ */
+
+import { Rng } from './rng.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** localStorage key for the volume settings. */
+export const AUDIO_SETTINGS_STORAGE_KEY = 'silica-asteroids.audio';
+
+/** Settings used when nothing (or nothing valid) is stored. */
+export const DEFAULT_AUDIO_SETTINGS = Object.freeze({
+  master: 0.8,
+  sfx: 1,
+  muted: false,
+});
+
+/** Events that count as the user gesture that unlocks audio. */
+export const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+/** Explosion noise cutoff by asteroid tier (Hz): big rocks boom low. */
+export const EXPLOSION_PITCH = { 1: 300, 2: 600, 3: 1200 };
+
+/** Which asteroid tier's explosion each saucer kind borrows. */
+const SAUCER_EXPLOSION_TIER = { large: 2, small: 3 };
+
+/** Explosion length by asteroid tier (seconds). */
+const EXPLOSION_DURATION = { 1: 0.9, 2: 0.6, 3: 0.35 };
+
+/** The two heartbeat tones (Hz), played alternately. */
+export const HEARTBEAT_TONES = [55, 49];
+
+/** Heartbeat interval with a crowded field, and with one rock left (s). */
+export const HEARTBEAT_SLOWEST = 1;
+export const HEARTBEAT_FASTEST = 0.25;
+
+/** Asteroid count at and above which the heartbeat is at its slowest. */
+export const HEARTBEAT_CROWD = 12;
+
+/** Length of the shared white-noise buffer (seconds). */
+const NOISE_SECONDS = 1;
+
+/** Low-pass cutoff for the thrust rumble (Hz) and its volume. */
+const THRUST_CUTOFF = 400;
+const THRUST_GAIN = 0.3;
+
+/** Fade applied when thrust stops, to avoid a click (seconds). */
+const THRUST_RELEASE = 0.05;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Seconds between heartbeats with `remaining` asteroids on the field:
+ * HEARTBEAT_SLOWEST at HEARTBEAT_CROWD or more, speeding up linearly to
+ * HEARTBEAT_FASTEST with one left.
+ *
+ * @param {number} remaining
+ * @returns {number}
+ */
+export function heartbeatInterval(remaining) {
+  const t = Math.min(1, Math.max(0, (remaining - 1) / (HEARTBEAT_CROWD - 1)));
+  return HEARTBEAT_FASTEST + (HEARTBEAT_SLOWEST - HEARTBEAT_FASTEST) * t;
+}
+
+/** Default context factory: a real AudioContext, if the platform has one. */
+function createAudioContext() {
+  const AudioContext =
+    globalThis.AudioContext ?? globalThis.webkitAudioContext ?? null;
+  return AudioContext ? new AudioContext() : null;
+}
+
+/**
+ * Clamp a volume into [0, 1], falling back when it isn't a number.
+ * @param {unknown} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function toVolume(value, fallback) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback;
+}
+
+// ---------------------------------------------------------------------------
+// Synthesis
+// ---------------------------------------------------------------------------
+
+/**
+ * A gain node with a quick attack and exponential decay, connected to
+ * `out`.  Sources connect to the returned node.
+ *
+ * @param {AudioContext} ctx
+ * @param {AudioNode} out
+ * @param {number} start    – context time
+ * @param {number} duration – seconds
+ * @param {number} level    – peak gain
+ * @returns {GainNode}
+ */
+function envelope(ctx, out, start, duration, level) {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.linearRampToValueAtTime(level, start + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  gain.connect(out);
+  return gain;
+}
+
+/**
+ * An oscillator sweeping from `from` to `to` Hz under an envelope.
+ *
+ * @param {AudioContext} ctx
+ * @param {AudioNode} out
+ * @param {object} opts
+ * @param {OscillatorType} opts.type
+ * @param {number} opts.from     – start frequency (Hz)
+ * @param {number} [opts.to]     – end frequency (Hz); steady if omitted
+ * @param {number} opts.start    – context time
+ * @param {number} opts.duration – seconds
+ * @param {number} opts.level    – peak gain
+ */
+function tone(ctx, out, { type, from, to = from, start, duration, level }) {
+  const osc = ctx.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(from, start);
+  if (to !== from) {
+    osc.frequency.exponentialRampToValueAtTime(to, start + duration);
+  }
+  osc.connect(envelope(ctx, out, start, duration, level));
+  osc.start(start);
+  osc.stop(start + duration);
+}
+
+/**
+ * A burst of low-passed noise under an envelope.
+ *
+ * @param {AudioContext} ctx
+ * @param {AudioNode} out
+ * @param {AudioBuffer} buffer – white noise
+ * @param {object} opts
+ * @param {number} opts.cutoff   – low-pass frequency (Hz)
+ * @param {number} opts.start    – context time
+ * @param {number} opts.duration – seconds
+ * @param {number} opts.level    – peak gain
+ */
+function noiseBurst(ctx, out, buffer, { cutoff, start, duration, level }) {
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(cutoff, start);
+
+  source.connect(filter);
+  filter.connect(envelope(ctx, out, start, duration, level));
+  source.start(start);
+  source.stop(start + duration);
+}
+
+/**
+ * Synthesisers for the one-shot sounds, keyed by name.  Each gets the
+ * engine's voice (context, output node, noise buffer) and the parameters
+ * passed to play().
+ */
+const SOUNDS = {
+  fire({ ctx, out }) {
+    tone(ctx, out, {
+      type: 'square',
+      from: 1400,
+      to: 300,
+      start: ctx.currentTime,
+      duration: 0.12,
+      level: 0.2,
+    });
+  },
+
+  explosion({ ctx, out, noise }, { tier = 1 } = {}) {
+    noiseBurst(ctx, out, noise, {
+      cutoff: EXPLOSION_PITCH[tier] ?? EXPLOSION_PITCH[1],
+      start: ctx.currentTime,
+      duration: EXPLOSION_DURATION[tier] ?? EXPLOSION_DURATION[1],
+      level: 0.8,
+    });
+  },
+
+  extraLife({ ctx, out }) {
+    for (let i = 0; i < 6; i++) {
+      tone(ctx, out, {
+        type: 'sine',
+        from: 2000,
+        start: ctx.currentTime + i * 0.09,
+        duration: 0.06,
+        level: 0.25,
+      });
+    }
+  },
+
+  beat({ ctx, out }, { tone: index = 0 } = {}) {
+    tone(ctx, out, {
+      type: 'square',
+      from: HEARTBEAT_TONES[index % HEARTBEAT_TONES.length],
+      start: ctx.currentTime,
+      duration: 0.1,
+      level: 0.4,
+    });
+  },
+};
+
+/** Names of the one-shot sounds play() accepts. */
+export const SOUND_NAMES = Object.keys(SOUNDS);
+
+// ---------------------------------------------------------------------------
+// AudioEngine class
+// ---------------------------------------------------------------------------
+
+export class AudioEngine {
+  /**
+   * @param {object} [opts]
+   * @param {() => AudioContext | null} [opts.createContext] – context factory (called on unlock)
+   * @param {Storage | null} [opts.storage] – settings persistence (default: localStorage)
+   * @param {Rng} [opts.rng] – random source for the noise buffer
+   */
+  constructor({
+    createContext = createAudioContext,
+    storage = globalThis.localStorage ?? null,
+    rng = new Rng(),
+  } = {}) {
+    this.createContext = createContext;
+    this.storage = storage;
+    this.rng = rng;
+
+    /** The audio context, or null until unlocked. */
+    this.ctx = null;
+
+    /** Gain nodes: everything → master → destination, effects → sfx → master. */
+    this.masterGain = null;
+    this.sfxGain = null;
+
+    /** Shared white-noise buffer for explosions and thrust. */
+    this.noise = null;
+
+    /** Volume and mute settings. */
+    this.settings = this.load();
+
+    /** Looping thrust source while thrust is on, else null. */
+    this.thrust = null;
+
+    /** Seconds until the next heartbeat, and which tone it plays. */
+    this.beatTimer = 0;
+    this.beatTone = 0;
+
+    /** Element listened on for the unlocking gesture, once attached. */
+    this.target = null;
+    this.onGesture = () => this.unlock();
+  }
+
+  /** Whether the context exists and sounds will actually be heard. */
+  get unlocked() {
+    return this.ctx !== null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Unlocking
+  // -------------------------------------------------------------------------
+
+  /**
+   * Listen for the first user gesture on `target` and unlock then.
+   * @param {EventTarget} [target]
+   */
+  attach(target = globalThis.window) {
+    this.target = target;
+    for (const type of UNLOCK_EVENTS) {
+      target.addEventListener(type, this.onGesture);
+    }
+  }
+
+  /** Stop listening for the unlocking gesture. */
+  detach() {
+    if (!this.target) return;
+    for (const type of UNLOCK_EVENTS) {
+      this.target.removeEventListener(type, this.onGesture);
+    }
+    this.target = null;
+  }
+
+  /**
+   * Create the context and its gain graph (first call only) and resume it
+   * if the browser started it suspended.  Must run inside a user gesture.
+   */
+  unlock() {
+    if (!this.ctx) {
+      const ctx = this.createContext();
+      if (!ctx) return;
+
+      this.ctx = ctx;
+      this.masterGain = ctx.createGain();
+      this.masterGain.connect(ctx.destination);
+      this.sfxGain = ctx.createGain();
+      this.sfxGain.connect(this.masterGain);
+      this.noise = this.createNoise();
+      this.applyVolumes();
+    }
+
+    if (this.ctx.state === 'suspended') this.ctx.resume();
+    this.detach();
+  }
+
+  // -------------------------------------------------------------------------
+  // Settings
+  // -------------------------------------------------------------------------
+
+  /** @param {number} volume – 0..1 */
+  setMasterVolume(volume) {
+    this.settings.master = toVolume(volume, this.settings.master);
+    this.applyVolumes();
+    this.save();
+  }
+
+  /** @param {number} volume – 0..1 */
+  setSfxVolume(volume) {
+    this.settings.sfx = toVolume(volume, this.settings.sfx);
+    this.applyVolumes();
+    this.save();
+  }
+
+  /** @param {boolean} muted */
+  setMuted(muted) {
+    this.settings.muted = Boolean(muted);
+    if (this.settings.muted) this.silence();
+    this.applyVolumes();
+    this.save();
+  }
+
+  /** Flip mute on or off. */
+  toggleMute() {
+    this.setMuted(!this.settings.muted);
+  }
+
+  /** Push the settings into the gain nodes (once they exist). */
+  applyVolumes() {
+    if (!this.ctx) return;
+    const { master, sfx, muted } = this.settings;
+    this.masterGain.gain.value = muted ? 0 : master;
+    this.sfxGain.gain.value = sfx;
+  }
+
+  // -------------------------------------------------------------------------
+  // Playback
+  // -------------------------------------------------------------------------
+
+  /**
+   * Play a one-shot sound (see SOUND_NAMES).  Dropped while locked or muted.
+   *
+   * @param {string} name
+   * @param {object} [params] – e.g. `{ tier }` for an explosion
+   * @returns {boolean} whether the sound was synthesised
+   */
+  play(name, params = {}) {
+    const synth = SOUNDS[name];
+    if (!synth) throw new Error(`Unknown sound: ${name}`);
+    if (!this.ctx || this.settings.muted) return false;
+
+    synth({ ctx: this.ctx, out: this.sfxGain, noise: this.noise }, params);
+    return true;
+  }
+
+  /**
+   * Play the sounds for what happened in the world's last step (see
+   * World.events).
+   * @param {{ type: string }[]} events
+   */
+  handleEvents(events) {
+    for (const event of events) {
+      switch (event.type) {
+        case 'shotFired':
+        case 'saucerFired':
+          this.play('fire');
+          break;
+        case 'asteroidDestroyed':
+          this.play('explosion', { tier: event.asteroid.tier });
+          break;
+        case 'shipDestroyed':
+          this.play('explosion', { tier: 1 });
+          break;
+        case 'saucerDestroyed':
+          this.play('explosion', {
+            tier: SAUCER_EXPLOSION_TIER[event.saucer.type],
+          });
+          break;
+      }
+    }
+  }
+
+  /**
+   * Start or stop the thrust rumble.  Cheap to call every step.
+   * @param {boolean} on
+   */
+  setThrust(on) {
+    if (on && !this.thrust) {
+      if (!this.ctx || this.settings.muted) return;
+      this.thrust = this.startThrust();
+    } else if (!on && this.thrust) {
+      const { source, gain } = this.thrust;
+      const now = this.ctx.currentTime;
+      gain.gain.setValueAtTime(THRUST_GAIN, now);
+      gain.gain.linearRampToValueAtTime(0, now + THRUST_RELEASE);
+      source.stop(now + THRUST_RELEASE);
+      this.thrust = null;
+    }
+  }
+
+  /**
+   * Advance the heartbeat, playing the next tone when it's due.  Call once
+   * per simulation step while a game is in progress.
+   *
+   * @param {number} dt
+   * @param {number} remaining – asteroids left on the field
+   */
+  updateHeartbeat(dt, remaining) {
+    if (remaining <= 0) {
+      // Between waves: start the next one fresh, on the first tone.
+      this.beatTimer = 0;
+      this.beatTone = 0;
+      return;
+    }
+
+    this.beatTimer -= dt;
+    if (this.beatTimer > 0) return;
+
+    this.play('beat', { tone: this.beatTone });
+    this.beatTone = (this.beatTone + 1) % HEARTBEAT_TONES.length;
+    this.beatTimer += heartbeatInterval(remaining);
+    // Don't try to catch up on beats missed during a long gap.
+    if (this.beatTimer <= 0) this.beatTimer = heartbeatInterval(remaining);
+  }
+
+  /** Stop continuous sounds and reset the heartbeat (pause, game over). */
+  silence() {
+    this.setThrust(false);
+    this.beatTimer = 0;
+    this.beatTone = 0;
+  }
+
+  // -------------------------------------------------------------------------
+  // Private helpers
+  // -------------------------------------------------------------------------
+
+  /** @returns {AudioBuffer} NOISE_SECONDS of white noise */
+  createNoise() {
+    const { ctx, rng } = this;
+    const length = Math.floor(ctx.sampleRate * NOISE_SECONDS);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = rng.range(-1, 1);
+    return buffer;
+  }
+
+  /** @returns {{ source: AudioBufferSourceNode, gain: GainNode }} */
+  startThrust() {
+    const { ctx } = this;
+    const source = ctx.createBufferSource();
+    source.buffer = this.noise;
+    source.loop = true;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(THRUST_CUTOFF, ctx.currentTime);
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(THRUST_GAIN, ctx.currentTime);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.sfxGain);
+    source.start(ctx.currentTime);
+    return { source, gain };
+  }
+
+  // -------------------------------------------------------------------------
+  // Persistence
+  // -------------------------------------------------------------------------
+
+  /**
+   * Read the stored settings, falling back to the defaults for anything
+   * missing or unreadable.
+   * @returns {{ master: number, sfx: number, muted: boolean }}
+   */
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(
+        this.storage?.getItem(AUDIO_SETTINGS_STORAGE_KEY) ?? 'null',
+      );
+    } catch {
+      // Corrupt: use the defaults.
+    }
+
+    const defaults = DEFAULT_AUDIO_SETTINGS;
+    if (!data || typeof data !== 'object') return { ...defaults };
+    return {
+      master: toVolume(data.master, defaults.master),
+      sfx: toVolume(data.sfx, defaults.sfx),
+      muted: typeof data.muted === 'boolean' ? data.muted : defaults.muted,
+    };
+  }
+
+  /** Write the settings.  Storage failures are ignored. */
+  save() {
+    try {
+      this.storage?.setItem(
+        AUDIO_SETTINGS_STORAGE_KEY,
+        JSON.stringify(this.settings),
+      );
+    } catch {
+      // Quota exceeded or storage disabled: settings still apply this session.
+    }
+  }
+}
@@ -0,0 +1,297 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  AudioEngine,
+  AUDIO_SETTINGS_STORAGE_KEY,
+  DEFAULT_AUDIO_SETTINGS,
+  EXPLOSION_PITCH,
+  HEARTBEAT_TONES,
+  HEARTBEAT_SLOWEST,
+  HEARTBEAT_FASTEST,
+  HEARTBEAT_CROWD,
+  UNLOCK_EVENTS,
+  heartbeatInterval,
+} from './audio.js';
+import { Asteroid } from './asteroid.js';
+import { Rng } from './rng.js';
+
+/** AudioParam stand-in. */
+function makeParam() {
+  return {
+    value: 1,
+    setValueAtTime: vi.fn(),
+    linearRampToValueAtTime: vi.fn(),
+    exponentialRampToValueAtTime: vi.fn(),
+  };
+}
+
+/** AudioContext stand-in that records every node it creates. */
+function makeContext() {
+  const node = (props) => ({ connect: vi.fn(), ...props });
+  const ctx = {
+    currentTime: 0,
+    sampleRate: 100,
+    state: 'suspended',
+    destination: {},
+    resume: vi.fn(),
+    oscillators: [],
+    filters: [],
+    sources: [],
+    createGain: () => node({ gain: makeParam() }),
+    createOscillator: () => {
+      const osc = node({
+        type: 'sine',
+        frequency: makeParam(),
+        start: vi.fn(),
+        stop: vi.fn(),
+      });
+      ctx.oscillators.push(osc);
+      return osc;
+    },
+    createBiquadFilter: () => {
+      const filter = node({ type: 'lowpass', frequency: makeParam() });
+      ctx.filters.push(filter);
+      return filter;
+    },
+    createBufferSource: () => {
+      const source = node({ start: vi.fn(), stop: vi.fn() });
+      ctx.sources.push(source);
+      return source;
+    },
+    createBuffer: (channels, length) => {
+      const data = new Float32Array(length);
+      return { getChannelData: () => data };
+    },
+  };
+  return ctx;
+}
+
+function makeStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+    data,
+  };
+}
+
+/** An engine with a stub context, already unlocked. */
+function makeEngine(opts = {}) {
+  const ctx = makeContext();
+  const engine = new AudioEngine({
+    createContext: () => ctx,
+    storage: makeStorage(),
+    rng: new Rng(1),
+    ...opts,
+  });
+  engine.unlock();
+  return { engine, ctx };
+}
+
+const playedNames = (spy) => spy.mock.calls.map((c) => c[0]);
+
+// ---------------------------------------------------------------------------
+// Unlocking
+// ---------------------------------------------------------------------------
+
+describe('AudioEngine unlocking', () => {
+  it('stays silent until unlocked', () => {
+    const createContext = vi.fn(makeContext);
+    const engine = new AudioEngine({ createContext, storage: null });
+    expect(engine.unlocked).toBe(false);
+    expect(engine.play('fire')).toBe(false);
+    expect(createContext).not.toHaveBeenCalled();
+  });
+
+  it('creates and resumes the context on the first gesture only', () => {
+    const ctx = makeContext();
+    const createContext = vi.fn(() => ctx);
+    const target = new EventTarget();
+    const engine = new AudioEngine({ createContext, storage: null });
+    engine.attach(target);
+
+    target.dispatchEvent(new Event(UNLOCK_EVENTS[1]));
+    expect(engine.unlocked).toBe(true);
+    expect(ctx.resume).toHaveBeenCalledTimes(1);
+
+    target.dispatchEvent(new Event(UNLOCK_EVENTS[0]));
+    expect(createContext).toHaveBeenCalledTimes(1);
+  });
+
+  it('stays locked where there is no Web Audio', () => {
+    const engine = new AudioEngine({
+      createContext: () => null,
+      storage: null,
+    });
+    engine.unlock();
+    expect(engine.unlocked).toBe(false);
+  });
+
+  it('fills the noise buffer', () => {
+    const { engine } = makeEngine();
+    const samples = engine.noise.getChannelData(0);
+    expect(samples.some((s) => s !== 0)).toBe(true);
+    expect(samples.every((s) => s >= -1 && s < 1)).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Sounds
+// ---------------------------------------------------------------------------
+
+describe('AudioEngine sounds', () => {
+  it('synthesises a falling zap for a shot', () => {
+    const { engine, ctx } = makeEngine();
+    expect(engine.play('fire')).toBe(true);
+    expect(ctx.oscillators).toHaveLength(1);
+    expect(ctx.oscillators[0].start).toHaveBeenCalled();
+    expect(
+      ctx.oscillators[0].frequency.exponentialRampToValueAtTime,
+    ).toHaveBeenCalled();
+  });
+
+  it('booms lower for bigger asteroids', () => {
+    const { engine, ctx } = makeEngine();
+    engine.play('explosion', { tier: 1 });
+    engine.play('explosion', { tier: 3 });
+    const cutoffs = ctx.filters.map(
+      (f) => f.frequency.setValueAtTime.mock.calls[0][0],
+    );
+    expect(cutoffs).toEqual([EXPLOSION_PITCH[1], EXPLOSION_PITCH[3]]);
+    expect(cutoffs[0]).toBeLessThan(cutoffs[1]);
+  });
+
+  it('alternates the two heartbeat tones', () => {
+    const { engine, ctx } = makeEngine();
+    engine.play('beat', { tone: 0 });
+    engine.play('beat', { tone: 1 });
+    const freqs = ctx.oscillators.map(
+      (o) => o.frequency.setValueAtTime.mock.calls[0][0],
+    );
+    expect(freqs).toEqual(HEARTBEAT_TONES);
+  });
+
+  it('rejects unknown sound names', () => {
+    const { engine } = makeEngine();
+    expect(() => engine.play('kazoo')).toThrow(/Unknown sound/);
+  });
+
+  it('maps world events to sounds', () => {
+    const { engine } = makeEngine();
+    const play = vi.spyOn(engine, 'play');
+    engine.handleEvents([
+      { type: 'shotFired' },
+      { type: 'asteroidDestroyed', asteroid: new Asteroid({ tier: 2 }) },
+      { type: 'asteroidHit' },
+      { type: 'shipDestroyed' },
+      { type: 'saucerFired' },
+      { type: 'saucerDestroyed', saucer: { type: 'small' } },
+    ]);
+    expect(play.mock.calls).toEqual([
+      ['fire'],
+      ['explosion', { tier: 2 }],
+      ['explosion', { tier: 1 }],
+      ['fire'],
+      ['explosion', { tier: 3 }],
+    ]);
+  });
+
+  it('starts the thrust loop once and fades it out on release', () => {
+    const { engine, ctx } = makeEngine();
+    engine.setThrust(true);
+    engine.setThrust(true);
+    expect(ctx.sources).toHaveLength(1);
+    expect(ctx.sources[0].loop).toBe(true);
+
+    engine.setThrust(false);
+    expect(ctx.sources[0].stop).toHaveBeenCalled();
+    expect(engine.thrust).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Heartbeat
+// ---------------------------------------------------------------------------
+
+describe('heartbeat', () => {
+  it('speeds up as the field empties', () => {
+    expect(heartbeatInterval(HEARTBEAT_CROWD)).toBe(HEARTBEAT_SLOWEST);
+    expect(heartbeatInterval(HEARTBEAT_CROWD * 2)).toBe(HEARTBEAT_SLOWEST);
+    expect(heartbeatInterval(1)).toBe(HEARTBEAT_FASTEST);
+    expect(heartbeatInterval(4)).toBeLessThan(heartbeatInterval(8));
+  });
+
+  it('beats alternating tones at the interval for the asteroids left', () => {
+    const { engine } = makeEngine();
+    const play = vi.spyOn(engine, 'play');
+    const dt = 1 / 60;
+
+    for (let t = 0; t < 1; t += dt) engine.updateHeartbeat(dt, 1);
+    expect(play).toHaveBeenCalledTimes(1 / HEARTBEAT_FASTEST);
+    expect(play.mock.calls.slice(0, 2)).toEqual([
+      ['beat', { tone: 0 }],
+      ['beat', { tone: 1 }],
+    ]);
+  });
+
+  it('rests between waves', () => {
+    const { engine } = makeEngine();
+    const play = vi.spyOn(engine, 'play');
+    engine.updateHeartbeat(1, 0);
+    expect(play).not.toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+describe('AudioEngine settings', () => {
+  it('applies master and effects volume to the gain graph', () => {
+    const { engine } = makeEngine();
+    engine.setMasterVolume(0.5);
+    engine.setSfxVolume(2);
+    expect(engine.masterGain.gain.value).toBe(0.5);
+    expect(engine.sfxGain.gain.value).toBe(1);
+  });
+
+  it('drops sounds and stops thrust while muted', () => {
+    const { engine } = makeEngine();
+    const play = vi.spyOn(engine, 'play');
+    engine.setThrust(true);
+    engine.toggleMute();
+
+    expect(engine.thrust).toBeNull();
+    expect(engine.masterGain.gain.value).toBe(0);
+    expect(engine.play('fire')).toBe(false);
+    engine.setThrust(true);
+    expect(engine.thrust).toBeNull();
+    expect(playedNames(play)).toEqual(['fire']);
+  });
+
+  it('persists settings and reads them back', () => {
+    const storage = makeStorage();
+    const engine = new AudioEngine({ storage });
+    engine.setMasterVolume(0.25);
+    engine.setMuted(true);
+
+    const reloaded = new AudioEngine({ storage });
+    expect(reloaded.settings).toEqual({ master: 0.25, sfx: 1, muted: true });
+  });
+
+  it('falls back to the defaults for corrupt or invalid data', () => {
+    const corrupt = makeStorage({ [AUDIO_SETTINGS_STORAGE_KEY]: '{oops' });
+    expect(new AudioEngine({ storage: corrupt }).settings).toEqual(
+      DEFAULT_AUDIO_SETTINGS,
+    );
+
+    const invalid = makeStorage({
+      [AUDIO_SETTINGS_STORAGE_KEY]: JSON.stringify({ master: 'loud', sfx: 0 }),
+    });
+    expect(new AudioEngine({ storage: invalid }).settings).toEqual({
+      ...DEFAULT_AUDIO_SETTINGS,
+      sfx: 0,
+    });
+  });
+});
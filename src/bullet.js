@@ -0,0 +1,247 @@
+/**
+ * Bullet module.
+ *
+ * Defines the Bullet projectile and the BulletSystem that fires, ages and
+ * recycles them.  Bullets are pooled: the system allocates its full
+ * complement up front and re-initialises spent bullets instead of creating
+ * new objects for every shot.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Muzzle speed added on top of the ship's own velocity (px / s). */
+export const BULLET_SPEED = 500;
+
+/** Maximum time a bullet stays alive (seconds). */
+export const BULLET_LIFETIME = 1.2;
+
+/** Maximum distance a bullet can travel before it fizzles (CSS pixels). */
+export const BULLET_RANGE = 600;
+
+/** Maximum number of player bullets on screen at once. */
+export const MAX_BULLETS = 4;
+
+/** Minimum time between shots (seconds). */
+export const FIRE_COOLDOWN = 0.2;
+
+/** Collision radius of a bullet (CSS pixels). */
+export const BULLET_RADIUS = 2;
+
+/**
+ * Mass of a bullet, on the asteroid scale (see massForRadius in
+ * asteroid.js).  A hit nudges a large asteroid's fragments by ~15 px / s
+ * and a medium one's by twice that.
+ */
+export const BULLET_MASS = 150;
+
+// ---------------------------------------------------------------------------
+// Bullet class
+// ---------------------------------------------------------------------------
+
+export class Bullet {
+  constructor() {
+    /** Position. */
+    this.x = 0;
+    this.y = 0;
+
+    /** Velocity vector. */
+    this.vx = 0;
+    this.vy = 0;
+
+    /** Collision radius. */
+    this.radius = BULLET_RADIUS;
+
+    /** Seconds since the bullet was fired. */
+    this.age = 0;
+
+    /** Distance travelled since the bullet was fired (CSS pixels). */
+    this.distance = 0;
+
+    /** Whether this bullet is in flight (false while sitting in the pool). */
+    this.active = false;
+
+    /** Position at the start of the last step (for interpolation). */
+    this.prevX = 0;
+    this.prevY = 0;
+  }
+
+  /**
+   * (Re)initialise the bullet for a new shot.
+   *
+   * @param {object} opts
+   * @param {number} opts.x  – spawn x (CSS pixels)
+   * @param {number} opts.y  – spawn y (CSS pixels)
+   * @param {number} opts.vx – horizontal velocity (px / s)
+   * @param {number} opts.vy – vertical velocity (px / s)
+   * @returns {this}
+   */
+  reset({ x, y, vx, vy }) {
+    this.x = this.prevX = x;
+    this.y = this.prevY = y;
+    this.vx = vx;
+    this.vy = vy;
+    this.age = 0;
+    this.distance = 0;
+    this.active = true;
+    return this;
+  }
+
+  /** True once the bullet has outlived its time or range budget. */
+  get expired() {
+    return this.age >= BULLET_LIFETIME || this.distance >= BULLET_RANGE;
+  }
+
+  /**
+   * Integrate position forward by `dt` seconds and age the bullet.
+   * @param {number} dt – step length (seconds)
+   */
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+
+    this.age += dt;
+    this.distance += Math.hypot(this.vx, this.vy) * dt;
+  }
+
+  /** @returns {object} plain-data form for snapshots */
+  toJSON() {
+    return {
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      age: this.age,
+      distance: this.distance,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// BulletSystem class
+// ---------------------------------------------------------------------------
+
+export class BulletSystem {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxBullets]   – pool size / on-screen cap
+   * @param {number} [opts.fireCooldown] – minimum seconds between shots
+   */
+  constructor({
+    maxBullets = MAX_BULLETS,
+    fireCooldown = FIRE_COOLDOWN,
+  } = {}) {
+    /** Minimum seconds between shots. */
+    this.fireCooldown = fireCooldown;
+
+    /** Seconds until the next shot is allowed. */
+    this.cooldown = 0;
+
+    /** Bullets currently in flight. @type {Bullet[]} */
+    this.active = [];
+
+    /** Spare bullets ready for reuse. @type {Bullet[]} */
+    this.pool = Array.from({ length: maxBullets }, () => new Bullet());
+  }
+
+  /**
+   * Fire a bullet from the shooter's nose, inheriting the shooter's
+   * velocity.  Returns null when on cooldown or when every pooled bullet is
+   * in flight.
+   *
+   * @param {import('./ship.js').Ship | import('./saucer.js').Saucer} shooter
+   * @param {number} [angle] – direction of fire; defaults to the shooter's facing
+   * @returns {Bullet | null}
+   */
+  fire(shooter, angle = shooter.rotation) {
+    if (this.cooldown > 0 || this.pool.length === 0) {
+      return null;
+    }
+
+    const nose = shooter.getNose(angle);
+    const bullet = this.pool.pop().reset({
+      x: nose.x,
+      y: nose.y,
+      vx: shooter.vx + Math.cos(angle) * BULLET_SPEED,
+      vy: shooter.vy + Math.sin(angle) * BULLET_SPEED,
+    });
+
+    this.active.push(bullet);
+    this.cooldown = this.fireCooldown;
+    return bullet;
+  }
+
+  /**
+   * Move every bullet in flight and return expired ones to the pool.
+   * @param {number} dt – step length (seconds)
+   */
+  update(dt) {
+    this.cooldown = Math.max(0, this.cooldown - dt);
+
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      const bullet = this.active[i];
+      bullet.update(dt);
+      if (bullet.expired) {
+        this.release(bullet);
+      }
+    }
+  }
+
+  /**
+   * Plain-data form for snapshots: settings, cooldown and the bullets in
+   * flight (in order, since hit resolution walks them in order).
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      maxBullets: this.active.length + this.pool.length,
+      fireCooldown: this.fireCooldown,
+      cooldown: this.cooldown,
+      active: this.active.map((b) => b.toJSON()),
+    };
+  }
+
+  /**
+   * Rebuild a bullet system from toJSON() output.
+   * @param {object} data
+   * @returns {BulletSystem}
+   */
+  static fromJSON(data) {
+    const system = new BulletSystem({
+      maxBullets: data.maxBullets,
+      fireCooldown: data.fireCooldown,
+    });
+    system.cooldown = data.cooldown;
+
+    for (const saved of data.active.slice(0, data.maxBullets)) {
+      const bullet = system.pool.pop().reset(saved);
+      bullet.age = saved.age;
+      bullet.distance = saved.distance;
+      system.active.push(bullet);
+    }
+    return system;
+  }
+
+  /**
+   * Take a bullet out of flight (expired or hit something) and return it to
+   * the pool.
+   * @param {Bullet} bullet
+   */
+  release(bullet) {
+    const index = this.active.indexOf(bullet);
+    if (index === -1) return;
+
+    // Swap-remove.  This reorders the bullets in flight, so `active` is not
+    // in firing order; it is still deterministic, which is all replays and
+    // hit resolution need.
+    this.active[index] = this.active[this.active.length - 1];
+    this.active.pop();
+
+    bullet.active = false;
+    this.pool.push(bullet);
+  }
+}
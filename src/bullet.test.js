@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Bullet,
+  BulletSystem,
+  BULLET_SPEED,
+  BULLET_LIFETIME,
+  BULLET_RANGE,
+  MAX_BULLETS,
+  FIRE_COOLDOWN,
+} from './bullet.js';
+import { Ship } from './ship.js';
+
+// ---------------------------------------------------------------------------
+// Bullet
+// ---------------------------------------------------------------------------
+
+describe('Bullet', () => {
+  it('starts inactive', () => {
+    expect(new Bullet().active).toBe(false);
+  });
+
+  it('reset() activates it at the given position and velocity', () => {
+    const b = new Bullet().reset({ x: 1, y: 2, vx: 3, vy: 4 });
+    expect(b.active).toBe(true);
+    expect(b.x).toBe(1);
+    expect(b.y).toBe(2);
+    expect(b.vx).toBe(3);
+    expect(b.vy).toBe(4);
+    expect(b.age).toBe(0);
+    expect(b.distance).toBe(0);
+  });
+
+  it('moves and accumulates age and distance', () => {
+    const b = new Bullet().reset({ x: 0, y: 0, vx: 30, vy: 40 });
+    b.update(0.5);
+    expect(b.x).toBe(15);
+    expect(b.y).toBe(20);
+    expect(b.age).toBe(0.5);
+    expect(b.distance).toBe(25);
+  });
+
+  it('expires after its lifetime', () => {
+    const b = new Bullet().reset({ x: 0, y: 0, vx: 0, vy: 1 });
+    b.update(BULLET_LIFETIME);
+    expect(b.expired).toBe(true);
+  });
+
+  it('expires after its range even if still young', () => {
+    const b = new Bullet().reset({ x: 0, y: 0, vx: BULLET_RANGE * 10, vy: 0 });
+    b.update(0.1);
+    expect(b.age).toBeLessThan(BULLET_LIFETIME);
+    expect(b.expired).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// BulletSystem — firing
+// ---------------------------------------------------------------------------
+
+describe('BulletSystem fire()', () => {
+  function makeShip() {
+    const ship = new Ship({ x: 100, y: 100, rotation: 0 });
+    ship.vx = 20;
+    ship.vy = 10;
+    return ship;
+  }
+
+  it('spawns a bullet at the ship nose', () => {
+    const ship = makeShip();
+    const bullet = new BulletSystem().fire(ship);
+    const nose = ship.getNose();
+    expect(bullet.x).toBeCloseTo(nose.x);
+    expect(bullet.y).toBeCloseTo(nose.y);
+  });
+
+  it('inherits the ship velocity', () => {
+    const ship = makeShip();
+    const bullet = new BulletSystem().fire(ship);
+    expect(bullet.vx).toBeCloseTo(20 + BULLET_SPEED);
+    expect(bullet.vy).toBeCloseTo(10);
+  });
+
+  it('fires in a given direction when one is passed', () => {
+    const ship = makeShip();
+    const bullet = new BulletSystem().fire(ship, Math.PI / 2);
+    expect(bullet.vx).toBeCloseTo(20);
+    expect(bullet.vy).toBeCloseTo(10 + BULLET_SPEED);
+  });
+
+  it('refuses to fire during the cooldown', () => {
+    const system = new BulletSystem();
+    const ship = makeShip();
+    expect(system.fire(ship)).not.toBeNull();
+    expect(system.fire(ship)).toBeNull();
+    system.update(FIRE_COOLDOWN);
+    expect(system.fire(ship)).not.toBeNull();
+  });
+
+  it('caps the number of bullets in flight', () => {
+    const system = new BulletSystem({ fireCooldown: 0 });
+    const ship = makeShip();
+    for (let i = 0; i < MAX_BULLETS; i++) {
+      expect(system.fire(ship)).not.toBeNull();
+    }
+    expect(system.fire(ship)).toBeNull();
+    expect(system.active).toHaveLength(MAX_BULLETS);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// BulletSystem — pooling
+// ---------------------------------------------------------------------------
+
+describe('BulletSystem pooling', () => {
+  it('returns expired bullets to the pool', () => {
+    const system = new BulletSystem({ fireCooldown: 0 });
+    system.fire(new Ship({ x: 0, y: 0 }));
+    system.update(BULLET_LIFETIME);
+    expect(system.active).toHaveLength(0);
+    expect(system.pool).toHaveLength(MAX_BULLETS);
+  });
+
+  it('reuses the same bullet objects instead of allocating', () => {
+    const system = new BulletSystem({ maxBullets: 1, fireCooldown: 0 });
+    const ship = new Ship({ x: 0, y: 0 });
+    const first = system.fire(ship);
+    system.release(first);
+    const second = system.fire(ship);
+    expect(second).toBe(first);
+    expect(second.age).toBe(0);
+  });
+
+  it('release() marks the bullet inactive', () => {
+    const system = new BulletSystem();
+    const bullet = system.fire(new Ship({ x: 0, y: 0 }));
+    system.release(bullet);
+    expect(bullet.active).toBe(false);
+    expect(system.active).not.toContain(bullet);
+  });
+});
+
+describe('BulletSystem toJSON / fromJSON', () => {
+  it('restores bullets in flight, in order, and the cooldown', () => {
+    const system = new BulletSystem({ maxBullets: 3 });
+    const ship = new Ship({ x: 100, y: 100, rotation: 0 });
+    system.fire(ship);
+    system.update(0.25);
+    system.fire(ship);
+    system.update(0.05);
+
+    const copy = BulletSystem.fromJSON(JSON.parse(JSON.stringify(system)));
+    expect(copy.toJSON()).toEqual(system.toJSON());
+    expect(copy.active.length + copy.pool.length).toBe(3);
+    expect(copy.active.every((b) => b.active)).toBe(true);
+  });
+});
@@ -1,98 +1,166 @@
 /**
- * Canvas renderer module.
+ * Canvas viewport module.
  *
  * Provides a fullscreen, DPI-aware canvas that automatically resizes to fill
- * the viewport.  All drawing through `ctx` uses CSS-pixel coordinates thanks
- * to the DPR transform applied in resizeCanvas().
+ * the viewport.  All drawing through the context uses CSS-pixel coordinates
+ * thanks to the DPR transform applied on every resize.
+ *
+ * Nothing happens at import time: the page's canvas is looked up by
+ * findCanvas() and sized once a Viewport is attached, so the module can be
+ * imported (and driven with stand-in objects) in tests.
+ *
+ * The canvas can either be drawn on here, through getContext(), or handed
+ * to a render worker with transferToOffscreen().  After the transfer the
+ * backing buffer belongs to the worker: the viewport keeps the CSS size in
+ * step and tells its listeners, who pass the new size (and DPR) on.
  */
 
 // ---------------------------------------------------------------------------
-// Element setup
-// ---------------------------------------------------------------------------
-
-/** @type {HTMLCanvasElement} */
-const canvas =
-  document.getElementById('game') ??
-  (() => {
-    const el = document.createElement('canvas');
-    el.id = 'game';
-    document.body.appendChild(el);
-    return el;
-  })();
-
-/** @type {CanvasRenderingContext2D} */
-const ctx = canvas.getContext('2d');
-
-// ---------------------------------------------------------------------------
-// Internal state
-// ---------------------------------------------------------------------------
-
-/** Current logical width in CSS pixels. */
-let logicalWidth = 0;
-/** Current logical height in CSS pixels. */
-let logicalHeight = 0;
-
-// ---------------------------------------------------------------------------
-// Resize handling
+// Element lookup
 // ---------------------------------------------------------------------------
 
 /**
- * Resize the canvas backing buffer and CSS dimensions to match the viewport,
- * accounting for the device pixel ratio so content stays crisp on HiDPI
- * screens.
+ * The page's `#game` canvas, created and appended to the body if missing.
+ * @param {Document} [doc]
+ * @returns {HTMLCanvasElement}
  */
-function resizeCanvas() {
-  const dpr = window.devicePixelRatio || 1;
-
-  logicalWidth = window.innerWidth;
-  logicalHeight = window.innerHeight;
-
-  // Set the backing-buffer size (actual pixels rendered)
-  canvas.width = logicalWidth * dpr;
-  canvas.height = logicalHeight * dpr;
-
-  // Set CSS display size (logical / CSS pixels)
-  canvas.style.width = `${logicalWidth}px`;
-  canvas.style.height = `${logicalHeight}px`;
-
-  // Scale the context so all subsequent draw calls use CSS-pixel coords
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-
-  console.log(
-    `[canvas] resize — CSS: ${logicalWidth}×${logicalHeight}, ` +
-      `buffer: ${canvas.width}×${canvas.height}, dpr: ${dpr}`,
-  );
+export function findCanvas(doc = globalThis.document) {
+  const existing = doc.getElementById('game');
+  if (existing) return existing;
+
+  const el = doc.createElement('canvas');
+  el.id = 'game';
+  doc.body.appendChild(el);
+  return el;
 }
 
-// Perform initial sizing and listen for future viewport changes
-resizeCanvas();
-window.addEventListener('resize', resizeCanvas);
-
 // ---------------------------------------------------------------------------
-// Public helpers
+// Viewport class
 // ---------------------------------------------------------------------------
 
-/** Returns the current logical width (CSS pixels). */
-function getWidth() {
-  return logicalWidth;
+export class Viewport {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [opts]
+   * @param {Window} [opts.window] – source of the viewport size, DPR and resize events
+   */
+  constructor(canvas, { window: win = globalThis.window } = {}) {
+    this.canvas = canvas;
+    this.window = win;
+
+    /** Current logical size (CSS pixels). */
+    this.width = 0;
+    this.height = 0;
+
+    /** Device pixel ratio applied at the last resize. */
+    this.dpr = 1;
+
+    /** 2D context, once getContext() has been called. */
+    this.ctx = null;
+
+    /** Fill colour for clear(); follows the palette (see settings.js). */
+    this.background = '#000';
+
+    /** Whether the canvas has been handed to a worker. */
+    this.offscreen = false;
+
+    /**
+     * Callbacks notified after every resize.
+     * @type {Set<(width: number, height: number, dpr: number) => void>}
+     */
+    this.listeners = new Set();
+
+    this.onWindowResize = () => this.resize();
+  }
+
+  /** Size the canvas now and follow future viewport changes. */
+  attach() {
+    this.resize();
+    this.window.addEventListener('resize', this.onWindowResize);
+  }
+
+  /** Stop following viewport changes. */
+  detach() {
+    this.window.removeEventListener('resize', this.onWindowResize);
+  }
+
+  /**
+   * The canvas's 2D context, for drawing on the main thread.
+   * @returns {CanvasRenderingContext2D}
+   */
+  getContext() {
+    if (this.offscreen) {
+      throw new Error('Canvas has been transferred to a worker');
+    }
+    if (!this.ctx) {
+      this.ctx = this.canvas.getContext('2d');
+      this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    }
+    return this.ctx;
+  }
+
+  /**
+   * Hand the canvas's backing buffer to a worker.
+   * @returns {OffscreenCanvas}
+   */
+  transferToOffscreen() {
+    if (this.ctx) {
+      throw new Error('Canvas already has a main-thread context');
+    }
+    this.offscreen = true;
+    return this.canvas.transferControlToOffscreen();
+  }
+
+  /**
+   * Subscribe to viewport size changes.  The listener receives the new
+   * logical width and height (CSS pixels) and the device pixel ratio after
+   * the canvas has been resized.
+   *
+   * @param {(width: number, height: number, dpr: number) => void} listener
+   * @returns {() => void} unsubscribe function
+   */
+  onResize(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Resize the canvas backing buffer and CSS dimensions to match the
+   * viewport, accounting for the device pixel ratio so content stays crisp
+   * on HiDPI screens.
+   */
+  resize() {
+    const { canvas, window: win } = this;
+    this.dpr = win.devicePixelRatio || 1;
+    this.width = win.innerWidth;
+    this.height = win.innerHeight;
+
+    // A transferred canvas's buffer is sized by the worker.
+    if (!this.offscreen) {
+      canvas.width = this.width * this.dpr;
+      canvas.height = this.height * this.dpr;
+    }
+
+    canvas.style.width = `${this.width}px`;
+    canvas.style.height = `${this.height}px`;
+
+    // Resizing the buffer resets the context, so scale it again so all
+    // subsequent draw calls use CSS-pixel coords.
+    this.ctx?.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+
+    for (const listener of this.listeners) {
+      listener(this.width, this.height, this.dpr);
+    }
+  }
+
+  /**
+   * Clear the entire canvas.  Fills with the solid background colour so the
+   * background is always opaque (main.js keeps the page's background colour
+   * in step with it).
+   */
+  clear() {
+    const ctx = this.getContext();
+    ctx.fillStyle = this.background;
+    ctx.fillRect(0, 0, this.width, this.height);
+  }
 }
-
-/** Returns the current logical height (CSS pixels). */
-function getHeight() {
-  return logicalHeight;
-}
-
-/**
- * Clear the entire canvas.  Fills with solid black so the background is
- * always opaque (matches the body background colour set in style.css).
- */
-function clear() {
-  ctx.fillStyle = '#000';
-  ctx.fillRect(0, 0, logicalWidth, logicalHeight);
-}
-
-// ---------------------------------------------------------------------------
-// Exports
-// ---------------------------------------------------------------------------
-
-export { canvas, ctx, getWidth, getHeight, clear };
@@ -0,0 +1,153 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Viewport, findCanvas } from './canvas.js';
+
+/** Window stand-in with a settable size and real resize events. */
+function makeWindow({ width = 800, height = 600, dpr = 2 } = {}) {
+  const win = new EventTarget();
+  win.innerWidth = width;
+  win.innerHeight = height;
+  win.devicePixelRatio = dpr;
+  return win;
+}
+
+/** Canvas stand-in with a recording context. */
+function makeCanvas() {
+  const ctx = { setTransform: vi.fn(), fillRect: vi.fn() };
+  return {
+    width: 0,
+    height: 0,
+    style: {},
+    ctx,
+    getContext: vi.fn(() => ctx),
+    transferControlToOffscreen: vi.fn(() => ({ offscreen: true })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// findCanvas
+// ---------------------------------------------------------------------------
+
+describe('findCanvas', () => {
+  it('returns the existing #game canvas', () => {
+    const el = {};
+    const doc = { getElementById: (id) => (id === 'game' ? el : null) };
+    expect(findCanvas(doc)).toBe(el);
+  });
+
+  it('creates and appends one when missing', () => {
+    const doc = {
+      getElementById: () => null,
+      createElement: (tag) => ({ tag }),
+      body: { appendChild: vi.fn() },
+    };
+    const el = findCanvas(doc);
+    expect(el).toMatchObject({ tag: 'canvas', id: 'game' });
+    expect(doc.body.appendChild).toHaveBeenCalledWith(el);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Viewport
+// ---------------------------------------------------------------------------
+
+describe('Viewport', () => {
+  it('does nothing to the canvas until attached', () => {
+    const canvas = makeCanvas();
+    new Viewport(canvas, { window: makeWindow() });
+    expect(canvas.width).toBe(0);
+    expect(canvas.getContext).not.toHaveBeenCalled();
+  });
+
+  it('sizes the buffer by the DPR and the CSS box to the window', () => {
+    const canvas = makeCanvas();
+    const viewport = new Viewport(canvas, { window: makeWindow() });
+    viewport.attach();
+    expect([viewport.width, viewport.height, viewport.dpr]).toEqual([
+      800, 600, 2,
+    ]);
+    expect([canvas.width, canvas.height]).toEqual([1600, 1200]);
+    expect(canvas.style).toEqual({ width: '800px', height: '600px' });
+  });
+
+  it('follows window resizes until detached', () => {
+    const win = makeWindow();
+    const viewport = new Viewport(makeCanvas(), { window: win });
+    const listener = vi.fn();
+    viewport.onResize(listener);
+    viewport.attach();
+
+    win.innerWidth = 1024;
+    win.dispatchEvent(new Event('resize'));
+    expect(listener).toHaveBeenLastCalledWith(1024, 600, 2);
+
+    viewport.detach();
+    win.innerWidth = 640;
+    win.dispatchEvent(new Event('resize'));
+    expect(viewport.width).toBe(1024);
+  });
+
+  it('unsubscribes listeners', () => {
+    const viewport = new Viewport(makeCanvas(), { window: makeWindow() });
+    const listener = vi.fn();
+    const off = viewport.onResize(listener);
+    off();
+    viewport.resize();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('scales the context to CSS pixels, again after every resize', () => {
+    const canvas = makeCanvas();
+    const viewport = new Viewport(canvas, { window: makeWindow() });
+    viewport.attach();
+    const ctx = viewport.getContext();
+    expect(ctx.setTransform).toHaveBeenLastCalledWith(2, 0, 0, 2, 0, 0);
+
+    viewport.window.devicePixelRatio = 3;
+    viewport.resize();
+    expect(ctx.setTransform).toHaveBeenLastCalledWith(3, 0, 0, 3, 0, 0);
+  });
+
+  it('clears the whole logical area', () => {
+    const canvas = makeCanvas();
+    const viewport = new Viewport(canvas, { window: makeWindow() });
+    viewport.attach();
+    viewport.clear();
+    expect(canvas.ctx.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
+  });
+
+  it('clears in the background colour it is given', () => {
+    const canvas = makeCanvas();
+    const viewport = new Viewport(canvas, { window: makeWindow() });
+    viewport.attach();
+    viewport.background = '#123';
+    viewport.clear();
+    expect(canvas.ctx.fillStyle).toBe('#123');
+  });
+});
+
+describe('Viewport transferToOffscreen()', () => {
+  it('hands over the canvas and leaves the buffer size to the worker', () => {
+    const canvas = makeCanvas();
+    const viewport = new Viewport(canvas, { window: makeWindow() });
+    viewport.attach();
+    expect(viewport.transferToOffscreen()).toEqual({ offscreen: true });
+
+    const listener = vi.fn();
+    viewport.onResize(listener);
+    viewport.window.innerWidth = 400;
+    viewport.resize();
+    expect(canvas.width).toBe(1600);
+    expect(canvas.style.width).toBe('400px');
+    expect(listener).toHaveBeenCalledWith(400, 600, 2);
+  });
+
+  it('refuses a main-thread context once transferred, and vice versa', () => {
+    const transferred = new Viewport(makeCanvas(), { window: makeWindow() });
+    transferred.transferToOffscreen();
+    expect(() => transferred.getContext()).toThrow(/transferred/);
+
+    const drawn = new Viewport(makeCanvas(), { window: makeWindow() });
+    drawn.getContext();
+    expect(() => drawn.transferToOffscreen()).toThrow(/context/);
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * Collision detection module.
+ *
+ * Two phases:
+ *
+ * - **Broad phase** — a uniform-grid spatial hash.  Entities are bucketed by
+ *   the cells their bounding circle covers, so each entity is only tested
+ *   against its neighbours instead of every other entity.  When the hash is
+ *   given world bounds, cell coordinates wrap toroidally: an asteroid
+ *   hugging the right edge shares cells with one hugging the left edge.
+ *
+ * - **Narrow phase** — a cheap bounding-circle test first, then an exact test
+ *   against the rotated `shape` polygons.  Asteroid outlines are concave, so
+ *   instead of SAT (which only works for convex shapes) polygons are tested
+ *   for edge crossings plus containment, and points use a ray-cast
+ *   point-in-polygon test.
+ *
+ * Entities are anything with `{ x, y, radius }`, plus `shape` and `rotation`
+ * for polygon-accurate tests.  Bounds are `{ width, height }`; pass null for an
+ * unbounded (non-wrapping) space.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Default spatial-hash cell size (CSS pixels).  Roughly twice the largest
+ * asteroid radius, so a big rock covers at most 2×2 cells.
+ */
+export const DEFAULT_CELL_SIZE = 80;
+
+// ---------------------------------------------------------------------------
+// Toroidal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Shortest signed distance from 0 to `d` on a wrapping axis of length `size`.
+ * With no size (unbounded space) `d` is returned unchanged.
+ *
+ * @param {number} d
+ * @param {number} [size]
+ * @returns {number}
+ */
+export function wrapDelta(d, size) {
+  if (!size) return d;
+  d %= size;
+  if (d > size / 2) return d - size;
+  if (d < -size / 2) return d + size;
+  return d;
+}
+
+// ---------------------------------------------------------------------------
+// Narrow phase — primitives
+// ---------------------------------------------------------------------------
+
+/**
+ * Do two bounding circles overlap (wrap-aware)?
+ *
+ * @param {{ x: number, y: number, radius: number }} a
+ * @param {{ x: number, y: number, radius: number }} b
+ * @param {{ width: number, height: number } | null} [bounds]
+ * @returns {boolean}
+ */
+export function circlesOverlap(a, b, bounds = null) {
+  const dx = wrapDelta(b.x - a.x, bounds?.width);
+  const dy = wrapDelta(b.y - a.y, bounds?.height);
+  const reach = a.radius + b.radius;
+  return dx * dx + dy * dy <= reach * reach;
+}
+
+/**
+ * Transform an entity's local `shape` into a polygon positioned at
+ * (`x`, `y`) with the entity's rotation applied.
+ *
+ * @param {{ shape: { x: number, y: number }[], rotation?: number }} entity
+ * @param {number} x – centre x to place the polygon at
+ * @param {number} y – centre y to place the polygon at
+ * @returns {{ x: number, y: number }[]}
+ */
+export function transformShape(entity, x, y) {
+  const cos = Math.cos(entity.rotation ?? 0);
+  const sin = Math.sin(entity.rotation ?? 0);
+  return entity.shape.map((v) => ({
+    x: x + v.x * cos - v.y * sin,
+    y: y + v.x * sin + v.y * cos,
+  }));
+}
+
+/**
+ * Ray-casting point-in-polygon test.  Works for concave polygons.
+ *
+ * @param {number} px
+ * @param {number} py
+ * @param {{ x: number, y: number }[]} polygon
+ * @returns {boolean}
+ */
+export function pointInPolygon(px, py, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > py !== b.y > py) {
+      const crossX = a.x + ((py - a.y) / (b.y - a.y)) * (b.x - a.x);
+      if (px < crossX) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Do segments p1–p2 and p3–p4 cross?
+ * @returns {boolean}
+ */
+export function segmentsIntersect(p1, p2, p3, p4) {
+  const d1x = p2.x - p1.x;
+  const d1y = p2.y - p1.y;
+  const d2x = p4.x - p3.x;
+  const d2y = p4.y - p3.y;
+  const denom = d1x * d2y - d1y * d2x;
+
+  // Parallel (or degenerate) segments: treat as non-crossing.  Touching
+  // collinear edges will still be caught by the containment checks.
+  if (denom === 0) return false;
+
+  const ox = p3.x - p1.x;
+  const oy = p3.y - p1.y;
+  const t = (ox * d2y - oy * d2x) / denom;
+  const u = (ox * d1y - oy * d1x) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+}
+
+/**
+ * Do two (possibly concave) polygons overlap?
+ *
+ * They overlap if any pair of edges cross, or if one polygon lies entirely
+ * inside the other (in which case no edges cross, but a vertex of the inner
+ * one is contained by the outer one).
+ *
+ * @param {{ x: number, y: number }[]} a
+ * @param {{ x: number, y: number }[]} b
+ * @returns {boolean}
+ */
+export function polygonsOverlap(a, b) {
+  for (let i = 0, j = a.length - 1; i < a.length; j = i++) {
+    for (let k = 0, l = b.length - 1; k < b.length; l = k++) {
+      if (segmentsIntersect(a[j], a[i], b[l], b[k])) return true;
+    }
+  }
+  return (
+    pointInPolygon(a[0].x, a[0].y, b) || pointInPolygon(b[0].x, b[0].y, a)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Narrow phase — entity tests
+// ---------------------------------------------------------------------------
+
+/**
+ * Exact entity-vs-entity test: bounding circles first, then polygons when
+ * both entities have a shape.  Wrap-aware — `b` is tested at whichever of its
+ * toroidal images is nearest to `a`.
+ *
+ * @param {object} a
+ * @param {object} b
+ * @param {{ width: number, height: number } | null} [bounds]
+ * @returns {boolean}
+ */
+export function entitiesCollide(a, b, bounds = null) {
+  if (!circlesOverlap(a, b, bounds)) return false;
+  if (!a.shape || !b.shape) return true;
+
+  // Work in a frame centred on `a` so wrapping only affects `b`'s offset.
+  const dx = wrapDelta(b.x - a.x, bounds?.width);
+  const dy = wrapDelta(b.y - a.y, bounds?.height);
+  return polygonsOverlap(transformShape(a, 0, 0), transformShape(b, dx, dy));
+}
+
+/**
+ * Exact test of a small round body (e.g. a bullet) against an entity.  The
+ * point is checked against the entity's polygon when it has one; a hit is
+ * also registered when the body's own radius straddles the outline.
+ *
+ * @param {{ x: number, y: number, radius?: number }} point
+ * @param {object} entity
+ * @param {{ width: number, height: number } | null} [bounds]
+ * @returns {boolean}
+ */
+export function pointHitsEntity(point, entity, bounds = null) {
+  const r = point.radius ?? 0;
+  if (!circlesOverlap({ x: point.x, y: point.y, radius: r }, entity, bounds)) {
+    return false;
+  }
+  if (!entity.shape) return true;
+
+  const dx = wrapDelta(point.x - entity.x, bounds?.width);
+  const dy = wrapDelta(point.y - entity.y, bounds?.height);
+  const polygon = transformShape(entity, 0, 0);
+  if (pointInPolygon(dx, dy, polygon)) return true;
+
+  // The point is outside; it still hits if it is within `r` of an edge.
+  return r > 0 && distanceToPolygonSq(dx, dy, polygon) <= r * r;
+}
+
+/**
+ * Squared distance from a point to the nearest edge of a polygon.
+ * @returns {number}
+ */
+function distanceToPolygonSq(px, py, polygon) {
+  let best = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[j];
+    const b = polygon[i];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const lenSq = ex * ex + ey * ey;
+    const along = lenSq === 0 ? 0 : ((px - a.x) * ex + (py - a.y) * ey) / lenSq;
+    const t = Math.max(0, Math.min(1, along));
+    const cx = a.x + ex * t - px;
+    const cy = a.y + ey * t - py;
+    best = Math.min(best, cx * cx + cy * cy);
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// Broad phase — SpatialHash class
+// ---------------------------------------------------------------------------
+
+export class SpatialHash {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.cellSize] – grid cell size (CSS pixels)
+   * @param {{ width: number, height: number } | null} [opts.bounds] – wrap cells within these bounds
+   */
+  constructor({ cellSize = DEFAULT_CELL_SIZE, bounds = null } = {}) {
+    /** Grid cell size (CSS pixels). */
+    this.cellSize = cellSize;
+
+    /** Cell buckets keyed by packed cell coordinates. @type {Map<number, object[]>} */
+    this.cells = new Map();
+
+    /** Scratch set used to de-duplicate query results. */
+    this.seen = new Set();
+
+    this.setBounds(bounds);
+  }
+
+  /**
+   * Change the wrapping bounds (e.g. after a resize).  Clears the hash.
+   * @param {{ width: number, height: number } | null} bounds
+   */
+  setBounds(bounds) {
+    this.bounds = bounds;
+    this.cols = bounds
+      ? Math.max(1, Math.ceil(bounds.width / this.cellSize))
+      : 0;
+    this.rows = bounds
+      ? Math.max(1, Math.ceil(bounds.height / this.cellSize))
+      : 0;
+
+    // Stretch the cells to tile the bounds exactly, so wrapped cells line up
+    // with the world's edges when its size isn't a multiple of cellSize.
+    this.cellWidth = bounds ? bounds.width / this.cols : this.cellSize;
+    this.cellHeight = bounds ? bounds.height / this.rows : this.cellSize;
+    this.clear();
+  }
+
+  /**
+   * Empty every bucket.  Bucket arrays are kept and reused so rebuilding the
+   * hash each step does not allocate.
+   */
+  clear() {
+    for (const bucket of this.cells.values()) {
+      bucket.length = 0;
+    }
+  }
+
+  /**
+   * Pack (possibly wrapped) cell coordinates into a single Map key.
+   * @returns {number}
+   */
+  key(cx, cy) {
+    if (this.bounds) {
+      cx = ((cx % this.cols) + this.cols) % this.cols;
+      cy = ((cy % this.rows) + this.rows) % this.rows;
+    }
+    // 16 bits per axis is plenty: 65k cells × 80 px is far beyond any screen.
+    return ((cx & 0xffff) << 16) | (cy & 0xffff);
+  }
+
+  /**
+   * Call `fn(key)` for each distinct cell covered by a circle.
+   */
+  forEachCell(x, y, radius, fn) {
+    const { cellWidth, cellHeight } = this;
+    const minX = Math.floor((x - radius) / cellWidth);
+    const maxX = Math.floor((x + radius) / cellWidth);
+    const minY = Math.floor((y - radius) / cellHeight);
+    const maxY = Math.floor((y + radius) / cellHeight);
+
+    // Don't visit a wrapped column/row twice when a circle spans the world.
+    let spanX = maxX - minX;
+    let spanY = maxY - minY;
+    if (this.bounds) {
+      spanX = Math.min(spanX, this.cols - 1);
+      spanY = Math.min(spanY, this.rows - 1);
+    }
+
+    for (let cx = minX; cx <= minX + spanX; cx++) {
+      for (let cy = minY; cy <= minY + spanY; cy++) {
+        fn(this.key(cx, cy));
+      }
+    }
+  }
+
+  /**
+   * Add an entity to every cell its bounding circle touches.
+   * @param {{ x: number, y: number, radius: number }} entity
+   */
+  insert(entity) {
+    this.forEachCell(entity.x, entity.y, entity.radius, (key) => {
+      let bucket = this.cells.get(key);
+      if (!bucket) {
+        bucket = [];
+        this.cells.set(key, bucket);
+      }
+      bucket.push(entity);
+    });
+  }
+
+  /**
+   * Collect every entity sharing a cell with the given circle.  Candidates
+   * still need a narrow-phase test.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {object[]} [out] – array to fill (reused to avoid allocation)
+   * @returns {object[]}
+   */
+  query(x, y, radius, out = []) {
+    out.length = 0;
+    this.seen.clear();
+    this.forEachCell(x, y, radius, (key) => {
+      const bucket = this.cells.get(key);
+      if (!bucket) return;
+      for (const entity of bucket) {
+        if (!this.seen.has(entity)) {
+          this.seen.add(entity);
+          out.push(entity);
+        }
+      }
+    });
+    return out;
+  }
+}
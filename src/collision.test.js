@@ -0,0 +1,287 @@
+import { describe, it, expect } from 'vitest';
+import {
+  wrapDelta,
+  circlesOverlap,
+  transformShape,
+  pointInPolygon,
+  segmentsIntersect,
+  polygonsOverlap,
+  entitiesCollide,
+  pointHitsEntity,
+  SpatialHash,
+} from './collision.js';
+import { Asteroid } from './asteroid.js';
+import { Rng } from './rng.js';
+
+const SQUARE = [
+  { x: -10, y: -10 },
+  { x: 10, y: -10 },
+  { x: 10, y: 10 },
+  { x: -10, y: 10 },
+];
+
+/** A "C" shape opening to +x: the notch is empty space inside the radius. */
+const NOTCHED = [
+  { x: -20, y: -20 },
+  { x: 20, y: -20 },
+  { x: 20, y: -10 },
+  { x: -10, y: -10 },
+  { x: -10, y: 10 },
+  { x: 20, y: 10 },
+  { x: 20, y: 20 },
+  { x: -20, y: 20 },
+];
+
+// ---------------------------------------------------------------------------
+// Toroidal helpers
+// ---------------------------------------------------------------------------
+
+describe('wrapDelta', () => {
+  it('returns the delta unchanged without a size', () => {
+    expect(wrapDelta(700, undefined)).toBe(700);
+  });
+
+  it('takes the short way around a wrapping axis', () => {
+    expect(wrapDelta(700, 800)).toBe(-100);
+    expect(wrapDelta(-700, 800)).toBe(100);
+    expect(wrapDelta(300, 800)).toBe(300);
+  });
+});
+
+describe('circlesOverlap', () => {
+  it('detects overlapping circles', () => {
+    expect(
+      circlesOverlap({ x: 0, y: 0, radius: 10 }, { x: 15, y: 0, radius: 6 }),
+    ).toBe(true);
+  });
+
+  it('rejects separated circles', () => {
+    expect(
+      circlesOverlap({ x: 0, y: 0, radius: 10 }, { x: 30, y: 0, radius: 6 }),
+    ).toBe(false);
+  });
+
+  it('detects overlap across a wrapped edge', () => {
+    const bounds = { width: 800, height: 600 };
+    expect(
+      circlesOverlap(
+        { x: 5, y: 300, radius: 10 },
+        { x: 795, y: 300, radius: 10 },
+        bounds,
+      ),
+    ).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Polygon primitives
+// ---------------------------------------------------------------------------
+
+describe('transformShape', () => {
+  it('rotates and translates vertices', () => {
+    const [v] = transformShape(
+      { shape: [{ x: 10, y: 0 }], rotation: Math.PI / 2 },
+      100,
+      50,
+    );
+    expect(v.x).toBeCloseTo(100);
+    expect(v.y).toBeCloseTo(60);
+  });
+});
+
+describe('pointInPolygon', () => {
+  it('finds points inside a square', () => {
+    expect(pointInPolygon(0, 0, SQUARE)).toBe(true);
+  });
+
+  it('rejects points outside a square', () => {
+    expect(pointInPolygon(20, 0, SQUARE)).toBe(false);
+  });
+
+  it('rejects points in the notch of a concave shape', () => {
+    expect(pointInPolygon(10, 0, NOTCHED)).toBe(false);
+    expect(pointInPolygon(-15, 0, NOTCHED)).toBe(true);
+  });
+});
+
+describe('segmentsIntersect', () => {
+  it('detects crossing segments', () => {
+    expect(
+      segmentsIntersect(
+        { x: 0, y: 0 },
+        { x: 10, y: 10 },
+        { x: 0, y: 10 },
+        { x: 10, y: 0 },
+      ),
+    ).toBe(true);
+  });
+
+  it('rejects disjoint segments', () => {
+    expect(
+      segmentsIntersect(
+        { x: 0, y: 0 },
+        { x: 1, y: 1 },
+        { x: 5, y: 0 },
+        { x: 6, y: 1 },
+      ),
+    ).toBe(false);
+  });
+});
+
+describe('polygonsOverlap', () => {
+  const shift = (poly, dx, dy) =>
+    poly.map((v) => ({ x: v.x + dx, y: v.y + dy }));
+
+  it('detects crossing edges', () => {
+    expect(polygonsOverlap(SQUARE, shift(SQUARE, 15, 0))).toBe(true);
+  });
+
+  it('detects full containment', () => {
+    const tiny = SQUARE.map((v) => ({ x: v.x / 10, y: v.y / 10 }));
+    expect(polygonsOverlap(SQUARE, tiny)).toBe(true);
+  });
+
+  it('rejects separated polygons', () => {
+    expect(polygonsOverlap(SQUARE, shift(SQUARE, 25, 0))).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Entity tests
+// ---------------------------------------------------------------------------
+
+describe('entitiesCollide', () => {
+  it('rejects circle overlaps where the polygons do not touch', () => {
+    const rock = { x: 0, y: 0, radius: 29, rotation: 0, shape: NOTCHED };
+    const pebble = {
+      x: 12,
+      y: 0,
+      radius: 3,
+      rotation: 0,
+      shape: SQUARE.map((v) => ({ x: v.x / 5, y: v.y / 5 })),
+    };
+    expect(circlesOverlap(rock, pebble)).toBe(true);
+    expect(entitiesCollide(rock, pebble)).toBe(false);
+  });
+
+  it('accepts overlapping polygons', () => {
+    const a = { x: 0, y: 0, radius: 15, rotation: 0, shape: SQUARE };
+    const b = { x: 15, y: 5, radius: 15, rotation: 0.3, shape: SQUARE };
+    expect(entitiesCollide(a, b)).toBe(true);
+  });
+
+  it('falls back to circles for shapeless entities', () => {
+    const a = { x: 0, y: 0, radius: 5 };
+    const b = { x: 8, y: 0, radius: 5 };
+    expect(entitiesCollide(a, b)).toBe(true);
+  });
+
+  it('tests polygons across a wrapped edge', () => {
+    const bounds = { width: 800, height: 600 };
+    const a = { x: 3, y: 300, radius: 15, rotation: 0, shape: SQUARE };
+    const b = { x: 795, y: 300, radius: 15, rotation: 0, shape: SQUARE };
+    expect(entitiesCollide(a, b, bounds)).toBe(true);
+    expect(entitiesCollide(a, b)).toBe(false);
+  });
+});
+
+describe('pointHitsEntity', () => {
+  const rock = { x: 100, y: 100, radius: 29, rotation: 0, shape: NOTCHED };
+
+  it('hits inside the polygon', () => {
+    expect(pointHitsEntity({ x: 85, y: 100 }, rock)).toBe(true);
+  });
+
+  it('misses inside the notch of a concave outline', () => {
+    expect(pointHitsEntity({ x: 110, y: 100 }, rock)).toBe(false);
+  });
+
+  it('respects rotation', () => {
+    const turned = { ...rock, rotation: Math.PI };
+    expect(pointHitsEntity({ x: 110, y: 100 }, turned)).toBe(true);
+  });
+
+  it('counts a bullet radius that grazes an edge', () => {
+    expect(pointHitsEntity({ x: 110, y: 111.5, radius: 2 }, rock)).toBe(true);
+  });
+
+  it('hits a real asteroid through its centre', () => {
+    const a = new Asteroid({
+      tier: 1,
+      x: 50,
+      y: 50,
+      vx: 0,
+      vy: 0,
+      rng: new Rng(1),
+    });
+    expect(pointHitsEntity({ x: 50, y: 50 }, a)).toBe(true);
+    expect(pointHitsEntity({ x: 200, y: 50 }, a)).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// SpatialHash
+// ---------------------------------------------------------------------------
+
+describe('SpatialHash', () => {
+  it('returns nearby entities and skips distant ones', () => {
+    const hash = new SpatialHash({ cellSize: 50 });
+    const near = { x: 10, y: 10, radius: 5 };
+    const far = { x: 500, y: 500, radius: 5 };
+    hash.insert(near);
+    hash.insert(far);
+    const found = hash.query(20, 20, 5);
+    expect(found).toContain(near);
+    expect(found).not.toContain(far);
+  });
+
+  it('returns each candidate once even if it spans cells', () => {
+    const hash = new SpatialHash({ cellSize: 10 });
+    const big = { x: 50, y: 50, radius: 30 };
+    hash.insert(big);
+    expect(hash.query(50, 50, 30)).toEqual([big]);
+  });
+
+  it('wraps cells across world edges', () => {
+    const hash = new SpatialHash({
+      cellSize: 50,
+      bounds: { width: 800, height: 600 },
+    });
+    const rightEdge = { x: 795, y: 300, radius: 10 };
+    hash.insert(rightEdge);
+    expect(hash.query(2, 300, 5)).toContain(rightEdge);
+  });
+
+  it('lines wrapped cells up with edges that are not a multiple of a cell', () => {
+    const hash = new SpatialHash({ bounds: { width: 800, height: 600 } });
+    const bottomEdge = { x: 400, y: 595, radius: 10 };
+    hash.insert(bottomEdge);
+    expect(hash.query(400, 3, 2)).toContain(bottomEdge);
+  });
+
+  it('clear() empties all buckets', () => {
+    const hash = new SpatialHash();
+    hash.insert({ x: 0, y: 0, radius: 5 });
+    hash.clear();
+    expect(hash.query(0, 0, 5)).toEqual([]);
+  });
+
+  it('handles hundreds of fragments without exploding candidate counts', () => {
+    const rng = new Rng(11);
+    const hash = new SpatialHash({ bounds: { width: 1600, height: 1200 } });
+    const fragments = Array.from({ length: 500 }, () => ({
+      x: rng.range(0, 1600),
+      y: rng.range(0, 1200),
+      radius: 10,
+    }));
+    for (const f of fragments) hash.insert(f);
+
+    let total = 0;
+    const out = [];
+    for (const f of fragments) {
+      total += hash.query(f.x, f.y, f.radius, out).length;
+    }
+    // Brute force would be 500 candidates per query.
+    expect(total / fragments.length).toBeLessThan(25);
+  });
+});
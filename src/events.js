@@ -0,0 +1,123 @@
+/**
+ * Event bus module.
+ *
+ * A small synchronous publish/subscribe hub for gameplay events.  The
+ * world emits what happens to its entities (shots, hits, breakups, jumps)
+ * and the game emits the flow of play (waves, game start and end); systems
+ * that only observe — statistics and achievements — subscribe here instead
+ * of reaching into the entities, so none of their bookkeeping lives in
+ * Asteroid, Ship or World.
+ *
+ * Events are typed: each type in EVENT_TYPES lists the fields it must
+ * carry, and emit() rejects anything else, so a typo in an emitter fails
+ * loudly instead of silently starving its subscribers.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Every event type, with the fields its payload must carry.
+ *
+ * World events (also listed on World.events for the step they happened in):
+ *
+ * - `shotFired` – a player fired a bullet
+ * - `shotHit` – a player's bullet hit something (`target`: an asteroid,
+ *   the saucer or another player's ship)
+ * - `saucerFired` – the saucer fired a bullet
+ * - `asteroidHit` – damaged but survived
+ * - `asteroidDestroyed` – broken up into `children` (empty for the
+ *   smallest); `owner` is the player credited, or null
+ * - `shipDestroyed`
+ * - `saucerDestroyed` – `owner` is the player credited, or null
+ * - `hyperspace` – a ship jumped
+ * - `thrustStarted` / `thrustStopped` – a ship's engine lit or cut out
+ *
+ * Game events:
+ *
+ * - `gameStarted` – a new game began at wave 1
+ * - `waveStarted` / `waveCleared` – `wave` is the wave's number
+ * - `gameOver` – `score` is the game's final score
+ *
+ * @type {Record<string, string[]>}
+ */
+export const EVENT_TYPES = {
+  shotFired: ['bullet', 'player'],
+  shotHit: ['bullet', 'player', 'target'],
+  saucerFired: ['saucer', 'bullet'],
+  asteroidHit: ['asteroid', 'impact'],
+  asteroidDestroyed: ['asteroid', 'impact', 'owner', 'children'],
+  shipDestroyed: ['ship'],
+  saucerDestroyed: ['saucer', 'owner'],
+  hyperspace: ['ship', 'player'],
+  thrustStarted: ['ship', 'player'],
+  thrustStopped: ['ship', 'player'],
+  gameStarted: ['mode'],
+  waveStarted: ['wave'],
+  waveCleared: ['wave'],
+  gameOver: ['score'],
+};
+
+// ---------------------------------------------------------------------------
+// EventBus class
+// ---------------------------------------------------------------------------
+
+export class EventBus {
+  constructor() {
+    /**
+     * Handlers by event type; `'*'` hears every event.
+     * @type {Map<string, Set<(event: object) => void>>}
+     */
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to one event type, or to all of them with `'*'`.
+   *
+   * @param {string} type – a key of EVENT_TYPES, or '*'
+   * @param {(event: { type: string }) => void} handler
+   * @returns {() => void} unsubscribes the handler
+   * @throws {TypeError} for an unknown event type
+   */
+  on(type, handler) {
+    if (type !== '*' && !(type in EVENT_TYPES)) {
+      throw new TypeError(`Unknown event type: ${type}`);
+    }
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Remove a handler added with on().
+   * @param {string} type
+   * @param {(event: { type: string }) => void} handler
+   */
+  off(type, handler) {
+    this.handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Deliver an event to its type's handlers, then to the `'*'` handlers,
+   * in the order they subscribed.
+   *
+   * @param {{ type: string }} event
+   * @throws {TypeError} for an unknown type or a missing field
+   */
+  emit(event) {
+    const fields = EVENT_TYPES[event.type];
+    if (!fields) throw new TypeError(`Unknown event type: ${event.type}`);
+    for (const field of fields) {
+      if (!(field in event)) {
+        throw new TypeError(`${event.type} event is missing "${field}"`);
+      }
+    }
+
+    for (const type of [event.type, '*']) {
+      const handlers = this.handlers.get(type);
+      if (!handlers) continue;
+      for (const handler of [...handlers]) handler(event);
+    }
+  }
+}
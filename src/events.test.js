@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventBus, EVENT_TYPES } from './events.js';
+
+describe('EventBus', () => {
+  it('delivers events to handlers of their type, then to catch-alls', () => {
+    const bus = new EventBus();
+    const calls = [];
+    bus.on('*', (e) => calls.push(['*', e.type]));
+    bus.on('waveCleared', (e) => calls.push(['waveCleared', e.wave]));
+    bus.on('waveStarted', () => calls.push(['waveStarted']));
+
+    bus.emit({ type: 'waveCleared', wave: 3 });
+    expect(calls).toEqual([
+      ['waveCleared', 3],
+      ['*', 'waveCleared'],
+    ]);
+  });
+
+  it('stops delivering once unsubscribed', () => {
+    const bus = new EventBus();
+    const handler = vi.fn();
+    const off = bus.on('gameOver', handler);
+    off();
+    bus.emit({ type: 'gameOver', score: 0 });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('lets a handler unsubscribe itself mid-delivery', () => {
+    const bus = new EventBus();
+    const second = vi.fn();
+    const off = bus.on('gameOver', () => off());
+    bus.on('gameOver', second);
+    bus.emit({ type: 'gameOver', score: 0 });
+    expect(second).toHaveBeenCalledOnce();
+  });
+
+  it('rejects unknown types and events missing a field', () => {
+    const bus = new EventBus();
+    expect(() => bus.on('explosion', () => {})).toThrow(TypeError);
+    expect(() => bus.emit({ type: 'explosion' })).toThrow(TypeError);
+    expect(() => bus.emit({ type: 'shotFired', bullet: {} })).toThrow(
+      /missing "player"/,
+    );
+  });
+
+  it('accepts null for a field that is present', () => {
+    const bus = new EventBus();
+    const fields = Object.fromEntries(
+      EVENT_TYPES.saucerDestroyed.map((field) => [field, null]),
+    );
+    expect(() =>
+      bus.emit({ type: 'saucerDestroyed', ...fields }),
+    ).not.toThrow();
+  });
+});
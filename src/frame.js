@@ -0,0 +1,531 @@
+/**
+ * Render frame encoding module.
+ *
+ * Lets the simulation run on the main thread while drawing happens in a
+ * worker on an OffscreenCanvas.  Each display frame, a FrameEncoder stands
+ * in for the Renderer: the game draws into it exactly as it would draw into
+ * a real one, and the encoder records the calls as a compact frame:
+ *
+ * - `entities`  – a Float32Array, ENTITY_STRIDE floats per entity:
+ *   `[kind, shapeId, x, y, rotation, radius, vx, vy, player, a, b]`, with
+ *   the transform already interpolated.  `player` is the owning player of
+ *   a ship or player bullet.  `a` / `b` carry per-kind state: an
+ *   asteroid's style code and hit points, or the ship's invulnerability
+ *   time and thrust flag.
+ * - `particles` – a Float32Array, PARTICLE_STRIDE floats per particle:
+ *   `[kind, x, y, rotation, length, alpha]`.
+ * - `shapes`    – outlines the other side hasn't seen yet, as
+ *   `[id, flatCoords]`.  Every outline is sent once and then referred to by
+ *   id; `dropped` lists ids that are no longer in use.
+ * - `commands`  – the draw calls in order, referring to ranges of the
+ *   arrays above.
+ *
+ * A FramePlayer on the other side keeps the outlines, rebuilds lightweight
+ * stand-ins for the world and particles, and replays the commands on a
+ * real Renderer.  The stand-ins are pooled, and their outlines are the same
+ * arrays from frame to frame, so the renderer's per-shape path cache keeps
+ * working across the thread boundary.
+ */
+
+import { renderTransform, calmSpin } from './renderer.js';
+import { PALETTES } from './settings.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Floats per entity in `entities`. */
+export const ENTITY_STRIDE = 11;
+
+/** Floats per particle in `particles`. */
+export const PARTICLE_STRIDE = 6;
+
+/** Entity kind codes. */
+export const ENTITY_KINDS = [
+  'asteroid',
+  'bullet',
+  'saucerBullet',
+  'ship',
+  'saucer',
+];
+
+/** Asteroid style codes (see asteroid-types.js). */
+export const ASTEROID_STYLES = ['plain', 'armoured', 'explosive'];
+
+/** Particle kind codes (see particles.js). */
+export const PARTICLE_KINDS = ['debris', 'spark', 'exhaust'];
+
+/** Starting capacity of the encoder's buffers, in entities / particles. */
+const INITIAL_CAPACITY = 256;
+
+const KIND_CODES = codesFor(ENTITY_KINDS);
+const STYLE_CODES = codesFor(ASTEROID_STYLES);
+const PARTICLE_CODES = codesFor(PARTICLE_KINDS);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Map each name in a list to its index. */
+function codesFor(names) {
+  return Object.fromEntries(names.map((name, i) => [name, i]));
+}
+
+/**
+ * A copy of `array` with room for at least `needed` elements.
+ * @param {Float32Array} array
+ * @param {number} needed
+ * @returns {Float32Array}
+ */
+function grow(array, needed) {
+  if (needed <= array.length) return array;
+  let length = array.length;
+  while (length < needed) length *= 2;
+  const bigger = new Float32Array(length);
+  bigger.set(array);
+  return bigger;
+}
+
+/** Outline as a flat Float32Array of x, y pairs. */
+function flattenShape(shape) {
+  const flat = new Float32Array(shape.length * 2);
+  shape.forEach((v, i) => {
+    flat[i * 2] = v.x;
+    flat[i * 2 + 1] = v.y;
+  });
+  return flat;
+}
+
+/** Outline from flattenShape() output. */
+function unflattenShape(flat) {
+  const shape = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    shape.push({ x: flat[i], y: flat[i + 1] });
+  }
+  return shape;
+}
+
+// ---------------------------------------------------------------------------
+// FrameEncoder class
+// ---------------------------------------------------------------------------
+
+/**
+ * Renderer stand-in that records a frame instead of drawing it.  It has
+ * the Renderer's drawing interface, so game states can't tell the
+ * difference.
+ */
+export class FrameEncoder {
+  /**
+   * @param {object} [opts]
+   * @param {boolean} [opts.vector] – enable the CRT vector look
+   * @param {boolean} [opts.debug]  – show the debug overlay
+   * @param {object} [opts.palette] – colours to draw in (one of PALETTES)
+   * @param {boolean} [opts.reducedMotion] – calm flicker, blinking and spin
+   */
+  constructor({
+    vector = false,
+    debug = false,
+    palette = PALETTES.classic,
+    reducedMotion = false,
+  } = {}) {
+    /** Look and overlay settings, sent with every frame. */
+    this.vector = vector;
+    this.debug = debug;
+    this.palette = palette;
+    this.reducedMotion = reducedMotion;
+
+    /** Time between the last two frames drawn (ms), reported back. */
+    this.frameTime = null;
+
+    /** Shape ids, assigned on first sight. */
+    this.shapeIds = new WeakMap();
+    this.nextShapeId = 1;
+
+    /**
+     * Outlines the player currently holds, by id.
+     * @type {Map<number, object[]>}
+     */
+    this.liveShapes = new Map();
+
+    this.entities = new Float32Array(INITIAL_CAPACITY * ENTITY_STRIDE);
+    this.particles = new Float32Array(INITIAL_CAPACITY * PARTICLE_STRIDE);
+    this.reset();
+  }
+
+  /** Flip the debug overlay on or off. */
+  toggleDebug() {
+    this.debug = !this.debug;
+  }
+
+  /** Flip the CRT vector look on or off. */
+  toggleVector() {
+    this.vector = !this.vector;
+  }
+
+  /** Start recording a new frame. */
+  reset() {
+    this.entityCount = 0;
+    this.particleCount = 0;
+    this.commands = [];
+    this.newShapes = [];
+    this.seenShapes = new Set();
+  }
+
+  // -------------------------------------------------------------------------
+  // Renderer interface
+  // -------------------------------------------------------------------------
+
+  /**
+   * Record the world at its interpolated transforms.
+   * @param {import('./world.js').World} world
+   * @param {number} alpha
+   */
+  render(world, alpha) {
+    const start = this.entityCount;
+
+    for (const asteroid of world.asteroids) {
+      this.addEntity('asteroid', asteroid, alpha, {
+        a: STYLE_CODES[asteroid.definition.style] ?? 0,
+        b: asteroid.hitPoints,
+      });
+    }
+    world.playerBullets.forEach((system, player) => {
+      for (const bullet of system.active) {
+        this.addEntity('bullet', bullet, alpha, { player });
+      }
+    });
+    for (const bullet of world.saucerBullets.active) {
+      this.addEntity('saucerBullet', bullet, alpha);
+    }
+    if (world.saucer) {
+      this.addEntity('saucer', world.saucer, alpha);
+    }
+    for (const ship of world.liveShips()) {
+      this.addEntity('ship', ship, alpha, {
+        player: ship.player,
+        a: ship.invulnerableTime,
+        b: ship.thrusting ? 1 : 0,
+      });
+    }
+
+    this.commands.push([
+      'world',
+      {
+        start,
+        count: this.entityCount - start,
+        width: world.width,
+        height: world.height,
+        cellWidth: world.asteroidHash.cellWidth,
+        cellHeight: world.asteroidHash.cellHeight,
+      },
+    ]);
+  }
+
+  /** Record a background clear / fade. */
+  beginFrame(width, height) {
+    this.commands.push(['beginFrame', width, height]);
+  }
+
+  /**
+   * Record every live particle at its interpolated transform.
+   * @param {import('./particles.js').ParticleSystem} particles
+   * @param {number} alpha
+   */
+  drawParticles(particles, alpha) {
+    const start = this.particleCount;
+    this.particles = grow(
+      this.particles,
+      (start + particles.active.length) * PARTICLE_STRIDE,
+    );
+
+    let i = start * PARTICLE_STRIDE;
+    for (const p of particles.active) {
+      const { x, y, rotation } = renderTransform(p, alpha);
+      this.particles[i++] = PARTICLE_CODES[p.kind];
+      this.particles[i++] = x;
+      this.particles[i++] = y;
+      this.particles[i++] = rotation;
+      this.particles[i++] = p.length ?? 0;
+      this.particles[i++] = p.alpha;
+    }
+    this.particleCount += particles.active.length;
+
+    this.commands.push([
+      'particles',
+      { start, count: this.particleCount - start },
+    ]);
+  }
+
+  /** Record a line of text (see Renderer.drawText()). */
+  drawText(text, x, y, opts = {}) {
+    this.commands.push(['text', text, x, y, opts]);
+  }
+
+  /** Record the HUD (see Renderer.drawHud()). */
+  drawHud(state) {
+    this.commands.push(['hud', { ...state }]);
+  }
+
+  // -------------------------------------------------------------------------
+  // Encoding
+  // -------------------------------------------------------------------------
+
+  /**
+   * Append one entity to `entities`.
+   * @param {string} kind – one of ENTITY_KINDS
+   * @param {object} entity
+   * @param {number} alpha
+   * @param {{ player?: number, a?: number, b?: number }} [extra] – owner and per-kind state
+   */
+  addEntity(kind, entity, alpha, { player = 0, a = 0, b = 0 } = {}) {
+    this.entities = grow(
+      this.entities,
+      (this.entityCount + 1) * ENTITY_STRIDE,
+    );
+    const { x, y, rotation } = renderTransform(entity, alpha);
+
+    // Spin is calmed here: the stand-ins drawn from the frame don't know
+    // how fast they turn.
+    let i = this.entityCount * ENTITY_STRIDE;
+    this.entities[i++] = KIND_CODES[kind];
+    this.entities[i++] = entity.shape ? this.shapeId(entity.shape) : 0;
+    this.entities[i++] = x;
+    this.entities[i++] = y;
+    this.entities[i++] = this.reducedMotion
+      ? calmSpin(entity, rotation)
+      : rotation;
+    this.entities[i++] = entity.radius;
+    this.entities[i++] = entity.vx;
+    this.entities[i++] = entity.vy;
+    this.entities[i++] = player;
+    this.entities[i++] = a;
+    this.entities[i++] = b;
+    this.entityCount++;
+  }
+
+  /**
+   * Id for an outline, queueing it to be sent if the player doesn't hold it.
+   * @param {{ x: number, y: number }[]} shape
+   * @returns {number}
+   */
+  shapeId(shape) {
+    let id = this.shapeIds.get(shape);
+    if (id === undefined) {
+      id = this.nextShapeId++;
+      this.shapeIds.set(shape, id);
+    }
+    if (!this.liveShapes.has(id)) {
+      this.liveShapes.set(id, shape);
+      this.newShapes.push([id, flattenShape(shape)]);
+    }
+    this.seenShapes.add(id);
+    return id;
+  }
+
+  /**
+   * Finish the frame and start the next.  Outlines not drawn this frame
+   * are dropped (and will be sent again if they come back).
+   *
+   * @returns {{ frame: object, transfer: ArrayBuffer[] }} the frame, and
+   *   the buffers it owns outright, for postMessage()
+   */
+  finish() {
+    const dropped = [];
+    for (const id of this.liveShapes.keys()) {
+      if (!this.seenShapes.has(id)) dropped.push(id);
+    }
+    for (const id of dropped) this.liveShapes.delete(id);
+
+    const entities = this.entities.slice(0, this.entityCount * ENTITY_STRIDE);
+    const particles = this.particles.slice(
+      0,
+      this.particleCount * PARTICLE_STRIDE,
+    );
+    const frame = {
+      vector: this.vector,
+      debug: this.debug,
+      palette: this.palette,
+      reducedMotion: this.reducedMotion,
+      entities,
+      particles,
+      shapes: this.newShapes,
+      dropped,
+      commands: this.commands,
+    };
+    const transfer = [
+      entities.buffer,
+      particles.buffer,
+      ...this.newShapes.map(([, flat]) => flat.buffer),
+    ];
+
+    this.reset();
+    return { frame, transfer };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// FramePlayer class
+// ---------------------------------------------------------------------------
+
+/**
+ * Replays encoded frames on a real Renderer.
+ */
+export class FramePlayer {
+  /**
+   * @param {import('./renderer.js').Renderer} renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+
+    /**
+     * Outlines received so far, by id.
+     * @type {Map<number, { x: number, y: number }[]>}
+     */
+    this.shapes = new Map();
+
+    /** Pooled entity stand-ins, reused frame to frame. */
+    this.pool = [];
+
+    /** Pooled particle stand-ins. */
+    this.particlePool = [];
+  }
+
+  /**
+   * Draw one encoded frame.
+   * @param {object} frame – FrameEncoder.finish() output
+   * @param {number} [now] – current timestamp (ms), for the FPS readout
+   */
+  play(frame, now) {
+    for (const [id, flat] of frame.shapes) {
+      this.shapes.set(id, unflattenShape(flat));
+    }
+    for (const id of frame.dropped) this.shapes.delete(id);
+
+    const { renderer } = this;
+    renderer.vector = frame.vector;
+    renderer.debug = frame.debug;
+    renderer.palette = frame.palette;
+    renderer.reducedMotion = frame.reducedMotion;
+
+    for (const [type, ...args] of frame.commands) {
+      switch (type) {
+        case 'world':
+          renderer.render(this.decodeWorld(frame.entities, args[0]), 1, now);
+          break;
+        case 'particles':
+          renderer.drawParticles(
+            this.decodeParticles(frame.particles, args[0]),
+            1,
+          );
+          break;
+        case 'beginFrame':
+          renderer.beginFrame(...args);
+          break;
+        case 'text':
+          renderer.drawText(...args);
+          break;
+        case 'hud':
+          renderer.drawHud(...args);
+          break;
+        default:
+          throw new Error(`Unknown frame command: ${type}`);
+      }
+    }
+  }
+
+  /**
+   * A World-shaped view of a range of encoded entities: just enough for
+   * Renderer.render() and its debug overlay.
+   */
+  decodeWorld(
+    entities,
+    { start, count, width, height, cellWidth, cellHeight },
+  ) {
+    const world = {
+      width,
+      height,
+      bounds: { width, height },
+      asteroidHash: { cellWidth, cellHeight },
+      asteroids: [],
+      playerBullets: [],
+      saucerBullets: { active: [] },
+      saucer: null,
+      ships: [],
+      liveShips() {
+        return this.ships.filter(Boolean);
+      },
+      entities() {
+        const list = [...this.asteroids];
+        for (const system of this.playerBullets) list.push(...system.active);
+        list.push(...this.saucerBullets.active, ...this.liveShips());
+        if (this.saucer) list.push(this.saucer);
+        return list;
+      },
+    };
+
+    for (let n = 0; n < count; n++) {
+      const entity = (this.pool[start + n] ??= {
+        definition: { style: 'plain' },
+      });
+      let i = (start + n) * ENTITY_STRIDE;
+      const kind = ENTITY_KINDS[entities[i++]];
+      const shapeId = entities[i++];
+      entity.x = entities[i++];
+      entity.y = entities[i++];
+      entity.rotation = entities[i++];
+      entity.radius = entities[i++];
+      entity.vx = entities[i++];
+      entity.vy = entities[i++];
+      const player = entities[i++];
+      const a = entities[i++];
+      const b = entities[i++];
+      entity.shape = this.shapes.get(shapeId) ?? null;
+
+      switch (kind) {
+        case 'asteroid':
+          entity.definition.style = ASTEROID_STYLES[a];
+          entity.hitPoints = b;
+          world.asteroids.push(entity);
+          break;
+        case 'bullet':
+          for (let p = world.playerBullets.length; p <= player; p++) {
+            world.playerBullets.push({ active: [] });
+          }
+          world.playerBullets[player].active.push(entity);
+          break;
+        case 'saucerBullet':
+          world.saucerBullets.active.push(entity);
+          break;
+        case 'saucer':
+          world.saucer = entity;
+          break;
+        case 'ship':
+          entity.invulnerableTime = a;
+          entity.isInvulnerable = a > 0;
+          entity.thrusting = b === 1;
+          entity.player = player;
+          world.ships[player] = entity;
+          break;
+      }
+    }
+
+    return world;
+  }
+
+  /** A ParticleSystem-shaped view of a range of encoded particles. */
+  decodeParticles(particles, { start, count }) {
+    const active = [];
+    for (let n = 0; n < count; n++) {
+      const p = (this.particlePool[start + n] ??= {});
+      let i = (start + n) * PARTICLE_STRIDE;
+      p.kind = PARTICLE_KINDS[particles[i++]];
+      p.x = particles[i++];
+      p.y = particles[i++];
+      p.rotation = particles[i++];
+      p.length = particles[i++];
+      p.alpha = particles[i++];
+      active.push(p);
+    }
+    return { active };
+  }
+}
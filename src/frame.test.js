@@ -0,0 +1,279 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  FrameEncoder,
+  FramePlayer,
+  ENTITY_STRIDE,
+  PARTICLE_STRIDE,
+  ENTITY_KINDS,
+} from './frame.js';
+import { World } from './world.js';
+import { Asteroid } from './asteroid.js';
+import { Ship } from './ship.js';
+import { Saucer } from './saucer.js';
+import { ParticleSystem } from './particles.js';
+import { Rng } from './rng.js';
+import { PALETTES } from './settings.js';
+import { REDUCED_MOTION_MAX_SPIN } from './renderer.js';
+
+function makeWorld() {
+  const world = new World({ seed: 1, width: 800, height: 600 });
+  world.asteroids.push(
+    new Asteroid({ tier: 1, x: 400, y: 300, vx: 10, vy: 0, rng: world.rng }),
+    new Asteroid({
+      type: 'armouredLarge',
+      x: 100,
+      y: 100,
+      vx: 0,
+      vy: 0,
+      rng: world.rng,
+    }),
+  );
+  world.ship = new Ship({ x: 200, y: 200 });
+  return world;
+}
+
+/** Renderer stand-in that records what it was asked to draw. */
+function makeRenderer() {
+  return {
+    vector: false,
+    debug: false,
+    render: vi.fn(),
+    drawParticles: vi.fn(),
+    beginFrame: vi.fn(),
+    drawText: vi.fn(),
+    drawHud: vi.fn(),
+  };
+}
+
+/** Encode and decode, as a round trip through postMessage would. */
+function roundTrip(encoder, player) {
+  const { frame } = encoder.finish();
+  player.play(structuredClone(frame), 0);
+  return frame;
+}
+
+// ---------------------------------------------------------------------------
+// FrameEncoder
+// ---------------------------------------------------------------------------
+
+describe('FrameEncoder', () => {
+  it('packs one interpolated transform per entity', () => {
+    const world = makeWorld();
+    world.asteroids[0].prevX = 390;
+    const encoder = new FrameEncoder();
+    encoder.render(world, 0.5);
+    const { frame } = encoder.finish();
+
+    expect(frame.entities).toHaveLength(3 * ENTITY_STRIDE);
+    const [kind, , x, y] = frame.entities;
+    expect(ENTITY_KINDS[kind]).toBe('asteroid');
+    expect(x).toBeCloseTo(395);
+    expect(y).toBeCloseTo(300);
+    expect(frame.commands).toEqual([
+      [
+        'world',
+        {
+          start: 0,
+          count: 3,
+          width: 800,
+          height: 600,
+          cellWidth: world.asteroidHash.cellWidth,
+          cellHeight: world.asteroidHash.cellHeight,
+        },
+      ],
+    ]);
+  });
+
+  it('calms fast spins with reduced motion', () => {
+    const world = makeWorld();
+    const asteroid = world.asteroids[0];
+    asteroid.angularVelocity = 2;
+    asteroid.rotation = asteroid.prevRotation = 1;
+    const encoder = new FrameEncoder({ reducedMotion: true });
+    encoder.render(world, 0);
+    const { frame } = encoder.finish();
+    expect(frame.entities[4]).toBeCloseTo(REDUCED_MOTION_MAX_SPIN / 2);
+  });
+
+  it('sends each outline once, then only its id', () => {
+    const world = makeWorld();
+    const encoder = new FrameEncoder();
+    encoder.render(world, 0);
+    expect(encoder.finish().frame.shapes).toHaveLength(3);
+
+    encoder.render(world, 0);
+    const { frame } = encoder.finish();
+    expect(frame.shapes).toEqual([]);
+    expect(frame.dropped).toEqual([]);
+  });
+
+  it('drops outlines that leave play and resends them if they return', () => {
+    const world = makeWorld();
+    const encoder = new FrameEncoder();
+    encoder.render(world, 0);
+    encoder.finish();
+
+    const [rock] = world.asteroids.splice(0, 1);
+    encoder.render(world, 0);
+    const dropped = encoder.finish().frame.dropped;
+    expect(dropped).toHaveLength(1);
+
+    world.asteroids.push(rock);
+    encoder.render(world, 0);
+    expect(encoder.finish().frame.shapes.map(([id]) => id)).toEqual(dropped);
+  });
+
+  it('grows past its initial capacity', () => {
+    const world = new World({ seed: 2 });
+    const rng = new Rng(2);
+    for (let i = 0; i < 600; i++) {
+      world.asteroids.push(
+        new Asteroid({ tier: 3, x: i, y: i % 600, vx: 0, vy: 0, rng }),
+      );
+    }
+    const encoder = new FrameEncoder();
+    encoder.render(world, 0);
+    expect(encoder.finish().frame.entities).toHaveLength(600 * ENTITY_STRIDE);
+  });
+
+  it('packs particles and lists the buffers it can transfer', () => {
+    const particles = new ParticleSystem({ rng: new Rng(1) });
+    particles.handleEvents([
+      { type: 'shipDestroyed', ship: new Ship({ x: 100, y: 100 }) },
+    ]);
+    const encoder = new FrameEncoder();
+    encoder.drawParticles(particles, 1);
+    const { frame, transfer } = encoder.finish();
+
+    expect(frame.particles).toHaveLength(
+      particles.active.length * PARTICLE_STRIDE,
+    );
+    expect(transfer).toContain(frame.entities.buffer);
+    expect(transfer).toContain(frame.particles.buffer);
+  });
+
+  it('starts a fresh frame after finish()', () => {
+    const encoder = new FrameEncoder();
+    encoder.drawText('HELLO', 1, 2);
+    encoder.finish();
+    expect(encoder.finish().frame.commands).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// FramePlayer
+// ---------------------------------------------------------------------------
+
+describe('FramePlayer', () => {
+  it('rebuilds the world for the renderer', () => {
+    const world = makeWorld();
+    world.saucer = new Saucer({ x: 50, y: 50, range: 800 });
+    world.ship.invulnerableTime = 1;
+    world.ship.thrusting = true;
+    world.asteroids[1].damage();
+
+    const encoder = new FrameEncoder();
+    const renderer = makeRenderer();
+    encoder.render(world, 1);
+    roundTrip(encoder, new FramePlayer(renderer));
+
+    const [view, alpha] = renderer.render.mock.calls[0];
+    expect(alpha).toBe(1);
+    expect(view.width).toBe(800);
+    expect(view.entities()).toHaveLength(4);
+
+    const [plain, armoured] = view.asteroids;
+    expect(plain.x).toBe(400);
+    expect(plain.shape).toHaveLength(world.asteroids[0].shape.length);
+    expect(plain.shape[0].x).toBeCloseTo(world.asteroids[0].shape[0].x);
+    expect(armoured.definition.style).toBe('armoured');
+    expect(armoured.hitPoints).toBe(world.asteroids[1].hitPoints);
+
+    expect(view.ships[0]).toMatchObject({
+      isInvulnerable: true,
+      thrusting: true,
+    });
+    expect(view.saucer.shape).toHaveLength(world.saucer.shape.length);
+  });
+
+  it("keeps each player's ship and bullets in their slot", () => {
+    const world = new World({ seed: 1, width: 800, height: 600, players: 2 });
+    world.ships[1] = new Ship({ x: 300, y: 300, player: 1 });
+    world.playerBullets[1].fire(world.ships[1]);
+
+    const encoder = new FrameEncoder();
+    const renderer = makeRenderer();
+    encoder.render(world, 1);
+    roundTrip(encoder, new FramePlayer(renderer));
+
+    const [view] = renderer.render.mock.calls[0];
+    expect(view.ships[0]).toBeUndefined();
+    expect(view.ships[1]).toMatchObject({ player: 1, x: 300 });
+    expect(view.liveShips()).toHaveLength(1);
+    expect(view.playerBullets[0].active).toHaveLength(0);
+    expect(view.playerBullets[1].active).toHaveLength(1);
+  });
+
+  it('keeps the same outline arrays across frames', () => {
+    const world = makeWorld();
+    const encoder = new FrameEncoder();
+    const renderer = makeRenderer();
+    const player = new FramePlayer(renderer);
+
+    encoder.render(world, 0);
+    roundTrip(encoder, player);
+    const first = renderer.render.mock.calls[0][0].asteroids[0].shape;
+    encoder.render(world, 0);
+    roundTrip(encoder, player);
+    const second = renderer.render.mock.calls[1][0].asteroids[0].shape;
+    expect(second).toBe(first);
+  });
+
+  it('replays text, HUD and clears in order with the frame’s look', () => {
+    const palette = PALETTES.colourBlind;
+    const encoder = new FrameEncoder({
+      vector: true,
+      palette,
+      reducedMotion: true,
+    });
+    const renderer = makeRenderer();
+    const hud = { score: 10, lives: 2, width: 800 };
+    encoder.beginFrame(800, 600);
+    encoder.drawText('PAUSED', 400, 300, { size: 32 });
+    encoder.drawHud(hud);
+    roundTrip(encoder, new FramePlayer(renderer));
+
+    expect(renderer.vector).toBe(true);
+    expect(renderer.palette).toEqual(palette);
+    expect(renderer.reducedMotion).toBe(true);
+    expect(renderer.beginFrame).toHaveBeenCalledWith(800, 600);
+    expect(renderer.drawText).toHaveBeenCalledWith('PAUSED', 400, 300, {
+      size: 32,
+    });
+    expect(renderer.drawHud).toHaveBeenCalledWith(hud);
+  });
+
+  it('rebuilds particles', () => {
+    const particles = new ParticleSystem({ rng: new Rng(3) });
+    particles.handleEvents([
+      { type: 'shipDestroyed', ship: new Ship({ x: 100, y: 100 }) },
+    ]);
+    const encoder = new FrameEncoder();
+    const renderer = makeRenderer();
+    encoder.drawParticles(particles, 1);
+    roundTrip(encoder, new FramePlayer(renderer));
+
+    const [view] = renderer.drawParticles.mock.calls[0];
+    expect(view.active.map((p) => p.kind)).toEqual(
+      particles.active.map((p) => p.kind),
+    );
+    expect(view.active[0].alpha).toBeCloseTo(particles.active[0].alpha);
+  });
+
+  it('rejects unknown commands', () => {
+    const player = new FramePlayer(makeRenderer());
+    const frame = new FrameEncoder().finish().frame;
+    frame.commands.push(['sparkle']);
+    expect(() => player.play(frame)).toThrow(/Unknown frame command/);
+  });
+});
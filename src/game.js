@@ -0,0 +1,1129 @@
+/**
+ * Game flow module.
+ *
+ * Ties the world, the wave director and the player's lives together under a
+ * state machine:
+ *
+ *   resumeOffer ──fire──────────────────────┐
+ *        │ discard                          │
+ *        ▼                                  ▼
+ *   attract ──fire──▶ playing ◀──pause──▶ paused
+ *                      │  ▲
+ *               ship hit  │ respawn
+ *                      ▼  │
+ *                    lifeLost ──no lives──▶ gameOver ──▶ enterInitials
+ *                                              │               │
+ *                                              └──▶ attract ◀──┘
+ *
+ * Two people can play on one machine.  In the alternating mode they take
+ * turns, each with their own asteroid field, wave, score and lives: when a
+ * ship is lost the next player with lives left takes over.  In the co-op
+ * and versus modes both ships share one field and play at once; each
+ * player respawns on their own timer while the other plays on, so the
+ * lifeLost state is skipped and the game ends when both are out of lives.
+ * Co-op counts the team's combined score, versus the best individual one.
+ *
+ * A game in progress can be captured as a snapshot (see snapshot.js) and a
+ * game created from one starts by offering to resume it.  Games can also be
+ * recorded as replays (see replay.js): every tick's controls from the start
+ * of the game to game over.
+ *
+ * All of a game's worlds publish their events on the game's event bus (see
+ * events.js), along with the game's own: games starting and ending, waves
+ * starting and being cleared.  An optional StatsTracker listens there for
+ * statistics and achievements; unlocks pop up as toasts over any screen,
+ * and thrust on the title screen opens the stats screen.
+ *
+ * Every state has its own update / render hooks.  Like the world, the game
+ * never touches the DOM: it receives polled controls, draws through a
+ * Renderer and plays sound through an optional AudioEngine, so whole
+ * sessions can be driven from tests.
+ */
+
+import { World } from './world.js';
+import { Ship } from './ship.js';
+import { WaveDirector } from './waves.js';
+import { StateMachine } from './state-machine.js';
+import { randomSeed } from './rng.js';
+import { wrapDelta } from './collision.js';
+import { ScoreKeeper } from './scoring.js';
+import { createSnapshot } from './snapshot.js';
+import { ReplayRecorder } from './replay.js';
+import { ParticleSystem } from './particles.js';
+import { EventBus } from './events.js';
+import { ToastQueue } from './toasts.js';
+import { ACHIEVEMENTS, statsRows } from './stats.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Lives at the start of a game. */
+export const STARTING_LIVES = 3;
+
+/** Minimum time between losing a ship and respawning (seconds). */
+export const RESPAWN_DELAY = 2;
+
+/**
+ * Radius around the spawn point that must be free of asteroids before the
+ * ship respawns (CSS pixels), so the player isn't dropped onto a rock.
+ */
+export const RESPAWN_CLEARANCE = 100;
+
+/** How long the GAME OVER banner shows before moving on (seconds). */
+export const GAME_OVER_DELAY = 3;
+
+/** Letters cycled through during initials entry (space allowed). */
+export const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ ';
+
+/** Number of initials a player enters. */
+export const INITIALS_LENGTH = 3;
+
+/** States in which a game is in progress and worth saving. */
+export const RESUMABLE_STATES = new Set(['playing', 'paused', 'lifeLost']);
+
+/** States whose ticks are recorded into a replay. */
+const RECORDED_STATES = new Set(['playing', 'paused', 'lifeLost', 'gameOver']);
+
+/** Wave whose asteroid field drifts behind the title screen. */
+const ATTRACT_WAVE = 2;
+
+/** Ways to play, in the order the title screen cycles through them. */
+export const GAME_MODES = ['single', 'alternating', 'coop', 'versus'];
+
+/** Modes in which both players' ships are in play at once. */
+export const SIMULTANEOUS_MODES = new Set(['coop', 'versus']);
+
+/**
+ * Horizontal distance of each ship's spawn point from the centre in
+ * simultaneous games (CSS pixels): player one left, player two right.
+ */
+export const SPAWN_OFFSET = 60;
+
+/** Height of the first toast's line, below the HUD (CSS pixels). */
+const TOAST_TOP = 90;
+
+/** Spacing between toasts (CSS pixels). */
+const TOAST_SPACING = 24;
+
+/** Spacing between the stats screen's lines (CSS pixels). */
+const STATS_LINE_SPACING = 20;
+
+/** Characters in each line of the stats screen's table. */
+const STATS_LINE_WIDTH = 38;
+
+/** Title screen names for the modes. */
+const MODE_LABELS = {
+  single: '1 PLAYER',
+  alternating: '2 PLAYERS ALTERNATING',
+  coop: '2 PLAYERS CO-OP',
+  versus: '2 PLAYERS VERSUS',
+};
+
+// ---------------------------------------------------------------------------
+// Game class
+// ---------------------------------------------------------------------------
+
+export class Game {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.width]  – playfield width (CSS pixels)
+   * @param {number} [opts.height] – playfield height (CSS pixels)
+   * @param {number} [opts.seed]   – fixed seed for every game; a fresh random seed per game if omitted
+   * @param {{ qualifies: (score: number) => boolean, add: (entry: object) => void } | null} [opts.highScores]
+   *   – high-score table; initials entry is skipped without one
+   * @param {{ version: number, game: object } | null} [opts.savedGame]
+   *   – migrated snapshot to offer for resume (see snapshot.js)
+   * @param {boolean} [opts.record] – record every new game as a replay
+   * @param {import('./audio.js').AudioEngine | null} [opts.audio] – sound; silent without one
+   * @param {'single' | 'alternating' | 'coop' | 'versus'} [opts.mode] – how many play, and how
+   * @param {boolean} [opts.friendlyFire] – whether ships can shoot each other in simultaneous modes
+   * @param {import('./stats.js').StatsTracker | null} [opts.stats] – statistics and achievements; untracked without
+   */
+  constructor({
+    width = 800,
+    height = 600,
+    seed,
+    highScores = null,
+    savedGame = null,
+    record = false,
+    audio = null,
+    mode = 'single',
+    friendlyFire = false,
+    stats = null,
+  } = {}) {
+    if (!GAME_MODES.includes(mode)) {
+      throw new RangeError(`Unknown game mode: ${mode}`);
+    }
+
+    /** Playfield size shared by the attract and game worlds. */
+    this.width = width;
+    this.height = height;
+
+    /** Seed override; when undefined each game picks its own. */
+    this.fixedSeed = seed;
+
+    /** Seed of the game in progress (or last played). */
+    this.seed = null;
+
+    /** High-score table consulted at game over. */
+    this.highScores = highScores;
+
+    /** Background world shown behind the title screen. */
+    this.attractWorld = null;
+
+    /** World for the game in progress. @type {World | null} */
+    this.world = null;
+
+    /** Wave director for the game in progress. */
+    this.waves = new WaveDirector();
+
+    /** Score and lives for the game in progress. */
+    this.scoring = new ScoreKeeper({ lives: 0 });
+
+    /** Way to play the next game; one of GAME_MODES. */
+    this.mode = mode;
+
+    /** Whether players' shots hit each other's ships in simultaneous modes. */
+    this.friendlyFire = friendlyFire;
+
+    /**
+     * Each player's share of the game in progress.  `world` and `waves`
+     * are shared in simultaneous modes; `respawnTimer` counts down while
+     * their ship is out of play there.
+     * @type {{ seed: number, world: World, waves: WaveDirector, scoring: ScoreKeeper, respawnTimer: number }[]}
+     */
+    this.players = [];
+
+    /**
+     * Index of the player whose world, waves and scoring are installed
+     * above; always 0 in simultaneous modes.
+     */
+    this.currentPlayer = 0;
+
+    /**
+     * Decoded saved game awaiting the player's decision, or null.  Decoded
+     * up front so an unreadable save is never offered.
+     */
+    this.savedGame = savedGame ? decodeGame(savedGame.game) : null;
+
+    /** The snapshot itself, handed back untouched while still undecided. */
+    this.savedSnapshot = this.savedGame ? savedGame : null;
+
+    /** Whether new games are recorded. */
+    this.record = record;
+
+    /** Recorder for the game in progress, if recording. */
+    this.recorder = null;
+
+    /** Replay of the last finished game, if it was recorded. */
+    this.lastReplay = null;
+
+    /**
+     * Cosmetic particles for the game in progress.  Fed from the world's
+     * events but never read back by it, so they don't affect the simulation.
+     */
+    this.particles = new ParticleSystem();
+
+    /** Sound effects, fed from the world's events like the particles. */
+    this.audio = audio;
+
+    /** Where the game and its worlds publish what happens (see events.js). */
+    this.bus = new EventBus();
+
+    /** Messages over the playfield: achievements as they unlock. */
+    this.toasts = new ToastQueue();
+
+    /** Statistics and achievements, kept from the bus. */
+    this.stats = stats;
+    stats?.listen(this.bus);
+    stats?.onUnlock(({ title }) => this.toasts.push(`ACHIEVEMENT: ${title}`));
+
+    this.machine = new StateMachine(
+      createStates(this),
+      this.savedGame ? 'resumeOffer' : 'attract',
+    );
+  }
+
+  /** Name of the active state. */
+  get state() {
+    return this.machine.current;
+  }
+
+  /** Whether both ships play at once. */
+  get simultaneous() {
+    return SIMULTANEOUS_MODES.has(this.mode);
+  }
+
+  /** Number of people playing in the current mode. */
+  get playerCount() {
+    return this.mode === 'single' ? 1 : 2;
+  }
+
+  /**
+   * Score of the game in progress: the team's total in co-op, otherwise
+   * the best individual score.
+   */
+  get score() {
+    if (this.players.length < 2) return this.scoring.score;
+    const scores = this.players.map((p) => p.scoring.score);
+    if (this.mode === 'coop') return scores.reduce((sum, s) => sum + s, 0);
+    return Math.max(...scores);
+  }
+
+  /** Ships remaining for the current player, including the one in play. */
+  get lives() {
+    return this.scoring.lives;
+  }
+
+  /**
+   * What the game just played can put on the high-score table: the team's
+   * total in co-op, otherwise each player's own score with the wave they
+   * reached and the seed of the field they played.
+   * @returns {{ player: number | null, score: number, wave: number, seed: number }[]}
+   *   `player` is null for a single player or the co-op team
+   */
+  highScoreClaims() {
+    if (this.players.length < 2 || this.mode === 'coop') {
+      return [
+        {
+          player: null,
+          score: this.score,
+          wave: this.waves.wave,
+          seed: this.seed,
+        },
+      ];
+    }
+    return this.players.map(({ seed, waves, scoring }, player) => ({
+      player,
+      score: scoring.score,
+      wave: waves.wave,
+      seed,
+    }));
+  }
+
+  // -------------------------------------------------------------------------
+  // Loop hooks
+  // -------------------------------------------------------------------------
+
+  /**
+   * Advance the active state by one simulation step.
+   * @param {number} dt
+   * @param {Record<string, boolean> | Record<string, boolean>[]} [controls]
+   *   – polled input actions, one set per player in simultaneous modes
+   */
+  update(dt, controls = {}) {
+    if (RECORDED_STATES.has(this.state)) {
+      this.recorder?.record(controls);
+    }
+    this.machine.update(dt, controls);
+    this.toasts.update(dt);
+  }
+
+  /**
+   * Draw the active state.
+   * @param {import('./renderer.js').Renderer} renderer
+   * @param {number} alpha
+   */
+  render(renderer, alpha) {
+    this.machine.render(renderer, alpha);
+    this.drawToasts(renderer);
+  }
+
+  // -------------------------------------------------------------------------
+  // External events
+  // -------------------------------------------------------------------------
+
+  /** Follow a viewport resize. */
+  resize(width, height) {
+    this.recorder?.resize(width, height);
+    this.width = width;
+    this.height = height;
+    this.attractWorld?.resize(width, height);
+    this.world?.resize(width, height);
+  }
+
+  /**
+   * Pause automatically when the page is hidden (tab switch, minimise), so
+   * the player never comes back to a lost ship.
+   * @param {boolean} hidden – `document.hidden`
+   */
+  handleVisibilityChange(hidden) {
+    if (hidden && this.state === 'playing') {
+      // Not a control, so the replay needs telling (see replay.js).
+      this.recorder?.pause();
+      this.machine.transition('paused');
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Snapshots
+  // -------------------------------------------------------------------------
+
+  /**
+   * Plain-data form of the game in progress.
+   * @returns {{ seed: number, world: object, waves: object, scoring: object }}
+   */
+  toJSON() {
+    return {
+      seed: this.seed,
+      world: this.world.toJSON(),
+      waves: this.waves.toJSON(),
+      scoring: this.scoring.toJSON(),
+    };
+  }
+
+  /**
+   * Snapshot the game for saving, or null when there is nothing worth
+   * resuming (title screen, game over, no lives left, or a two-player
+   * game, which aren't saved).  While a resume
+   * offer is still open, the offered snapshot is returned so it survives
+   * another reload.
+   * @returns {{ version: number, game: object } | null}
+   */
+  snapshot() {
+    if (this.state === 'resumeOffer') return this.savedSnapshot;
+    if (!RESUMABLE_STATES.has(this.state) || this.lives <= 0) return null;
+    if (this.mode !== 'single') return null;
+    return createSnapshot(this.toJSON());
+  }
+
+  /**
+   * Install a decoded saved game (see decodeGame()) as the game in
+   * progress.  Saves are always single-player games, so the mode switches
+   * back to one player.  The world is rescaled to the current playfield,
+   * and a ship lost just before saving is respawned straight away — its
+   * life was already spent.
+   *
+   * @param {{ seed: number, world: World, waves: WaveDirector, scoring: ScoreKeeper }} saved
+   */
+  restore({ seed, world, waves, scoring }) {
+    this.mode = 'single';
+    this.seed = seed;
+    this.players = [{ seed, world, waves, scoring, respawnTimer: 0 }];
+    this.switchPlayer(0);
+    world.bus = this.bus;
+    world.resize(this.width, this.height);
+    if (!world.ship) this.respawnShip();
+  }
+
+  // -------------------------------------------------------------------------
+  // Helpers used by the states
+  // -------------------------------------------------------------------------
+
+  /** Build a fresh world with a field of asteroids for the title screen. */
+  createAttractWorld() {
+    const world = new World({ width: this.width, height: this.height });
+    new WaveDirector().spawnWave(world, ATTRACT_WAVE);
+    return world;
+  }
+
+  /**
+   * A fresh game set up to play back a replay: same seed, playfield and
+   * mode.
+   * @param {{ seed: number, width: number, height: number, mode?: string, friendlyFire?: boolean }} replay
+   * @returns {Game}
+   */
+  static forReplay({ seed, width, height, mode, friendlyFire }) {
+    return new Game({ seed, width, height, mode, friendlyFire });
+  }
+
+  /** Start a new game (recording it if enabled) and go to playing. */
+  beginGame() {
+    this.startNewGame();
+    this.bus.emit({ type: 'gameStarted', mode: this.mode });
+    if (this.record) {
+      this.recorder = new ReplayRecorder({
+        seed: this.seed,
+        width: this.width,
+        height: this.height,
+        players: this.simultaneous ? this.playerCount : 1,
+        mode: this.mode,
+        friendlyFire: this.friendlyFire,
+      });
+    }
+    this.machine.transition('playing');
+  }
+
+  /** Close the current recording, keeping it as `lastReplay`. */
+  finishRecording() {
+    if (!this.recorder) return;
+    this.lastReplay = this.recorder.finish({
+      score: this.score,
+      wave: this.waves.wave,
+    });
+    this.recorder = null;
+  }
+
+  /**
+   * Set up new worlds, ships and lives for every player, starting at wave
+   * 1.  Alternating players each get their own field, seeded one apart;
+   * simultaneous players share one.
+   */
+  startNewGame() {
+    this.seed = this.fixedSeed ?? randomSeed();
+    const count = this.playerCount;
+
+    if (this.simultaneous) {
+      const { world, waves } = this.createField(this.seed, count);
+      this.players = Array.from({ length: count }, () => ({
+        seed: this.seed,
+        world,
+        waves,
+        scoring: createScoring(waves),
+        respawnTimer: 0,
+      }));
+    } else {
+      this.players = Array.from({ length: count }, (_, i) => {
+        const seed = this.seed + i;
+        const { world, waves } = this.createField(seed, 1);
+        return {
+          seed,
+          world,
+          waves,
+          scoring: createScoring(waves),
+          respawnTimer: 0,
+        };
+      });
+    }
+
+    this.switchPlayer(0);
+  }
+
+  /**
+   * A world at wave 1 with a ship on each player slot's spawn point.
+   * @param {number} seed
+   * @param {number} players – ship slots in the world
+   * @returns {{ world: World, waves: WaveDirector }}
+   */
+  createField(seed, players) {
+    const world = new World({
+      seed,
+      width: this.width,
+      height: this.height,
+      players,
+      friendlyFire: this.friendlyFire,
+      bus: this.bus,
+    });
+    for (let slot = 0; slot < players; slot++) {
+      world.ships[slot] = new Ship({ ...this.spawnPoint(slot), player: slot });
+    }
+    const waves = new WaveDirector();
+    waves.start(world);
+    return { world, waves };
+  }
+
+  /**
+   * Install a player's world, waves and scoring as the ones in play.
+   * @param {number} index
+   */
+  switchPlayer(index) {
+    const player = this.players[index];
+    this.currentPlayer = index;
+    this.world = player.world;
+    this.waves = player.waves;
+    this.scoring = player.scoring;
+    this.particles.clear();
+  }
+
+  /**
+   * Whose turn is next in an alternating game: the next player after the
+   * current one (wrapping round to them last) with lives left.
+   * @returns {number | null} null once everyone is out of lives
+   */
+  nextPlayerUp() {
+    const n = this.players.length;
+    for (let i = 1; i <= n; i++) {
+      const index = (this.currentPlayer + i) % n;
+      if (this.players[index].scoring.lives > 0) return index;
+    }
+    return null;
+  }
+
+  /** Whether every player is out of lives. */
+  allPlayersOut() {
+    return this.players.every((p) => p.scoring.lives <= 0);
+  }
+
+  /**
+   * Advance the game world and wave director by one step and bank any points
+   * scored, awarding extra lives as thresholds are crossed.
+   * @param {number} dt
+   * @param {Record<string, boolean> | Record<string, boolean>[]} [controls]
+   */
+  stepWorld(dt, controls) {
+    this.world.step(dt, controls);
+    this.updateParticles(dt);
+    const progress = this.waves.update(dt, this.world);
+    if (progress) {
+      const type = progress === 'cleared' ? 'waveCleared' : 'waveStarted';
+      this.bus.emit({ type, wave: this.waves.wave });
+    }
+    this.stats?.update(dt, this.world);
+
+    // Each keeper follows its own slot of the world's scores.
+    const keepers = this.simultaneous
+      ? this.players.map((p) => p.scoring)
+      : [this.scoring];
+    let extraLives = 0;
+    keepers.forEach((scoring, slot) => {
+      scoring.extraLifeInterval = this.waves.extraLifeThreshold;
+      extraLives += scoring.syncTo(this.world.scores[slot]);
+    });
+    this.updateAudio(dt, extraLives);
+  }
+
+  /**
+   * Simultaneous modes: take a life from each player whose ship was lost
+   * this step, and bring ships back once their player's delay is up and
+   * their spawn point is clear.
+   * @param {number} dt
+   */
+  updateRespawns(dt) {
+    const { world } = this;
+    for (const event of world.events) {
+      if (event.type !== 'shipDestroyed') continue;
+      const player = this.players[event.ship.player];
+      player.scoring.loseLife();
+      player.respawnTimer = RESPAWN_DELAY;
+    }
+
+    this.players.forEach((player, slot) => {
+      if (world.ships[slot] || player.scoring.lives <= 0) return;
+      player.respawnTimer -= dt;
+      if (player.respawnTimer <= 0 && this.spawnPointClear(slot)) {
+        this.respawnShip(slot);
+      }
+    });
+  }
+
+  /**
+   * Spawn particles for what happened in the world's last step (plus
+   * exhaust behind a thrusting ship) and advance the existing ones.
+   * @param {number} dt
+   */
+  updateParticles(dt) {
+    const { world, particles } = this;
+    particles.handleEvents(world.events);
+    for (const ship of world.liveShips()) {
+      if (ship.thrusting) particles.exhaust(ship);
+    }
+    particles.update(dt, world.bounds);
+  }
+
+  /**
+   * Play the sounds for the world's last step, keep the thrust rumble in
+   * step with the ship and advance the heartbeat.
+   * @param {number} dt
+   * @param {number} extraLives – lives awarded this step
+   */
+  updateAudio(dt, extraLives) {
+    const { world, audio } = this;
+    if (!audio) return;
+    audio.handleEvents(world.events);
+    if (extraLives > 0) audio.play('extraLife');
+    audio.setThrust(world.liveShips().some((ship) => ship.thrusting));
+    audio.updateHeartbeat(dt, world.asteroids.length);
+  }
+
+  /**
+   * Where a ship slot (re)spawns: the centre, or either side of it in
+   * simultaneous modes.
+   * @param {number} [slot]
+   * @returns {{ x: number, y: number }}
+   */
+  spawnPoint(slot = 0) {
+    const offset = this.simultaneous ? (slot * 2 - 1) * SPAWN_OFFSET : 0;
+    return { x: this.width / 2 + offset, y: this.height / 2 };
+  }
+
+  /**
+   * Whether no asteroid is within RESPAWN_CLEARANCE of a slot's spawn point.
+   * @param {number} [slot]
+   */
+  spawnPointClear(slot = 0) {
+    const { world } = this;
+    const { x, y } = this.spawnPoint(slot);
+    return world.asteroids.every((a) => {
+      const dx = wrapDelta(a.x - x, world.width);
+      const dy = wrapDelta(a.y - y, world.height);
+      const reach = RESPAWN_CLEARANCE + a.radius;
+      return dx * dx + dy * dy > reach * reach;
+    });
+  }
+
+  /**
+   * Put a fresh, briefly invulnerable ship on a slot's spawn point.
+   * @param {number} [slot]
+   */
+  respawnShip(slot = 0) {
+    const { x, y } = this.spawnPoint(slot);
+    const ship = new Ship({ x, y, player: slot });
+    ship.respawn(x, y);
+    this.world.ships[slot] = ship;
+  }
+
+  /** Draw the toasts on screen, one under another below the HUD. */
+  drawToasts(renderer) {
+    const x = this.width / 2;
+    this.toasts.visible.forEach((toast, i) => {
+      renderer.drawText(toast.text, x, TOAST_TOP + i * TOAST_SPACING, {
+        size: 16,
+      });
+    });
+  }
+
+  /** Draw the game world with its particles on top. */
+  drawWorld(renderer, alpha) {
+    renderer.render(this.world, alpha);
+    renderer.drawParticles(this.particles, alpha);
+  }
+
+  /**
+   * Draw score, remaining lives and the best score so far; with two
+   * players, each one's score and lives.
+   */
+  drawHud(renderer) {
+    const [first, second] = this.players;
+    const highScore = Math.max(this.highScores?.best ?? 0, this.score);
+    if (!second) {
+      renderer.drawHud({
+        score: this.score,
+        lives: this.lives,
+        highScore,
+        width: this.width,
+      });
+      return;
+    }
+    renderer.drawHud({
+      score: first.scoring.score,
+      lives: first.scoring.lives,
+      highScore,
+      width: this.width,
+      second: { score: second.scoring.score, lives: second.scoring.lives },
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Private helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Score and lives for a new player.
+ * @param {WaveDirector} waves – sets the extra-life threshold
+ * @returns {ScoreKeeper}
+ */
+function createScoring(waves) {
+  return new ScoreKeeper({
+    lives: STARTING_LIVES,
+    extraLifeInterval: waves.extraLifeThreshold,
+  });
+}
+
+/**
+ * Merge every player's controls into one set, for screens any player can
+ * drive (menus, pause).
+ * @param {Record<string, boolean> | Record<string, boolean>[]} controls
+ * @returns {Record<string, boolean>}
+ */
+function anyPlayer(controls) {
+  if (!Array.isArray(controls)) return controls;
+  const merged = {};
+  for (const set of controls) {
+    for (const action in set) {
+      merged[action] = Boolean(merged[action] || set[action]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Rebuild the pieces of a game from Game.toJSON() output.
+ * @param {object} data
+ * @returns {{ seed: number, world: World, waves: WaveDirector, scoring: ScoreKeeper } | null}
+ *   null if the data can't be decoded
+ */
+function decodeGame(data) {
+  try {
+    return {
+      seed: data.seed,
+      world: World.fromJSON(data.world),
+      waves: WaveDirector.fromJSON(data.waves),
+      scoring: ScoreKeeper.fromJSON(data.scoring),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// States
+// ---------------------------------------------------------------------------
+
+/**
+ * Turn held controls into "pressed this step" flags for menu-style states,
+ * where holding a key must not repeat.  After reset() anything already held
+ * is ignored until it is released, so a fire button still down from
+ * gameplay doesn't skip straight through a screen.
+ */
+function createEdgeDetector() {
+  let previous = null;
+  return {
+    reset() {
+      previous = null;
+    },
+    /** @returns {Record<string, boolean>} */
+    pressed(controls) {
+      const result = {};
+      for (const action in controls) {
+        result[action] =
+          previous !== null && controls[action] && !previous[action];
+      }
+      previous = controls;
+      return result;
+    },
+  };
+}
+
+/**
+ * Build the state table for a game.  Per-state scratch data lives in the
+ * closures rather than on the Game.
+ *
+ * @param {Game} game
+ * @returns {Record<string, object>}
+ */
+function createStates(game) {
+  const centre = () => ({ x: game.width / 2, y: game.height / 2 });
+  const edges = createEdgeDetector();
+
+  // --- resumeOffer ---------------------------------------------------------
+  // Fire resumes the saved game (paused, so the player can get their
+  // bearings); hyperspace or pause throws it away.
+  const resumeOffer = {
+    enter() {
+      game.attractWorld = game.createAttractWorld();
+      edges.reset();
+    },
+    update(dt, controls) {
+      game.attractWorld.step(dt);
+      const pressed = edges.pressed(anyPlayer(controls));
+      if (pressed.fire) {
+        game.restore(game.savedGame);
+        game.machine.transition('paused');
+      } else if (pressed.hyperspace || pressed.pause) {
+        game.machine.transition('attract');
+      }
+    },
+    exit() {
+      game.savedGame = null;
+      game.savedSnapshot = null;
+    },
+    render(renderer, alpha) {
+      const { x, y } = centre();
+      const { waves, scoring } = game.savedGame;
+      renderer.render(game.attractWorld, alpha);
+      renderer.drawText('RESUME SAVED GAME?', x, y - 40, { size: 32 });
+      renderer.drawText(
+        `WAVE ${waves.wave}   SCORE ${scoring.score}`,
+        x,
+        y,
+        { size: 18 },
+      );
+      renderer.drawText('FIRE TO RESUME, HYPERSPACE TO DISCARD', x, y + 40, {
+        size: 14,
+      });
+    },
+  };
+
+  // --- attract -------------------------------------------------------------
+  // Rotate left / right picks the mode, hyperspace toggles friendly fire,
+  // thrust shows the stats (when they're kept).
+  const attract = {
+    enter() {
+      game.attractWorld = game.createAttractWorld();
+      edges.reset();
+    },
+    update(dt, controls) {
+      game.attractWorld.step(dt);
+      const pressed = edges.pressed(anyPlayer(controls));
+      const n = GAME_MODES.length;
+      const index = GAME_MODES.indexOf(game.mode);
+      if (pressed.rotateLeft) game.mode = GAME_MODES[(index + n - 1) % n];
+      if (pressed.rotateRight) game.mode = GAME_MODES[(index + 1) % n];
+      if (pressed.hyperspace) game.friendlyFire = !game.friendlyFire;
+      if (pressed.thrust && game.stats) {
+        game.machine.transition('stats');
+      } else if (pressed.fire) {
+        game.beginGame();
+      }
+    },
+    render(renderer, alpha) {
+      const { x, y } = centre();
+      renderer.render(game.attractWorld, alpha);
+      renderer.drawText('SILICA ASTEROIDS', x, y - 40, { size: 40 });
+      renderer.drawText('PRESS FIRE TO START', x, y + 20, { size: 18 });
+
+      let mode = `◀ ${MODE_LABELS[game.mode]} ▶`;
+      if (game.simultaneous) {
+        mode += `   FRIENDLY FIRE ${game.friendlyFire ? 'ON' : 'OFF'}`;
+      }
+      renderer.drawText(mode, x, y + 46, { size: 14 });
+
+      const entries = game.highScores?.entries ?? [];
+      entries.forEach((entry, i) => {
+        const rank = String(i + 1).padStart(2);
+        const score = String(entry.score).padStart(6);
+        const line = `${rank}. ${entry.initials.padEnd(3)} ${score}`;
+        renderer.drawText(line, x, y + 80 + i * 20, { size: 14 });
+      });
+
+      if (game.stats) {
+        renderer.drawText('THRUST FOR STATS', x, game.height - 30, {
+          size: 14,
+        });
+      }
+    },
+  };
+
+  // --- stats ---------------------------------------------------------------
+  // The last game's statistics beside the all-time totals, and the
+  // achievements unlocked.  Any of fire, hyperspace, thrust or pause goes
+  // back to the title screen.
+  const stats = {
+    enter() {
+      edges.reset();
+    },
+    update(dt, controls) {
+      game.attractWorld.step(dt);
+      const pressed = edges.pressed(anyPlayer(controls));
+      if (
+        pressed.fire ||
+        pressed.hyperspace ||
+        pressed.thrust ||
+        pressed.pause
+      ) {
+        game.machine.transition('attract');
+      }
+    },
+    render(renderer, alpha) {
+      const { session, lifetime, unlocked } = game.stats;
+      const x = game.width / 2;
+      let y = 60;
+      // Monospaced lines padded to one width, so the columns line up.
+      const line = (text) => {
+        renderer.drawText(text.padEnd(STATS_LINE_WIDTH), x, y, { size: 14 });
+        y += STATS_LINE_SPACING;
+      };
+      const columns = (label, last, total) =>
+        line(`${label.padEnd(18)}${last.padStart(10)}${total.padStart(10)}`);
+
+      renderer.render(game.attractWorld, alpha);
+      renderer.drawText('STATISTICS', x, y, { size: 32 });
+      y += 40;
+      columns('', 'LAST GAME', 'ALL TIME');
+      for (const row of statsRows(session, lifetime)) columns(...row);
+
+      y += STATS_LINE_SPACING;
+      line(`ACHIEVEMENTS ${unlocked.size}/${ACHIEVEMENTS.length}`);
+      for (const { id, title } of ACHIEVEMENTS) {
+        line(`${unlocked.has(id) ? '★' : '·'} ${title}`);
+      }
+    },
+  };
+
+  // --- playing -------------------------------------------------------------
+  const playing = {
+    update(dt, controls) {
+      if (anyPlayer(controls).pause) {
+        game.machine.transition('paused');
+        return;
+      }
+
+      game.stepWorld(dt, controls);
+
+      if (game.simultaneous) {
+        game.updateRespawns(dt);
+        if (game.allPlayersOut()) game.machine.transition('gameOver');
+      } else if (!game.world.ship) {
+        game.machine.transition('lifeLost');
+      }
+    },
+    exit() {
+      // Don't leave the thrust rumble running through a pause.
+      game.audio?.setThrust(false);
+    },
+    render(renderer, alpha) {
+      game.drawWorld(renderer, alpha);
+      game.drawHud(renderer);
+    },
+  };
+
+  // --- paused --------------------------------------------------------------
+  const paused = {
+    update(dt, controls) {
+      if (anyPlayer(controls).pause) {
+        game.machine.transition('playing');
+      }
+    },
+    render(renderer, alpha) {
+      const { x, y } = centre();
+      game.drawWorld(renderer, alpha);
+      game.drawHud(renderer);
+      renderer.drawText('PAUSED', x, y, { size: 32 });
+    },
+  };
+
+  // --- lifeLost ------------------------------------------------------------
+  // Single-player and alternating games only.  Once the delay is up, play
+  // passes to whoever is next up (in an alternating game, the other player,
+  // on their own field) and their ship goes back in when the spawn point is
+  // clear.
+  let respawnTimer = 0;
+  let handedOver = false;
+  const lifeLost = {
+    enter() {
+      game.scoring.loseLife();
+      respawnTimer = RESPAWN_DELAY;
+      handedOver = false;
+    },
+    update(dt) {
+      // The field keeps drifting (and the wave director keeps counting) while
+      // the player waits to respawn.
+      game.stepWorld(dt);
+
+      respawnTimer -= dt;
+      if (respawnTimer > 0) return;
+
+      if (!handedOver) {
+        const next = game.nextPlayerUp();
+        if (next === null) {
+          game.machine.transition('gameOver');
+          return;
+        }
+        if (next !== game.currentPlayer) game.switchPlayer(next);
+        handedOver = true;
+      }
+
+      // A player taking their first turn still has their starting ship.
+      if (game.world.ship) {
+        game.machine.transition('playing');
+      } else if (game.spawnPointClear()) {
+        game.respawnShip();
+        game.machine.transition('playing');
+      }
+    },
+    render(renderer, alpha) {
+      game.drawWorld(renderer, alpha);
+      game.drawHud(renderer);
+      if (game.mode === 'alternating' && handedOver) {
+        const { x, y } = centre();
+        const label = `PLAYER ${game.currentPlayer + 1}`;
+        renderer.drawText(label, x, y, { size: 32 });
+      }
+    },
+  };
+
+  // --- gameOver ------------------------------------------------------------
+  let gameOverTimer = 0;
+  const gameOver = {
+    enter() {
+      gameOverTimer = GAME_OVER_DELAY;
+      game.audio?.silence();
+      game.bus.emit({ type: 'gameOver', score: game.score });
+    },
+    update(dt) {
+      game.world.step(dt);
+      game.updateParticles(dt);
+      gameOverTimer -= dt;
+      if (gameOverTimer > 0) return;
+
+      game.finishRecording();
+      claims = game.highScores ? game.highScoreClaims() : [];
+      nextClaim();
+    },
+    render(renderer, alpha) {
+      const { x, y } = centre();
+      game.drawWorld(renderer, alpha);
+      game.drawHud(renderer);
+      renderer.drawText('GAME OVER', x, y, { size: 40 });
+
+      if (game.mode === 'versus') {
+        const [one, two] = game.players.map((p) => p.scoring.score);
+        let result = 'DRAW';
+        if (one !== two) result = `PLAYER ${one > two ? 1 : 2} WINS`;
+        renderer.drawText(result, x, y + 40, { size: 18 });
+      }
+    },
+  };
+
+  // --- enterInitials -------------------------------------------------------
+  // Rotate left / right cycles the current letter, fire locks it in.  Each
+  // qualifying claim (see highScoreClaims()) gets its own initials, in turn.
+  let claims = [];
+  let letters = [];
+  let cursor = 0;
+
+  /** Move on to the next claim still good enough for the table, if any. */
+  const nextClaim = () => {
+    claims = claims.filter((claim) => game.highScores.qualifies(claim.score));
+    game.machine.transition(claims.length ? 'enterInitials' : 'attract');
+  };
+
+  const enterInitials = {
+    enter() {
+      letters = Array(INITIALS_LENGTH).fill(0);
+      cursor = 0;
+      edges.reset();
+    },
+    update(dt, controls) {
+      const pressed = edges.pressed(anyPlayer(controls));
+      const n = INITIALS_ALPHABET.length;
+      if (pressed.rotateLeft) letters[cursor] = (letters[cursor] + n - 1) % n;
+      if (pressed.rotateRight) letters[cursor] = (letters[cursor] + 1) % n;
+      if (!pressed.fire) return;
+
+      cursor++;
+      if (cursor < INITIALS_LENGTH) return;
+
+      const { score, wave, seed } = claims.shift();
+      game.highScores.add({
+        initials: letters.map((i) => INITIALS_ALPHABET[i]).join(''),
+        score,
+        wave,
+        seed,
+      });
+      nextClaim();
+    },
+    render(renderer) {
+      const { x, y } = centre();
+      const text = letters
+        .map((i, n) => {
+          const letter = INITIALS_ALPHABET[i];
+          return n === cursor ? `[${letter}]` : letter;
+        })
+        .join(' ');
+      const [{ player, score }] = claims;
+      const heading =
+        player === null ? 'NEW HIGH SCORE' : `PLAYER ${player + 1} HIGH SCORE`;
+      renderer.beginFrame(game.width, game.height);
+      renderer.drawText(heading, x, y - 60, { size: 32 });
+      renderer.drawText(String(score), x, y - 20, { size: 24 });
+      renderer.drawText(text, x, y + 30, { size: 32 });
+      renderer.drawText('◀ ▶ TO CHOOSE, FIRE TO ENTER', x, y + 80, {
+        size: 14,
+      });
+    },
+  };
+
+  return {
+    resumeOffer,
+    attract,
+    stats,
+    playing,
+    paused,
+    lifeLost,
+    gameOver,
+    enterInitials,
+  };
+}
@@ -0,0 +1,800 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  Game,
+  STARTING_LIVES,
+  RESPAWN_DELAY,
+  GAME_OVER_DELAY,
+  SPAWN_OFFSET,
+} from './game.js';
+import { migrateSnapshot } from './snapshot.js';
+import { Asteroid } from './asteroid.js';
+import { StatsTracker } from './stats.js';
+
+const DT = 1 / 60;
+
+/** Renderer stand-in that records what each state draws. */
+function makeRenderer() {
+  return {
+    render: vi.fn(),
+    beginFrame: vi.fn(),
+    drawText: vi.fn(),
+    drawHud: vi.fn(),
+    drawParticles: vi.fn(),
+  };
+}
+
+function texts(renderer) {
+  return renderer.drawText.mock.calls.map((c) => c[0]);
+}
+
+/** Step once idle, then once with the given controls (a fresh press). */
+function press(game, controls) {
+  game.update(DT, {});
+  game.update(DT, controls);
+}
+
+function startGame(opts = {}) {
+  const game = new Game({ seed: 1, ...opts });
+  press(game, { fire: true });
+  return game;
+}
+
+/**
+ * Drop a stationary asteroid right on top of a (vulnerable) ship: player
+ * one's unless another slot is given.
+ */
+function crashShip(game, slot = 0) {
+  const ship = game.world.ships[slot];
+  ship.invulnerableTime = 0;
+  game.world.asteroids.push(
+    new Asteroid({ tier: 3, x: ship.x, y: ship.y, vx: 0, vy: 0 }),
+  );
+  game.update(DT, {});
+}
+
+function runFor(game, seconds, controls = {}) {
+  for (let t = 0; t < seconds; t += DT) game.update(DT, controls);
+}
+
+// ---------------------------------------------------------------------------
+// Attract mode
+// ---------------------------------------------------------------------------
+
+describe('Game attract mode', () => {
+  it('starts on the attract screen with drifting asteroids', () => {
+    const game = new Game();
+    expect(game.state).toBe('attract');
+    expect(game.attractWorld.asteroids.length).toBeGreaterThan(0);
+    expect(game.attractWorld.asteroids[0]).toBeInstanceOf(Asteroid);
+
+    const before = game.attractWorld.asteroids[0].x;
+    game.update(DT, {});
+    expect(game.attractWorld.asteroids[0].x).not.toBe(before);
+  });
+
+  it('shows the title and prompt', () => {
+    const game = new Game();
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(renderer.render).toHaveBeenCalledWith(game.attractWorld, 0);
+    expect(texts(renderer)).toContain('PRESS FIRE TO START');
+  });
+
+  it('starts a game on a fire press', () => {
+    const game = startGame();
+    expect(game.state).toBe('playing');
+    expect(game.lives).toBe(STARTING_LIVES);
+    expect(game.world.ship).not.toBeNull();
+    expect(game.waves.wave).toBe(1);
+  });
+
+  it('ignores a fire button already held when the screen appears', () => {
+    const game = new Game();
+    game.update(DT, { fire: true });
+    game.update(DT, { fire: true });
+    expect(game.state).toBe('attract');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Playing / paused
+// ---------------------------------------------------------------------------
+
+describe('Game pause', () => {
+  it('toggles between playing and paused with the pause action', () => {
+    const game = startGame();
+    game.update(DT, { pause: true });
+    expect(game.state).toBe('paused');
+    game.update(DT, { pause: true });
+    expect(game.state).toBe('playing');
+  });
+
+  it('freezes the world while paused', () => {
+    const game = startGame();
+    game.update(DT, { pause: true });
+    const tick = game.world.tick;
+    runFor(game, 1);
+    expect(game.world.tick).toBe(tick);
+  });
+
+  it('auto-pauses when the page is hidden', () => {
+    const game = startGame();
+    game.handleVisibilityChange(true);
+    expect(game.state).toBe('paused');
+  });
+
+  it('does not pause the attract screen', () => {
+    const game = new Game();
+    game.handleVisibilityChange(true);
+    expect(game.state).toBe('attract');
+  });
+
+  it('draws a PAUSED banner over the world', () => {
+    const game = startGame();
+    game.update(DT, { pause: true });
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(renderer.render).toHaveBeenCalledWith(game.world, 0);
+    expect(texts(renderer)).toContain('PAUSED');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Losing lives
+// ---------------------------------------------------------------------------
+
+describe('Game life lost', () => {
+  it('moves to lifeLost and spends a life when the ship is destroyed', () => {
+    const game = startGame();
+    crashShip(game);
+    expect(game.state).toBe('lifeLost');
+    expect(game.lives).toBe(STARTING_LIVES - 1);
+  });
+
+  it('respawns an invulnerable ship after the delay', () => {
+    const game = startGame();
+    crashShip(game);
+    game.world.asteroids.length = 0;
+    runFor(game, RESPAWN_DELAY + 0.1);
+    expect(game.state).toBe('playing');
+    expect(game.world.ship.isInvulnerable).toBe(true);
+  });
+
+  it('waits for the spawn point to clear before respawning', () => {
+    const game = startGame();
+    crashShip(game);
+    const { width, height } = game.world;
+    game.world.asteroids = [
+      new Asteroid({
+        tier: 1,
+        x: width / 2,
+        y: height / 2,
+        vx: 0,
+        vy: 0,
+        angularVelocity: 0,
+      }),
+    ];
+    runFor(game, RESPAWN_DELAY + 1);
+    expect(game.state).toBe('lifeLost');
+
+    game.world.asteroids.length = 0;
+    game.update(DT, {});
+    expect(game.state).toBe('playing');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Game over & initials
+// ---------------------------------------------------------------------------
+
+describe('Game over', () => {
+  function loseAllLives(game) {
+    for (let i = 0; i < STARTING_LIVES; i++) {
+      crashShip(game);
+      if (game.state === 'gameOver') break;
+      game.world.asteroids.length = 0;
+      runFor(game, RESPAWN_DELAY + 0.1);
+    }
+    runFor(game, RESPAWN_DELAY + 0.1);
+  }
+
+  it('ends the game after the last life', () => {
+    const game = startGame();
+    loseAllLives(game);
+    expect(game.state).toBe('gameOver');
+    expect(game.lives).toBe(0);
+  });
+
+  it('returns to attract without a qualifying score', () => {
+    const game = startGame();
+    loseAllLives(game);
+    runFor(game, GAME_OVER_DELAY + 0.1);
+    expect(game.state).toBe('attract');
+  });
+
+  it('collects initials for a qualifying score and records them', () => {
+    const highScores = { qualifies: () => true, add: vi.fn(), entries: [] };
+    const game = startGame({ highScores });
+    loseAllLives(game);
+    runFor(game, GAME_OVER_DELAY + 0.1);
+    expect(game.state).toBe('enterInitials');
+
+    game.update(DT, {});
+    press(game, { rotateRight: true }); // A → B
+    press(game, { fire: true });
+    press(game, { rotateLeft: true }); // A → space (wraps backwards)
+    press(game, { fire: true });
+    press(game, { fire: true });
+
+    expect(game.state).toBe('attract');
+    expect(highScores.add).toHaveBeenCalledWith(
+      expect.objectContaining({
+        initials: 'B A',
+        seed: 1,
+        wave: game.waves.wave,
+      }),
+    );
+  });
+
+  it('does not repeat a letter change while rotate is held', () => {
+    const highScores = { qualifies: () => true, add: vi.fn(), entries: [] };
+    const game = startGame({ highScores });
+    loseAllLives(game);
+    runFor(game, GAME_OVER_DELAY + 0.1);
+
+    game.update(DT, {});
+    runFor(game, 0.5, { rotateRight: true });
+    press(game, { fire: true });
+    press(game, { fire: true });
+    press(game, { fire: true });
+    expect(highScores.add.mock.calls[0][0].initials).toBe('BAA');
+  });
+
+  /** Run out the game-over screen, then fire through each set of initials. */
+  function enterEveryInitials(game) {
+    game.machine.transition('gameOver');
+    runFor(game, GAME_OVER_DELAY + 0.1);
+    const headings = [];
+    while (game.state === 'enterInitials') {
+      const renderer = makeRenderer();
+      game.render(renderer, 0);
+      headings.push(texts(renderer).slice(0, 2).join(' '));
+      for (let i = 0; i < 3; i++) press(game, { fire: true });
+    }
+    return headings;
+  }
+
+  it('records each alternating player with their own wave and seed', () => {
+    const highScores = { qualifies: () => true, add: vi.fn(), entries: [] };
+    const game = startGame({ mode: 'alternating', highScores });
+    const [one, two] = game.players;
+    one.scoring.score = 500;
+    one.waves.wave = 3;
+    two.scoring.score = 800;
+    two.waves.wave = 4;
+
+    expect(enterEveryInitials(game)).toEqual([
+      'PLAYER 1 HIGH SCORE 500',
+      'PLAYER 2 HIGH SCORE 800',
+    ]);
+    expect(game.state).toBe('attract');
+    expect(highScores.add.mock.calls.map((c) => c[0])).toEqual([
+      { initials: 'AAA', score: 500, wave: 3, seed: 1 },
+      { initials: 'AAA', score: 800, wave: 4, seed: 2 },
+    ]);
+  });
+
+  it('records only the versus players whose own score qualifies', () => {
+    const highScores = {
+      qualifies: (score) => score > 150,
+      add: vi.fn(),
+      entries: [],
+    };
+    const game = startGame({ mode: 'versus', highScores });
+    game.world.scores[0] = 100;
+    game.world.scores[1] = 200;
+    game.update(DT, [{}, {}]);
+
+    expect(enterEveryInitials(game)).toEqual(['PLAYER 2 HIGH SCORE 200']);
+    expect(highScores.add).toHaveBeenCalledOnce();
+    expect(highScores.add).toHaveBeenCalledWith({
+      initials: 'AAA',
+      score: 200,
+      wave: game.waves.wave,
+      seed: 1,
+    });
+  });
+
+  it('records a co-op team once, with their combined score', () => {
+    const highScores = { qualifies: () => true, add: vi.fn(), entries: [] };
+    const game = startGame({ mode: 'coop', highScores });
+    game.world.scores[0] = 100;
+    game.world.scores[1] = 200;
+    game.update(DT, [{}, {}]);
+
+    expect(enterEveryInitials(game)).toEqual(['NEW HIGH SCORE 300']);
+    expect(highScores.add).toHaveBeenCalledWith(
+      expect.objectContaining({ score: 300, seed: 1 }),
+    );
+  });
+
+  it('skips a later player the earlier entries pushed off the table', () => {
+    const entries = [];
+    const highScores = {
+      qualifies: (score) => entries.length === 0 && score > 0,
+      add: vi.fn((entry) => entries.push(entry)),
+      entries,
+    };
+    const game = startGame({ mode: 'alternating', highScores });
+    game.players[0].scoring.score = 500;
+    game.players[1].scoring.score = 400;
+
+    expect(enterEveryInitials(game)).toEqual(['PLAYER 1 HIGH SCORE 500']);
+    expect(entries).toHaveLength(1);
+    expect(game.state).toBe('attract');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Resize
+// ---------------------------------------------------------------------------
+
+describe('Game resize()', () => {
+  it('resizes both the attract and game worlds', () => {
+    const game = startGame({ width: 800, height: 600 });
+    game.resize(1000, 500);
+    expect(game.world.width).toBe(1000);
+    expect(game.attractWorld.height).toBe(500);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+describe('Game scoring', () => {
+  it('banks points scored in the world', () => {
+    const game = startGame();
+    game.world.scores[0] += 120;
+    game.update(DT, {});
+    expect(game.score).toBe(120);
+  });
+
+  it('awards an extra life at the wave threshold', () => {
+    const game = startGame();
+    game.world.scores[0] += game.waves.extraLifeThreshold;
+    game.update(DT, {});
+    expect(game.lives).toBe(STARTING_LIVES + 1);
+  });
+
+  it('draws the HUD with score, lives and best score', () => {
+    const game = startGame({
+      highScores: { best: 900, qualifies: () => false, entries: [] },
+    });
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(renderer.drawHud).toHaveBeenCalledWith(
+      expect.objectContaining({
+        score: 0,
+        lives: STARTING_LIVES,
+        highScore: 900,
+      }),
+    );
+  });
+
+  it('lists the high-score table on the attract screen', () => {
+    const game = new Game({
+      highScores: {
+        best: 900,
+        entries: [{ initials: 'ACE', score: 900 }],
+      },
+    });
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(texts(renderer).some((t) => t.includes('ACE'))).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Snapshots
+// ---------------------------------------------------------------------------
+
+describe('Game snapshots', () => {
+  /** A game a few seconds in, saved and loaded through JSON text. */
+  function savedSnapshot() {
+    const game = startGame();
+    game.world.ship.invulnerableTime = 10;
+    runFor(game, 2, { rotateLeft: true, fire: true });
+    game.world.scores[0] += 150;
+    game.update(DT, {});
+    return {
+      game,
+      snapshot: migrateSnapshot(JSON.parse(JSON.stringify(game.snapshot()))),
+    };
+  }
+
+  it('has nothing to save on the attract screen', () => {
+    expect(new Game().snapshot()).toBeNull();
+  });
+
+  it('captures world, wave and score while playing', () => {
+    const { game, snapshot } = savedSnapshot();
+    expect(snapshot.game.seed).toBe(game.seed);
+    expect(snapshot.game.world.rng).toEqual(game.world.rng.toJSON());
+    expect(snapshot.game.waves.wave).toBe(game.waves.wave);
+    expect(snapshot.game.scoring.score).toBe(game.score);
+  });
+
+  it('offers a saved game for resume', () => {
+    const { snapshot } = savedSnapshot();
+    const game = new Game({ seed: 1, savedGame: snapshot });
+    expect(game.state).toBe('resumeOffer');
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(texts(renderer)).toContain('RESUME SAVED GAME?');
+  });
+
+  it('keeps the offered snapshot until the player decides', () => {
+    const { snapshot } = savedSnapshot();
+    expect(new Game({ savedGame: snapshot }).snapshot()).toBe(snapshot);
+  });
+
+  it('resumes paused, exactly where the save left off', () => {
+    const { game: original, snapshot } = savedSnapshot();
+    const game = new Game({ seed: 1, savedGame: snapshot });
+    press(game, { fire: true });
+
+    expect(game.state).toBe('paused');
+    expect(game.score).toBe(original.score);
+    expect(game.lives).toBe(original.lives);
+    expect(game.waves.wave).toBe(original.waves.wave);
+    expect(game.world.toJSON()).toEqual(original.world.toJSON());
+
+    press(game, { pause: true });
+    expect(game.state).toBe('playing');
+  });
+
+  it('discards the save on hyperspace', () => {
+    const { snapshot } = savedSnapshot();
+    const game = new Game({ seed: 1, savedGame: snapshot });
+    press(game, { hyperspace: true });
+    expect(game.state).toBe('attract');
+    expect(game.snapshot()).toBeNull();
+  });
+
+  it('respawns a ship lost just before saving without another life', () => {
+    const original = startGame();
+    crashShip(original);
+    expect(original.state).toBe('lifeLost');
+    const snapshot = original.snapshot();
+
+    const game = new Game({ savedGame: snapshot });
+    press(game, { fire: true });
+    expect(game.world.ship).not.toBeNull();
+    expect(game.lives).toBe(STARTING_LIVES - 1);
+  });
+
+  it('goes straight to attract when the save cannot be decoded', () => {
+    const game = new Game({
+      savedGame: { version: 1, game: { world: { asteroids: 'nope' } } },
+    });
+    expect(game.state).toBe('attract');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Audio
+// ---------------------------------------------------------------------------
+
+describe('Game audio', () => {
+  function makeAudio() {
+    return {
+      play: vi.fn(),
+      handleEvents: vi.fn(),
+      setThrust: vi.fn(),
+      updateHeartbeat: vi.fn(),
+      silence: vi.fn(),
+    };
+  }
+
+  it('passes world events, thrust and the asteroid count on each step', () => {
+    const audio = makeAudio();
+    const game = startGame({ audio });
+    game.update(DT, { thrust: true, fire: true });
+
+    const events = audio.handleEvents.mock.lastCall[0];
+    expect(events.map((e) => e.type)).toContain('shotFired');
+    expect(audio.setThrust).toHaveBeenLastCalledWith(true);
+    expect(audio.updateHeartbeat).toHaveBeenLastCalledWith(
+      DT,
+      game.world.asteroids.length,
+    );
+  });
+
+  it('chimes when an extra life is awarded', () => {
+    const audio = makeAudio();
+    const game = startGame({ audio });
+    game.world.scores[0] = game.scoring.nextExtraLife;
+    game.update(DT, {});
+    expect(audio.play).toHaveBeenCalledWith('extraLife');
+  });
+
+  it('cuts the thrust when pausing', () => {
+    const audio = makeAudio();
+    const game = startGame({ audio });
+    game.update(DT, { thrust: true });
+    game.update(DT, { pause: true });
+    expect(game.state).toBe('paused');
+    expect(audio.setThrust).toHaveBeenLastCalledWith(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Two players
+// ---------------------------------------------------------------------------
+
+describe('Game mode select', () => {
+  it('cycles modes and friendly fire on the attract screen', () => {
+    const game = new Game();
+    press(game, { rotateRight: true });
+    expect(game.mode).toBe('alternating');
+    press(game, { rotateLeft: true });
+    press(game, { rotateLeft: true });
+    expect(game.mode).toBe('versus');
+    press(game, { hyperspace: true });
+    expect(game.friendlyFire).toBe(true);
+
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(texts(renderer)).toContain(
+      '◀ 2 PLAYERS VERSUS ▶   FRIENDLY FIRE ON',
+    );
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => new Game({ mode: 'battle' })).toThrow(RangeError);
+  });
+
+  it('does not save two-player games', () => {
+    expect(startGame({ mode: 'alternating' }).snapshot()).toBeNull();
+    expect(startGame({ mode: 'coop' }).snapshot()).toBeNull();
+  });
+});
+
+describe('Game alternating players', () => {
+  it('gives each player their own field', () => {
+    const game = startGame({ mode: 'alternating' });
+    const [one, two] = game.players;
+    expect(two.seed).toBe(one.seed + 1);
+    expect(two.world).not.toBe(one.world);
+    expect(two.scoring).not.toBe(one.scoring);
+    expect(game.world).toBe(one.world);
+  });
+
+  it('hands over to the other player when a ship is lost', () => {
+    const game = startGame({ mode: 'alternating' });
+    const [one, two] = game.players;
+    crashShip(game);
+    expect(game.state).toBe('lifeLost');
+
+    runFor(game, RESPAWN_DELAY + 0.1);
+    expect(game.state).toBe('playing');
+    expect(game.currentPlayer).toBe(1);
+    expect(game.world).toBe(two.world);
+    expect(game.lives).toBe(STARTING_LIVES);
+    expect(one.scoring.lives).toBe(STARTING_LIVES - 1);
+    // The rock player one crashed into still counts as theirs.
+    expect(game.score).toBe(one.scoring.score);
+    expect(two.scoring.score).toBe(0);
+
+    // Back to player one, who waits (announced) for their spawn point.
+    one.world.asteroids.push(
+      new Asteroid({
+        tier: 1,
+        x: game.width / 2,
+        y: game.height / 2,
+        vx: 0,
+        vy: 0,
+      }),
+    );
+    crashShip(game);
+    runFor(game, RESPAWN_DELAY + 0.1);
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(game.state).toBe('lifeLost');
+    expect(game.currentPlayer).toBe(0);
+    expect(texts(renderer)).toContain('PLAYER 1');
+  });
+
+  it('keeps playing whoever has lives left, then ends', () => {
+    const game = startGame({ mode: 'alternating' });
+    game.players[1].scoring.lives = 1;
+
+    crashShip(game);
+    game.world.asteroids.length = 0;
+    runFor(game, RESPAWN_DELAY + 0.1);
+    crashShip(game);
+    expect(game.currentPlayer).toBe(1);
+    game.world.asteroids.length = 0;
+    runFor(game, RESPAWN_DELAY + 0.1);
+    game.players[0].world.asteroids.length = 0;
+    game.update(DT, {});
+    expect(game.currentPlayer).toBe(0);
+    expect(game.state).toBe('playing');
+
+    game.scoring.lives = 1;
+    crashShip(game);
+    runFor(game, RESPAWN_DELAY + 0.1);
+    expect(game.state).toBe('gameOver');
+  });
+});
+
+describe('Game simultaneous players', () => {
+  it('puts both ships in one field either side of the centre', () => {
+    const game = startGame({ mode: 'coop', friendlyFire: true });
+    const { world } = game;
+    expect(game.players.every((p) => p.world === world)).toBe(true);
+    expect(world.friendlyFire).toBe(true);
+    expect(world.ships.map((s) => s.x)).toEqual([
+      game.width / 2 - SPAWN_OFFSET,
+      game.width / 2 + SPAWN_OFFSET,
+    ]);
+    expect(world.ships[1].player).toBe(1);
+  });
+
+  it("steers each ship with its own player's controls", () => {
+    const game = startGame({ mode: 'versus' });
+    game.update(DT, [{}, { fire: true }]);
+    expect(game.world.playerBullets[0].active).toHaveLength(0);
+    expect(game.world.playerBullets[1].active).toHaveLength(1);
+  });
+
+  it('pauses on either player’s pause button', () => {
+    const game = startGame({ mode: 'coop' });
+    game.update(DT, [{}, { pause: true }]);
+    expect(game.state).toBe('paused');
+  });
+
+  it('respawns a lost ship on its own while the other plays on', () => {
+    const game = startGame({ mode: 'coop' });
+    crashShip(game, 1);
+    expect(game.state).toBe('playing');
+    expect(game.world.ships[1]).toBeNull();
+    expect(game.players[1].scoring.lives).toBe(STARTING_LIVES - 1);
+    expect(game.players[0].scoring.lives).toBe(STARTING_LIVES);
+
+    game.world.asteroids.length = 0;
+    runFor(game, RESPAWN_DELAY + 0.1);
+    const ship = game.world.ships[1];
+    expect(ship.isInvulnerable).toBe(true);
+    expect(ship.player).toBe(1);
+    expect(ship.x).toBe(game.width / 2 + SPAWN_OFFSET);
+  });
+
+  it('ends once both players are out of lives', () => {
+    const game = startGame({ mode: 'coop' });
+    game.players[0].scoring.lives = 1;
+    game.players[1].scoring.lives = 1;
+    crashShip(game, 0);
+    expect(game.state).toBe('playing');
+    crashShip(game, 1);
+    expect(game.state).toBe('gameOver');
+  });
+
+  it('scores the team total in co-op and the best player in versus', () => {
+    for (const [mode, expected] of [
+      ['coop', 300],
+      ['versus', 200],
+    ]) {
+      const game = startGame({ mode });
+      game.world.scores[0] = 100;
+      game.world.scores[1] = 200;
+      game.update(DT, [{}, {}]);
+      expect(game.players.map((p) => p.scoring.score)).toEqual([100, 200]);
+      expect(game.score).toBe(expected);
+    }
+  });
+
+  it('draws both players in the HUD', () => {
+    const game = startGame({ mode: 'versus' });
+    game.world.scores[1] = 50;
+    game.update(DT, [{}, {}]);
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(renderer.drawHud).toHaveBeenCalledWith(
+      expect.objectContaining({
+        score: 0,
+        second: { score: 50, lives: STARTING_LIVES },
+      }),
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Events, stats and achievements
+// ---------------------------------------------------------------------------
+
+describe('Game events', () => {
+  function listen(game) {
+    const heard = [];
+    game.bus.on('*', (event) => heard.push(event.type));
+    return heard;
+  }
+
+  it('publishes its worlds’ events and its own on one bus', () => {
+    const game = new Game({ seed: 1, mode: 'alternating' });
+    const heard = listen(game);
+    press(game, { fire: true });
+    expect(heard).toEqual(['gameStarted']);
+
+    game.update(DT, { fire: true });
+    expect(heard).toContain('shotFired');
+    expect(game.players[1].world.bus).toBe(game.bus);
+  });
+
+  it('announces waves cleared and started', () => {
+    const game = startGame();
+    const heard = [];
+    game.bus.on('*', (event) => heard.push([event.type, event.wave]));
+    game.world.asteroids.length = 0;
+    runFor(game, game.waves.delay + 0.1);
+    expect(heard).toEqual([
+      ['waveCleared', 1],
+      ['waveStarted', 2],
+    ]);
+  });
+
+  it('announces game over with the final score', () => {
+    const game = startGame();
+    const over = vi.fn();
+    game.bus.on('gameOver', over);
+    game.scoring.lives = 1;
+    crashShip(game);
+    runFor(game, RESPAWN_DELAY + 0.1);
+    expect(game.state).toBe('gameOver');
+    expect(over).toHaveBeenCalledWith({ type: 'gameOver', score: game.score });
+  });
+
+  it('keeps the title screen’s world off the bus', () => {
+    const game = new Game({ seed: 1 });
+    expect(game.attractWorld.bus).not.toBe(game.bus);
+  });
+});
+
+describe('Game stats', () => {
+  it('counts what the players do and toasts achievements', () => {
+    const stats = new StatsTracker({ storage: null });
+    const game = startGame({ stats });
+    game.update(DT, { fire: true });
+    expect(stats.session.shotsFired).toBe(1);
+
+    stats.unlock('drifter');
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(texts(renderer)).toContain('ACHIEVEMENT: DRIFTER');
+  });
+
+  it('shows the stats screen from the title screen on thrust', () => {
+    const stats = new StatsTracker({ storage: null });
+    const game = new Game({ seed: 1, stats });
+    const renderer = makeRenderer();
+    game.render(renderer, 0);
+    expect(texts(renderer)).toContain('THRUST FOR STATS');
+
+    press(game, { thrust: true });
+    expect(game.state).toBe('stats');
+    renderer.drawText.mockClear();
+    game.render(renderer, 0);
+    expect(texts(renderer)).toContain('STATISTICS');
+    expect(texts(renderer).some((t) => t.startsWith('SHOTS FIRED'))).toBe(true);
+
+    press(game, { fire: true });
+    expect(game.state).toBe('attract');
+  });
+
+  it('has no stats screen without a tracker', () => {
+    const game = new Game({ seed: 1 });
+    press(game, { thrust: true });
+    expect(game.state).toBe('attract');
+  });
+});
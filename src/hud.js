@@ -0,0 +1,192 @@
+/**
+ * HUD module.
+ *
+ * Draws the score, high score and remaining lives.  Numbers are stroked as
+ * seven-segment vector digits rather than rendered with a font, so they
+ * match the line-drawn look of the rest of the game (and pick up the glow in
+ * vector mode).  Lives are shown as little copies of the ship outline.
+ */
+
+import { SHIP_SHAPE } from './ship.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Segment end points in a 1 × 2 cell (x right, y down):
+ *
+ *     ─a─
+ *    f   b
+ *     ─g─
+ *    e   c
+ *     ─d─
+ */
+const SEGMENTS = {
+  a: [0, 0, 1, 0],
+  b: [1, 0, 1, 1],
+  c: [1, 1, 1, 2],
+  d: [0, 2, 1, 2],
+  e: [0, 1, 0, 2],
+  f: [0, 0, 0, 1],
+  g: [0, 1, 1, 1],
+};
+
+/** Lit segments for each digit. */
+export const DIGIT_SEGMENTS = {
+  0: 'abcdef',
+  1: 'bc',
+  2: 'abged',
+  3: 'abgcd',
+  4: 'fgbc',
+  5: 'afgcd',
+  6: 'afgedc',
+  7: 'abc',
+  8: 'abcdefg',
+  9: 'abcdfg',
+};
+
+/** Horizontal advance per digit, as a fraction of digit height. */
+const DIGIT_ADVANCE = 0.75;
+
+/** Scale of the ship icons used for the lives readout. */
+const LIFE_ICON_SCALE = 0.7;
+
+/** Horizontal spacing between life icons (CSS pixels). */
+const LIFE_ICON_SPACING = 20;
+
+/** Distance of the HUD from the top / side edges (CSS pixels). */
+const HUD_MARGIN = 24;
+
+// ---------------------------------------------------------------------------
+// Digits
+// ---------------------------------------------------------------------------
+
+/**
+ * Add one digit's segments to the current path.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} digit – '0'–'9'
+ * @param {number} x     – left edge (CSS pixels)
+ * @param {number} y     – top edge (CSS pixels)
+ * @param {number} size  – digit height (CSS pixels)
+ */
+export function traceDigit(ctx, digit, x, y, size) {
+  const unit = size / 2;
+  for (const name of DIGIT_SEGMENTS[digit] ?? '') {
+    const [x1, y1, x2, y2] = SEGMENTS[name];
+    ctx.moveTo(x + x1 * unit, y + y1 * unit);
+    ctx.lineTo(x + x2 * unit, y + y2 * unit);
+  }
+}
+
+/**
+ * Stroke a non-negative integer as vector digits.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} value
+ * @param {number} x – anchor x (CSS pixels)
+ * @param {number} y – top edge (CSS pixels)
+ * @param {object} [opts]
+ * @param {number} [opts.size]  – digit height (CSS pixels)
+ * @param {'left' | 'center' | 'right'} [opts.align] – alignment about `x`
+ * @param {number} [opts.minDigits] – zero-pad to at least this many digits
+ */
+export function drawVectorNumber(
+  ctx,
+  value,
+  x,
+  y,
+  { size = 24, align = 'left', minDigits = 1 } = {},
+) {
+  const text = String(Math.max(0, Math.floor(value))).padStart(minDigits, '0');
+  const advance = size * DIGIT_ADVANCE;
+  const width = text.length * advance - (advance - size / 2);
+
+  let left = x;
+  if (align === 'center') left = x - width / 2;
+  else if (align === 'right') left = x - width;
+
+  ctx.beginPath();
+  for (let i = 0; i < text.length; i++) {
+    traceDigit(ctx, text[i], left + i * advance, y, size);
+  }
+  ctx.stroke();
+}
+
+// ---------------------------------------------------------------------------
+// Lives
+// ---------------------------------------------------------------------------
+
+/**
+ * Stroke one small upward-pointing ship per remaining life.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} lives
+ * @param {number} x – centre of the first icon (CSS pixels)
+ * @param {number} y – centre of the icons (CSS pixels)
+ */
+export function drawLives(ctx, lives, x, y) {
+  for (let i = 0; i < lives; i++) {
+    ctx.save();
+    ctx.translate(x + i * LIFE_ICON_SPACING, y);
+    ctx.rotate(-Math.PI / 2);
+    ctx.scale(LIFE_ICON_SCALE, LIFE_ICON_SCALE);
+    ctx.beginPath();
+    SHIP_SHAPE.forEach((v, n) =>
+      n === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y),
+    );
+    ctx.closePath();
+    ctx.restore();
+    // Stroke after restore so the line width isn't scaled down.
+    ctx.stroke();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// HUD
+// ---------------------------------------------------------------------------
+
+/**
+ * Draw the full HUD: score top-left with lives beneath it, and the best
+ * score centred along the top.  In two-player games the second player's
+ * score and lives mirror the first's at the top right.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} state
+ * @param {number} state.score
+ * @param {number} state.lives
+ * @param {number} [state.highScore]
+ * @param {number} state.width – playfield width (CSS pixels)
+ * @param {{ score: number, lives: number, colour?: string }} [state.second]
+ */
+export function drawHud(ctx, { score, lives, highScore = 0, width, second }) {
+  drawVectorNumber(ctx, score, HUD_MARGIN, HUD_MARGIN, {
+    size: 24,
+    minDigits: 2,
+  });
+  drawLives(ctx, lives, HUD_MARGIN + 8, HUD_MARGIN + 48);
+
+  if (second) {
+    ctx.save();
+    if (second.colour) ctx.strokeStyle = second.colour;
+    drawVectorNumber(ctx, second.score, width - HUD_MARGIN, HUD_MARGIN, {
+      size: 24,
+      align: 'right',
+      minDigits: 2,
+    });
+    // Icons run leftwards from the right edge.
+    const right = width - HUD_MARGIN - 8;
+    const first = right - (second.lives - 1) * LIFE_ICON_SPACING;
+    drawLives(ctx, second.lives, first, HUD_MARGIN + 48);
+    ctx.restore();
+  }
+
+  if (highScore > 0) {
+    drawVectorNumber(ctx, highScore, width / 2, HUD_MARGIN, {
+      size: 14,
+      align: 'center',
+      minDigits: 2,
+    });
+  }
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DIGIT_SEGMENTS,
+  traceDigit,
+  drawVectorNumber,
+  drawLives,
+  drawHud,
+} from './hud.js';
+
+/** Records every call made on a 2D context. */
+function makeStubContext() {
+  const calls = [];
+  return new Proxy(
+    { calls },
+    {
+      get(obj, key) {
+        if (key in obj) return obj[key];
+        return (...args) => calls.push({ name: key, args });
+      },
+      set() {
+        return true;
+      },
+    },
+  );
+}
+
+const count = (ctx, name) => ctx.calls.filter((c) => c.name === name).length;
+
+describe('traceDigit', () => {
+  it('draws one line per lit segment', () => {
+    for (const [digit, segments] of Object.entries(DIGIT_SEGMENTS)) {
+      const ctx = makeStubContext();
+      traceDigit(ctx, digit, 0, 0, 20);
+      expect(count(ctx, 'lineTo')).toBe(segments.length);
+    }
+  });
+
+  it('fits the digit inside a half-width box of the given height', () => {
+    const ctx = makeStubContext();
+    traceDigit(ctx, '8', 10, 10, 20);
+    for (const { args } of ctx.calls) {
+      expect(args[0]).toBeGreaterThanOrEqual(10);
+      expect(args[0]).toBeLessThanOrEqual(20);
+      expect(args[1]).toBeGreaterThanOrEqual(10);
+      expect(args[1]).toBeLessThanOrEqual(30);
+    }
+  });
+});
+
+describe('drawVectorNumber', () => {
+  it('strokes all digits in a single path', () => {
+    const ctx = makeStubContext();
+    drawVectorNumber(ctx, 1234, 0, 0);
+    expect(count(ctx, 'beginPath')).toBe(1);
+    expect(count(ctx, 'stroke')).toBe(1);
+    // 1 + 2 + 3 + 4 → 2 + 5 + 5 + 4 segments
+    expect(count(ctx, 'lineTo')).toBe(16);
+  });
+
+  it('zero-pads to the minimum digit count', () => {
+    const ctx = makeStubContext();
+    drawVectorNumber(ctx, 0, 0, 0, { minDigits: 2 });
+    expect(count(ctx, 'lineTo')).toBe(12);
+  });
+
+  it('right-aligns so the number ends at x', () => {
+    const ctx = makeStubContext();
+    drawVectorNumber(ctx, 7, 100, 0, { size: 20, align: 'right' });
+    const xs = ctx.calls.map((c) => c.args[0]).filter((v) => v !== undefined);
+    expect(Math.max(...xs)).toBeCloseTo(100);
+  });
+});
+
+describe('drawLives / drawHud', () => {
+  it('draws one ship icon per life', () => {
+    const ctx = makeStubContext();
+    drawLives(ctx, 3, 0, 0);
+    expect(count(ctx, 'stroke')).toBe(3);
+    expect(count(ctx, 'save')).toBe(count(ctx, 'restore'));
+  });
+
+  it('draws the high score only when there is one', () => {
+    const withBest = makeStubContext();
+    drawHud(withBest, { score: 10, lives: 0, highScore: 500, width: 800 });
+    const without = makeStubContext();
+    drawHud(without, { score: 10, lives: 0, highScore: 0, width: 800 });
+    expect(count(withBest, 'stroke')).toBe(count(without, 'stroke') + 1);
+  });
+
+  it('mirrors a second player at the top right', () => {
+    const one = makeStubContext();
+    drawHud(one, { score: 10, lives: 1, width: 800 });
+    const two = makeStubContext();
+    drawHud(two, {
+      score: 10,
+      lives: 1,
+      width: 800,
+      second: { score: 20, lives: 2, colour: '#4cf' },
+    });
+
+    // One more number and two more ship icons, all on the right half.
+    expect(count(two, 'stroke')).toBe(count(one, 'stroke') + 3);
+    const icons = two.calls.filter((c) => c.name === 'translate');
+    expect(icons.slice(1).every((c) => c.args[0] > 400)).toBe(true);
+    expect(count(two, 'save')).toBe(count(two, 'restore'));
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * App icon module.
+ *
+ * The installed app's icons are drawn from the game itself: the outline of
+ * a large Asteroid, grown from a fixed seed so every build draws the same
+ * rock, in the classic palette's line colour on its background.  They are
+ * generated at build time (see pwa.js) rather than checked in, so they
+ * always match the asteroid generator.
+ *
+ * Two forms come out of the same outline: an SVG for the favicon, and RGBA
+ * pixels (for PNG encoding) at each size the manifest lists.  Maskable
+ * icons keep the rock inside the central safe zone, since launchers may
+ * crop them to a circle.
+ */
+
+import { Asteroid } from './asteroid.js';
+import { Rng } from './rng.js';
+import { PALETTES } from './settings.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Seed of the asteroid on the icon. */
+export const ICON_SEED = 1979;
+
+/** Square PNG sizes listed in the manifest (pixels). */
+export const ICON_SIZES = [192, 512];
+
+/** Size of the icon iOS puts on the home screen (pixels). */
+export const APPLE_TOUCH_ICON_SIZE = 180;
+
+/** Space left around the rock, as a fraction of the icon's size. */
+const ICON_MARGIN = 0.1;
+
+/**
+ * Margin for maskable icons: the rock must fit the central circle of 80%
+ * of the icon's width, the part no launcher crops.
+ */
+const MASKABLE_MARGIN = 0.22;
+
+/** Outline width, as a fraction of the icon's size. */
+const LINE_WIDTH = 1 / 32;
+
+// ---------------------------------------------------------------------------
+// Geometry
+// ---------------------------------------------------------------------------
+
+/**
+ * The icon's asteroid outline, centred on its bounding box and scaled so
+ * its farthest vertex is 1 from the centre.
+ *
+ * @param {number} [seed]
+ * @returns {{ x: number, y: number }[]}
+ */
+export function iconShape(seed = ICON_SEED) {
+  const { shape } = new Asteroid({
+    tier: 1,
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    rng: new Rng(seed),
+  });
+  const xs = shape.map((p) => p.x);
+  const ys = shape.map((p) => p.y);
+  const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+  const reach = Math.max(...shape.map((p) => Math.hypot(p.x - cx, p.y - cy)));
+  return shape.map((p) => ({ x: (p.x - cx) / reach, y: (p.y - cy) / reach }));
+}
+
+/**
+ * The outline placed on an icon of the given size, in pixels.
+ *
+ * @param {number} size
+ * @param {object} [opts]
+ * @param {boolean} [opts.maskable] – keep within the maskable safe zone
+ * @param {number} [opts.seed]
+ * @returns {{ x: number, y: number }[]}
+ */
+export function iconOutline(size, { maskable = false, seed } = {}) {
+  const margin = maskable ? MASKABLE_MARGIN : ICON_MARGIN;
+  const half = size / 2;
+  const scale = half - size * margin;
+  return iconShape(seed).map((p) => ({
+    x: half + p.x * scale,
+    y: half + p.y * scale,
+  }));
+}
+
+/**
+ * Distance from a point to a line segment.
+ * @returns {number}
+ */
+function distanceToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq > 0
+      ? Math.min(Math.max(((px - a.x) * dx + (py - a.y) * dy) / lengthSq, 0), 1)
+      : 0;
+  return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
+
+/**
+ * Parse a `#rgb` or `#rrggbb` colour.
+ * @param {string} hex
+ * @returns {[number, number, number]}
+ */
+function parseColour(hex) {
+  const digits =
+    hex.length === 4
+      ? [...hex.slice(1)].map((d) => d + d).join('')
+      : hex.slice(1);
+  return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+/**
+ * Draw the icon into RGBA pixels: the outline stroked over an opaque
+ * background, anti-aliased by each pixel's distance from it.
+ *
+ * @param {number} size
+ * @param {object} [opts]
+ * @param {boolean} [opts.maskable]
+ * @param {number} [opts.seed]
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function rasteriseIcon(size, opts = {}) {
+  const { background, line } = PALETTES.classic;
+  const back = parseColour(background);
+  const fore = parseColour(line);
+  const outline = iconOutline(size, opts);
+  const halfWidth = (size * LINE_WIDTH) / 2;
+  const data = new Uint8Array(size * size * 4);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let distance = Infinity;
+      outline.forEach((a, i) => {
+        const b = outline[(i + 1) % outline.length];
+        distance = Math.min(
+          distance,
+          distanceToSegment(x + 0.5, y + 0.5, a, b),
+        );
+      });
+      const cover = Math.min(Math.max(halfWidth + 0.5 - distance, 0), 1);
+      const offset = (y * size + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[offset + c] = Math.round(back[c] + (fore[c] - back[c]) * cover);
+      }
+      data[offset + 3] = 255;
+    }
+  }
+  return { width: size, height: size, data };
+}
+
+/**
+ * The icon as an SVG document, for the favicon.
+ * @param {object} [opts]
+ * @param {number} [opts.seed]
+ * @returns {string}
+ */
+export function iconSvg({ seed } = {}) {
+  const { background, line } = PALETTES.classic;
+  const size = 100;
+  const points = iconOutline(size, { seed })
+    .map((p) => `${p.x.toFixed(2)},${p.y.toFixed(2)}`)
+    .join(' ');
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}">` +
+    `<rect width="${size}" height="${size}" fill="${background}"/>` +
+    `<polygon points="${points}" fill="none" stroke="${line}" ` +
+    `stroke-width="${size * LINE_WIDTH}" stroke-linejoin="round"/>` +
+    `</svg>`
+  );
+}
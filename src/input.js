@@ -0,0 +1,408 @@
+/**
+ * Input module.
+ *
+ * Maps physical inputs — keyboard keys, gamepad buttons / sticks and
+ * on-screen touch buttons — onto abstract game actions.  Devices only record
+ * raw state as events arrive; the game loop calls `poll()` once per
+ * simulation step to sample every device at once, so behaviour doesn't
+ * depend on the display frame rate.
+ *
+ * Keyboard bindings are remappable and persisted to localStorage.
+ *
+ * For local two-player games the keyboard is split: each player gets an
+ * InputManager with their own half of the keys (PLAYER_BINDINGS), their
+ * own storage key and, optionally, their own gamepad.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Every action the game understands. */
+export const ACTIONS = [
+  'rotateLeft',
+  'rotateRight',
+  'thrust',
+  'fire',
+  'hyperspace',
+  'pause',
+];
+
+/**
+ * Actions that fire once per press rather than continuously while held.
+ * Holding the pause key shouldn't flicker the game in and out of pause.
+ */
+export const EDGE_ACTIONS = new Set(['hyperspace', 'pause']);
+
+/** Default keyboard bindings (KeyboardEvent.code values). */
+export const DEFAULT_BINDINGS = {
+  rotateLeft: ['ArrowLeft', 'KeyA'],
+  rotateRight: ['ArrowRight', 'KeyD'],
+  thrust: ['ArrowUp', 'KeyW'],
+  fire: ['Space'],
+  hyperspace: ['ShiftLeft', 'KeyH'],
+  pause: ['KeyP', 'Escape'],
+};
+
+/**
+ * Gamepad bindings for the W3C "standard" mapping: button indices, plus an
+ * optional stick axis and direction that also triggers the action.
+ */
+export const GAMEPAD_BINDINGS = {
+  rotateLeft: { buttons: [14], axis: 0, direction: -1 },
+  rotateRight: { buttons: [15], axis: 0, direction: 1 },
+  thrust: { buttons: [7, 12] },
+  fire: { buttons: [0] },
+  hyperspace: { buttons: [1, 3] },
+  pause: { buttons: [9] },
+};
+
+/** Stick deflection needed to count as a press. */
+export const GAMEPAD_DEADZONE = 0.4;
+
+/** localStorage key holding the player's keyboard bindings. */
+export const BINDINGS_STORAGE_KEY = 'silica-asteroids.bindings';
+
+/**
+ * Split keyboard bindings for two players sharing one keyboard: WASD and
+ * Space for player one, the arrow keys and Enter for player two.  Both can
+ * pause.
+ */
+export const PLAYER_BINDINGS = [
+  {
+    rotateLeft: ['KeyA'],
+    rotateRight: ['KeyD'],
+    thrust: ['KeyW'],
+    fire: ['Space'],
+    hyperspace: ['KeyS'],
+    pause: ['KeyP', 'Escape'],
+  },
+  {
+    rotateLeft: ['ArrowLeft'],
+    rotateRight: ['ArrowRight'],
+    thrust: ['ArrowUp'],
+    fire: ['Enter'],
+    hyperspace: ['ArrowDown'],
+    pause: ['KeyP', 'Escape'],
+  },
+];
+
+/**
+ * localStorage key for one player's split bindings.
+ * @param {number} player – 0-based player index
+ * @returns {string}
+ */
+export function playerBindingsKey(player) {
+  return `${BINDINGS_STORAGE_KEY}.p${player + 1}`;
+}
+
+/** Labels for the on-screen touch buttons. */
+const TOUCH_LABELS = {
+  rotateLeft: '◀',
+  rotateRight: '▶',
+  thrust: '▲',
+  fire: '●',
+  hyperspace: '✦',
+  pause: 'Ⅱ',
+};
+
+// ---------------------------------------------------------------------------
+// Binding persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Deep-copy a bindings table.
+ * @param {Record<string, string[]>} bindings
+ * @returns {Record<string, string[]>}
+ */
+function copyBindings(bindings) {
+  return Object.fromEntries(
+    Object.entries(bindings).map(([action, codes]) => [action, [...codes]]),
+  );
+}
+
+/**
+ * Load keyboard bindings from storage, falling back to the defaults for any
+ * action that is missing or malformed.
+ *
+ * @param {Storage | null} storage
+ * @param {object} [opts]
+ * @param {string} [opts.key]      – storage key (default: BINDINGS_STORAGE_KEY)
+ * @param {Record<string, string[]>} [opts.defaults] – fallback bindings (default: DEFAULT_BINDINGS)
+ * @returns {Record<string, string[]>}
+ */
+export function loadBindings(
+  storage,
+  { key = BINDINGS_STORAGE_KEY, defaults = DEFAULT_BINDINGS } = {},
+) {
+  const bindings = copyBindings(defaults);
+
+  let saved = null;
+  try {
+    saved = JSON.parse(storage?.getItem(key) ?? 'null');
+  } catch {
+    // Corrupt entry: ignore it and keep the defaults.
+  }
+
+  if (saved && typeof saved === 'object') {
+    for (const action of ACTIONS) {
+      const codes = saved[action];
+      if (Array.isArray(codes) && codes.every((c) => typeof c === 'string')) {
+        bindings[action] = [...codes];
+      }
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * Persist keyboard bindings.  Storage failures (quota, private mode) are
+ * ignored: the bindings still apply for this session.
+ *
+ * @param {Storage | null} storage
+ * @param {Record<string, string[]>} bindings
+ * @param {string} [key] – storage key (default: BINDINGS_STORAGE_KEY)
+ */
+export function saveBindings(storage, bindings, key = BINDINGS_STORAGE_KEY) {
+  try {
+    storage?.setItem(key, JSON.stringify(bindings));
+  } catch {
+    // Not fatal.
+  }
+}
+
+// ---------------------------------------------------------------------------
+// InputManager class
+// ---------------------------------------------------------------------------
+
+export class InputManager {
+  /**
+   * @param {object} [opts]
+   * @param {EventTarget} [opts.target]  – where keyboard events are heard (default: window)
+   * @param {Storage | null} [opts.storage] – where bindings persist (default: localStorage)
+   * @param {() => (Gamepad | null)[]} [opts.getGamepads] – gamepad source (default: navigator.getGamepads)
+   * @param {Record<string, string[]>} [opts.defaults] – default keyboard bindings (default: DEFAULT_BINDINGS)
+   * @param {string} [opts.storageKey] – storage key for the bindings (default: BINDINGS_STORAGE_KEY)
+   * @param {number | null} [opts.gamepad] – only read the pad at this index; null reads every pad
+   */
+  constructor({
+    target = globalThis.window,
+    storage = globalThis.localStorage ?? null,
+    getGamepads = () => globalThis.navigator?.getGamepads?.() ?? [],
+    defaults = DEFAULT_BINDINGS,
+    storageKey = BINDINGS_STORAGE_KEY,
+    gamepad = null,
+  } = {}) {
+    this.target = target;
+    this.storage = storage;
+    this.getGamepads = getGamepads;
+    this.defaults = defaults;
+    this.storageKey = storageKey;
+    this.gamepad = gamepad;
+
+    /** Current keyboard bindings (action → key codes). */
+    this.bindings = loadBindings(storage, { key: storageKey, defaults });
+
+    /** Key codes currently held down. */
+    this.keysDown = new Set();
+
+    /**
+     * Key codes pressed since the last poll.  Catches taps that go down and
+     * up between two simulation steps, which `keysDown` alone would miss.
+     */
+    this.keysTapped = new Set();
+
+    /** Actions currently held via on-screen touch buttons. */
+    this.touchHeld = new Set();
+
+    /** Actions that were active at the previous poll (for edge detection). */
+    this.previous = new Set();
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+  }
+
+  // -------------------------------------------------------------------------
+  // Lifecycle
+  // -------------------------------------------------------------------------
+
+  /** Start listening for keyboard events. */
+  attach() {
+    this.target.addEventListener('keydown', this.onKeyDown);
+    this.target.addEventListener('keyup', this.onKeyUp);
+    this.target.addEventListener('blur', this.onBlur);
+  }
+
+  /** Stop listening for keyboard events. */
+  detach() {
+    this.target.removeEventListener('keydown', this.onKeyDown);
+    this.target.removeEventListener('keyup', this.onKeyUp);
+    this.target.removeEventListener('blur', this.onBlur);
+  }
+
+  /** @param {KeyboardEvent} e */
+  onKeyDown(e) {
+    if (!this.isBound(e.code)) return;
+    // Keep arrow keys / space from scrolling the page.
+    e.preventDefault();
+    if (!e.repeat) this.keysTapped.add(e.code);
+    this.keysDown.add(e.code);
+  }
+
+  /** @param {KeyboardEvent} e */
+  onKeyUp(e) {
+    this.keysDown.delete(e.code);
+  }
+
+  /** Release everything when the window loses focus (keyup never arrives). */
+  onBlur() {
+    this.keysDown.clear();
+    this.touchHeld.clear();
+  }
+
+  // -------------------------------------------------------------------------
+  // Polling
+  // -------------------------------------------------------------------------
+
+  /**
+   * Sample every device and return the action state for one simulation
+   * step.  Held actions are true for as long as any input for them is down;
+   * edge actions (see EDGE_ACTIONS) are true only on the step they start.
+   *
+   * @returns {Record<string, boolean>}
+   */
+  poll() {
+    const allPads = this.getGamepads() ?? [];
+    const pads =
+      this.gamepad === null ? allPads : [allPads[this.gamepad] ?? null];
+    const state = {};
+    const active = new Set();
+
+    for (const action of ACTIONS) {
+      const codes = this.bindings[action] ?? [];
+      const tapped = codes.some((c) => this.keysTapped.has(c));
+      const held =
+        codes.some((c) => this.keysDown.has(c)) ||
+        this.touchHeld.has(action) ||
+        pads.some((pad) => pad && gamepadActive(pad, action));
+
+      if (held) active.add(action);
+
+      state[action] = EDGE_ACTIONS.has(action)
+        ? tapped || (held && !this.previous.has(action))
+        : held || tapped;
+    }
+
+    this.previous = active;
+    this.keysTapped.clear();
+    return state;
+  }
+
+  // -------------------------------------------------------------------------
+  // Remapping
+  // -------------------------------------------------------------------------
+
+  /** Whether a key code is bound to any action. */
+  isBound(code) {
+    return ACTIONS.some((a) => this.bindings[a]?.includes(code));
+  }
+
+  /**
+   * Bind a key to an action, removing it from whichever action had it
+   * before, and persist the result.
+   *
+   * @param {string} action – one of ACTIONS
+   * @param {string} code   – KeyboardEvent.code to bind
+   * @param {object} [opts]
+   * @param {boolean} [opts.replace] – drop the action's other keys instead of adding to them
+   */
+  remap(action, code, { replace = false } = {}) {
+    if (!ACTIONS.includes(action)) {
+      throw new RangeError(`Unknown input action: ${action}`);
+    }
+
+    for (const a of ACTIONS) {
+      this.bindings[a] = this.bindings[a].filter((c) => c !== code);
+    }
+    this.bindings[action] = replace ? [code] : [...this.bindings[action], code];
+
+    saveBindings(this.storage, this.bindings, this.storageKey);
+  }
+
+  /** Restore and persist the default bindings. */
+  resetBindings() {
+    this.bindings = copyBindings(this.defaults);
+    saveBindings(this.storage, this.bindings, this.storageKey);
+  }
+
+  // -------------------------------------------------------------------------
+  // Touch controls
+  // -------------------------------------------------------------------------
+
+  /**
+   * Build on-screen buttons for every action inside `container`.  Each
+   * button holds its action while a pointer is down on it.
+   *
+   * @param {HTMLElement} container
+   * @returns {HTMLElement} the created control strip
+   */
+  createTouchControls(container) {
+    const doc = container.ownerDocument;
+    const strip = doc.createElement('div');
+    strip.className = 'touch-controls';
+
+    for (const action of ACTIONS) {
+      const button = doc.createElement('button');
+      button.type = 'button';
+      button.className = `touch-button touch-${action}`;
+      button.dataset.action = action;
+      button.textContent = TOUCH_LABELS[action];
+      button.setAttribute('aria-label', action);
+
+      const press = (e) => {
+        e.preventDefault();
+        button.setPointerCapture?.(e.pointerId);
+        this.touchHeld.add(action);
+      };
+      const release = () => this.touchHeld.delete(action);
+
+      button.addEventListener('pointerdown', press);
+      button.addEventListener('pointerup', release);
+      button.addEventListener('pointercancel', release);
+      button.addEventListener('lostpointercapture', release);
+
+      strip.appendChild(button);
+    }
+
+    container.appendChild(strip);
+    return strip;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Private helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a gamepad is currently triggering an action.
+ * @param {Gamepad} pad
+ * @param {string} action
+ * @returns {boolean}
+ */
+function gamepadActive(pad, action) {
+  const binding = GAMEPAD_BINDINGS[action];
+  if (!binding) return false;
+
+  if (binding.buttons.some((i) => pad.buttons[i]?.pressed)) {
+    return true;
+  }
+
+  if (binding.axis !== undefined) {
+    const value = pad.axes[binding.axis] ?? 0;
+    return value * binding.direction > GAMEPAD_DEADZONE;
+  }
+
+  return false;
+}
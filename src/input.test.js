@@ -0,0 +1,300 @@
+import { describe, it, expect } from 'vitest';
+import {
+  InputManager,
+  ACTIONS,
+  DEFAULT_BINDINGS,
+  BINDINGS_STORAGE_KEY,
+  PLAYER_BINDINGS,
+  playerBindingsKey,
+  loadBindings,
+  saveBindings,
+} from './input.js';
+
+// ---------------------------------------------------------------------------
+// Fakes
+// ---------------------------------------------------------------------------
+
+/** In-memory stand-in for localStorage. */
+function makeStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+function key(type, code, extra = {}) {
+  return Object.assign(new Event(type, { cancelable: true }), {
+    code,
+    repeat: false,
+    ...extra,
+  });
+}
+
+function makeInput({ storage = makeStorage(), pads = [] } = {}) {
+  const target = new EventTarget();
+  const input = new InputManager({
+    target,
+    storage,
+    getGamepads: () => pads,
+  });
+  input.attach();
+  return { input, target, storage };
+}
+
+/** Gamepad with all buttons released and sticks centred. */
+function makePad() {
+  return {
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false })),
+    axes: [0, 0, 0, 0],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Keyboard
+// ---------------------------------------------------------------------------
+
+describe('InputManager keyboard', () => {
+  it('reports every action, all false when idle', () => {
+    const { input } = makeInput();
+    const state = input.poll();
+    expect(Object.keys(state).sort()).toEqual([...ACTIONS].sort());
+    expect(Object.values(state).every((v) => v === false)).toBe(true);
+  });
+
+  it('holds an action while its key is down', () => {
+    const { input, target } = makeInput();
+    target.dispatchEvent(key('keydown', 'ArrowUp'));
+    expect(input.poll().thrust).toBe(true);
+    expect(input.poll().thrust).toBe(true);
+    target.dispatchEvent(key('keyup', 'ArrowUp'));
+    expect(input.poll().thrust).toBe(false);
+  });
+
+  it('does not lose a tap that starts and ends between polls', () => {
+    const { input, target } = makeInput();
+    target.dispatchEvent(key('keydown', 'Space'));
+    target.dispatchEvent(key('keyup', 'Space'));
+    expect(input.poll().fire).toBe(true);
+    expect(input.poll().fire).toBe(false);
+  });
+
+  it('triggers edge actions only on the first step of a press', () => {
+    const { input, target } = makeInput();
+    target.dispatchEvent(key('keydown', 'KeyP'));
+    expect(input.poll().pause).toBe(true);
+    expect(input.poll().pause).toBe(false);
+    target.dispatchEvent(key('keydown', 'KeyP', { repeat: true }));
+    expect(input.poll().pause).toBe(false);
+  });
+
+  it('prevents the default browser action for bound keys only', () => {
+    const { target } = makeInput();
+    const bound = key('keydown', 'ArrowLeft');
+    const unbound = key('keydown', 'KeyZ');
+    target.dispatchEvent(bound);
+    target.dispatchEvent(unbound);
+    expect(bound.defaultPrevented).toBe(true);
+    expect(unbound.defaultPrevented).toBe(false);
+  });
+
+  it('releases everything on blur', () => {
+    const { input, target } = makeInput();
+    target.dispatchEvent(key('keydown', 'ArrowLeft'));
+    input.poll();
+    target.dispatchEvent(new Event('blur'));
+    expect(input.poll().rotateLeft).toBe(false);
+  });
+
+  it('stops listening after detach()', () => {
+    const { input, target } = makeInput();
+    input.detach();
+    target.dispatchEvent(key('keydown', 'ArrowLeft'));
+    expect(input.poll().rotateLeft).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Gamepad & touch
+// ---------------------------------------------------------------------------
+
+describe('InputManager gamepad', () => {
+  it('maps standard buttons to actions', () => {
+    const pad = makePad();
+    const { input } = makeInput({ pads: [null, pad] });
+    pad.buttons[0].pressed = true;
+    expect(input.poll().fire).toBe(true);
+  });
+
+  it('maps the left stick to rotation beyond the deadzone', () => {
+    const pad = makePad();
+    const { input } = makeInput({ pads: [pad] });
+    pad.axes[0] = -0.2;
+    expect(input.poll().rotateLeft).toBe(false);
+    pad.axes[0] = -0.9;
+    const state = input.poll();
+    expect(state.rotateLeft).toBe(true);
+    expect(state.rotateRight).toBe(false);
+  });
+
+  it('reads only its own pad when given an index', () => {
+    const first = makePad();
+    const second = makePad();
+    const input = new InputManager({
+      target: new EventTarget(),
+      storage: makeStorage(),
+      getGamepads: () => [first, second],
+      gamepad: 1,
+    });
+    first.buttons[0].pressed = true;
+    expect(input.poll().fire).toBe(false);
+    second.buttons[0].pressed = true;
+    expect(input.poll().fire).toBe(true);
+  });
+});
+
+describe('InputManager touch', () => {
+  it('holds actions pressed on the on-screen buttons', () => {
+    const { input } = makeInput();
+    input.touchHeld.add('thrust');
+    expect(input.poll().thrust).toBe(true);
+    input.touchHeld.delete('thrust');
+    expect(input.poll().thrust).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Remapping & persistence
+// ---------------------------------------------------------------------------
+
+describe('InputManager remapping', () => {
+  it('binds a new key to an action', () => {
+    const { input, target } = makeInput();
+    input.remap('fire', 'KeyJ');
+    target.dispatchEvent(key('keydown', 'KeyJ'));
+    expect(input.poll().fire).toBe(true);
+  });
+
+  it('moves a key away from its previous action', () => {
+    const { input } = makeInput();
+    input.remap('fire', 'ArrowUp');
+    expect(input.bindings.thrust).not.toContain('ArrowUp');
+    expect(input.bindings.fire).toContain('ArrowUp');
+  });
+
+  it('can replace an action’s keys outright', () => {
+    const { input } = makeInput();
+    input.remap('fire', 'KeyJ', { replace: true });
+    expect(input.bindings.fire).toEqual(['KeyJ']);
+  });
+
+  it('rejects unknown actions', () => {
+    const { input } = makeInput();
+    expect(() => input.remap('warp', 'KeyX')).toThrow(RangeError);
+  });
+
+  it('persists bindings and restores them in a new session', () => {
+    const storage = makeStorage();
+    makeInput({ storage }).input.remap('fire', 'KeyJ', { replace: true });
+    const { input } = makeInput({ storage });
+    expect(input.bindings.fire).toEqual(['KeyJ']);
+  });
+
+  it('resetBindings() restores the defaults', () => {
+    const { input, storage } = makeInput();
+    input.remap('fire', 'KeyJ', { replace: true });
+    input.resetBindings();
+    expect(input.bindings).toEqual(DEFAULT_BINDINGS);
+    expect(loadBindings(storage)).toEqual(DEFAULT_BINDINGS);
+  });
+});
+
+describe('loadBindings / saveBindings', () => {
+  it('returns defaults when nothing is stored', () => {
+    expect(loadBindings(makeStorage())).toEqual(DEFAULT_BINDINGS);
+  });
+
+  it('returns defaults for corrupt JSON', () => {
+    const storage = makeStorage({ [BINDINGS_STORAGE_KEY]: '{nope' });
+    expect(loadBindings(storage)).toEqual(DEFAULT_BINDINGS);
+  });
+
+  it('ignores malformed entries but keeps valid ones', () => {
+    const storage = makeStorage({
+      [BINDINGS_STORAGE_KEY]: JSON.stringify({ fire: ['KeyK'], thrust: 7 }),
+    });
+    const bindings = loadBindings(storage);
+    expect(bindings.fire).toEqual(['KeyK']);
+    expect(bindings.thrust).toEqual(DEFAULT_BINDINGS.thrust);
+  });
+
+  it('survives a storage that throws', () => {
+    const broken = {
+      getItem() {
+        throw new Error('denied');
+      },
+      setItem() {
+        throw new Error('quota');
+      },
+    };
+    expect(() => saveBindings(broken, DEFAULT_BINDINGS)).not.toThrow();
+    expect(loadBindings(broken)).toEqual(DEFAULT_BINDINGS);
+  });
+
+  it('works without any storage', () => {
+    expect(loadBindings(null)).toEqual(DEFAULT_BINDINGS);
+  });
+});
+
+describe('split player bindings', () => {
+  function makePlayers(storage = makeStorage()) {
+    const target = new EventTarget();
+    const players = PLAYER_BINDINGS.map((defaults, i) => {
+      const input = new InputManager({
+        target,
+        storage,
+        getGamepads: () => [],
+        defaults,
+        storageKey: playerBindingsKey(i),
+      });
+      input.attach();
+      return input;
+    });
+    return { players, target, storage };
+  }
+
+  it('gives each player their own half of the keyboard', () => {
+    const { players, target } = makePlayers();
+    target.dispatchEvent(key('keydown', 'Space'));
+    target.dispatchEvent(key('keydown', 'ArrowLeft'));
+    const [one, two] = players.map((p) => p.poll());
+    expect(one).toMatchObject({ fire: true, rotateLeft: false });
+    expect(two).toMatchObject({ fire: false, rotateLeft: true });
+  });
+
+  it('keeps no key in both halves except pause', () => {
+    const codes = (bindings) =>
+      Object.entries(bindings)
+        .filter(([action]) => action !== 'pause')
+        .flatMap(([, list]) => list);
+    const [one, two] = PLAYER_BINDINGS.map(codes);
+    expect(one.filter((c) => two.includes(c))).toEqual([]);
+  });
+
+  it('persists each player under their own key', () => {
+    const { players, storage } = makePlayers();
+    players[1].remap('fire', 'ShiftRight', { replace: true });
+    expect(storage.getItem(BINDINGS_STORAGE_KEY)).toBeNull();
+    expect(loadBindings(storage, { key: playerBindingsKey(0) })).toEqual(
+      DEFAULT_BINDINGS,
+    );
+
+    const restored = makePlayers(storage).players;
+    expect(restored[1].bindings.fire).toEqual(['ShiftRight']);
+    expect(restored[0].bindings).toEqual(PLAYER_BINDINGS[0]);
+
+    restored[1].resetBindings();
+    expect(restored[1].bindings).toEqual(PLAYER_BINDINGS[1]);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Installed-app module.
+ *
+ * The browser side of the PWA (see pwa.js for the build side):
+ *
+ * - **AppUpdater** registers the service worker and notices when a new
+ *   version has installed and is waiting.  It only switches over when told
+ *   to — main.js does so on the title screen, never mid-game — and then
+ *   reloads the page into the new version once it has taken control.
+ * - **Fullscreen** — launched from the home screen the manifest already
+ *   hides the browser UI; lockLandscape() pins the orientation there, and
+ *   toggleFullscreen() gives a browser tab the same treatment.
+ *
+ * Everything browser-specific is passed in, so it all runs against
+ * stand-ins in tests.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Message asking a waiting service worker to take over. */
+export const SKIP_WAITING_MESSAGE = { type: 'skipWaiting' };
+
+/** Media query matching a launch in fullscreen display mode. */
+const FULLSCREEN_DISPLAY_QUERY = '(display-mode: fullscreen)';
+
+// ---------------------------------------------------------------------------
+// AppUpdater class
+// ---------------------------------------------------------------------------
+
+export class AppUpdater {
+  /**
+   * @param {object} opts
+   * @param {ServiceWorkerContainer | undefined} opts.container – `navigator.serviceWorker`; updates are off without one
+   * @param {string} opts.url – the service worker script
+   * @param {() => void} opts.reload – reloads the page
+   */
+  constructor({ container, url, reload }) {
+    this.container = container ?? null;
+    this.url = url;
+    this.reload = reload;
+
+    /** A new version installed and waiting to take over, or null. */
+    this.waiting = null;
+
+    /** Whether apply() has asked the waiting version to take over. */
+    this.applying = false;
+
+    /** @type {(() => void)[]} */
+    this.listeners = [];
+  }
+
+  /**
+   * Register a callback for a new version becoming ready to apply.
+   * @param {() => void} listener
+   */
+  onReady(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Register the service worker and start watching for new versions.
+   * @returns {Promise<ServiceWorkerRegistration | null>} null without service worker support
+   */
+  async register() {
+    const { container } = this;
+    if (!container) return null;
+
+    // Only reload for a takeover we asked for: the very first install
+    // claims the page too.
+    container.addEventListener('controllerchange', () => {
+      if (this.applying) this.reload();
+    });
+
+    const registration = await container.register(this.url);
+
+    // A version that finished installing on an earlier visit.
+    if (registration.waiting && container.controller) {
+      this.ready(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        // With no controller this is the first install, not an update.
+        if (worker.state === 'installed' && container.controller) {
+          this.ready(worker);
+        }
+      });
+    });
+    return registration;
+  }
+
+  /** Note a waiting version and report it. */
+  ready(worker) {
+    this.waiting = worker;
+    for (const listener of this.listeners) listener();
+  }
+
+  /**
+   * Have the waiting version take over; the page reloads once it has.
+   * @returns {boolean} whether there was a version to apply
+   */
+  apply() {
+    if (!this.waiting || this.applying) return false;
+    this.applying = true;
+    this.waiting.postMessage(SKIP_WAITING_MESSAGE);
+    return true;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Fullscreen and orientation
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether the app was launched in fullscreen display mode (installed, from
+ * the home screen).
+ * @param {Window} [win]
+ * @returns {boolean}
+ */
+export function launchedFullscreen(win = globalThis.window) {
+  return win?.matchMedia?.(FULLSCREEN_DISPLAY_QUERY).matches ?? false;
+}
+
+/**
+ * Lock the screen to landscape.  Browsers only allow it in fullscreen and
+ * desktops refuse it outright, so failure is expected and ignored.
+ * @param {Screen} [screen]
+ * @returns {Promise<boolean>} whether the lock took
+ */
+export async function lockLandscape(screen = globalThis.screen) {
+  try {
+    await screen.orientation.lock('landscape');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Enter fullscreen with the browser's navigation UI hidden and the screen
+ * locked to landscape, or leave fullscreen if already there.  Never
+ * rejects: a browser refusing either way just leaves things as they were.
+ * @param {Document} [doc]
+ * @param {Screen} [screen]
+ * @returns {Promise<boolean>} whether the page is now fullscreen
+ */
+export async function toggleFullscreen(
+  doc = globalThis.document,
+  screen = globalThis.screen,
+) {
+  if (doc.fullscreenElement) {
+    try {
+      await doc.exitFullscreen();
+    } catch {
+      return true;
+    }
+    return false;
+  }
+  try {
+    await doc.documentElement.requestFullscreen({ navigationUI: 'hide' });
+  } catch {
+    return false;
+  }
+  await lockLandscape(screen);
+  return true;
+}
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  AppUpdater,
+  SKIP_WAITING_MESSAGE,
+  launchedFullscreen,
+  lockLandscape,
+  toggleFullscreen,
+} from './install.js';
+
+/** Minimal EventTarget stand-in whose listeners can be fired by hand. */
+function makeTarget(props = {}) {
+  const listeners = {};
+  return {
+    ...props,
+    addEventListener: (type, listener) => {
+      (listeners[type] ??= []).push(listener);
+    },
+    fire: (type) => listeners[type]?.forEach((listener) => listener()),
+  };
+}
+
+/** A service worker container with a registration to hand back. */
+function makeContainer({ controller = {}, waiting = null } = {}) {
+  const registration = makeTarget({ waiting, installing: null });
+  const container = makeTarget({
+    controller,
+    register: vi.fn(async () => registration),
+  });
+  return { container, registration };
+}
+
+function makeUpdater(container) {
+  const reload = vi.fn();
+  const updater = new AppUpdater({ container, url: '/sw.js', reload });
+  const ready = vi.fn();
+  updater.onReady(ready);
+  return { updater, reload, ready };
+}
+
+// ---------------------------------------------------------------------------
+// AppUpdater
+// ---------------------------------------------------------------------------
+
+describe('AppUpdater', () => {
+  it('does nothing without service worker support', async () => {
+    const { updater } = makeUpdater(undefined);
+    expect(await updater.register()).toBeNull();
+    expect(updater.apply()).toBe(false);
+  });
+
+  it('reports a new version once it has installed', async () => {
+    const { container, registration } = makeContainer();
+    const { updater, ready } = makeUpdater(container);
+    await updater.register();
+    expect(container.register).toHaveBeenCalledWith('/sw.js');
+
+    const worker = makeTarget({ state: 'installing' });
+    registration.installing = worker;
+    registration.fire('updatefound');
+    expect(ready).not.toHaveBeenCalled();
+
+    worker.state = 'installed';
+    worker.fire('statechange');
+    expect(ready).toHaveBeenCalledOnce();
+    expect(updater.waiting).toBe(worker);
+  });
+
+  it('picks up a version left waiting by an earlier visit', async () => {
+    const waiting = { postMessage: vi.fn() };
+    const { container } = makeContainer({ waiting });
+    const { updater, ready } = makeUpdater(container);
+    await updater.register();
+    expect(ready).toHaveBeenCalledOnce();
+    expect(updater.waiting).toBe(waiting);
+  });
+
+  it('treats the very first install as no update at all', async () => {
+    const { container, registration } = makeContainer({ controller: null });
+    const { updater, ready, reload } = makeUpdater(container);
+    await updater.register();
+
+    const worker = makeTarget({ state: 'installed' });
+    registration.installing = worker;
+    registration.fire('updatefound');
+    worker.fire('statechange');
+    container.fire('controllerchange');
+    expect(ready).not.toHaveBeenCalled();
+    expect(reload).not.toHaveBeenCalled();
+  });
+
+  it('switches over only when applied, then reloads', async () => {
+    const waiting = { postMessage: vi.fn() };
+    const { container } = makeContainer({ waiting });
+    const { updater, reload } = makeUpdater(container);
+    await updater.register();
+
+    expect(updater.apply()).toBe(true);
+    expect(updater.apply()).toBe(false);
+    expect(waiting.postMessage).toHaveBeenCalledOnce();
+    expect(waiting.postMessage).toHaveBeenCalledWith(SKIP_WAITING_MESSAGE);
+    expect(reload).not.toHaveBeenCalled();
+
+    container.fire('controllerchange');
+    expect(reload).toHaveBeenCalledOnce();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Fullscreen and orientation
+// ---------------------------------------------------------------------------
+
+describe('fullscreen', () => {
+  it('detects a fullscreen launch', () => {
+    const win = (matches) => ({ matchMedia: () => ({ matches }) });
+    expect(launchedFullscreen(win(true))).toBe(true);
+    expect(launchedFullscreen(win(false))).toBe(false);
+    expect(launchedFullscreen({})).toBe(false);
+  });
+
+  it('locks to landscape where allowed', async () => {
+    const lock = vi.fn(async () => {});
+    expect(await lockLandscape({ orientation: { lock } })).toBe(true);
+    expect(lock).toHaveBeenCalledWith('landscape');
+
+    const refuse = async () => {
+      throw new Error('NotSupportedError');
+    };
+    expect(await lockLandscape({ orientation: { lock: refuse } })).toBe(false);
+    expect(await lockLandscape({})).toBe(false);
+  });
+
+  it('enters fullscreen without browser UI, and leaves it again', async () => {
+    const requestFullscreen = vi.fn(async () => {
+      doc.fullscreenElement = doc.documentElement;
+    });
+    const doc = {
+      fullscreenElement: null,
+      documentElement: { requestFullscreen },
+      exitFullscreen: vi.fn(async () => {
+        doc.fullscreenElement = null;
+      }),
+    };
+    const screen = { orientation: { lock: vi.fn(async () => {}) } };
+
+    expect(await toggleFullscreen(doc, screen)).toBe(true);
+    expect(requestFullscreen).toHaveBeenCalledWith({ navigationUI: 'hide' });
+    expect(screen.orientation.lock).toHaveBeenCalledWith('landscape');
+
+    expect(await toggleFullscreen(doc, screen)).toBe(false);
+    expect(doc.exitFullscreen).toHaveBeenCalled();
+  });
+
+  it('stays put when the browser refuses either way', async () => {
+    const refuse = async () => {
+      throw new TypeError('Permissions check failed');
+    };
+    const windowed = {
+      fullscreenElement: null,
+      documentElement: { requestFullscreen: refuse },
+    };
+    expect(await toggleFullscreen(windowed, {})).toBe(false);
+
+    const fullscreen = { fullscreenElement: {}, exitFullscreen: refuse };
+    expect(await toggleFullscreen(fullscreen, {})).toBe(true);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Game loop module.
+ *
+ * Runs the simulation at a fixed timestep using an accumulator, independent of
+ * the display refresh rate, and hands the renderer an interpolation factor so
+ * drawing stays smooth between simulation steps.
+ *
+ * The loop itself never touches the DOM: `advance()` can be driven manually
+ * (e.g. from tests), and `start()` only looks up `requestAnimationFrame` when
+ * it is actually called.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Length of one simulation step (seconds). */
+export const SIMULATION_STEP = 1 / 60;
+
+/**
+ * Longest frame time (seconds) the loop will try to catch up on.  After a
+ * tab switch or debugger pause the browser can report a gap of many seconds;
+ * clamping it stops the simulation from running hundreds of steps in a row
+ * (the "spiral of death") and teleporting everything across the screen.
+ */
+export const MAX_FRAME_TIME = 0.25;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Linearly interpolate between the previous and current value of a property.
+ *
+ * @param {number} previous – value at the start of the last simulation step
+ * @param {number} current  – value at the end of the last simulation step
+ * @param {number} alpha    – blend factor in [0, 1)
+ * @returns {number}
+ */
+export function interpolate(previous, current, alpha) {
+  return previous + (current - previous) * alpha;
+}
+
+// ---------------------------------------------------------------------------
+// Loop factory
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a fixed-timestep game loop.
+ *
+ * @param {object} opts
+ * @param {(dt: number) => void} opts.update       – advance the simulation by exactly `dt` seconds
+ * @param {(alpha: number) => void} [opts.render]  – draw the scene; `alpha` is how far (0–1) we are between the last two steps
+ * @param {number} [opts.step]                     – simulation step length (seconds)
+ * @param {number} [opts.maxFrameTime]             – clamp for a single frame's elapsed time (seconds)
+ * @param {number} [opts.timeScale]                – simulated seconds per real second (slow motion below 1)
+ * @returns {{
+ *   advance: (frameTime: number) => { steps: number, alpha: number },
+ *   setTimeScale: (scale: number) => void,
+ *   start: () => void,
+ *   stop: () => void,
+ *   isRunning: () => boolean,
+ * }}
+ */
+export function createGameLoop({
+  update,
+  render,
+  step = SIMULATION_STEP,
+  maxFrameTime = MAX_FRAME_TIME,
+  timeScale = 1,
+}) {
+  let accumulator = 0;
+  let lastTimestamp = null;
+  let running = false;
+  let frameHandle = null;
+
+  /**
+   * Feed `frameTime` seconds of wall-clock time into the loop, running as
+   * many fixed simulation steps as fit, then render once.
+   */
+  function advance(frameTime) {
+    accumulator += Math.min(Math.max(frameTime, 0), maxFrameTime) * timeScale;
+
+    let steps = 0;
+    while (accumulator >= step) {
+      update(step);
+      accumulator -= step;
+      steps++;
+    }
+
+    const alpha = accumulator / step;
+    render?.(alpha);
+
+    return { steps, alpha };
+  }
+
+  /** requestAnimationFrame callback; `timestamp` is in milliseconds. */
+  function onFrame(timestamp) {
+    if (!running) return;
+
+    const frameTime =
+      lastTimestamp === null ? 0 : (timestamp - lastTimestamp) / 1000;
+    lastTimestamp = timestamp;
+
+    advance(frameTime);
+    frameHandle = requestAnimationFrame(onFrame);
+  }
+
+  /**
+   * Change how fast simulated time passes.  Steps stay `step` long; fewer
+   * (or more) of them run per second.
+   */
+  function setTimeScale(scale) {
+    if (!(scale > 0)) throw new RangeError(`Invalid time scale: ${scale}`);
+    timeScale = scale;
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    lastTimestamp = null;
+    frameHandle = requestAnimationFrame(onFrame);
+  }
+
+  function stop() {
+    running = false;
+    if (frameHandle !== null) {
+      cancelAnimationFrame(frameHandle);
+      frameHandle = null;
+    }
+  }
+
+  function isRunning() {
+    return running;
+  }
+
+  return { advance, setTimeScale, start, stop, isRunning };
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createGameLoop,
+  interpolate,
+  SIMULATION_STEP,
+  MAX_FRAME_TIME,
+} from './loop.js';
+
+// ---------------------------------------------------------------------------
+// interpolate()
+// ---------------------------------------------------------------------------
+
+describe('interpolate', () => {
+  it('returns the previous value at alpha 0', () => {
+    expect(interpolate(10, 20, 0)).toBe(10);
+  });
+
+  it('returns the midpoint at alpha 0.5', () => {
+    expect(interpolate(10, 20, 0.5)).toBe(15);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// advance() — fixed stepping
+// ---------------------------------------------------------------------------
+
+describe('createGameLoop — advance()', () => {
+  it('runs one update per full step of elapsed time', () => {
+    const update = vi.fn();
+    const loop = createGameLoop({ update, step: 0.01 });
+    const { steps } = loop.advance(0.035);
+    expect(steps).toBe(3);
+    expect(update).toHaveBeenCalledTimes(3);
+  });
+
+  it('always passes the fixed step to update', () => {
+    const update = vi.fn();
+    const loop = createGameLoop({ update });
+    loop.advance(SIMULATION_STEP * 2.5);
+    for (const call of update.mock.calls) {
+      expect(call[0]).toBe(SIMULATION_STEP);
+    }
+  });
+
+  it('carries leftover time into the next frame', () => {
+    const update = vi.fn();
+    const loop = createGameLoop({ update, step: 0.01 });
+    loop.advance(0.006);
+    expect(update).not.toHaveBeenCalled();
+    loop.advance(0.006);
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  it('renders once per frame with the leftover fraction as alpha', () => {
+    const render = vi.fn();
+    const loop = createGameLoop({ update: () => {}, render, step: 0.01 });
+    loop.advance(0.025);
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(render.mock.calls[0][0]).toBeCloseTo(0.5);
+  });
+
+  it('clamps long stalls to MAX_FRAME_TIME', () => {
+    const update = vi.fn();
+    const loop = createGameLoop({ update, step: 0.01 });
+    loop.advance(10); // e.g. returning from a background tab
+    expect(update.mock.calls.length).toBeLessThanOrEqual(
+      Math.ceil(MAX_FRAME_TIME / 0.01),
+    );
+  });
+
+  it('ignores negative frame times', () => {
+    const update = vi.fn();
+    const loop = createGameLoop({ update, step: 0.01 });
+    loop.advance(-1);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('runs fewer steps of the same length at a lower time scale', () => {
+    const update = vi.fn();
+    const loop = createGameLoop({ update, step: 1 / 64, timeScale: 0.5 });
+    loop.advance(0.25);
+    expect(update).toHaveBeenCalledTimes(8);
+    expect(update).toHaveBeenCalledWith(1 / 64);
+
+    loop.setTimeScale(1);
+    loop.advance(0.25);
+    expect(update).toHaveBeenCalledTimes(24);
+    expect(() => loop.setTimeScale(0)).toThrow(RangeError);
+  });
+});
@@ -1,30 +1,364 @@
 /**
  * Application entry point.
  *
- * Imports the canvas renderer and runs a basic render loop that clears the
- * screen each frame.  This serves as verification that the canvas module is
- * wired up correctly: you should see a solid black fullscreen canvas with no
- * scrollbars that stays crisp on retina displays and resizes smoothly.
+ * Wires the canvas renderer to a fixed-timestep game loop.  The game is
+ * advanced in `update()` at a constant rate, while `render()` runs once per
+ * display frame and interpolates entity transforms between the last two
+ * simulation steps.
+ *
+ * The game owns its own dimensions; the canvas only tells it when the
+ * viewport changes size.  Input is polled once per simulation step, and the
+ * game pauses itself whenever the page is hidden.  In simultaneous
+ * two-player modes the keyboard is split (WASD + Space and the arrows +
+ * Enter) and each player reads their own gamepad.
+ *
+ * A game in progress is saved when the page goes away (`pagehide`) and
+ * offered for resume on the next load.
+ *
+ * Every game is recorded as a replay.  R downloads the last finished game's
+ * replay; dropping a replay file onto the page plays it back, with Space to
+ * pause, 1 / 2 / 4 for speed, `.` to step a frame and Escape to stop.
+ *
+ * Sound starts on the first click, key or touch (browsers won't allow it
+ * sooner).  M mutes; - and = turn the master volume down and up.
+ *
+ * `?worker` draws from a Web Worker on an OffscreenCanvas where the browser
+ * supports it, leaving the main thread to the simulation.  `?stress=N`
+ * replaces the game with a field of N drifting asteroids for measuring the
+ * renderer.
+ *
+ * Accessibility settings persist between visits: C cycles the colour palette,
+ * X toggles reduced motion (on by default when the system asks for it) and
+ * [ and ] slow the game down and speed it back up.  Progress is announced
+ * to screen readers through a live region beside the canvas.
+ *
+ * Statistics and achievements are kept across visits too; thrust on the
+ * title screen shows them, and achievements are announced as they unlock.
+ *
+ * `?online` plays a two-player game through a relay server (`npm run relay`)
+ * instead: `?online=ws://host:port` names the relay, and `room`, `sync`
+ * (snapshot or lockstep) and `mode` (coop or versus) choose the session.
+ * Each window plays with the full keyboard.
+ *
+ * Production builds are an installable app that plays offline (see
+ * pwa.js).  A new version is picked up in the background and switched to
+ * on the title screen, never mid-game.  Launched from the home screen the
+ * game runs fullscreen in landscape; in a browser tab F toggles the same.
  */
 
-import { canvas, ctx, getWidth, getHeight, clear } from './canvas.js';
+import { Viewport, findCanvas } from './canvas.js';
+import { createGameLoop } from './loop.js';
+import { Game } from './game.js';
+import { Renderer } from './renderer.js';
+import { RemoteRenderer, supportsRemoteRendering } from './remote-renderer.js';
+import { StressScene, DEFAULT_STRESS_COUNT } from './stress.js';
+import { InputManager, PLAYER_BINDINGS, playerBindingsKey } from './input.js';
+import { HighScoreTable } from './scoring.js';
+import { loadSnapshot, saveSnapshot, clearSnapshot } from './snapshot.js';
+import { ReplayPlayer } from './replay.js';
+import { AudioEngine } from './audio.js';
+import { NetClient } from './net-client.js';
+import { DEFAULT_RELAY_PORT } from './net-protocol.js';
+import { Settings } from './settings.js';
+import { Announcer, findLiveRegion } from './announcer.js';
+import { StatsTracker } from './stats.js';
+import {
+  AppUpdater,
+  launchedFullscreen,
+  lockLandscape,
+  toggleFullscreen,
+} from './install.js';
+
+const viewport = new Viewport(findCanvas());
+viewport.attach();
 
 // Log initial state so DPI scaling can be verified in the console
 console.log(
-  `[main] canvas ready — logical: ${getWidth()}×${getHeight()}, ` +
-    `buffer: ${canvas.width}×${canvas.height}`,
+  `[main] canvas ready — logical: ${viewport.width}×${viewport.height}, ` +
+    `buffer: ${viewport.canvas.width}×${viewport.canvas.height}`,
+);
+
+const params = new URLSearchParams(window.location.search);
+
+const storage = globalThis.localStorage ?? null;
+
+// A save is consumed as soon as it's offered; pagehide writes a fresh one if
+// there is still a game worth resuming.
+const savedGame = loadSnapshot(storage);
+clearSnapshot(storage);
+
+const settings = new Settings({
+  storage,
+  prefersReducedMotion:
+    window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false,
+});
+const announcer = new Announcer(findLiveRegion());
+
+const stats = new StatsTracker({ storage });
+stats.onUnlock(({ title, description }) =>
+  announcer.say(`Achievement unlocked: ${title}. ${description}`),
 );
 
+const audio = new AudioEngine({ storage });
+audio.attach();
+
+window.addEventListener('keydown', (e) => {
+  if (e.code === 'KeyM') audio.toggleMute();
+  if (e.code === 'Minus') audio.setMasterVolume(audio.settings.master - 0.1);
+  if (e.code === 'Equal') audio.setMasterVolume(audio.settings.master + 0.1);
+});
+
+const game = new Game({
+  width: viewport.width,
+  height: viewport.height,
+  highScores: new HighScoreTable({ storage }),
+  savedGame,
+  record: true,
+  audio,
+  stats,
+});
+viewport.onResize((width, height) => game.resize(width, height));
+document.addEventListener('visibilitychange', () =>
+  game.handleVisibilityChange(document.hidden),
+);
+window.addEventListener('pagehide', () => {
+  const snapshot = game.snapshot();
+  if (snapshot) saveSnapshot(storage, snapshot);
+  else clearSnapshot(storage);
+});
+
+const input = new InputManager();
+input.attach();
+input.createTouchControls(document.body);
+
+/** Split keyboard halves and gamepads for simultaneous two-player games. */
+const playerInputs = PLAYER_BINDINGS.map((defaults, i) => {
+  const playerInput = new InputManager({
+    defaults,
+    storageKey: playerBindingsKey(i),
+    gamepad: i,
+  });
+  playerInput.attach();
+  return playerInput;
+});
+
+// `?crt` enables the vector-monitor look and `?debug` the debug overlay;
+// both can also be toggled at runtime (V and ` respectively).
+const look = {
+  vector: params.has('crt'),
+  debug: params.has('debug'),
+  palette: settings.palette,
+  reducedMotion: settings.values.reducedMotion,
+};
+
+/** Worker-backed renderer, or null when drawing on the main thread. */
+let remote = null;
+if (params.has('worker') && supportsRemoteRendering()) {
+  const worker = new Worker(new URL('./render-worker.js', import.meta.url), {
+    type: 'module',
+  });
+  remote = new RemoteRenderer(
+    worker,
+    viewport.transferToOffscreen(),
+    viewport,
+    look,
+  );
+  viewport.onResize((width, height, dpr) =>
+    remote.resize(width, height, dpr),
+  );
+}
+const renderer = remote ?? new Renderer(viewport.getContext(), look);
+
+window.addEventListener('keydown', (e) => {
+  if (e.code === 'Backquote') renderer.toggleDebug();
+  if (e.code === 'KeyV') renderer.toggleVector();
+});
+
 // ---------------------------------------------------------------------------
-// Render loop
+// Replays
 // ---------------------------------------------------------------------------
 
-function frame() {
-  clear();
+/** Replay being played back, or null during normal play. */
+let player = null;
+
+function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `silica-asteroids-${replay.seed}-${replay.final.score}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+window.addEventListener('keydown', (e) => {
+  if (!player) {
+    if (e.code === 'KeyR' && game.lastReplay) downloadReplay(game.lastReplay);
+    return;
+  }
+
+  if (e.code === 'Space') player.togglePause();
+  if (e.code === 'Digit1') player.setSpeed(1);
+  if (e.code === 'Digit2') player.setSpeed(2);
+  if (e.code === 'Digit4') player.setSpeed(4);
+  if (e.code === 'Period') player.stepFrame();
+  if (e.code === 'Escape') player = null;
+});
 
-  // Future game rendering will go here.
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  const file = e.dataTransfer?.files[0];
+  if (!file) return;
 
-  requestAnimationFrame(frame);
+  try {
+    const replay = JSON.parse(await file.text());
+    player = new ReplayPlayer(replay, Game.forReplay(replay));
+  } catch (err) {
+    console.warn(`[main] could not play replay: ${err.message}`);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Stress scene
+// ---------------------------------------------------------------------------
+
+/** Renderer stress scene, shown instead of the game for `?stress=N`. */
+let stress = null;
+if (params.has('stress')) {
+  stress = new StressScene({
+    count: Number(params.get('stress')) || DEFAULT_STRESS_COUNT,
+    width: viewport.width,
+    height: viewport.height,
+  });
+  viewport.onResize((width, height) => stress.resize(width, height));
+}
+
+// ---------------------------------------------------------------------------
+// Online play
+// ---------------------------------------------------------------------------
+
+/** Connection to a relay server, shown instead of the game for `?online`. */
+let online = null;
+if (params.has('online')) {
+  online = new NetClient({
+    url:
+      params.get('online') ||
+      `ws://${window.location.hostname}:${DEFAULT_RELAY_PORT}`,
+    room: params.get('room') ?? undefined,
+    sync: params.get('sync') ?? undefined,
+    mode: params.get('mode') ?? undefined,
+    width: viewport.width,
+    height: viewport.height,
+  });
+  online
+    .connect()
+    .catch((err) => console.warn(`[main] could not go online: ${err.message}`));
+}
+
+// ---------------------------------------------------------------------------
+// Update / render
+// ---------------------------------------------------------------------------
+
+function update(dt) {
+  // Keep polling every device during playback (and whichever set the mode
+  // doesn't use) so edge-triggered actions don't fire the moment it ends.
+  const shared = input.poll();
+  const split = playerInputs.map((playerInput) => playerInput.poll());
+  const controls = game.simultaneous ? split : shared;
+  if (stress) stress.update(dt);
+  else if (online) online.update(dt, shared);
+  else if (player) player.update();
+  else {
+    game.update(dt, controls);
+    announcer.update(dt, {
+      state: game.state,
+      score: game.score,
+      lives: game.lives,
+      wave: game.waves.wave,
+    });
+    // Nothing is lost by reloading on the title screen.
+    if (game.state === 'attract') updater.apply();
+  }
+}
+
+function render(alpha) {
+  // Drop the frame rather than queue it while the worker is still drawing.
+  if (remote?.busy) return;
+
+  if (stress) stress.render(renderer, alpha);
+  else if (online) online.render(renderer, alpha);
+  else if (player) player.render(renderer, alpha);
+  else game.render(renderer, alpha);
+  remote?.flush();
+
+  // Thin out particle effects while frames are running over budget.
+  if (renderer.frameTime !== null) {
+    (player?.game ?? game).particles.reportFrameTime(renderer.frameTime);
+  }
 }
 
-requestAnimationFrame(frame);
+// ---------------------------------------------------------------------------
+// Start
+// ---------------------------------------------------------------------------
+
+const loop = createGameLoop({ update, render });
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+function applySettings({ reducedMotion, gameSpeed }) {
+  const { palette } = settings;
+  renderer.palette = palette;
+  renderer.reducedMotion = reducedMotion;
+  viewport.background = palette.background;
+  document.body.style.background = palette.background;
+  // An online game runs on the relay's clock.
+  loop.setTimeScale(online ? 1 : gameSpeed);
+}
+applySettings(settings.values);
+settings.onChange(applySettings);
+
+window.addEventListener('keydown', (e) => {
+  if (e.code === 'KeyC') {
+    settings.cyclePalette();
+    announcer.say(`${settings.palette.label} colours`);
+  }
+  if (e.code === 'KeyX') {
+    settings.toggleReducedMotion();
+    announcer.say(
+      `Reduced motion ${settings.values.reducedMotion ? 'on' : 'off'}`,
+    );
+  }
+  if (e.code === 'BracketLeft' || e.code === 'BracketRight') {
+    settings.stepGameSpeed(e.code === 'BracketLeft' ? -1 : 1);
+    announcer.say(`Game speed ${settings.values.gameSpeed * 100}%`);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Installed app
+// ---------------------------------------------------------------------------
+
+// No service worker in the dev server: it would serve stale modules.
+const updater = new AppUpdater({
+  container: import.meta.env.PROD ? navigator.serviceWorker : undefined,
+  url: `${import.meta.env.BASE_URL}sw.js`,
+  reload: () => window.location.reload(),
+});
+updater.onReady(() => {
+  game.toasts.push('UPDATE READY');
+  announcer.say('An update is ready. It loads at the title screen.');
+});
+updater
+  .register()
+  .catch((err) =>
+    console.warn(`[main] could not register service worker: ${err.message}`),
+  );
+
+if (launchedFullscreen()) lockLandscape();
+window.addEventListener('keydown', (e) => {
+  if (e.code === 'KeyF') toggleFullscreen();
+});
+
+loop.start();
@@ -0,0 +1,434 @@
+/**
+ * Network client module.
+ *
+ * Plays an online two-player game hosted by the relay server (relay.js).
+ * It stands in for a local Game in the main loop: `update()` once per
+ * simulation step with the polled controls, `render()` once per display
+ * frame.  Nothing here touches the DOM, and the socket constructor is
+ * injectable, so headless clients can play from tests.
+ *
+ * With snapshot sync the server's world is authoritative.  The client
+ * draws it one snapshot behind, interpolating each asteroid (matched by
+ * its network id), saucer and remote ship between the last two snapshots.
+ * Its own ship is predicted: controls are applied locally straight away
+ * and kept until the server acknowledges them; each snapshot resets the
+ * ship to the server's version and replays the unacknowledged controls on
+ * top (reconciliation).
+ *
+ * With lockstep sync the client runs its own copy of the game from the
+ * shared seed and advances it only with the controls the server relays,
+ * so every copy stays identical.
+ */
+
+import { Game } from './game.js';
+import { World } from './world.js';
+import { Ship } from './ship.js';
+import { interpolate } from './loop.js';
+import { maskFromControls } from './replay.js';
+import {
+  LOCKSTEP_INPUT_DELAY,
+  controlsFromMasks,
+  encodeMessage,
+  decodeMessage,
+} from './net-protocol.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Point an entity's interpolation origin at where it was in the previous
+ * snapshot — unless it wrapped round an edge in between, when it is drawn
+ * where it is now rather than streaking across the screen.
+ *
+ * @param {object} entity – from the newer snapshot
+ * @param {object | undefined} before – the same entity in the older one
+ * @param {{ width: number, height: number }} bounds
+ */
+function interpolateFrom(entity, before, bounds) {
+  const jumped =
+    !before ||
+    Math.abs(entity.x - before.x) > bounds.width / 2 ||
+    Math.abs(entity.y - before.y) > bounds.height / 2;
+  entity.prevX = jumped ? entity.x : before.x;
+  entity.prevY = jumped ? entity.y : before.y;
+  entity.prevRotation = jumped ? entity.rotation : before.rotation;
+}
+
+// ---------------------------------------------------------------------------
+// NetClient class
+// ---------------------------------------------------------------------------
+
+export class NetClient {
+  /**
+   * @param {object} opts
+   * @param {string} opts.url – relay address, e.g. `ws://localhost:8787`
+   * @param {string} [opts.room] – room to join
+   * @param {'snapshot' | 'lockstep'} [opts.sync] – requested sync, if opening the room
+   * @param {'coop' | 'versus'} [opts.mode] – requested game mode, if opening the room
+   * @param {number} [opts.width] – playfield width until the server sends its own
+   * @param {number} [opts.height] – playfield height until the server sends its own
+   * @param {(url: string) => WebSocket} [opts.createSocket] – socket factory (default: the global WebSocket)
+   */
+  constructor({
+    url,
+    room = 'lobby',
+    sync = 'snapshot',
+    mode = 'coop',
+    width = 800,
+    height = 600,
+    createSocket = (address) => new globalThis.WebSocket(address),
+  }) {
+    this.url = url;
+    this.room = room;
+    this.createSocket = createSocket;
+
+    /** Sync and game mode: as requested until the server says otherwise. */
+    this.sync = sync;
+    this.mode = mode;
+
+    /** Open socket, once connect() has been called. */
+    this.socket = null;
+
+    /** This client's player index, once welcomed. */
+    this.player = null;
+
+    /** Session settings from the welcome message. */
+    this.seed = null;
+    this.width = width;
+    this.height = height;
+    this.step = 0;
+
+    /** Whether both players are in and the game has begun. */
+    this.started = false;
+
+    /** Players who have disconnected. */
+    this.departed = new Set();
+
+    /** Whether the server has ended the session at game over. */
+    this.ended = false;
+
+    /** Last error reported by the server, if any. */
+    this.error = null;
+
+    // --- Snapshot sync -----------------------------------------------------
+
+    /** Seconds of simulation stepped locally; the interpolation clock. */
+    this.clock = 0;
+
+    /** Seq of the last input sent. */
+    this.seq = 0;
+
+    /** Seq of the last input the server has applied. */
+    this.acked = 0;
+
+    /**
+     * Inputs sent but not yet applied by the server, oldest first.
+     * @type {{ seq: number, controls: Record<string, boolean> }[]}
+     */
+    this.pending = [];
+
+    /**
+     * The last two snapshots, oldest first, with their worlds decoded.
+     * @type {{ tick: number, receivedAt: number, state: string, ids: number[], world: World, scores: number[], lives: number[] }[]}
+     */
+    this.snapshots = [];
+
+    /** Own ship as predicted from unacknowledged inputs, or null. */
+    this.predicted = null;
+
+    // --- Lockstep sync -----------------------------------------------------
+
+    /** Local copy of the game (lockstep), created on welcome. */
+    this.game = null;
+
+    /** Ticks played locally (lockstep). */
+    this.tick = 0;
+
+    /** Next tick to send controls for (lockstep). */
+    this.sentTick = 0;
+  }
+
+  /** Most recent snapshot, if any. */
+  get latest() {
+    return this.snapshots.at(-1) ?? null;
+  }
+
+  /** Name of the game's state, as far as this client knows. */
+  get state() {
+    if (this.sync === 'lockstep') return this.game?.state ?? null;
+    return this.latest?.state ?? null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Connection
+  // -------------------------------------------------------------------------
+
+  /**
+   * Connect and join the room.
+   * @returns {Promise<object>} the welcome message
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.createSocket(this.url);
+      this.socket = socket;
+
+      socket.addEventListener('open', () => {
+        this.send({
+          type: 'join',
+          room: this.room,
+          sync: this.sync,
+          mode: this.mode,
+        });
+      });
+      socket.addEventListener('message', (e) => {
+        let message;
+        try {
+          message = decodeMessage(e.data, 'server');
+          this.receive(message);
+        } catch (err) {
+          // A bad frame is reported like a server error, not thrown out of
+          // the socket's listener.  Rejecting is a no-op once welcomed.
+          this.error = err.message;
+          reject(err);
+          return;
+        }
+        if (message.type === 'welcome') resolve(message);
+        if (message.type === 'error') reject(new Error(message.message));
+      });
+      socket.addEventListener('error', () =>
+        reject(new Error(`Could not connect to ${this.url}`)),
+      );
+      socket.addEventListener('close', () =>
+        reject(new Error('Connection closed before joining')),
+      );
+    });
+  }
+
+  /** Leave the session. */
+  close() {
+    this.socket?.close();
+  }
+
+  /** @param {{ type: string }} message */
+  send(message) {
+    this.socket.send(encodeMessage(message));
+  }
+
+  /**
+   * Handle one message from the server.
+   * @param {{ type: string }} message
+   */
+  receive(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.welcome(message);
+        break;
+      case 'start':
+        this.started = true;
+        this.game?.beginGame();
+        break;
+      case 'snapshot':
+        this.receiveSnapshot(message);
+        break;
+      case 'step':
+        this.game.update(this.step, controlsFromMasks(message.masks));
+        this.tick = message.tick + 1;
+        break;
+      case 'left':
+        this.departed.add(message.player);
+        break;
+      case 'ended':
+        this.ended = true;
+        break;
+      case 'error':
+        this.error = message.message;
+        break;
+    }
+  }
+
+  /** Take on the session's settings. */
+  welcome({ player, seed, width, height, step, sync, mode }) {
+    Object.assign(this, { player, seed, width, height, step, sync, mode });
+    if (sync === 'lockstep') {
+      this.game = new Game({ seed, width, height, mode });
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Loop hooks
+  // -------------------------------------------------------------------------
+
+  /**
+   * Send this step's controls to the server and, with snapshot sync, fly
+   * the predicted ship with them.
+   *
+   * @param {number} dt
+   * @param {Record<string, boolean>} controls – polled input actions
+   */
+  update(dt, controls) {
+    if (!this.started || this.ended) return;
+
+    if (this.sync === 'lockstep') {
+      // Run no further ahead of the confirmed ticks than the input delay.
+      if (this.sentTick >= this.tick + LOCKSTEP_INPUT_DELAY) return;
+      this.send({
+        type: 'input',
+        tick: this.sentTick++,
+        mask: maskFromControls(controls),
+      });
+      return;
+    }
+
+    this.clock += dt;
+    const seq = ++this.seq;
+    this.send({ type: 'input', seq, mask: maskFromControls(controls) });
+    this.pending.push({ seq, controls });
+    if (this.predicted) this.predict(this.predicted, controls);
+  }
+
+  /**
+   * Draw the game as this client sees it.
+   * @param {import('./renderer.js').Renderer} renderer
+   * @param {number} alpha
+   */
+  render(renderer, alpha) {
+    if (this.game) {
+      this.game.render(renderer, alpha);
+      return;
+    }
+
+    const { latest } = this;
+    if (!latest) {
+      renderer.beginFrame(this.width, this.height);
+      renderer.drawText(
+        'WAITING FOR PLAYERS',
+        this.width / 2,
+        this.height / 2,
+        { size: 24 },
+      );
+      return;
+    }
+
+    renderer.render(this.view(alpha), this.interpolation());
+    const [first, second] = latest.lives.map((lives, p) => ({
+      score: latest.scores[p],
+      lives,
+    }));
+    renderer.drawHud({ ...first, width: this.width, second });
+    if (this.ended) {
+      renderer.drawText('GAME OVER', this.width / 2, this.height / 2, {
+        size: 40,
+      });
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Snapshot sync
+  // -------------------------------------------------------------------------
+
+  /**
+   * Keep a new snapshot and reconcile the predicted ship with it.
+   * @param {object} message
+   */
+  receiveSnapshot({ tick, state, acks, ids, world, scores, lives }) {
+    const snapshot = {
+      tick,
+      receivedAt: this.clock,
+      state,
+      ids,
+      world: World.fromJSON(world),
+      scores,
+      lives,
+    };
+    this.snapshots = [this.latest, snapshot].filter(Boolean);
+    this.reconcile(snapshot.world.ships[this.player], acks[this.player]);
+  }
+
+  /**
+   * Restart prediction from the server's ship, replaying every input the
+   * server hasn't applied yet.
+   *
+   * @param {Ship | null} serverShip
+   * @param {number} ack – seq of the last input the server applied
+   */
+  reconcile(serverShip, ack) {
+    this.acked = ack;
+    this.pending = this.pending.filter((input) => input.seq > ack);
+
+    if (!serverShip) {
+      this.predicted = null;
+      return;
+    }
+    this.predicted = Ship.fromJSON(serverShip.toJSON());
+    for (const { controls } of this.pending) {
+      this.predict(this.predicted, controls);
+    }
+  }
+
+  /**
+   * Fly a ship one step locally.  Only movement is predicted: shots and
+   * hyperspace jumps come from the server.
+   */
+  predict(ship, controls) {
+    ship.update(this.step, controls);
+    this.latest.world.wrap(ship);
+  }
+
+  /**
+   * How far (0–1) drawing has got from the older snapshot to the newer.
+   * Snapshots are drawn one interval late so there is always a pair to
+   * blend between.
+   * @returns {number}
+   */
+  interpolation() {
+    const [older, newer] = this.snapshots;
+    if (!newer) return 1;
+    const span = (newer.tick - older.tick) * this.step;
+    if (span <= 0) return 1;
+    return Math.min(Math.max((this.clock - newer.receivedAt) / span, 0), 1);
+  }
+
+  /**
+   * The newest snapshot's world, set up to be drawn between the last two
+   * snapshots, with the predicted ship in place of the server's.
+   *
+   * @param {number} alpha – loop interpolation factor for the predicted ship
+   * @returns {World}
+   */
+  view(alpha) {
+    const [older, newer = older] = this.snapshots;
+    const { world } = newer;
+
+    if (older !== newer) {
+      const before = new Map(
+        older.world.asteroids.map((a, i) => [older.ids[i], a]),
+      );
+      world.asteroids.forEach((asteroid, i) => {
+        interpolateFrom(asteroid, before.get(newer.ids[i]), world.bounds);
+      });
+      world.ships.forEach((ship, p) => {
+        if (ship) interpolateFrom(ship, older.world.ships[p], world.bounds);
+      });
+      if (world.saucer) {
+        interpolateFrom(world.saucer, older.world.saucer, world.bounds);
+      }
+    }
+
+    // The predicted ship runs on the local loop, so it is pinned to its
+    // loop-interpolated transform whatever the snapshot blend is.
+    const { predicted } = this;
+    if (predicted) {
+      const ship = Ship.fromJSON(predicted.toJSON());
+      ship.x = ship.prevX = interpolate(predicted.prevX, predicted.x, alpha);
+      ship.y = ship.prevY = interpolate(predicted.prevY, predicted.y, alpha);
+      ship.rotation = ship.prevRotation = interpolate(
+        predicted.prevRotation,
+        predicted.rotation,
+        alpha,
+      );
+      world.ships[this.player] = ship;
+    }
+    return world;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Network protocol module.
+ *
+ * Messages exchanged between NetClient (net-client.js) and the relay
+ * server (relay.js) over a WebSocket, as JSON text.  Controls travel as
+ * replay bitmasks (see replay.js).
+ *
+ * Client → server:
+ *
+ * - `{ type: 'join', room, sync, mode }` – join (or open) a room
+ * - `{ type: 'input', seq, tick, mask }` – one simulation step's controls;
+ *   `seq` numbers them for acknowledgement, `tick` is the step they are for
+ *   (lockstep only)
+ *
+ * Server → client:
+ *
+ * - `{ type: 'welcome', player, seed, width, height, step, sync, mode, players }`
+ * - `{ type: 'start' }` – every seat is taken; the game begins
+ * - `{ type: 'snapshot', tick, state, acks, ids, world, scores, lives }` –
+ *   the authoritative world (snapshot sync); `acks[p]` is the last input
+ *   seq applied for player p and `ids` names each asteroid so clients can
+ *   interpolate between snapshots
+ * - `{ type: 'step', tick, masks }` – every player's controls for one tick
+ *   (lockstep sync)
+ * - `{ type: 'left', player }` – a player disconnected
+ * - `{ type: 'ended', scores }` – the game is over and the session plays
+ *   no further; inputs are ignored from then on
+ * - `{ type: 'error', message }`
+ */
+
+import { controlsFromMask } from './replay.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Port the relay listens on by default. */
+export const DEFAULT_RELAY_PORT = 8787;
+
+/**
+ * How sessions are kept in step:
+ *
+ * - `snapshot` – the server simulates and broadcasts its world; clients
+ *   interpolate it and predict their own ship
+ * - `lockstep` – the server gathers every player's controls for each tick
+ *   and relays them; every client (and the server) simulates the same game
+ *   from the shared seed
+ */
+export const SYNC_MODES = ['snapshot', 'lockstep'];
+
+/** Game modes a networked session can play (see Game). */
+export const NET_GAME_MODES = ['coop', 'versus'];
+
+/** Players per room. */
+export const ROOM_SIZE = 2;
+
+/** Server ticks between snapshots (snapshot sync): 20 per second. */
+export const SNAPSHOT_INTERVAL = 3;
+
+/** Ticks a lockstep client may run ahead of the last confirmed tick. */
+export const LOCKSTEP_INPUT_DELAY = 3;
+
+/** Message types each side accepts. */
+const CLIENT_MESSAGES = new Set(['join', 'input']);
+const SERVER_MESSAGES = new Set([
+  'welcome',
+  'start',
+  'snapshot',
+  'step',
+  'left',
+  'ended',
+  'error',
+]);
+
+// ---------------------------------------------------------------------------
+// Controls
+// ---------------------------------------------------------------------------
+
+/**
+ * Per-player controls for one tick from each player's mask.  Online games
+ * can't be paused by one player, so pause is always off.  Server and
+ * lockstep clients both go through here, so they play identical controls.
+ *
+ * @param {number[]} masks
+ * @returns {Record<string, boolean>[]}
+ */
+export function controlsFromMasks(masks) {
+  return masks.map((mask) => ({ ...controlsFromMask(mask), pause: false }));
+}
+
+// ---------------------------------------------------------------------------
+// Encoding
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialise a message for the wire.
+ * @param {{ type: string }} message
+ * @returns {string}
+ */
+export function encodeMessage(message) {
+  return JSON.stringify(message);
+}
+
+/**
+ * Parse a message from the wire and check its type.
+ *
+ * @param {string | Buffer} data
+ * @param {'client' | 'server'} from – which side sent it
+ * @returns {{ type: string }}
+ * @throws {SyntaxError} on malformed JSON
+ * @throws {TypeError} on an unknown message type
+ */
+export function decodeMessage(data, from) {
+  const message = JSON.parse(String(data));
+  const known = from === 'client' ? CLIENT_MESSAGES : SERVER_MESSAGES;
+  if (!message || !known.has(message.type)) {
+    throw new TypeError(`Unknown ${from} message: ${message?.type}`);
+  }
+  return message;
+}
@@ -0,0 +1,412 @@
+/**
+ * Particle effects module.
+ *
+ * Purely cosmetic: debris, sparks and thrust exhaust.  Particles are pooled
+ * like bullets — the system allocates its full complement up front and
+ * recycles expired particles rather than creating garbage every explosion.
+ *
+ * Three kinds of particle:
+ *
+ * - **debris** — a line segment cut from an edge of the destroyed body's
+ *   outline, tumbling away from its centre.
+ * - **spark** — a bright dot thrown out of an explosion or impact.
+ * - **exhaust** — a short-lived dot streaming from the ship's tail.
+ *
+ * Every particle inherits part of its source's velocity, lives for a fixed
+ * time and fades out over it.  When frames take longer than the budget,
+ * `quality` drops and fewer particles are spawned until things recover.
+ *
+ * Particles draw from their own random source, never the world's, so they
+ * can't disturb the deterministic simulation (or replays).
+ */
+
+import { Rng } from './rng.js';
+import { wrapDelta } from './collision.js';
+import { SHIP_SHAPE } from './ship.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Pool size: the most particles alive at once. */
+export const MAX_PARTICLES = 400;
+
+/** Lifetime range per kind (seconds). */
+export const PARTICLE_LIFETIMES = {
+  debris: [0.8, 1.4],
+  spark: [0.3, 0.7],
+  exhaust: [0.15, 0.3],
+};
+
+/** Sparks thrown out by a destroyed asteroid, by tier (before scaling). */
+export const SPARKS_PER_TIER = { 1: 16, 2: 10, 3: 6 };
+
+/** Sparks for a hit that doesn't destroy (armour), a lost ship and a saucer. */
+const IMPACT_SPARKS = 5;
+const SHIP_SPARKS = 24;
+const SAUCER_SPARKS = 16;
+
+/** Fraction of the source's velocity a particle inherits. */
+export const VELOCITY_INHERITANCE = 0.6;
+
+/** Outward speed range for debris and sparks (px / s). */
+const DEBRIS_SPEED = [20, 60];
+const SPARK_SPEED = [60, 160];
+
+/** Exhaust: speed out of the tail (px / s), spread (radians) and rate. */
+const EXHAUST_SPEED = [80, 140];
+const EXHAUST_SPREAD = 0.35;
+const EXHAUST_PER_STEP = 2;
+
+/** Frame budget (ms) and the smoothing applied to measured frame times. */
+export const FRAME_BUDGET_MS = 1000 / 60;
+const FRAME_TIME_SMOOTHING = 0.1;
+
+/**
+ * Quality adjustment: multiply by QUALITY_DECAY each over-budget frame,
+ * add QUALITY_RECOVERY each frame comfortably under it.
+ */
+const QUALITY_DECAY = 0.9;
+const QUALITY_RECOVERY = 0.01;
+
+/** Never drop below this, so explosions don't vanish entirely. */
+export const MIN_QUALITY = 0.2;
+
+// ---------------------------------------------------------------------------
+// Particle class
+// ---------------------------------------------------------------------------
+
+export class Particle {
+  constructor() {
+    /** 'debris' | 'spark' | 'exhaust' */
+    this.kind = 'spark';
+
+    /** Position and velocity. */
+    this.x = 0;
+    this.y = 0;
+    this.vx = 0;
+    this.vy = 0;
+
+    /** Debris only: segment angle, tumble speed and length. */
+    this.rotation = 0;
+    this.spin = 0;
+    this.length = 0;
+
+    /** Seconds left to live, and the total it started with. */
+    this.life = 0;
+    this.maxLife = 1;
+
+    /** Transform at the start of the last step (for interpolation). */
+    this.prevX = 0;
+    this.prevY = 0;
+    this.prevRotation = 0;
+  }
+
+  /** Remaining opacity: 1 when fresh, fading to 0 at the end of its life. */
+  get alpha() {
+    return Math.max(0, this.life / this.maxLife);
+  }
+
+  /**
+   * Integrate forward by `dt` seconds.
+   * @param {number} dt
+   */
+  update(dt) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.rotation += this.spin * dt;
+    this.life -= dt;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// ParticleSystem class
+// ---------------------------------------------------------------------------
+
+export class ParticleSystem {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxParticles] – pool size
+   * @param {import('./rng.js').Rng} [opts.rng] – random source (cosmetic only)
+   */
+  constructor({ maxParticles = MAX_PARTICLES, rng = new Rng() } = {}) {
+    this.rng = rng;
+
+    /** Particles alive. @type {Particle[]} */
+    this.active = [];
+
+    /** Spare particles ready for reuse. @type {Particle[]} */
+    this.pool = Array.from({ length: maxParticles }, () => new Particle());
+
+    /** Spawn-count multiplier in [MIN_QUALITY, 1], lowered under load. */
+    this.quality = 1;
+
+    /** Smoothed frame time (ms), or null before the first report. */
+    this.frameTime = null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Simulation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Age and move every particle, wrapping at the world edges, and recycle
+   * the expired ones.
+   *
+   * @param {number} dt
+   * @param {{ width: number, height: number }} [bounds]
+   */
+  update(dt, bounds) {
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      const p = this.active[i];
+      p.update(dt);
+
+      if (p.life <= 0) {
+        this.release(i);
+        continue;
+      }
+
+      if (bounds) wrapParticle(p, bounds);
+    }
+  }
+
+  /** Remove every particle (e.g. when a new game starts). */
+  clear() {
+    while (this.active.length) this.release(this.active.length - 1);
+  }
+
+  /**
+   * React to what happened in the world during the last step (see
+   * World.events).
+   * @param {{ type: string }[]} events
+   */
+  handleEvents(events) {
+    for (const event of events) {
+      switch (event.type) {
+        case 'asteroidDestroyed':
+          this.explodeAsteroid(event.asteroid);
+          break;
+        case 'asteroidHit':
+          this.sparks(event.impact, event.asteroid, IMPACT_SPARKS);
+          break;
+        case 'shipDestroyed':
+          this.explodeShip(event.ship);
+          break;
+        case 'saucerDestroyed':
+          this.debris(event.saucer, event.saucer.shape);
+          this.sparks(event.saucer, event.saucer, SAUCER_SPARKS);
+          break;
+      }
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Emitters
+  // -------------------------------------------------------------------------
+
+  /**
+   * Shatter an asteroid: debris from its outline plus sparks.
+   * @param {import('./asteroid.js').Asteroid} asteroid
+   */
+  explodeAsteroid(asteroid) {
+    this.debris(asteroid, asteroid.shape);
+    this.sparks(asteroid, asteroid, SPARKS_PER_TIER[asteroid.tier] ?? 8);
+  }
+
+  /**
+   * Blow up the ship: its outline comes apart and throws sparks.
+   * @param {import('./ship.js').Ship} ship
+   */
+  explodeShip(ship) {
+    this.debris(ship, SHIP_SHAPE);
+    this.sparks(ship, ship, SHIP_SPARKS);
+  }
+
+  /**
+   * One line segment per edge of `shape` (thinned out at low quality),
+   * placed where the edge is in the world and drifting outward.
+   *
+   * @param {{ x: number, y: number, vx: number, vy: number, rotation: number }} body
+   * @param {{ x: number, y: number }[]} shape – outline in the body's frame
+   */
+  debris(body, shape) {
+    const { rng } = this;
+    const cos = Math.cos(body.rotation);
+    const sin = Math.sin(body.rotation);
+
+    for (let i = 0; i < shape.length; i++) {
+      if (rng.next() > this.quality) continue;
+
+      const a = shape[i];
+      const b = shape[(i + 1) % shape.length];
+      const mx = (a.x + b.x) / 2;
+      const my = (a.y + b.y) / 2;
+
+      // Edge midpoint and direction in world space.
+      const wx = mx * cos - my * sin;
+      const wy = mx * sin + my * cos;
+      const edgeAngle = Math.atan2(b.y - a.y, b.x - a.x) + body.rotation;
+
+      const outward = Math.atan2(wy, wx);
+      const speed = rng.range(...DEBRIS_SPEED);
+
+      this.spawn('debris', {
+        x: body.x + wx,
+        y: body.y + wy,
+        vx: body.vx * VELOCITY_INHERITANCE + Math.cos(outward) * speed,
+        vy: body.vy * VELOCITY_INHERITANCE + Math.sin(outward) * speed,
+        rotation: edgeAngle,
+        spin: rng.range(-4, 4),
+        length: Math.hypot(b.x - a.x, b.y - a.y),
+      });
+    }
+  }
+
+  /**
+   * A burst of sparks from `origin`, carrying some of `source`'s velocity.
+   *
+   * @param {{ x: number, y: number }} origin
+   * @param {{ vx: number, vy: number }} source
+   * @param {number} count – before quality scaling
+   */
+  sparks(origin, source, count) {
+    const { rng } = this;
+    const n = this.scaled(count);
+
+    for (let i = 0; i < n; i++) {
+      const angle = rng.range(0, Math.PI * 2);
+      const speed = rng.range(...SPARK_SPEED);
+      this.spawn('spark', {
+        x: origin.x,
+        y: origin.y,
+        vx: source.vx * VELOCITY_INHERITANCE + Math.cos(angle) * speed,
+        vy: source.vy * VELOCITY_INHERITANCE + Math.sin(angle) * speed,
+      });
+    }
+  }
+
+  /**
+   * Stream exhaust from the back of a thrusting ship.  Call once per
+   * simulation step.
+   * @param {import('./ship.js').Ship} ship
+   */
+  exhaust(ship) {
+    const { rng } = this;
+    const tail = SHIP_SHAPE[2].x;
+    const x = ship.x + Math.cos(ship.rotation) * tail;
+    const y = ship.y + Math.sin(ship.rotation) * tail;
+    const n = this.scaled(EXHAUST_PER_STEP);
+
+    for (let i = 0; i < n; i++) {
+      const angle =
+        ship.rotation + Math.PI + rng.range(-EXHAUST_SPREAD, EXHAUST_SPREAD);
+      const speed = rng.range(...EXHAUST_SPEED);
+      this.spawn('exhaust', {
+        x,
+        y,
+        vx: ship.vx * VELOCITY_INHERITANCE + Math.cos(angle) * speed,
+        vy: ship.vy * VELOCITY_INHERITANCE + Math.sin(angle) * speed,
+      });
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Load scaling
+  // -------------------------------------------------------------------------
+
+  /**
+   * Feed in how long the last frame took.  Sustained frames over budget
+   * lower `quality`; comfortable frames slowly restore it.
+   *
+   * @param {number} ms – frame time (milliseconds)
+   */
+  reportFrameTime(ms) {
+    this.frameTime =
+      this.frameTime === null
+        ? ms
+        : this.frameTime + (ms - this.frameTime) * FRAME_TIME_SMOOTHING;
+
+    if (this.frameTime > FRAME_BUDGET_MS * 1.1) {
+      this.quality = Math.max(MIN_QUALITY, this.quality * QUALITY_DECAY);
+    } else if (this.frameTime < FRAME_BUDGET_MS * 0.9) {
+      this.quality = Math.min(1, this.quality + QUALITY_RECOVERY);
+    }
+  }
+
+  /**
+   * A spawn count scaled by quality, rounding stochastically so that e.g.
+   * 2.5 gives 2 or 3 with equal odds rather than always 2.
+   * @param {number} count
+   * @returns {number}
+   */
+  scaled(count) {
+    const exact = count * this.quality;
+    const whole = Math.floor(exact);
+    return whole + (this.rng.next() < exact - whole ? 1 : 0);
+  }
+
+  // -------------------------------------------------------------------------
+  // Pool
+  // -------------------------------------------------------------------------
+
+  /**
+   * Take a particle from the pool and initialise it.  When the pool is
+   * empty the oldest particle is recycled instead.
+   *
+   * @param {'debris'|'spark'|'exhaust'} kind
+   * @param {object} props – x, y, vx, vy and (debris) rotation, spin, length
+   * @returns {Particle}
+   */
+  spawn(kind, { x, y, vx, vy, rotation = 0, spin = 0, length = 0 }) {
+    const p = this.pool.pop() ?? this.active.shift();
+    if (!p) return null;
+
+    p.kind = kind;
+    p.x = p.prevX = x;
+    p.y = p.prevY = y;
+    p.vx = vx;
+    p.vy = vy;
+    p.rotation = p.prevRotation = rotation;
+    p.spin = spin;
+    p.length = length;
+    p.maxLife = p.life = this.rng.range(...PARTICLE_LIFETIMES[kind]);
+
+    this.active.push(p);
+    return p;
+  }
+
+  /**
+   * Return the particle at `index` in the active list to the pool.
+   * @param {number} index
+   */
+  release(index) {
+    const p = this.active[index];
+    // Swap-remove: draw order of particles doesn't matter.
+    this.active[index] = this.active[this.active.length - 1];
+    this.active.pop();
+    this.pool.push(p);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Private helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap a particle back inside the world, moving its interpolation origin
+ * along with it (as World.wrap() does for entities).
+ * @param {Particle} p
+ * @param {{ width: number, height: number }} bounds
+ */
+function wrapParticle(p, { width, height }) {
+  const x = p.x - Math.floor(p.x / width) * width;
+  const y = p.y - Math.floor(p.y / height) * height;
+  p.prevX = x - wrapDelta(p.x - p.prevX, width);
+  p.prevY = y - wrapDelta(p.y - p.prevY, height);
+  p.x = x;
+  p.y = y;
+}
@@ -0,0 +1,234 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Particle,
+  ParticleSystem,
+  MAX_PARTICLES,
+  PARTICLE_LIFETIMES,
+  SPARKS_PER_TIER,
+  VELOCITY_INHERITANCE,
+  FRAME_BUDGET_MS,
+  MIN_QUALITY,
+} from './particles.js';
+import { Asteroid } from './asteroid.js';
+import { Ship, SHIP_SHAPE } from './ship.js';
+import { Rng } from './rng.js';
+import { Saucer } from './saucer.js';
+
+const makeSystem = (opts) => new ParticleSystem({ rng: new Rng(1), ...opts });
+
+const byKind = (system, kind) =>
+  system.active.filter((p) => p.kind === kind);
+
+// ---------------------------------------------------------------------------
+// Particle
+// ---------------------------------------------------------------------------
+
+describe('Particle', () => {
+  it('moves, tumbles and ages', () => {
+    const p = new Particle();
+    Object.assign(p, { vx: 10, vy: -20, spin: 2, life: 1, maxLife: 1 });
+    p.update(0.5);
+    expect(p.x).toBe(5);
+    expect(p.y).toBe(-10);
+    expect(p.rotation).toBe(1);
+    expect(p.life).toBe(0.5);
+    expect(p.prevX).toBe(0);
+  });
+
+  it('fades linearly over its lifetime', () => {
+    const p = new Particle();
+    p.maxLife = 2;
+    p.life = 2;
+    expect(p.alpha).toBe(1);
+    p.update(1.5);
+    expect(p.alpha).toBeCloseTo(0.25);
+    p.update(1);
+    expect(p.alpha).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ParticleSystem
+// ---------------------------------------------------------------------------
+
+describe('ParticleSystem pool', () => {
+  it('allocates its pool up front and reuses particles', () => {
+    const system = makeSystem({ maxParticles: 4 });
+    expect(system.pool).toHaveLength(4);
+
+    const first = system.spawn('spark', { x: 0, y: 0, vx: 0, vy: 0 });
+    system.update(PARTICLE_LIFETIMES.spark[1] + 0.01);
+    expect(system.active).toHaveLength(0);
+
+    const second = system.spawn('spark', { x: 0, y: 0, vx: 0, vy: 0 });
+    expect(second).toBe(first);
+  });
+
+  it('recycles the oldest particle when the pool runs dry', () => {
+    const system = makeSystem({ maxParticles: 2 });
+    const oldest = system.spawn('spark', { x: 1, y: 0, vx: 0, vy: 0 });
+    system.spawn('spark', { x: 2, y: 0, vx: 0, vy: 0 });
+    const third = system.spawn('exhaust', { x: 3, y: 0, vx: 0, vy: 0 });
+
+    expect(third).toBe(oldest);
+    expect(system.active).toHaveLength(2);
+    expect(third.kind).toBe('exhaust');
+    expect(third.x).toBe(3);
+  });
+
+  it('gives each particle a lifetime from its kind', () => {
+    const system = makeSystem();
+    for (const kind of Object.keys(PARTICLE_LIFETIMES)) {
+      const p = system.spawn(kind, { x: 0, y: 0, vx: 0, vy: 0 });
+      const [min, max] = PARTICLE_LIFETIMES[kind];
+      expect(p.life).toBeGreaterThanOrEqual(min);
+      expect(p.life).toBeLessThanOrEqual(max);
+      expect(p.maxLife).toBe(p.life);
+    }
+  });
+
+  it('clear() returns everything to the pool', () => {
+    const system = makeSystem();
+    system.sparks({ x: 0, y: 0 }, { vx: 0, vy: 0 }, 10);
+    system.clear();
+    expect(system.active).toHaveLength(0);
+    expect(system.pool).toHaveLength(MAX_PARTICLES);
+  });
+
+  it('wraps particles at the world edges', () => {
+    const system = makeSystem();
+    const p = system.spawn('spark', { x: 795, y: 300, vx: 100, vy: 0 });
+    system.update(0.1, { width: 800, height: 600 });
+    expect(p.x).toBeCloseTo(5);
+    expect(p.prevX).toBeCloseTo(-5);
+  });
+});
+
+describe('ParticleSystem emitters', () => {
+  const rock = () =>
+    new Asteroid({
+      tier: 1,
+      x: 400,
+      y: 300,
+      vx: 50,
+      vy: 0,
+      rotation: 0.7,
+      rng: new Rng(9),
+    });
+
+  it("cuts one debris segment from each edge of an asteroid's outline", () => {
+    const system = makeSystem();
+    const asteroid = rock();
+    system.explodeAsteroid(asteroid);
+
+    const debris = byKind(system, 'debris');
+    expect(debris).toHaveLength(asteroid.shape.length);
+
+    const lengths = asteroid.shape.map((a, i) => {
+      const b = asteroid.shape[(i + 1) % asteroid.shape.length];
+      return Math.hypot(b.x - a.x, b.y - a.y);
+    });
+    expect(debris.map((p) => p.length)).toEqual(lengths);
+
+    // Each segment starts on the outline, not at the centre.
+    for (const p of debris) {
+      const d = Math.hypot(p.x - asteroid.x, p.y - asteroid.y);
+      expect(d).toBeGreaterThan(asteroid.radius * 0.3);
+      expect(d).toBeLessThan(asteroid.radius * 1.4);
+    }
+  });
+
+  it('throws sparks by tier, inheriting the parent velocity', () => {
+    const system = makeSystem();
+    const asteroid = rock();
+    system.explodeAsteroid(asteroid);
+
+    const sparks = byKind(system, 'spark');
+    expect(sparks).toHaveLength(SPARKS_PER_TIER[1]);
+
+    const meanVx = sparks.reduce((sum, p) => sum + p.vx, 0) / sparks.length;
+    expect(meanVx).toBeGreaterThan(0);
+    expect(Math.abs(meanVx - asteroid.vx * VELOCITY_INHERITANCE)).toBeLessThan(
+      60,
+    );
+  });
+
+  it('breaks the ship into its own outline', () => {
+    const system = makeSystem();
+    system.explodeShip(new Ship({ x: 100, y: 100 }));
+    expect(byKind(system, 'debris')).toHaveLength(SHIP_SHAPE.length);
+    expect(byKind(system, 'spark').length).toBeGreaterThan(0);
+  });
+
+  it('streams exhaust backwards from the ship', () => {
+    const system = makeSystem();
+    const ship = new Ship({ x: 100, y: 100 });
+    ship.rotation = 0;
+    ship.vx = 30;
+    system.exhaust(ship);
+
+    const exhaust = byKind(system, 'exhaust');
+    expect(exhaust.length).toBeGreaterThan(0);
+    for (const p of exhaust) {
+      expect(p.x).toBeLessThan(ship.x);
+      // Backwards relative to the ship, though it carries some of its speed.
+      expect(p.vx).toBeLessThan(ship.vx * VELOCITY_INHERITANCE);
+    }
+  });
+
+  it('reacts to world events', () => {
+    const system = makeSystem();
+    const asteroid = rock();
+    system.handleEvents([
+      { type: 'asteroidHit', asteroid, impact: { x: 400, y: 340 } },
+    ]);
+    expect(byKind(system, 'spark').length).toBeGreaterThan(0);
+    expect(byKind(system, 'debris')).toHaveLength(0);
+
+    system.handleEvents([{ type: 'asteroidDestroyed', asteroid }]);
+    expect(byKind(system, 'debris').length).toBeGreaterThan(0);
+  });
+
+  it('breaks a destroyed saucer into its outline', () => {
+    const system = makeSystem();
+    const saucer = new Saucer({ x: 100, y: 100, range: 800 });
+    system.handleEvents([{ type: 'saucerDestroyed', saucer }]);
+    expect(byKind(system, 'debris')).toHaveLength(saucer.shape.length);
+    expect(byKind(system, 'spark').length).toBeGreaterThan(0);
+  });
+});
+
+describe('ParticleSystem load scaling', () => {
+  it('lowers quality while frames run over budget, down to a floor', () => {
+    const system = makeSystem();
+    for (let i = 0; i < 200; i++) system.reportFrameTime(FRAME_BUDGET_MS * 3);
+    expect(system.quality).toBe(MIN_QUALITY);
+  });
+
+  it('recovers once frames are back under budget', () => {
+    const system = makeSystem();
+    for (let i = 0; i < 50; i++) system.reportFrameTime(FRAME_BUDGET_MS * 3);
+    const lowered = system.quality;
+    for (let i = 0; i < 200; i++) system.reportFrameTime(FRAME_BUDGET_MS / 2);
+    expect(lowered).toBeLessThan(1);
+    expect(system.quality).toBe(1);
+  });
+
+  it('leaves quality alone at the budget', () => {
+    const system = makeSystem();
+    for (let i = 0; i < 50; i++) system.reportFrameTime(FRAME_BUDGET_MS);
+    expect(system.quality).toBe(1);
+  });
+
+  it('spawns fewer particles at lower quality', () => {
+    const full = makeSystem();
+    const reduced = makeSystem();
+    reduced.quality = 0.25;
+
+    for (let i = 0; i < 10; i++) {
+      full.explodeAsteroid(new Asteroid({ tier: 1, rng: new Rng(i) }));
+      reduced.explodeAsteroid(new Asteroid({ tier: 1, rng: new Rng(i) }));
+    }
+    expect(reduced.active.length).toBeLessThan(full.active.length / 2);
+  });
+});
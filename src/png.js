@@ -0,0 +1,97 @@
+/**
+ * PNG encoder module.
+ *
+ * Just enough of the PNG format to write the app icons at build time:
+ * 8-bit RGBA, no interlacing, every row unfiltered, compressed with
+ * Node's zlib.  Build-only — the game itself never imports this.
+ */
+
+import { deflateSync } from 'node:zlib';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Every PNG file starts with these bytes. */
+export const PNG_SIGNATURE = Uint8Array.of(137, 80, 78, 71, 13, 10, 26, 10);
+
+/** IHDR colour type for truecolour with alpha. */
+const COLOUR_TYPE_RGBA = 6;
+
+/** CRC-32 lookup table (the polynomial PNG and zlib use). */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * CRC-32 of some bytes.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * One chunk: length, type, data and the CRC of type and data.
+ * @param {string} type – four ASCII letters
+ * @param {Uint8Array} data
+ * @returns {Buffer}
+ */
+function chunk(type, data) {
+  const typed = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const out = Buffer.alloc(typed.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  typed.copy(out, 4);
+  out.writeUInt32BE(crc32(typed), typed.length + 4);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Encoder
+// ---------------------------------------------------------------------------
+
+/**
+ * Encode an RGBA image as a PNG file.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} image
+ *   – `data` holds width × height × 4 bytes, row by row
+ * @returns {Buffer}
+ * @throws {RangeError} if `data` is the wrong size for the image
+ */
+export function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  if (data.length !== stride * height) {
+    throw new RangeError(
+      `Expected ${stride * height} bytes of RGBA, got ${data.length}`,
+    );
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits per channel
+  header[9] = COLOUR_TYPE_RGBA;
+  // Compression, filter and interlace methods are all 0.
+
+  // Each row is prefixed with its filter type: 0, none.
+  const rows = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rows.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(rows)),
+    chunk('IEND', new Uint8Array(0)),
+  ]);
+}
@@ -0,0 +1,265 @@
+/**
+ * Progressive Web App build module.
+ *
+ * A Vite plugin that turns the build into an installable, offline-capable
+ * app.  Besides the page, script and styles Vite already writes, a build
+ * gets:
+ *
+ * - `manifest.webmanifest` — name, colours and icons, launching fullscreen
+ *   (no browser UI) and locked to landscape
+ * - `icons/` — the app icons, drawn from an asteroid outline (see icon.js)
+ * - `sw.js` — the service worker (see sw.js), with a precache manifest
+ *   listing every file of the build and a version hashed from their
+ *   contents, so any change ships as a new version
+ *
+ * The page's head gets the manifest and icon links, in the dev server too,
+ * which serves the manifest and icons itself.  There is no service worker
+ * in development: main.js only registers one in production builds.
+ *
+ * Build-only — runs in Node from vite.config.js.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { encodePng } from './png.js';
+import {
+  APPLE_TOUCH_ICON_SIZE,
+  ICON_SIZES,
+  iconSvg,
+  rasteriseIcon,
+} from './icon.js';
+import { PALETTES } from './settings.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Output file name of the web app manifest. */
+export const MANIFEST_FILE = 'manifest.webmanifest';
+
+/** Output file name of the service worker. */
+export const SERVICE_WORKER_FILE = 'sw.js';
+
+/** Length of the version string, in hex digits of the bundle hash. */
+const VERSION_LENGTH = 12;
+
+/** The service worker template. */
+const SERVICE_WORKER_SOURCE = new URL('./sw.js', import.meta.url);
+
+/**
+ * Every icon file: where it goes, and how the manifest describes it.
+ * `manifest: false` marks the iOS home-screen icon, which is linked from
+ * the page instead.
+ *
+ * @type {{ fileName: string, sizes: string, type: string, purpose: string, manifest: boolean, render: () => string | Uint8Array }[]}
+ */
+export const ICON_FILES = [
+  {
+    fileName: 'icons/icon.svg',
+    sizes: 'any',
+    type: 'image/svg+xml',
+    purpose: 'any',
+    manifest: true,
+    render: () => iconSvg(),
+  },
+  ...ICON_SIZES.map((size) => ({
+    fileName: `icons/icon-${size}.png`,
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+    purpose: 'any',
+    manifest: true,
+    render: () => encodePng(rasteriseIcon(size)),
+  })),
+  ...ICON_SIZES.map((size) => ({
+    fileName: `icons/maskable-${size}.png`,
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+    purpose: 'maskable',
+    manifest: true,
+    render: () => encodePng(rasteriseIcon(size, { maskable: true })),
+  })),
+  {
+    fileName: 'icons/apple-touch-icon.png',
+    sizes: `${APPLE_TOUCH_ICON_SIZE}x${APPLE_TOUCH_ICON_SIZE}`,
+    type: 'image/png',
+    purpose: 'any',
+    manifest: false,
+    render: () => encodePng(rasteriseIcon(APPLE_TOUCH_ICON_SIZE)),
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Manifest and precache
+// ---------------------------------------------------------------------------
+
+/**
+ * The web app manifest.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.base] – public base path of the build (Vite's `base`)
+ * @returns {object}
+ */
+export function createManifest({ base = '/' } = {}) {
+  const { background } = PALETTES.classic;
+  return {
+    id: base,
+    name: 'Silica Asteroids',
+    short_name: 'Asteroids',
+    description: 'Vector asteroid-blasting in the arcade tradition.',
+    start_url: base,
+    scope: base,
+    display: 'fullscreen',
+    display_override: ['fullscreen', 'standalone'],
+    orientation: 'landscape',
+    background_color: background,
+    theme_color: background,
+    icons: ICON_FILES.filter((icon) => icon.manifest).map(
+      ({ fileName, sizes, type, purpose }) => ({
+        src: `${base}${fileName}`,
+        sizes,
+        type,
+        purpose,
+      }),
+    ),
+  };
+}
+
+/**
+ * URLs the service worker precaches: the page at the base URL, then every
+ * other file of the build.  The worker itself and source maps are left
+ * out, as is `index.html` (the base URL is the same page).
+ *
+ * @param {string[]} fileNames – output file names, relative to the build
+ * @param {string} [base]
+ * @returns {string[]}
+ */
+export function precacheUrls(fileNames, base = '/') {
+  const files = fileNames
+    .filter(
+      (name) =>
+        name !== SERVICE_WORKER_FILE &&
+        name !== 'index.html' &&
+        !name.endsWith('.map'),
+    )
+    .sort();
+  return [base, ...files.map((name) => `${base}${name}`)];
+}
+
+/**
+ * Version of a build: a hash of every output file's name and contents, so
+ * it changes whenever anything shipped does.
+ *
+ * @param {Record<string, { fileName: string, code?: string, source?: string | Uint8Array }>} bundle
+ *   – Rollup's output bundle
+ * @returns {string}
+ */
+export function bundleVersion(bundle) {
+  const hash = createHash('sha256');
+  for (const name of Object.keys(bundle).sort()) {
+    if (name === SERVICE_WORKER_FILE) continue;
+    const file = bundle[name];
+    hash.update(name);
+    hash.update(file.code ?? file.source);
+  }
+  return hash.digest('hex').slice(0, VERSION_LENGTH);
+}
+
+/**
+ * The service worker script for a build: the template with its precache
+ * manifest prepended.
+ *
+ * @param {{ version: string, urls: string[], fallback: string }} precache
+ * @returns {string}
+ */
+export function serviceWorkerSource(precache) {
+  const template = readFileSync(SERVICE_WORKER_SOURCE, 'utf8');
+  return `self.__PRECACHE__ = ${JSON.stringify(precache)};\n${template}`;
+}
+
+/**
+ * Tags added to the page's head: the manifest and icons.
+ * @param {string} base
+ * @returns {{ tag: string, attrs: Record<string, string>, injectTo: string }[]}
+ */
+export function headTags(base) {
+  const link = (attrs) => ({ tag: 'link', attrs, injectTo: 'head' });
+  return [
+    link({ rel: 'manifest', href: `${base}${MANIFEST_FILE}` }),
+    link({ rel: 'icon', href: `${base}icons/icon.svg`, type: 'image/svg+xml' }),
+    link({
+      rel: 'apple-touch-icon',
+      href: `${base}icons/apple-touch-icon.png`,
+    }),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Vite plugin
+// ---------------------------------------------------------------------------
+
+/**
+ * The Vite plugin.  Runs after Vite's own output is in the bundle, so the
+ * precache manifest sees the final page.
+ * @returns {import('vite').Plugin}
+ */
+export function pwaPlugin() {
+  let base = '/';
+  return {
+    name: 'silica-asteroids-pwa',
+    enforce: 'post',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    transformIndexHtml() {
+      return headTags(base);
+    },
+
+    // The dev server has no build output to serve these from.
+    configureServer(server) {
+      const rendered = new Map();
+      server.middlewares.use((req, res, next) => {
+        const path = req.url?.split('?')[0] ?? '';
+        if (path === `${base}${MANIFEST_FILE}`) {
+          res.setHeader('Content-Type', 'application/manifest+json');
+          res.end(JSON.stringify(createManifest({ base })));
+          return;
+        }
+        const icon = ICON_FILES.find((i) => path === `${base}${i.fileName}`);
+        if (!icon) {
+          next();
+          return;
+        }
+        if (!rendered.has(icon)) rendered.set(icon, icon.render());
+        res.setHeader('Content-Type', icon.type);
+        res.end(rendered.get(icon));
+      });
+    },
+
+    generateBundle(_, bundle) {
+      for (const icon of ICON_FILES) {
+        this.emitFile({
+          type: 'asset',
+          fileName: icon.fileName,
+          source: icon.render(),
+        });
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: MANIFEST_FILE,
+        source: JSON.stringify(createManifest({ base }), null, 2),
+      });
+
+      this.emitFile({
+        type: 'asset',
+        fileName: SERVICE_WORKER_FILE,
+        source: serviceWorkerSource({
+          version: bundleVersion(bundle),
+          urls: precacheUrls(Object.keys(bundle), base),
+          fallback: base,
+        }),
+      });
+    },
+  };
+}
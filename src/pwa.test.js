@@ -0,0 +1,343 @@
+import { describe, it, expect, vi } from 'vitest';
+import { inflateSync } from 'node:zlib';
+import { readFileSync } from 'node:fs';
+import { runInNewContext } from 'node:vm';
+import { encodePng, crc32, PNG_SIGNATURE } from './png.js';
+import { iconOutline, iconSvg, rasteriseIcon, ICON_SIZES } from './icon.js';
+import {
+  pwaPlugin,
+  createManifest,
+  precacheUrls,
+  bundleVersion,
+  serviceWorkerSource,
+  MANIFEST_FILE,
+  SERVICE_WORKER_FILE,
+} from './pwa.js';
+
+// ---------------------------------------------------------------------------
+// PNG
+// ---------------------------------------------------------------------------
+
+describe('encodePng', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('IEND'))).toBe(0xae426082);
+  });
+
+  it('writes a signature, a header and the rows it was given', () => {
+    const data = Uint8Array.from({ length: 2 * 2 * 4 }, (_, i) => i);
+    const png = encodePng({ width: 2, height: 2, data });
+
+    expect(png.subarray(0, 8)).toEqual(Buffer.from(PNG_SIGNATURE));
+    expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+    expect(png.readUInt32BE(16)).toBe(2);
+    expect(png.readUInt32BE(20)).toBe(2);
+
+    const idatLength = png.readUInt32BE(33);
+    expect(png.toString('ascii', 37, 41)).toBe('IDAT');
+    const rows = inflateSync(png.subarray(41, 41 + idatLength));
+    expect([...rows]).toEqual([0, ...data.slice(0, 8), 0, ...data.slice(8)]);
+    expect(png.toString('ascii', png.length - 8, png.length - 4)).toBe('IEND');
+  });
+
+  it('rejects pixel data of the wrong size', () => {
+    const data = new Uint8Array(3);
+    expect(() => encodePng({ width: 1, height: 1, data })).toThrow(RangeError);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Icons
+// ---------------------------------------------------------------------------
+
+describe('icons', () => {
+  /** Distance of the farthest outline point from the icon's centre. */
+  const reach = (size, opts) =>
+    Math.max(
+      ...iconOutline(size, opts).map((p) =>
+        Math.hypot(p.x - size / 2, p.y - size / 2),
+      ),
+    );
+
+  it('keeps a maskable icon inside the safe zone', () => {
+    expect(reach(512)).toBeLessThanOrEqual(256);
+    expect(reach(512, { maskable: true })).toBeLessThanOrEqual(512 * 0.4);
+  });
+
+  it('draws the same rock every time', () => {
+    expect(iconOutline(192)).toEqual(iconOutline(192));
+    expect(iconOutline(192, { seed: 2 })).not.toEqual(iconOutline(192));
+  });
+
+  it('strokes the outline over an opaque background', () => {
+    const size = ICON_SIZES[0];
+    const { data } = rasteriseIcon(size);
+    const pixel = (x, y) => data[(y * size + x) * 4];
+    const [vertex] = iconOutline(size);
+
+    expect(pixel(Math.floor(vertex.x), Math.floor(vertex.y))).toBe(255);
+    expect(pixel(size / 2, size / 2)).toBe(0);
+    expect(pixel(0, 0)).toBe(0);
+    for (let i = 3; i < data.length; i += 4) expect(data[i]).toBe(255);
+  });
+
+  it('describes the same outline as SVG', () => {
+    const svg = iconSvg();
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).toContain('<polygon points="');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Manifest and precache
+// ---------------------------------------------------------------------------
+
+describe('createManifest', () => {
+  it('launches fullscreen in landscape from the base path', () => {
+    const manifest = createManifest({ base: '/game/' });
+    expect(manifest).toMatchObject({
+      start_url: '/game/',
+      scope: '/game/',
+      display: 'fullscreen',
+      orientation: 'landscape',
+    });
+  });
+
+  it('lists every icon size, plain and maskable', () => {
+    const { icons } = createManifest();
+    for (const size of ICON_SIZES) {
+      for (const purpose of ['any', 'maskable']) {
+        expect(icons).toContainEqual(
+          expect.objectContaining({ sizes: `${size}x${size}`, purpose }),
+        );
+      }
+    }
+    expect(icons.every((icon) => icon.src.startsWith('/icons/'))).toBe(true);
+  });
+});
+
+describe('precache', () => {
+  it('lists the page at the base URL and every other file once', () => {
+    const urls = precacheUrls(
+      ['index.html', 'assets/b.js', 'assets/a.js', 'assets/a.js.map', 'sw.js'],
+      '/game/',
+    );
+    expect(urls).toEqual(['/game/', '/game/assets/a.js', '/game/assets/b.js']);
+  });
+
+  it('versions a build by the contents of its files', () => {
+    const bundle = {
+      'index.html': { fileName: 'index.html', source: '<html>' },
+      'assets/a.js': { fileName: 'assets/a.js', code: 'one()' },
+    };
+    const version = bundleVersion(bundle);
+    expect(version).toMatch(/^[0-9a-f]{12}$/);
+    expect(bundleVersion({ ...bundle })).toBe(version);
+
+    bundle['index.html'].source = '<html lang="en">';
+    expect(bundleVersion(bundle)).not.toBe(version);
+  });
+
+  it('puts the manifest in front of the worker template', () => {
+    const source = serviceWorkerSource({
+      version: 'abc',
+      urls: ['/'],
+      fallback: '/',
+    });
+    expect(source.split('\n')[0]).toBe(
+      'self.__PRECACHE__ = {"version":"abc","urls":["/"],"fallback":"/"};',
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Vite plugin
+// ---------------------------------------------------------------------------
+
+describe('pwaPlugin', () => {
+  /** Run the plugin's generateBundle over a small build. */
+  function generate(base = '/') {
+    const plugin = pwaPlugin();
+    plugin.configResolved({ base });
+    const bundle = {
+      'index.html': { fileName: 'index.html', source: '<html>' },
+      'assets/index-abc.js': { fileName: 'assets/index-abc.js', code: 'x' },
+    };
+    plugin.generateBundle.call(
+      {
+        emitFile: (file) => {
+          bundle[file.fileName] = file;
+        },
+      },
+      {},
+      bundle,
+    );
+    return bundle;
+  }
+
+  it('adds the manifest, icons and a worker that precaches them all', () => {
+    const bundle = generate();
+    const manifest = JSON.parse(bundle[MANIFEST_FILE].source);
+    for (const icon of manifest.icons) {
+      expect(bundle).toHaveProperty([icon.src.slice(1)]);
+    }
+
+    const worker = bundle[SERVICE_WORKER_FILE].source;
+    const { urls } = JSON.parse(worker.match(/__PRECACHE__ = (.*);/)[1]);
+    expect(urls).toContain('/assets/index-abc.js');
+    expect(urls).toContain(`/${MANIFEST_FILE}`);
+    expect(urls).toContain('/icons/icon-512.png');
+  });
+
+  it('links the manifest and icons from the page', () => {
+    const plugin = pwaPlugin();
+    plugin.configResolved({ base: '/game/' });
+    expect(plugin.transformIndexHtml()).toContainEqual(
+      expect.objectContaining({
+        attrs: { rel: 'manifest', href: `/game/${MANIFEST_FILE}` },
+      }),
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Service worker
+// ---------------------------------------------------------------------------
+
+describe('service worker', () => {
+  const ORIGIN = 'https://example.test';
+
+  /** In-memory CacheStorage holding caches of url → response. */
+  function makeCaches(initial = {}) {
+    const store = new Map(
+      Object.entries(initial).map(([name, entries]) => [
+        name,
+        new Map(Object.entries(entries)),
+      ]),
+    );
+    const cacheFor = (name) => {
+      if (!store.has(name)) store.set(name, new Map());
+      const entries = store.get(name);
+      return {
+        addAll: async (urls) => {
+          for (const url of urls) entries.set(url, `response:${url}`);
+        },
+        match: async (request, { ignoreSearch = false } = {}) => {
+          const url = new URL(request.url ?? request, ORIGIN);
+          const key = ignoreSearch ? url.pathname : url.pathname + url.search;
+          return entries.get(key);
+        },
+      };
+    };
+    return {
+      store,
+      open: async (name) => cacheFor(name),
+      keys: async () => [...store.keys()],
+      delete: async (name) => store.delete(name),
+    };
+  }
+
+  /** Load the worker for a build and collect its event listeners. */
+  function loadWorker({ caches = makeCaches(), fetch = vi.fn() } = {}) {
+    const listeners = {};
+    const self = {
+      location: { origin: ORIGIN },
+      addEventListener: (type, listener) => {
+        listeners[type] = listener;
+      },
+      skipWaiting: vi.fn(),
+      clients: { claim: vi.fn() },
+    };
+    const source = serviceWorkerSource({
+      version: 'v2',
+      urls: ['/', '/assets/index.js'],
+      fallback: '/',
+    });
+    runInNewContext(source, { self, caches, fetch, URL });
+
+    /** Dispatch an event, resolving with what it waited on or responded. */
+    const dispatch = (type, props = {}) => {
+      let promise = null;
+      listeners[type]({
+        ...props,
+        waitUntil: (p) => (promise = p),
+        respondWith: (p) => (promise = p),
+      });
+      return promise;
+    };
+    return { self, caches, fetch, dispatch };
+  }
+
+  const get = (path, mode = 'no-cors') => ({
+    request: { method: 'GET', url: `${ORIGIN}${path}`, mode },
+  });
+
+  it('precaches the build on install', async () => {
+    const { caches, dispatch } = loadWorker();
+    await dispatch('install');
+    expect([...caches.store.get('silica-asteroids-v2').keys()]).toEqual([
+      '/',
+      '/assets/index.js',
+    ]);
+  });
+
+  it('drops older versions’ caches when it activates', async () => {
+    const caches = makeCaches({
+      'silica-asteroids-v1': {},
+      'silica-asteroids-v2': {},
+      'someone-else': {},
+    });
+    const { self, dispatch } = loadWorker({ caches });
+    await dispatch('activate');
+    expect([...caches.store.keys()]).toEqual([
+      'silica-asteroids-v2',
+      'someone-else',
+    ]);
+    expect(self.clients.claim).toHaveBeenCalled();
+  });
+
+  it('waits to take over until the page asks', () => {
+    const { self, dispatch } = loadWorker();
+    dispatch('message', { data: { type: 'somethingElse' } });
+    expect(self.skipWaiting).not.toHaveBeenCalled();
+    dispatch('message', { data: { type: 'skipWaiting' } });
+    expect(self.skipWaiting).toHaveBeenCalled();
+  });
+
+  it('serves from the cache, then the network, then the cached page', async () => {
+    const fetch = vi.fn(async () => {
+      throw new TypeError('offline');
+    });
+    const { dispatch } = loadWorker({ fetch });
+    await dispatch('install');
+
+    expect(await dispatch('fetch', get('/assets/index.js'))).toBe(
+      'response:/assets/index.js',
+    );
+    expect(fetch).not.toHaveBeenCalled();
+
+    expect(await dispatch('fetch', get('/?crt', 'navigate'))).toBe(
+      'response:/',
+    );
+    expect(await dispatch('fetch', get('/index.html', 'navigate'))).toBe(
+      'response:/',
+    );
+    await expect(dispatch('fetch', get('/missing.js'))).rejects.toThrow(
+      'offline',
+    );
+  });
+
+  it('leaves other origins and methods to the browser', () => {
+    const { dispatch } = loadWorker();
+    const post = { request: { method: 'POST', url: `${ORIGIN}/`, mode: '' } };
+    const elsewhere = {
+      request: { method: 'GET', url: 'https://cdn.test/x.js', mode: '' },
+    };
+    expect(dispatch('fetch', post)).toBeNull();
+    expect(dispatch('fetch', elsewhere)).toBeNull();
+  });
+
+  it('is a classic script, with no imports or exports', () => {
+    const template = readFileSync(new URL('./sw.js', import.meta.url), 'utf8');
+    expect(template).not.toMatch(/^\s*(import|export)\b/m);
+  });
+});
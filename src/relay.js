@@ -0,0 +1,473 @@
+/**
+ * Network relay server module (Node only).
+ *
+ * A small WebSocket server that hosts online two-player sessions.  Players
+ * join a named room; once both seats are taken the server starts a co-op
+ * or versus Game from a shared seed and keeps it authoritative — asteroid
+ * movement, breakup() and scoring all happen here — while keeping the
+ * browsers in step one of two ways (see SYNC_MODES in net-protocol.js):
+ *
+ * - snapshot: the server runs the game on its own clock, applying each
+ *   player's controls as they arrive, and broadcasts the world every few
+ *   ticks.  Clients interpolate between snapshots and predict their own
+ *   ship (see net-client.js).
+ * - lockstep: the server advances a tick only once it has every player's
+ *   controls for it, then relays them.  Clients simulate the same game
+ *   from the same seed and controls, so they never drift apart.
+ *
+ * A player who leaves is treated as idle from then on.  The session ends at
+ * game over — the server game's title screen would let a player's controls
+ * start a different game — and a room closes when its last player leaves.
+ *
+ *   const relay = new RelayServer({ port: 0 });
+ *   const { port } = await relay.start();
+ *
+ * scripts/relay.js runs one from the command line.
+ */
+
+import { WebSocketServer } from 'ws';
+import { Game } from './game.js';
+import { createGameLoop, SIMULATION_STEP } from './loop.js';
+import { randomSeed } from './rng.js';
+import {
+  DEFAULT_RELAY_PORT,
+  SYNC_MODES,
+  NET_GAME_MODES,
+  LOCKSTEP_INPUT_DELAY,
+  ROOM_SIZE,
+  SNAPSHOT_INTERVAL,
+  controlsFromMasks,
+  encodeMessage,
+  decodeMessage,
+} from './net-protocol.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Inputs a snapshot session holds per player.  A client running fast (or
+ * sending in bursts) has its oldest inputs dropped rather than building up
+ * latency.
+ */
+const MAX_QUEUED_INPUTS = 8;
+
+/** How often the server clock is checked for due ticks (ms). */
+const CLOCK_INTERVAL = 4;
+
+// ---------------------------------------------------------------------------
+// Session class
+// ---------------------------------------------------------------------------
+
+/**
+ * One room: up to ROOM_SIZE connected players sharing an authoritative
+ * game.
+ */
+export class Session {
+  /**
+   * @param {object} opts
+   * @param {string} opts.room
+   * @param {'snapshot' | 'lockstep'} opts.sync
+   * @param {'coop' | 'versus'} opts.mode
+   * @param {number} opts.seed
+   * @param {number} opts.width
+   * @param {number} opts.height
+   */
+  constructor({ room, sync, mode, seed, width, height }) {
+    this.room = room;
+    this.sync = sync;
+    this.mode = mode;
+    this.seed = seed;
+
+    /** The authoritative game. */
+    this.game = new Game({ seed, width, height, mode });
+
+    /** Each seat's socket, or null while empty (or after its player left). */
+    this.sockets = Array(ROOM_SIZE).fill(null);
+
+    /** Whether every seat has been taken and the game is on. */
+    this.started = false;
+
+    /** Whether the game has reached game over; nothing is played after. */
+    this.ended = false;
+
+    /** Ticks played since the start. */
+    this.tick = 0;
+
+    /**
+     * Snapshot sync: each player's queued `{ seq, mask }` inputs, oldest
+     * first.  Lockstep sync: each player's masks by tick.
+     * @type {({ seq: number, mask: number }[] | Map<number, number>)[]}
+     */
+    this.inputs = this.sockets.map(() =>
+      sync === 'lockstep' ? new Map() : [],
+    );
+
+    /** Mask each player last played (snapshot sync), reused while none is queued. */
+    this.lastMasks = Array(ROOM_SIZE).fill(0);
+
+    /** Seq of the last input applied for each player. */
+    this.acks = Array(ROOM_SIZE).fill(0);
+
+    /** Network ids for asteroids, assigned on first snapshot. */
+    this.asteroidIds = new WeakMap();
+    this.nextAsteroidId = 1;
+  }
+
+  /** Whether nobody is connected any more. */
+  get empty() {
+    return this.sockets.every((socket) => socket === null);
+  }
+
+  /**
+   * Seat a player.
+   * @param {import('ws').WebSocket} socket
+   * @returns {number} their player index, or -1 if the room is full
+   */
+  join(socket) {
+    if (this.started) return -1;
+    const player = this.sockets.indexOf(null);
+    if (player === -1) return -1;
+    this.sockets[player] = socket;
+
+    const { game } = this;
+    this.send(player, {
+      type: 'welcome',
+      player,
+      seed: this.seed,
+      width: game.width,
+      height: game.height,
+      step: SIMULATION_STEP,
+      sync: this.sync,
+      mode: this.mode,
+      players: ROOM_SIZE,
+    });
+
+    if (!this.sockets.includes(null)) this.start();
+    return player;
+  }
+
+  /**
+   * A player disconnected: they play no more, and the others are told.
+   * @param {number} player
+   */
+  leave(player) {
+    this.sockets[player] = null;
+    this.inputs[player] = this.sync === 'lockstep' ? new Map() : [];
+    this.lastMasks[player] = 0;
+    this.broadcast({ type: 'left', player });
+    // Lockstep may have been waiting on them.
+    if (this.sync === 'lockstep') this.advanceLockstep();
+  }
+
+  /** Begin the game once every seat is taken. */
+  start() {
+    this.started = true;
+    this.game.beginGame();
+    this.broadcast({ type: 'start' });
+    if (this.sync === 'snapshot') this.sendSnapshot();
+  }
+
+  /**
+   * Accept one step's controls from a player.
+   * @param {number} player
+   * @param {{ seq: number, tick?: number, mask: number }} input
+   */
+  receiveInput(player, { seq, tick, mask }) {
+    if (!this.started || this.ended || !Number.isInteger(mask)) return;
+
+    if (this.sync === 'lockstep') {
+      // Clients run at most the input delay ahead of the last tick played,
+      // so anything outside that window is refused rather than held on to.
+      const latest = this.tick + LOCKSTEP_INPUT_DELAY - 1;
+      if (!Number.isInteger(tick) || tick < this.tick || tick > latest) {
+        this.send(player, {
+          type: 'error',
+          message: `Input for tick ${tick} is outside ticks ${this.tick}–${latest}`,
+        });
+        return;
+      }
+      this.inputs[player].set(tick, mask);
+      this.advanceLockstep();
+      return;
+    }
+
+    const queue = this.inputs[player];
+    queue.push({ seq, mask });
+    if (queue.length > MAX_QUEUED_INPUTS) queue.shift();
+  }
+
+  // -------------------------------------------------------------------------
+  // Simulation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Snapshot sync: play one tick on the server clock with each player's
+   * next queued controls (or their last ones again if none arrived), and
+   * broadcast the world every SNAPSHOT_INTERVAL ticks.
+   */
+  update() {
+    if (!this.started || this.ended || this.sync !== 'snapshot') return;
+
+    const masks = this.inputs.map((queue, player) => {
+      const input = queue.shift();
+      if (!input) return this.lastMasks[player];
+      this.acks[player] = input.seq;
+      this.lastMasks[player] = input.mask;
+      return input.mask;
+    });
+    this.play(masks);
+
+    if (!this.ended && this.tick % SNAPSHOT_INTERVAL === 0) {
+      this.sendSnapshot();
+    }
+  }
+
+  /**
+   * Lockstep sync: play every tick for which all connected players'
+   * controls are in, relaying each tick's controls as it goes.
+   */
+  advanceLockstep() {
+    const waiting = () =>
+      this.sockets.some(
+        (socket, player) => socket && !this.inputs[player].has(this.tick),
+      );
+
+    while (this.started && !this.ended && !this.empty && !waiting()) {
+      const masks = this.inputs.map((byTick) => byTick.get(this.tick) ?? 0);
+      for (const byTick of this.inputs) byTick.delete(this.tick);
+      this.broadcast({ type: 'step', tick: this.tick, masks });
+      this.play(masks);
+    }
+  }
+
+  /**
+   * Advance the game by one tick.
+   * @param {number[]} masks – each player's controls
+   */
+  play(masks) {
+    this.game.update(SIMULATION_STEP, controlsFromMasks(masks));
+    this.tick++;
+    if (this.game.state === 'gameOver') this.end();
+  }
+
+  /**
+   * Stop at game over, leaving every client on the final world: snapshot
+   * clients get it in one last snapshot, lockstep clients have just played
+   * the tick that ended it.
+   */
+  end() {
+    this.ended = true;
+    if (this.sync === 'snapshot') this.sendSnapshot();
+    this.broadcast({
+      type: 'ended',
+      scores: this.game.players.map((p) => p.scoring.score),
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Messages
+  // -------------------------------------------------------------------------
+
+  /** Broadcast the authoritative world. */
+  sendSnapshot() {
+    const { game } = this;
+    const ids = game.world.asteroids.map((asteroid) => {
+      let id = this.asteroidIds.get(asteroid);
+      if (id === undefined) {
+        id = this.nextAsteroidId++;
+        this.asteroidIds.set(asteroid, id);
+      }
+      return id;
+    });
+
+    this.broadcast({
+      type: 'snapshot',
+      tick: this.tick,
+      state: game.state,
+      acks: [...this.acks],
+      ids,
+      world: game.world.toJSON(),
+      scores: game.players.map((p) => p.scoring.score),
+      lives: game.players.map((p) => p.scoring.lives),
+    });
+  }
+
+  /** Send a message to one player, if still connected. */
+  send(player, message) {
+    this.sockets[player]?.send(encodeMessage(message));
+  }
+
+  /** Send a message to every connected player. */
+  broadcast(message) {
+    const text = encodeMessage(message);
+    for (const socket of this.sockets) socket?.send(text);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// RelayServer class
+// ---------------------------------------------------------------------------
+
+export class RelayServer {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.port]   – port to listen on; 0 picks a free one
+   * @param {string} [opts.host]   – interface to listen on (default: localhost only)
+   * @param {number} [opts.seed]   – seed for every session; a fresh random seed per session if omitted
+   * @param {number} [opts.width]  – playfield width shared by every player
+   * @param {number} [opts.height] – playfield height shared by every player
+   */
+  constructor({
+    port = DEFAULT_RELAY_PORT,
+    host = '127.0.0.1',
+    seed,
+    width = 800,
+    height = 600,
+  } = {}) {
+    this.port = port;
+    this.host = host;
+    this.fixedSeed = seed;
+    this.width = width;
+    this.height = height;
+
+    /**
+     * Open rooms by name.
+     * @type {Map<string, Session>}
+     */
+    this.sessions = new Map();
+
+    /** Underlying WebSocket server, while running. */
+    this.wss = null;
+
+    /** Fixed-timestep clock for snapshot sessions. */
+    this.loop = createGameLoop({
+      update: () => {
+        for (const session of this.sessions.values()) session.update();
+      },
+    });
+    this.clock = null;
+  }
+
+  /**
+   * Start listening.
+   * @returns {Promise<{ host: string, port: number }>} the bound address
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const wss = new WebSocketServer({ port: this.port, host: this.host });
+      wss.once('error', reject);
+      wss.once('listening', () => {
+        wss.off('error', reject);
+        this.wss = wss;
+        this.port = wss.address().port;
+        this.startClock();
+        resolve({ host: this.host, port: this.port });
+      });
+      wss.on('connection', (socket) => this.accept(socket));
+    });
+  }
+
+  /**
+   * Disconnect everyone and stop listening.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    clearInterval(this.clock);
+    this.clock = null;
+    this.sessions.clear();
+    const { wss } = this;
+    this.wss = null;
+    if (!wss) return Promise.resolve();
+
+    for (const socket of wss.clients) socket.terminate();
+    return new Promise((resolve) => wss.close(() => resolve()));
+  }
+
+  /** Run the snapshot sessions' clock. */
+  startClock() {
+    let last = performance.now();
+    this.clock = setInterval(() => {
+      const now = performance.now();
+      this.loop.advance((now - last) / 1000);
+      last = now;
+    }, CLOCK_INTERVAL);
+  }
+
+  /**
+   * Handle a new connection: it must join a room before anything else.
+   * @param {import('ws').WebSocket} socket
+   */
+  accept(socket) {
+    let session = null;
+    let player = -1;
+
+    const fail = (message) => {
+      socket.send(encodeMessage({ type: 'error', message }));
+      socket.close();
+    };
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = decodeMessage(data, 'client');
+      } catch (err) {
+        fail(err.message);
+        return;
+      }
+
+      if (message.type === 'join') {
+        if (session) return;
+        try {
+          session = this.sessionFor(message);
+        } catch (err) {
+          fail(err.message);
+          return;
+        }
+        player = session.join(socket);
+        if (player === -1) {
+          session = null;
+          fail(`Room "${message.room}" is full`);
+        }
+      } else if (session) {
+        session.receiveInput(player, message);
+      }
+    });
+
+    socket.on('close', () => {
+      if (!session) return;
+      session.leave(player);
+      if (session.empty) this.sessions.delete(session.room);
+    });
+  }
+
+  /**
+   * The session for a join request, opening the room if it's new.
+   * @param {{ room?: string, sync?: string, mode?: string }} request
+   * @returns {Session}
+   * @throws {RangeError} for an unknown sync or game mode
+   */
+  sessionFor({ room = 'lobby', sync = 'snapshot', mode = 'coop' }) {
+    const name = String(room);
+    const existing = this.sessions.get(name);
+    if (existing) return existing;
+
+    if (!SYNC_MODES.includes(sync)) {
+      throw new RangeError(`Unknown sync mode: ${sync}`);
+    }
+    if (!NET_GAME_MODES.includes(mode)) {
+      throw new RangeError(`Unsupported online game mode: ${mode}`);
+    }
+
+    const session = new Session({
+      room: name,
+      sync,
+      mode,
+      seed: this.fixedSeed ?? randomSeed(),
+      width: this.width,
+      height: this.height,
+    });
+    this.sessions.set(name, session);
+    return session;
+  }
+}
@@ -0,0 +1,344 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { WebSocket } from 'ws';
+import { RelayServer } from './relay.js';
+import { NetClient } from './net-client.js';
+import { Game } from './game.js';
+import { Asteroid } from './asteroid.js';
+import { SIMULATION_STEP } from './loop.js';
+import { maskFromControls } from './replay.js';
+import {
+  controlsFromMasks,
+  decodeMessage,
+  encodeMessage,
+} from './net-protocol.js';
+
+const THRUST = { thrust: true };
+const IDLE = {};
+
+/** Resolve once `predicate()` holds, polling every few milliseconds. */
+async function waitFor(predicate, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ---------------------------------------------------------------------------
+// Protocol
+// ---------------------------------------------------------------------------
+
+describe('net protocol', () => {
+  it('round-trips messages and rejects ones the sender may not send', () => {
+    const text = encodeMessage({ type: 'input', seq: 1, mask: 5 });
+    expect(decodeMessage(text, 'client')).toEqual({
+      type: 'input',
+      seq: 1,
+      mask: 5,
+    });
+    expect(() => decodeMessage(text, 'server')).toThrow(TypeError);
+  });
+
+  it('never lets a remote player pause the game', () => {
+    const [controls] = controlsFromMasks([maskFromControls({ pause: true })]);
+    expect(controls.pause).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Prediction and reconciliation
+// ---------------------------------------------------------------------------
+
+describe('NetClient reconciliation', () => {
+  /** A client on a socket that goes nowhere, already in a started game. */
+  function offlineClient() {
+    const client = new NetClient({
+      url: 'ws://test',
+      createSocket: () => ({ send() {}, addEventListener() {} }),
+    });
+    client.connect();
+    client.receive({
+      type: 'welcome',
+      player: 0,
+      seed: 7,
+      width: 800,
+      height: 600,
+      step: SIMULATION_STEP,
+      sync: 'snapshot',
+      mode: 'coop',
+      players: 2,
+    });
+    client.receive({ type: 'start' });
+    return client;
+  }
+
+  function snapshotOf(game, ack) {
+    return {
+      type: 'snapshot',
+      tick: game.world.tick,
+      state: game.state,
+      acks: [ack, 0],
+      ids: game.world.asteroids.map((_, i) => i),
+      world: game.world.toJSON(),
+      scores: [0, 0],
+      lives: [3, 3],
+    };
+  }
+
+  it('replays unacknowledged inputs on top of the server ship', () => {
+    const server = new Game({ seed: 7, mode: 'coop' });
+    server.beginGame();
+    const client = offlineClient();
+    client.receive(snapshotOf(server, 0));
+
+    // The client flies ten steps ahead; the server has only seen four.
+    const inputs = Array.from({ length: 10 }, (_, i) =>
+      i < 6 ? THRUST : IDLE,
+    );
+    for (const controls of inputs) client.update(SIMULATION_STEP, controls);
+    for (const controls of inputs.slice(0, 4)) {
+      server.update(SIMULATION_STEP, [controls, IDLE]);
+    }
+    client.receive(snapshotOf(server, 4));
+    expect(client.pending.map((input) => input.seq)).toEqual([
+      5, 6, 7, 8, 9, 10,
+    ]);
+
+    // Once the server catches up, the prediction was exactly right.
+    for (const controls of inputs.slice(4)) {
+      server.update(SIMULATION_STEP, [controls, IDLE]);
+    }
+    const ship = server.world.ships[0];
+    expect(client.predicted.x).toBeCloseTo(ship.x, 9);
+    expect(client.predicted.y).toBeCloseTo(ship.y, 9);
+    expect(client.predicted.vy).toBeCloseTo(ship.vy, 9);
+  });
+
+  it('draws asteroids between the last two snapshots', () => {
+    const server = new Game({ seed: 7, mode: 'coop' });
+    server.beginGame();
+    const client = offlineClient();
+    client.receive(snapshotOf(server, 0));
+    const before = server.world.asteroids[0];
+    const { x } = before;
+    for (let i = 0; i < 3; i++) server.update(SIMULATION_STEP, [IDLE, IDLE]);
+    client.receive(snapshotOf(server, 0));
+
+    const [asteroid] = client.view(1).asteroids;
+    expect(asteroid.prevX).toBeCloseTo(x, 9);
+    expect(asteroid.x).toBeCloseTo(before.x, 9);
+    expect(client.interpolation()).toBe(0);
+  });
+});
+
+describe('NetClient connection', () => {
+  /** A client on a fake socket whose messages the test delivers. */
+  function fakeClient() {
+    const listeners = {};
+    const client = new NetClient({
+      url: 'ws://test',
+      createSocket: () => ({
+        send() {},
+        addEventListener: (type, listener) => {
+          listeners[type] = listener;
+        },
+      }),
+    });
+    const connected = client.connect();
+    const deliver = (data) => listeners.message({ data });
+    return { client, connected, deliver };
+  }
+
+  it('reports a malformed frame instead of throwing', async () => {
+    const { client, connected, deliver } = fakeClient();
+    expect(() => deliver('{not json')).not.toThrow();
+    await expect(connected).rejects.toThrow(SyntaxError);
+    expect(client.error).toMatch(/JSON/);
+  });
+
+  it('reports an unknown message once in a session', async () => {
+    const { client, connected, deliver } = fakeClient();
+    deliver(
+      encodeMessage({
+        type: 'welcome',
+        player: 1,
+        seed: 7,
+        width: 800,
+        height: 600,
+        step: SIMULATION_STEP,
+        sync: 'snapshot',
+        mode: 'coop',
+        players: 2,
+      }),
+    );
+    await expect(connected).resolves.toMatchObject({ player: 1 });
+
+    expect(() => deliver(JSON.stringify({ type: 'teleport' }))).not.toThrow();
+    expect(client.error).toBe('Unknown server message: teleport');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Relay server
+// ---------------------------------------------------------------------------
+
+describe('RelayServer', () => {
+  let relay = null;
+  let clients = [];
+
+  afterEach(async () => {
+    for (const client of clients) client.close();
+    clients = [];
+    await relay?.stop();
+    relay = null;
+  });
+
+  /** Start a relay and connect two headless clients to one room. */
+  async function startSession(sync, mode = 'coop') {
+    relay = new RelayServer({ port: 0, seed: 11 });
+    const { port } = await relay.start();
+    const url = `ws://127.0.0.1:${port}`;
+    clients = [0, 1].map(
+      () =>
+        new NetClient({
+          url,
+          room: 'test',
+          sync,
+          mode,
+          createSocket: (address) => new WebSocket(address),
+        }),
+    );
+    for (const client of clients) await client.connect();
+    await waitFor(() => clients.every((client) => client.started));
+    return relay.sessions.get('test');
+  }
+
+  it('seats two players and starts a shared game', async () => {
+    const session = await startSession('snapshot', 'versus');
+    expect(clients.map((client) => client.player)).toEqual([0, 1]);
+    expect(clients.every((client) => client.seed === 11)).toBe(true);
+    expect(clients.every((client) => client.mode === 'versus')).toBe(true);
+    expect(session.game.state).toBe('playing');
+  });
+
+  it('turns away a third player', async () => {
+    await startSession('snapshot');
+    const extra = new NetClient({
+      url: `ws://127.0.0.1:${relay.port}`,
+      room: 'test',
+      createSocket: (address) => new WebSocket(address),
+    });
+    await expect(extra.connect()).rejects.toThrow(/full/);
+  });
+
+  it('rejects an unknown sync mode', async () => {
+    relay = new RelayServer({ port: 0 });
+    const { port } = await relay.start();
+    const client = new NetClient({
+      url: `ws://127.0.0.1:${port}`,
+      sync: 'telepathy',
+      createSocket: (address) => new WebSocket(address),
+    });
+    await expect(client.connect()).rejects.toThrow(/sync mode/);
+  });
+
+  it('keeps snapshot clients on the server world', async () => {
+    const session = await startSession('snapshot');
+    const [pilot, wingman] = clients;
+    const start = session.game.world.ships[0].y;
+
+    for (let i = 0; i < 20; i++) {
+      pilot.update(SIMULATION_STEP, THRUST);
+      wingman.update(SIMULATION_STEP, IDLE);
+      await pause(SIMULATION_STEP * 1000);
+    }
+    await waitFor(() => pilot.acked === 20 && pilot.pending.length === 0);
+
+    // The server flew the ship as told, and both clients see it there.
+    expect(session.acks[0]).toBe(20);
+    expect(session.game.world.ships[0].y).toBeLessThan(start);
+    await waitFor(() => pilot.latest.tick === wingman.latest.tick);
+    expect(wingman.latest.world.ships[0].toJSON()).toEqual(
+      pilot.latest.world.ships[0].toJSON(),
+    );
+    expect(pilot.predicted.toJSON()).toEqual(
+      pilot.latest.world.ships[0].toJSON(),
+    );
+  });
+
+  it('keeps lockstep clients identical to the server', async () => {
+    const session = await startSession('lockstep', 'versus');
+    const ticks = 90;
+    const controlsFor = (p, i) =>
+      p === 0 && i % 20 < 10 ? THRUST : { fire: i % 15 === 0 };
+
+    while (clients.some((client) => client.sentTick < ticks)) {
+      clients.forEach((client, p) => {
+        if (client.sentTick < ticks) {
+          client.update(SIMULATION_STEP, controlsFor(p, client.sentTick));
+        }
+      });
+      await pause(1);
+    }
+    await waitFor(() => clients.every((client) => client.tick === ticks));
+
+    expect(session.tick).toBe(ticks);
+    const expected = session.game.world.toJSON();
+    for (const client of clients) {
+      expect(client.game.world.toJSON()).toEqual(expected);
+    }
+  });
+
+  it('refuses lockstep inputs outside the input delay window', async () => {
+    const session = await startSession('lockstep');
+    const [client] = clients;
+
+    client.send({ type: 'input', tick: 1e9, mask: 0 });
+    await waitFor(() => client.error !== null);
+    expect(client.error).toMatch(/tick 1000000000/);
+
+    client.error = null;
+    client.send({ type: 'input', tick: -1, mask: 0 });
+    await waitFor(() => client.error !== null);
+    expect(session.inputs[0].size).toBe(0);
+    expect(session.tick).toBe(0);
+  });
+
+  it('ends the session at game over and ignores inputs after', async () => {
+    const session = await startSession('snapshot');
+    const { game } = session;
+    for (const [slot, ship] of game.world.ships.entries()) {
+      game.players[slot].scoring.lives = 1;
+      ship.invulnerableTime = 0;
+      game.world.asteroids.push(
+        new Asteroid({ tier: 3, x: ship.x, y: ship.y, vx: 0, vy: 0 }),
+      );
+    }
+    await waitFor(() => clients.every((client) => client.ended));
+    expect(session.ended).toBe(true);
+    expect(clients[0].latest.state).toBe('gameOver');
+
+    // On the server's title screen these would pick a mode and start it.
+    const { tick } = session;
+    const presses = [{ rotateLeft: true }, {}, { fire: true }, {}];
+    presses.forEach((controls, i) => {
+      clients[0].send({
+        type: 'input',
+        seq: 100 + i,
+        mask: maskFromControls(controls),
+      });
+    });
+    await pause(50);
+    expect(session.tick).toBe(tick);
+    expect(game.mode).toBe('coop');
+    expect(game.state).toBe('gameOver');
+  });
+
+  it('tells the others when a player leaves', async () => {
+    await startSession('lockstep');
+    clients[1].close();
+    await waitFor(() => clients[0].departed.has(1));
+  });
+});
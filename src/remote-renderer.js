@@ -0,0 +1,73 @@
+/**
+ * Worker-backed renderer module.
+ *
+ * A FrameEncoder that posts each finished frame to render-worker.js, which
+ * draws it on the transferred canvas.  Only one frame is in flight at a
+ * time: while the worker is still drawing, `busy` is set and main.js skips
+ * the frame rather than queueing work the worker can't keep up with.
+ */
+
+import { FrameEncoder } from './frame.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether this browser can draw from a worker: it needs module workers and
+ * canvases that can be transferred to them.
+ * @returns {boolean}
+ */
+export function supportsRemoteRendering() {
+  return (
+    typeof Worker === 'function' &&
+    typeof OffscreenCanvas === 'function' &&
+    typeof HTMLCanvasElement === 'function' &&
+    'transferControlToOffscreen' in HTMLCanvasElement.prototype
+  );
+}
+
+// ---------------------------------------------------------------------------
+// RemoteRenderer class
+// ---------------------------------------------------------------------------
+
+export class RemoteRenderer extends FrameEncoder {
+  /**
+   * @param {Worker} worker – running render-worker.js
+   * @param {OffscreenCanvas} canvas – transferred from the page's canvas
+   * @param {object} size
+   * @param {number} size.width  – logical width (CSS pixels)
+   * @param {number} size.height – logical height (CSS pixels)
+   * @param {number} size.dpr    – device pixel ratio
+   * @param {object} [opts] – see FrameEncoder
+   */
+  constructor(worker, canvas, { width, height, dpr }, opts) {
+    super(opts);
+
+    this.worker = worker;
+
+    /** True while the worker is drawing the last frame sent. */
+    this.busy = false;
+
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type !== 'rendered') return;
+      this.busy = false;
+      this.frameTime = data.frameTime;
+    });
+    worker.postMessage({ type: 'init', canvas, width, height, dpr }, [
+      canvas,
+    ]);
+  }
+
+  /** Pass a viewport size change on to the worker. */
+  resize(width, height, dpr) {
+    this.worker.postMessage({ type: 'resize', width, height, dpr });
+  }
+
+  /** Send the frame recorded since the last flush to the worker. */
+  flush() {
+    const { frame, transfer } = this.finish();
+    this.busy = true;
+    this.worker.postMessage({ type: 'frame', frame }, transfer);
+  }
+}
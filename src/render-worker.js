@@ -0,0 +1,51 @@
+/**
+ * Render worker entry point.
+ *
+ * Owns the game canvas once main.js has transferred it (see
+ * RemoteRenderer), and draws the frames the main thread encodes with a
+ * FrameEncoder.  Messages in:
+ *
+ * - `{ type: 'init', canvas, width, height, dpr }` – the OffscreenCanvas
+ *   and the viewport's size
+ * - `{ type: 'resize', width, height, dpr }`
+ * - `{ type: 'frame', frame }` – FrameEncoder.finish() output
+ *
+ * After each frame it answers `{ type: 'rendered', frameTime }` so the main
+ * thread knows it may send the next one.
+ */
+
+import { Renderer } from './renderer.js';
+import { FramePlayer } from './frame.js';
+
+/** @type {OffscreenCanvas | null} */
+let canvas = null;
+
+/** @type {FramePlayer | null} */
+let player = null;
+
+/** Size the backing buffer and reapply the DPR scale. */
+function resize(width, height, dpr) {
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  player.renderer.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+self.addEventListener('message', ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      canvas = data.canvas;
+      player = new FramePlayer(new Renderer(canvas.getContext('2d')));
+      resize(data.width, data.height, data.dpr);
+      break;
+    case 'resize':
+      resize(data.width, data.height, data.dpr);
+      break;
+    case 'frame':
+      player.play(data.frame, performance.now());
+      self.postMessage({
+        type: 'rendered',
+        frameTime: player.renderer.frameTime,
+      });
+      break;
+  }
+});
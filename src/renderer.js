@@ -0,0 +1,721 @@
+/**
+ * Vector renderer module.
+ *
+ * Draws the world as stroked outlines, the way the original vector monitor
+ * did.  Two looks are available:
+ *
+ * - **plain** — crisp white lines on an opaque black background.
+ * - **vector** — a CRT-style imitation: lines glow, the previous frame fades
+ *   out instead of being wiped (phosphor persistence) and brightness
+ *   flickers very slightly.
+ *
+ * Colours and line width come from a palette (see settings.js).  With
+ * reduced motion on, the vector look keeps its glow but loses the flicker
+ * and phosphor trails, invulnerable ships are dimmed instead of blinking,
+ * and fast-spinning asteroids are drawn turning slowly.
+ *
+ * An optional debug layer overlays collision radii, velocity vectors, the
+ * spatial-hash grid and an FPS / entity-count readout.
+ *
+ * Asteroids are drawn in one batch: each distinct outline is traced into a
+ * Path2D once and cached against its shape array, and every frame those
+ * cached paths are stamped into a single path at each asteroid's transform
+ * and stroked with one call.  That keeps scenes of a thousand or more rocks
+ * within the frame budget.  Where Path2D is unavailable (tests, or when
+ * `createPath` is null) each asteroid is traced and stroked on its own.
+ *
+ * The renderer takes a 2D context rather than importing canvas.js, so it can
+ * be driven by a stub context in tests, or by an OffscreenCanvas context in
+ * a worker (see render-worker.js).  It never calls `setTransform()`: every
+ * transform is wrapped in save()/restore() so the DPR scale applied by the
+ * viewport stays in force.
+ */
+
+import { interpolate } from './loop.js';
+import { wrapOffsets } from './world.js';
+import { drawHud } from './hud.js';
+import { PALETTES } from './settings.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Colour of each player's ship, shots and HUD readout in the classic
+ * palette.  Player one keeps the plain line colour.
+ */
+export const PLAYER_COLOURS = PALETTES.classic.players;
+
+/**
+ * Scale of each inner outline drawn on an armoured asteroid, one per hit
+ * it can still take beyond the last.
+ */
+const ARMOUR_INSET_SCALES = [0.65, 0.35];
+
+/** Size of the cross marking an explosive asteroid, relative to its radius. */
+const EXPLOSIVE_MARK_SCALE = 0.3;
+
+/** Bullet dot radius (CSS pixels). */
+const BULLET_DRAW_RADIUS = 1.5;
+
+/** Side of the square drawn for spark and exhaust particles (CSS pixels). */
+const SPARK_DRAW_SIZE = 2;
+const EXHAUST_DRAW_SIZE = 1.5;
+
+/** Glow blur radius in vector mode (CSS pixels). */
+export const GLOW_BLUR = 8;
+
+/**
+ * Opacity of the black wash laid over the previous frame in vector mode.
+ * Lower values leave longer phosphor trails.
+ */
+export const PERSISTENCE_FADE = 0.35;
+
+/** Peak-to-peak brightness variation in vector mode (fraction of full). */
+export const FLICKER_AMOUNT = 0.08;
+
+/** Fastest an asteroid is drawn spinning with reduced motion (rad / s). */
+export const REDUCED_MOTION_MAX_SPIN = 0.5;
+
+/** Opacity of an invulnerable ship with reduced motion (instead of blinking). */
+const INVULNERABLE_ALPHA = 0.5;
+
+/** Debug overlay colours. */
+const DEBUG_RADIUS_COLOUR = 'rgba(0, 255, 0, 0.6)';
+const DEBUG_VELOCITY_COLOUR = 'rgba(255, 80, 80, 0.8)';
+const DEBUG_GRID_COLOUR = 'rgba(80, 120, 255, 0.25)';
+const DEBUG_TEXT_COLOUR = '#0f0';
+
+/** Seconds of velocity drawn by a debug velocity vector. */
+const DEBUG_VELOCITY_SCALE = 0.5;
+
+/** Font family for on-screen text. */
+const TEXT_FONT = 'monospace';
+
+/** Smoothing factor for the FPS readout's moving average. */
+const FPS_SMOOTHING = 0.1;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Path2D factory where the platform has one (browsers and workers). */
+const defaultCreatePath =
+  typeof Path2D === 'function' ? () => new Path2D() : null;
+
+/**
+ * Add a closed polygon to the current path.
+ *
+ * @param {CanvasRenderingContext2D | Path2D} ctx
+ * @param {{ x: number, y: number }[]} shape – vertex offsets
+ */
+export function tracePolygon(ctx, shape) {
+  ctx.moveTo(shape[0].x, shape[0].y);
+  for (let i = 1; i < shape.length; i++) {
+    ctx.lineTo(shape[i].x, shape[i].y);
+  }
+  ctx.closePath();
+}
+
+/**
+ * Interpolated position and rotation of an entity for this frame.
+ * @returns {{ x: number, y: number, rotation: number }}
+ */
+export function renderTransform(entity, alpha) {
+  return {
+    x: interpolate(entity.prevX ?? entity.x, entity.x, alpha),
+    y: interpolate(entity.prevY ?? entity.y, entity.y, alpha),
+    rotation: interpolate(
+      entity.prevRotation ?? entity.rotation ?? 0,
+      entity.rotation ?? 0,
+      alpha,
+    ),
+  };
+}
+
+/**
+ * The rotation to draw an entity at with reduced motion: anything spinning
+ * faster than REDUCED_MOTION_MAX_SPIN is shown turning at that rate
+ * instead.  Entities without a spin are unchanged.
+ *
+ * @param {{ angularVelocity?: number }} entity
+ * @param {number} rotation – its actual (interpolated) rotation
+ * @returns {number}
+ */
+export function calmSpin(entity, rotation) {
+  const spin = Math.abs(entity.angularVelocity ?? 0);
+  if (spin <= REDUCED_MOTION_MAX_SPIN) return rotation;
+  return rotation * (REDUCED_MOTION_MAX_SPIN / spin);
+}
+
+// ---------------------------------------------------------------------------
+// Renderer class
+// ---------------------------------------------------------------------------
+
+export class Renderer {
+  /**
+   * @param {CanvasRenderingContext2D} ctx – context to draw into (already DPR-scaled)
+   * @param {object} [opts]
+   * @param {boolean} [opts.vector] – enable the CRT vector look
+   * @param {boolean} [opts.debug]  – show the debug overlay
+   * @param {object} [opts.palette] – colours to draw in (one of PALETTES)
+   * @param {boolean} [opts.reducedMotion] – calm flicker, blinking and spin
+   * @param {(() => Path2D) | null} [opts.createPath] – path factory for
+   *   batched asteroid drawing; null draws each asteroid separately
+   */
+  constructor(
+    ctx,
+    {
+      vector = false,
+      debug = false,
+      palette = PALETTES.classic,
+      reducedMotion = false,
+      createPath = defaultCreatePath,
+    } = {},
+  ) {
+    /** Target context. */
+    this.ctx = ctx;
+
+    /** Whether the CRT vector look is enabled. */
+    this.vector = vector;
+
+    /** Whether the debug overlay is drawn. */
+    this.debug = debug;
+
+    /** Colours and line width. */
+    this.palette = palette;
+
+    /** Whether motion effects are toned down. */
+    this.reducedMotion = reducedMotion;
+
+    /** Smoothed frames per second, for the debug readout. */
+    this.fps = 0;
+
+    /** Timestamp of the previous render (ms), or null before the first. */
+    this.lastFrameTime = null;
+
+    /** Time between the last two renders (ms), or null before the second. */
+    this.frameTime = null;
+
+    /** Path factory for batched drawing, or null to draw one by one. */
+    this.createPath = createPath;
+
+    /**
+     * Cached paths per asteroid outline, keyed by its shape array so they
+     * are dropped along with the asteroid.
+     * @type {WeakMap<object[], { outline: Path2D, insets: Path2D[], cross: Path2D | null }>}
+     */
+    this.shapePaths = new WeakMap();
+  }
+
+  /** Flip the debug overlay on or off. */
+  toggleDebug() {
+    this.debug = !this.debug;
+  }
+
+  /** Flip the CRT vector look on or off. */
+  toggleVector() {
+    this.vector = !this.vector;
+  }
+
+  /** Whether the last frame is left to fade rather than wiped. */
+  get trails() {
+    return this.vector && !this.reducedMotion;
+  }
+
+  // -------------------------------------------------------------------------
+  // Frame
+  // -------------------------------------------------------------------------
+
+  /**
+   * Draw one complete frame of the world.
+   *
+   * @param {import('./world.js').World} world
+   * @param {number} alpha – interpolation factor from the game loop
+   * @param {number} [now] – current timestamp (ms), for the FPS readout
+   */
+  render(world, alpha, now = performance.now()) {
+    this.trackFps(now);
+
+    const { ctx, palette } = this;
+    this.beginFrame(world.width, world.height);
+
+    ctx.save();
+    ctx.strokeStyle = palette.line;
+    ctx.fillStyle = palette.line;
+    ctx.lineWidth = palette.lineWidth;
+    if (this.vector) {
+      ctx.shadowBlur = GLOW_BLUR;
+      ctx.shadowColor = palette.line;
+    }
+    if (this.trails) {
+      ctx.globalAlpha = 1 - FLICKER_AMOUNT * Math.random();
+    }
+
+    if (this.createPath) {
+      this.drawAsteroidBatch(world.asteroids, alpha, world.bounds);
+    } else {
+      for (const asteroid of world.asteroids) {
+        this.drawAsteroid(asteroid, alpha, world.bounds);
+      }
+    }
+    world.playerBullets.forEach((system, player) => {
+      this.withColour(palette.players[player], () => {
+        for (const bullet of system.active) this.drawBullet(bullet, alpha);
+      });
+    });
+    for (const bullet of world.saucerBullets.active) {
+      this.drawBullet(bullet, alpha);
+    }
+    if (world.saucer) {
+      this.drawSaucer(world.saucer, alpha, world.bounds);
+    }
+    for (const ship of world.liveShips()) {
+      this.withColour(palette.players[ship.player], () =>
+        this.drawShip(ship, alpha, world.bounds),
+      );
+    }
+
+    ctx.restore();
+
+    if (this.debug) {
+      this.drawDebug(world, alpha);
+    }
+  }
+
+  /**
+   * Prepare the canvas for a new frame: an opaque clear in plain mode, or a
+   * translucent wash that lets the last frame linger in vector mode.
+   */
+  beginFrame(width, height) {
+    const { ctx } = this;
+    ctx.save();
+    ctx.fillStyle = this.palette.background;
+    if (this.trails) ctx.globalAlpha = PERSISTENCE_FADE;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+
+  /** Update the smoothed FPS estimate. */
+  trackFps(now) {
+    if (this.lastFrameTime !== null && now > this.lastFrameTime) {
+      this.frameTime = now - this.lastFrameTime;
+      const instant = 1000 / this.frameTime;
+      this.fps = this.fps
+        ? this.fps + (instant - this.fps) * FPS_SMOOTHING
+        : instant;
+    }
+    this.lastFrameTime = now;
+  }
+
+  // -------------------------------------------------------------------------
+  // Entities
+  // -------------------------------------------------------------------------
+
+  /**
+   * An entity's interpolated transform, with its spin calmed under reduced
+   * motion.
+   * @returns {{ x: number, y: number, rotation: number }}
+   */
+  transform(entity, alpha) {
+    const transform = renderTransform(entity, alpha);
+    if (this.reducedMotion) {
+      transform.rotation = calmSpin(entity, transform.rotation);
+    }
+    return transform;
+  }
+
+  /**
+   * Stroke an entity's polygon at its interpolated transform, repeating it
+   * on the far side of any edge it straddles.
+   *
+   * @param {{ x: number, y: number, radius: number, shape: { x: number, y: number }[] }} entity
+   * @param {number} alpha
+   * @param {{ width: number, height: number }} bounds
+   * @param {(ctx: CanvasRenderingContext2D) => void} [decorate] – extra
+   *   strokes drawn in the entity's local frame after the outline
+   */
+  drawEntity(entity, alpha, bounds, decorate) {
+    const { ctx } = this;
+    const { x, y, rotation } = this.transform(entity, alpha);
+
+    for (const offset of wrapOffsets(entity, bounds)) {
+      ctx.save();
+      ctx.translate(x + offset.x, y + offset.y);
+      ctx.rotate(rotation);
+      ctx.beginPath();
+      tracePolygon(ctx, entity.shape);
+      ctx.stroke();
+      decorate?.(ctx);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Draw an asteroid, marked according to its type's `style`: armoured
+   * rocks get an inner outline for each extra hit they can take, explosive
+   * ones a cross at their centre.
+   *
+   * @param {import('./asteroid.js').Asteroid} asteroid
+   * @param {number} alpha
+   * @param {{ width: number, height: number }} bounds
+   */
+  drawAsteroid(asteroid, alpha, bounds) {
+    const { style } = asteroid.definition;
+
+    if (style === 'armoured' && asteroid.hitPoints > 1) {
+      const scales = ARMOUR_INSET_SCALES.slice(0, asteroid.hitPoints - 1);
+      this.drawEntity(asteroid, alpha, bounds, (ctx) => {
+        ctx.beginPath();
+        for (const scale of scales) {
+          tracePolygon(
+            ctx,
+            asteroid.shape.map((v) => ({ x: v.x * scale, y: v.y * scale })),
+          );
+        }
+        ctx.stroke();
+      });
+    } else if (style === 'explosive') {
+      const r = asteroid.radius * EXPLOSIVE_MARK_SCALE;
+      this.drawEntity(asteroid, alpha, bounds, (ctx) => {
+        ctx.beginPath();
+        ctx.moveTo(-r, -r);
+        ctx.lineTo(r, r);
+        ctx.moveTo(r, -r);
+        ctx.lineTo(-r, r);
+        ctx.stroke();
+      });
+    } else {
+      this.drawEntity(asteroid, alpha, bounds);
+    }
+  }
+
+  /**
+   * Draw every asteroid with a single stroke: the cached paths for each
+   * one's outline and markings are added to one batch path at its
+   * interpolated transform (and wrapped copies), as drawAsteroid() would
+   * have drawn them.
+   *
+   * @param {import('./asteroid.js').Asteroid[]} asteroids
+   * @param {number} alpha
+   * @param {{ width: number, height: number }} bounds
+   */
+  drawAsteroidBatch(asteroids, alpha, bounds) {
+    const batch = this.createPath();
+    // Reused for every addPath() call; it is read immediately.
+    const matrix = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+    for (const asteroid of asteroids) {
+      const paths = this.asteroidPaths(asteroid);
+      const insets =
+        asteroid.definition.style === 'armoured'
+          ? Math.max(0, asteroid.hitPoints - 1)
+          : 0;
+      const { x, y, rotation } = this.transform(asteroid, alpha);
+      matrix.a = matrix.d = Math.cos(rotation);
+      matrix.b = Math.sin(rotation);
+      matrix.c = -matrix.b;
+
+      for (const offset of wrapOffsets(asteroid, bounds)) {
+        matrix.e = x + offset.x;
+        matrix.f = y + offset.y;
+        batch.addPath(paths.outline, matrix);
+        for (let i = 0; i < insets; i++) {
+          batch.addPath(paths.insets[i], matrix);
+        }
+        if (paths.cross) batch.addPath(paths.cross, matrix);
+      }
+    }
+
+    this.ctx.stroke(batch);
+  }
+
+  /**
+   * The cached local-space paths for an asteroid, traced on first use:
+   * its outline, the armour insets its type can show and its explosive
+   * cross.
+   *
+   * @param {import('./asteroid.js').Asteroid} asteroid
+   */
+  asteroidPaths(asteroid) {
+    let paths = this.shapePaths.get(asteroid.shape);
+    if (paths) return paths;
+
+    const { shape, radius } = asteroid;
+    const { style } = asteroid.definition;
+
+    const outline = this.createPath();
+    tracePolygon(outline, shape);
+
+    const insets = [];
+    if (style === 'armoured') {
+      for (const scale of ARMOUR_INSET_SCALES) {
+        const inset = this.createPath();
+        tracePolygon(
+          inset,
+          shape.map((v) => ({ x: v.x * scale, y: v.y * scale })),
+        );
+        insets.push(inset);
+      }
+    }
+
+    let cross = null;
+    if (style === 'explosive') {
+      const r = radius * EXPLOSIVE_MARK_SCALE;
+      cross = this.createPath();
+      cross.moveTo(-r, -r);
+      cross.lineTo(r, r);
+      cross.moveTo(r, -r);
+      cross.lineTo(-r, r);
+    }
+
+    paths = { outline, insets, cross };
+    this.shapePaths.set(shape, paths);
+    return paths;
+  }
+
+  /**
+   * Run some drawing with lines, fills and glow in another colour.
+   * @param {string} colour
+   * @param {() => void} draw
+   */
+  withColour(colour, draw) {
+    const { ctx } = this;
+    ctx.save();
+    ctx.strokeStyle = colour;
+    ctx.fillStyle = colour;
+    if (this.vector) ctx.shadowColor = colour;
+    draw();
+    ctx.restore();
+  }
+
+  /**
+   * Draw the ship, flickering while invulnerable (dimmed instead, with
+   * reduced motion) and with a flame while thrusting.
+   *
+   * @param {import('./ship.js').Ship} ship
+   * @param {number} alpha
+   * @param {{ width: number, height: number }} bounds
+   */
+  drawShip(ship, alpha, bounds) {
+    const calm = this.reducedMotion;
+    // Blink at ~8 Hz during the respawn grace period.
+    if (
+      ship.isInvulnerable &&
+      !calm &&
+      Math.floor(ship.invulnerableTime * 8) % 2
+    ) {
+      return;
+    }
+
+    const { ctx } = this;
+    ctx.save();
+    if (ship.isInvulnerable && calm) ctx.globalAlpha = INVULNERABLE_ALPHA;
+
+    this.drawEntity(ship, alpha, bounds);
+
+    if (ship.thrusting) {
+      // The flame flickers too, unless motion is reduced.
+      const flicker = calm ? 0.5 : Math.random();
+      const { x, y, rotation } = renderTransform(ship, alpha);
+      ctx.translate(x, y);
+      ctx.rotate(rotation);
+      ctx.beginPath();
+      ctx.moveTo(-8, -4);
+      ctx.lineTo(-8 - 6 - flicker * 6, 0);
+      ctx.lineTo(-8, 4);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw a saucer: its outline plus the line where the cabin meets the hull.
+   *
+   * @param {import('./saucer.js').Saucer} saucer
+   * @param {number} alpha
+   * @param {{ width: number, height: number }} bounds
+   */
+  drawSaucer(saucer, alpha, bounds) {
+    const { shape } = saucer;
+    this.drawEntity(saucer, alpha, bounds, (ctx) => {
+      ctx.beginPath();
+      ctx.moveTo(shape[1].x, shape[1].y);
+      ctx.lineTo(shape[4].x, shape[4].y);
+      ctx.moveTo(shape[0].x, shape[0].y);
+      ctx.lineTo(shape[5].x, shape[5].y);
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * Draw a bullet as a small filled dot.
+   * @param {import('./bullet.js').Bullet} bullet
+   * @param {number} alpha
+   */
+  drawBullet(bullet, alpha) {
+    const { ctx } = this;
+    const { x, y } = renderTransform(bullet, alpha);
+    ctx.beginPath();
+    ctx.arc(x, y, BULLET_DRAW_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Draw every live particle, faded by its remaining life: debris as line
+   * segments, sparks and exhaust as small squares.
+   *
+   * @param {import('./particles.js').ParticleSystem} particles
+   * @param {number} alpha
+   */
+  drawParticles(particles, alpha) {
+    const { ctx, palette } = this;
+    ctx.save();
+    ctx.strokeStyle = palette.line;
+    ctx.fillStyle = palette.line;
+    ctx.lineWidth = palette.lineWidth;
+    if (this.vector) {
+      ctx.shadowBlur = GLOW_BLUR;
+      ctx.shadowColor = palette.line;
+    }
+
+    for (const p of particles.active) {
+      const { x, y, rotation } = renderTransform(p, alpha);
+      ctx.globalAlpha = p.alpha;
+
+      if (p.kind === 'debris') {
+        const dx = (Math.cos(rotation) * p.length) / 2;
+        const dy = (Math.sin(rotation) * p.length) / 2;
+        ctx.beginPath();
+        ctx.moveTo(x - dx, y - dy);
+        ctx.lineTo(x + dx, y + dy);
+        ctx.stroke();
+      } else {
+        const size =
+          p.kind === 'exhaust' ? EXHAUST_DRAW_SIZE : SPARK_DRAW_SIZE;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+      }
+    }
+
+    ctx.restore();
+  }
+
+  // -------------------------------------------------------------------------
+  // Text & HUD
+  // -------------------------------------------------------------------------
+
+  /**
+   * Draw a line of text (titles, prompts, HUD labels).
+   *
+   * @param {string} text
+   * @param {number} x – anchor x (CSS pixels)
+   * @param {number} y – anchor y (CSS pixels)
+   * @param {object} [opts]
+   * @param {number} [opts.size]  – font size (CSS pixels)
+   * @param {CanvasTextAlign} [opts.align] – horizontal alignment about `x`
+   */
+  drawText(text, x, y, { size = 16, align = 'center' } = {}) {
+    const { ctx, palette } = this;
+    ctx.save();
+    ctx.fillStyle = palette.line;
+    ctx.font = `${size}px ${TEXT_FONT}`;
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    if (this.vector) {
+      ctx.shadowBlur = GLOW_BLUR;
+      ctx.shadowColor = palette.line;
+    }
+    ctx.fillText(text, x, y);
+    ctx.restore();
+  }
+
+  /**
+   * Draw the score / lives HUD in vector digits.
+   *
+   * @param {object} state
+   * @param {number} state.score
+   * @param {number} state.lives
+   * @param {number} [state.highScore]
+   * @param {number} state.width – playfield width (CSS pixels)
+   * @param {{ score: number, lives: number }} [state.second] – player two, drawn in their colour
+   *   (player one is then drawn in theirs too)
+   */
+  drawHud(state) {
+    const { ctx, palette } = this;
+    const { second } = state;
+    const colour = second ? palette.players[0] : palette.line;
+    ctx.save();
+    ctx.strokeStyle = colour;
+    ctx.lineWidth = palette.lineWidth;
+    if (this.vector) {
+      ctx.shadowBlur = GLOW_BLUR;
+      ctx.shadowColor = colour;
+    }
+    drawHud(ctx, {
+      ...state,
+      second: second && { ...second, colour: palette.players[1] },
+    });
+    ctx.restore();
+  }
+
+  // -------------------------------------------------------------------------
+  // Debug overlay
+  // -------------------------------------------------------------------------
+
+  /**
+   * Draw collision radii, velocity vectors, the spatial-hash grid and an
+   * FPS / entity-count readout.
+   *
+   * @param {import('./world.js').World} world
+   * @param {number} alpha
+   */
+  drawDebug(world, alpha) {
+    const { ctx } = this;
+    const entities = world.entities();
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    // --- Spatial grid --------------------------------------------------------
+    const { cellWidth, cellHeight } = world.asteroidHash;
+    ctx.strokeStyle = DEBUG_GRID_COLOUR;
+    ctx.beginPath();
+    for (let x = 0; x <= world.width; x += cellWidth) {
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, world.height);
+    }
+    for (let y = 0; y <= world.height; y += cellHeight) {
+      ctx.moveTo(0, y);
+      ctx.lineTo(world.width, y);
+    }
+    ctx.stroke();
+
+    // --- Radii & velocities --------------------------------------------------
+    for (const entity of entities) {
+      const { x, y } = renderTransform(entity, alpha);
+
+      ctx.strokeStyle = DEBUG_RADIUS_COLOUR;
+      ctx.beginPath();
+      ctx.arc(x, y, entity.radius, 0, Math.PI * 2);
+      ctx.stroke();
+
+      ctx.strokeStyle = DEBUG_VELOCITY_COLOUR;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(
+        x + entity.vx * DEBUG_VELOCITY_SCALE,
+        y + entity.vy * DEBUG_VELOCITY_SCALE,
+      );
+      ctx.stroke();
+    }
+
+    // --- Readout -------------------------------------------------------------
+    ctx.fillStyle = DEBUG_TEXT_COLOUR;
+    ctx.font = '12px monospace';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`FPS ${Math.round(this.fps)}`, 8, 8);
+    ctx.fillText(`entities ${entities.length}`, 8, 24);
+
+    ctx.restore();
+  }
+}
@@ -0,0 +1,433 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Renderer,
+  tracePolygon,
+  GLOW_BLUR,
+  PERSISTENCE_FADE,
+  PLAYER_COLOURS,
+  REDUCED_MOTION_MAX_SPIN,
+  calmSpin,
+} from './renderer.js';
+import { PALETTES } from './settings.js';
+import { World } from './world.js';
+import { Asteroid } from './asteroid.js';
+import { Ship } from './ship.js';
+import { Saucer } from './saucer.js';
+
+// ---------------------------------------------------------------------------
+// Stub context
+// ---------------------------------------------------------------------------
+
+/**
+ * Minimal stand-in for CanvasRenderingContext2D that records every method
+ * call (name + args) and every property assignment.
+ */
+function makeStubContext() {
+  const calls = [];
+  const props = {};
+  const target = { calls, props };
+  return new Proxy(target, {
+    get(obj, key) {
+      if (key in obj) return obj[key];
+      return (...args) => calls.push({ name: key, args });
+    },
+    set(obj, key, value) {
+      (props[key] ??= []).push(value);
+      return true;
+    },
+  });
+}
+
+function makeWorld() {
+  const world = new World({ seed: 1, width: 800, height: 600 });
+  world.asteroids.push(
+    new Asteroid({ tier: 1, x: 400, y: 300, vx: 10, vy: 0, rng: world.rng }),
+  );
+  return world;
+}
+
+const names = (ctx) => ctx.calls.map((c) => c.name);
+
+// ---------------------------------------------------------------------------
+// tracePolygon
+// ---------------------------------------------------------------------------
+
+describe('tracePolygon', () => {
+  it('moves to the first vertex, lines to the rest and closes', () => {
+    const ctx = makeStubContext();
+    tracePolygon(ctx, [
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+      { x: 1, y: 1 },
+    ]);
+    expect(names(ctx)).toEqual(['moveTo', 'lineTo', 'lineTo', 'closePath']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// render()
+// ---------------------------------------------------------------------------
+
+describe('Renderer render()', () => {
+  it('never replaces the DPR transform', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    world.ship = new Ship({ x: 100, y: 100 });
+    new Renderer(ctx, { vector: true, debug: true }).render(world, 0.5, 16);
+    expect(names(ctx)).not.toContain('setTransform');
+    expect(names(ctx)).not.toContain('resetTransform');
+  });
+
+  it("draws each player's ship and shots in their colour", () => {
+    const ctx = makeStubContext();
+    const world = new World({ seed: 1, width: 800, height: 600, players: 2 });
+    world.ships[0] = new Ship({ x: 100, y: 100 });
+    world.ships[1] = new Ship({ x: 300, y: 100, player: 1 });
+    world.playerBullets[1].fire(world.ships[1]);
+    new Renderer(ctx).render(world, 0, 16);
+    expect(ctx.props.strokeStyle).toContain(PLAYER_COLOURS[1]);
+    expect(ctx.props.fillStyle).toContain(PLAYER_COLOURS[1]);
+    expect(PLAYER_COLOURS[1]).not.toBe(PLAYER_COLOURS[0]);
+  });
+
+  it('balances every save() with a restore()', () => {
+    const ctx = makeStubContext();
+    new Renderer(ctx, { debug: true }).render(makeWorld(), 0, 16);
+    const saves = names(ctx).filter((n) => n === 'save').length;
+    const restores = names(ctx).filter((n) => n === 'restore').length;
+    expect(saves).toBeGreaterThan(0);
+    expect(saves).toBe(restores);
+  });
+
+  it('strokes one polygon per asteroid', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    new Renderer(ctx).render(world, 0, 16);
+    expect(names(ctx).filter((n) => n === 'stroke')).toHaveLength(1);
+    expect(names(ctx).filter((n) => n === 'lineTo')).toHaveLength(
+      world.asteroids[0].shape.length - 1,
+    );
+  });
+
+  it('marks armoured asteroids with an inset per extra hit', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    const rock = new Asteroid({
+      type: 'armouredLarge',
+      x: 400,
+      y: 300,
+      vx: 0,
+      vy: 0,
+    });
+    world.asteroids = [rock];
+    new Renderer(ctx).render(world, 0, 16);
+    expect(names(ctx).filter((n) => n === 'closePath')).toHaveLength(3);
+
+    rock.damage();
+    rock.damage();
+    const after = makeStubContext();
+    new Renderer(after).render(world, 0, 16);
+    expect(names(after).filter((n) => n === 'closePath')).toHaveLength(1);
+  });
+
+  it('marks explosive asteroids with a cross', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    world.asteroids = [
+      new Asteroid({ type: 'explosiveLarge', x: 400, y: 300, vx: 0, vy: 0 }),
+    ];
+    new Renderer(ctx).render(world, 0, 16);
+    expect(names(ctx).filter((n) => n === 'stroke')).toHaveLength(2);
+  });
+
+  it('draws a saucer with its hull lines', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    world.asteroids = [];
+    world.saucer = new Saucer({ x: 400, y: 300, range: 800 });
+    new Renderer(ctx).render(world, 0, 16);
+    expect(names(ctx).filter((n) => n === 'stroke')).toHaveLength(2);
+    expect(names(ctx).filter((n) => n === 'closePath')).toHaveLength(1);
+  });
+
+  it('draws an edge-straddling asteroid on both sides', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    world.asteroids[0].x = world.asteroids[0].prevX = 5;
+    new Renderer(ctx).render(world, 0, 16);
+    const translates = ctx.calls.filter((c) => c.name === 'translate');
+    expect(translates.map((c) => c.args[0])).toEqual([5, 805]);
+  });
+
+  it('interpolates position and rotation', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    const a = world.asteroids[0];
+    a.angularVelocity = 1;
+    world.step(1);
+    new Renderer(ctx).render(world, 0.5, 16);
+    const translate = ctx.calls.find((c) => c.name === 'translate');
+    const rotate = ctx.calls.find((c) => c.name === 'rotate');
+    expect(translate.args[0]).toBeCloseTo(405);
+    expect(rotate.args[0]).toBeCloseTo(0.5);
+  });
+
+  it('clears to opaque black in plain mode', () => {
+    const ctx = makeStubContext();
+    new Renderer(ctx).render(makeWorld(), 0, 16);
+    expect(ctx.props.fillStyle[0]).toBe('#000');
+    expect(ctx.calls[1]).toEqual({ name: 'fillRect', args: [0, 0, 800, 600] });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Vector look
+// ---------------------------------------------------------------------------
+
+describe('Renderer vector mode', () => {
+  it('fades the previous frame instead of clearing it', () => {
+    const ctx = makeStubContext();
+    new Renderer(ctx, { vector: true }).render(makeWorld(), 0, 16);
+    expect(ctx.props.fillStyle[0]).toBe('#000');
+    expect(ctx.props.globalAlpha[0]).toBe(PERSISTENCE_FADE);
+  });
+
+  it('enables line glow and flicker', () => {
+    const ctx = makeStubContext();
+    new Renderer(ctx, { vector: true }).render(makeWorld(), 0, 16);
+    expect(ctx.props.shadowBlur).toContain(GLOW_BLUR);
+    expect(ctx.props.globalAlpha[1]).toBeLessThanOrEqual(1);
+  });
+
+  it('toggleVector() flips the look', () => {
+    const renderer = new Renderer(makeStubContext());
+    renderer.toggleVector();
+    expect(renderer.vector).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Accessibility settings
+// ---------------------------------------------------------------------------
+
+describe('Renderer palettes', () => {
+  it('clears and draws in the palette colours', () => {
+    const ctx = makeStubContext();
+    const palette = PALETTES.highContrast;
+    const world = makeWorld();
+    world.ship = new Ship({ x: 100, y: 100 });
+    new Renderer(ctx, { palette }).render(world, 0, 16);
+    expect(ctx.props.fillStyle[0]).toBe(palette.background);
+    expect(ctx.props.strokeStyle).toContain(palette.line);
+    expect(ctx.props.lineWidth).toContain(palette.lineWidth);
+  });
+
+  it('colours both HUD readouts per player in two-player games', () => {
+    const ctx = makeStubContext();
+    const palette = PALETTES.colourBlind;
+    new Renderer(ctx, { palette }).drawHud({
+      score: 10,
+      lives: 2,
+      width: 800,
+      second: { score: 20, lives: 1 },
+    });
+    expect(ctx.props.strokeStyle).toEqual(palette.players);
+  });
+});
+
+describe('Renderer reduced motion', () => {
+  it('keeps the glow but drops flicker and trails', () => {
+    const ctx = makeStubContext();
+    new Renderer(ctx, { vector: true, reducedMotion: true }).render(
+      makeWorld(),
+      0,
+      16,
+    );
+    expect(ctx.props.shadowBlur).toContain(GLOW_BLUR);
+    expect(ctx.props.globalAlpha).toBeUndefined();
+  });
+
+  it('dims an invulnerable ship instead of blinking it', () => {
+    const world = new World({ seed: 1, width: 800, height: 600 });
+    world.ship = new Ship({ x: 100, y: 100 });
+    // Partway into a blink's off phase.
+    world.ship.invulnerableTime = 1.1 / 8;
+
+    const blinking = makeStubContext();
+    new Renderer(blinking).render(world, 0, 16);
+    expect(names(blinking)).not.toContain('stroke');
+
+    const calm = makeStubContext();
+    new Renderer(calm, { reducedMotion: true }).render(world, 0, 16);
+    expect(names(calm)).toContain('stroke');
+    expect(calm.props.globalAlpha).toEqual([0.5]);
+  });
+
+  it('draws fast-spinning asteroids turning slowly', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    const asteroid = world.asteroids[0];
+    asteroid.angularVelocity = 2;
+    asteroid.rotation = 1;
+    new Renderer(ctx, { reducedMotion: true, createPath: null }).render(
+      world,
+      1,
+      16,
+    );
+    const rotate = ctx.calls.find((c) => c.name === 'rotate');
+    expect(rotate.args[0]).toBeCloseTo(REDUCED_MOTION_MAX_SPIN / 2);
+  });
+
+  it('leaves slow spins alone', () => {
+    expect(calmSpin({ angularVelocity: -0.2 }, 3)).toBe(3);
+    expect(calmSpin({}, 3)).toBe(3);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Debug overlay
+// ---------------------------------------------------------------------------
+
+describe('Renderer debug overlay', () => {
+  it('is off by default and toggleable', () => {
+    const renderer = new Renderer(makeStubContext());
+    expect(renderer.debug).toBe(false);
+    renderer.toggleDebug();
+    expect(renderer.debug).toBe(true);
+  });
+
+  it('draws collision radii and an FPS / entity readout', () => {
+    const ctx = makeStubContext();
+    const renderer = new Renderer(ctx, { debug: true });
+    renderer.render(makeWorld(), 0, 0);
+    renderer.render(makeWorld(), 0, 20);
+    const text = ctx.calls
+      .filter((c) => c.name === 'fillText')
+      .map((c) => c.args[0]);
+    expect(text).toContain('FPS 50');
+    expect(text).toContain('entities 1');
+    expect(names(ctx)).toContain('arc');
+  });
+
+  it('draws nothing extra when disabled', () => {
+    const ctx = makeStubContext();
+    new Renderer(ctx).render(makeWorld(), 0, 16);
+    expect(names(ctx)).not.toContain('fillText');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Batched asteroids
+// ---------------------------------------------------------------------------
+
+/** Path2D stand-in that records what was added to it. */
+class FakePath {
+  constructor() {
+    this.calls = [];
+  }
+  moveTo(...args) {
+    this.calls.push({ name: 'moveTo', args });
+  }
+  lineTo(...args) {
+    this.calls.push({ name: 'lineTo', args });
+  }
+  closePath() {
+    this.calls.push({ name: 'closePath', args: [] });
+  }
+  addPath(path, matrix) {
+    this.calls.push({ name: 'addPath', args: [path, { ...matrix }] });
+  }
+}
+
+const createPath = () => new FakePath();
+
+describe('Renderer batched asteroids', () => {
+  it('strokes every asteroid in one call', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    world.asteroids.push(
+      new Asteroid({ tier: 2, x: 100, y: 100, vx: 0, vy: 0 }),
+      new Asteroid({ tier: 3, x: 200, y: 100, vx: 0, vy: 0 }),
+    );
+    new Renderer(ctx, { createPath }).render(world, 0, 16);
+
+    const strokes = ctx.calls.filter((c) => c.name === 'stroke');
+    expect(strokes).toHaveLength(1);
+    const [batch] = strokes[0].args;
+    expect(batch.calls.map((c) => c.name)).toEqual([
+      'addPath',
+      'addPath',
+      'addPath',
+    ]);
+  });
+
+  it('places each outline at its interpolated transform', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    const rock = world.asteroids[0];
+    rock.rotation = Math.PI / 2;
+    new Renderer(ctx, { createPath }).render(world, 1, 16);
+
+    const [batch] = ctx.calls.find((c) => c.name === 'stroke').args;
+    const [, matrix] = batch.calls[0].args;
+    expect(matrix.a).toBeCloseTo(0);
+    expect(matrix.b).toBeCloseTo(1);
+    expect(matrix.c).toBeCloseTo(-1);
+    expect([matrix.e, matrix.f]).toEqual([400, 300]);
+  });
+
+  it('adds a copy on the far side of an edge', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    world.asteroids[0].x = world.asteroids[0].prevX = 5;
+    new Renderer(ctx, { createPath }).render(world, 0, 16);
+
+    const [batch] = ctx.calls.find((c) => c.name === 'stroke').args;
+    expect(batch.calls.map((c) => c.args[1].e)).toEqual([5, 805]);
+  });
+
+  it('traces each outline once and reuses it', () => {
+    const world = makeWorld();
+    const renderer = new Renderer(makeStubContext(), { createPath });
+    renderer.render(world, 0, 16);
+    const paths = renderer.shapePaths.get(world.asteroids[0].shape);
+    expect(paths.outline.calls.map((c) => c.name)).toContain('closePath');
+
+    renderer.render(world, 0, 32);
+    expect(renderer.shapePaths.get(world.asteroids[0].shape)).toBe(paths);
+  });
+
+  it('adds armour insets for the hits left and the explosive cross', () => {
+    const ctx = makeStubContext();
+    const world = makeWorld();
+    const armoured = new Asteroid({
+      type: 'armouredLarge',
+      x: 400,
+      y: 300,
+      vx: 0,
+      vy: 0,
+    });
+    armoured.damage();
+    const explosive = new Asteroid({
+      type: 'explosiveLarge',
+      x: 200,
+      y: 300,
+      vx: 0,
+      vy: 0,
+    });
+    world.asteroids = [armoured, explosive];
+    const renderer = new Renderer(ctx, { createPath });
+    renderer.render(world, 0, 16);
+
+    const [batch] = ctx.calls.find((c) => c.name === 'stroke').args;
+    const added = batch.calls.map((c) => c.args[0]);
+    const armourPaths = renderer.shapePaths.get(armoured.shape);
+    const explosivePaths = renderer.shapePaths.get(explosive.shape);
+    expect(added).toEqual([
+      armourPaths.outline,
+      ...armourPaths.insets.slice(0, armoured.hitPoints - 1),
+      explosivePaths.outline,
+      explosivePaths.cross,
+    ]);
+  });
+});
@@ -0,0 +1,403 @@
+/**
+ * Replay module.
+ *
+ * A replay is the seed of a game plus the controls polled on every
+ * simulation tick from the moment it started.  Because the world draws all
+ * of its randomness from that seed and advances in fixed steps, feeding the
+ * same controls back in reproduces the game exactly — so replays work both
+ * for watching a game again and as regression fixtures for the simulation.
+ *
+ * Replays are stored as compact JSON: each tick's controls are packed into a
+ * bitmask over ACTIONS, and runs of identical ticks are run-length encoded
+ * into a short string.  In simultaneous two-player games every tick holds
+ * both players' controls, player i's bits shifted up by i × ACTIONS.length.
+ *
+ *   { version, seed, step, width, height, ticks, actions, resizes, pauses,
+ *     final, players, mode, friendlyFire }
+ *
+ * `pauses` lists the ticks before which the game paused itself because the
+ * page was hidden; the resume is an ordinary recorded pause press.
+ * `players`, `mode` and `friendlyFire` are optional; replays without them
+ * are single-player games.
+ */
+
+import { ACTIONS } from './input.js';
+import { SIMULATION_STEP } from './loop.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Replay file format version. */
+export const REPLAY_VERSION = 1;
+
+/** Playback speeds offered by ReplayPlayer, in ticks per step. */
+export const PLAYBACK_SPEEDS = [1, 2, 4];
+
+/** Separator between runs in the encoded action string. */
+const RUN_SEPARATOR = '.';
+
+/** Separator between a mask and its run length. */
+const COUNT_SEPARATOR = '*';
+
+// ---------------------------------------------------------------------------
+// Action encoding
+// ---------------------------------------------------------------------------
+
+/**
+ * Pack one tick's controls into a bitmask (bit i ↔ ACTIONS[i]).  Given one
+ * set per player, player p's actions occupy the bits from
+ * p × ACTIONS.length up.
+ *
+ * @param {Record<string, boolean> | Record<string, boolean>[]} controls
+ * @returns {number}
+ */
+export function maskFromControls(controls) {
+  const perPlayer = Array.isArray(controls) ? controls : [controls];
+  let mask = 0;
+  perPlayer.forEach((playerControls, p) => {
+    ACTIONS.forEach((action, i) => {
+      if (playerControls[action]) mask |= 1 << (p * ACTIONS.length + i);
+    });
+  });
+  return mask;
+}
+
+/**
+ * Unpack a bitmask into a controls object with every action present, or
+ * one per player when there is more than one.
+ *
+ * @param {number} mask
+ * @param {number} [players]
+ * @returns {Record<string, boolean> | Record<string, boolean>[]}
+ */
+export function controlsFromMask(mask, players = 1) {
+  const perPlayer = Array.from({ length: players }, (_, p) => {
+    const controls = {};
+    ACTIONS.forEach((action, i) => {
+      controls[action] = (mask & (1 << (p * ACTIONS.length + i))) !== 0;
+    });
+    return controls;
+  });
+  return players === 1 ? perPlayer[0] : perPlayer;
+}
+
+/**
+ * Run-length encode per-tick masks, e.g. `[0, 0, 0, 5]` → `"0*3.5"`.
+ * Masks and counts are written in base 36.
+ *
+ * @param {number[]} masks
+ * @returns {string}
+ */
+export function encodeActions(masks) {
+  const runs = [];
+  let i = 0;
+  while (i < masks.length) {
+    let run = 1;
+    while (masks[i + run] === masks[i]) run++;
+    const mask = masks[i].toString(36);
+    const count = run > 1 ? COUNT_SEPARATOR + run.toString(36) : '';
+    runs.push(mask + count);
+    i += run;
+  }
+  return runs.join(RUN_SEPARATOR);
+}
+
+/**
+ * Inverse of encodeActions().
+ * @param {string} encoded
+ * @returns {number[]}
+ * @throws {SyntaxError} on malformed input
+ */
+export function decodeActions(encoded) {
+  if (encoded === '') return [];
+
+  const masks = [];
+  for (const token of encoded.split(RUN_SEPARATOR)) {
+    const [mask, count = '1'] = token.split(COUNT_SEPARATOR);
+    const value = parseInt(mask, 36);
+    const run = parseInt(count, 36);
+    if (!/^[0-9a-z]+$/.test(mask) || !(run > 0)) {
+      throw new SyntaxError(`Malformed replay action run: "${token}"`);
+    }
+    for (let i = 0; i < run; i++) masks.push(value);
+  }
+  return masks;
+}
+
+/**
+ * Check a parsed replay file and decode its actions.
+ *
+ * @param {object} replay
+ * @returns {number[]} per-tick masks
+ * @throws {TypeError} if the replay is unusable
+ */
+export function validateReplay(replay) {
+  if (!replay || typeof replay !== 'object') {
+    throw new TypeError('Replay must be an object');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new TypeError(`Unsupported replay version: ${replay.version}`);
+  }
+  for (const key of ['seed', 'step', 'width', 'height', 'ticks']) {
+    if (!Number.isFinite(replay[key])) {
+      throw new TypeError(`Replay is missing "${key}"`);
+    }
+  }
+  if (typeof replay.actions !== 'string') {
+    throw new TypeError('Replay is missing "actions"');
+  }
+  const players = replay.players ?? 1;
+  if (!Number.isInteger(players) || players < 1) {
+    throw new TypeError(`Unsupported replay player count: ${players}`);
+  }
+
+  const masks = decodeActions(replay.actions);
+  if (masks.length !== replay.ticks) {
+    throw new TypeError(
+      `Replay has ${masks.length} ticks of input, expected ${replay.ticks}`,
+    );
+  }
+  return masks;
+}
+
+// ---------------------------------------------------------------------------
+// ReplayRecorder class
+// ---------------------------------------------------------------------------
+
+export class ReplayRecorder {
+  /**
+   * @param {object} opts
+   * @param {number} opts.seed   – seed of the game being recorded
+   * @param {number} opts.width  – playfield size at the start
+   * @param {number} opts.height
+   * @param {number} [opts.step] – simulation step (seconds)
+   * @param {number} [opts.players] – control sets recorded per tick
+   * @param {string} [opts.mode]    – game mode (see Game)
+   * @param {boolean} [opts.friendlyFire]
+   */
+  constructor({
+    seed,
+    width,
+    height,
+    step = SIMULATION_STEP,
+    players = 1,
+    mode = 'single',
+    friendlyFire = false,
+  }) {
+    this.seed = seed;
+    this.width = width;
+    this.height = height;
+    this.step = step;
+    this.players = players;
+    this.mode = mode;
+    this.friendlyFire = friendlyFire;
+
+    /** Controls mask for every tick recorded so far. */
+    this.masks = [];
+
+    /** Playfield resizes as `[tick, width, height]`, in order. */
+    this.resizes = [];
+
+    /** Ticks before which the game paused itself (page hidden), in order. */
+    this.pauses = [];
+  }
+
+  /** Number of ticks recorded. */
+  get ticks() {
+    return this.masks.length;
+  }
+
+  /**
+   * Record the controls for one tick.
+   * @param {Record<string, boolean> | Record<string, boolean>[]} controls
+   */
+  record(controls) {
+    this.masks.push(maskFromControls(controls));
+  }
+
+  /**
+   * Note a playfield resize before the next recorded tick.
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.resizes.push([this.ticks, width, height]);
+  }
+
+  /** Note an automatic pause (page hidden) before the next recorded tick. */
+  pause() {
+    this.pauses.push(this.ticks);
+  }
+
+  /**
+   * Produce the replay file contents.
+   * @param {object} [final] – outcome to store alongside, e.g. `{ score, wave }`
+   * @returns {object}
+   */
+  finish(final = null) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      step: this.step,
+      width: this.width,
+      height: this.height,
+      ticks: this.ticks,
+      actions: encodeActions(this.masks),
+      resizes: this.resizes.map((r) => [...r]),
+      pauses: [...this.pauses],
+      final,
+      players: this.players,
+      mode: this.mode,
+      friendlyFire: this.friendlyFire,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// ReplayPlayer class
+// ---------------------------------------------------------------------------
+
+export class ReplayPlayer {
+  /**
+   * @param {object} replay – replay file contents
+   * @param {import('./game.js').Game} game – a fresh game created with the
+   *   replay's seed and size (see Game.forReplay()); the player starts it
+   * @throws {TypeError} if the replay is unusable
+   */
+  constructor(replay, game) {
+    this.replay = replay;
+    this.game = game;
+
+    /** Decoded per-tick masks. */
+    this.masks = validateReplay(replay);
+
+    /** Next tick to play. */
+    this.tick = 0;
+
+    /** Index of the next resize to apply. */
+    this.nextResize = 0;
+
+    /** Index of the next automatic pause to apply. */
+    this.nextPause = 0;
+
+    /** Ticks played per update() while running. */
+    this.speed = 1;
+
+    /** Whether playback is paused. */
+    this.paused = false;
+
+    /** Ticks queued by stepFrame() to run while paused. */
+    this.pendingSteps = 0;
+
+    game.beginGame();
+  }
+
+  /** True once every recorded tick has been played. */
+  get done() {
+    return this.tick >= this.masks.length;
+  }
+
+  // -------------------------------------------------------------------------
+  // Playback controls
+  // -------------------------------------------------------------------------
+
+  /** Pause or resume playback. */
+  togglePause() {
+    this.paused = !this.paused;
+  }
+
+  /**
+   * Set the playback speed.
+   * @param {number} speed – one of PLAYBACK_SPEEDS
+   */
+  setSpeed(speed) {
+    if (!PLAYBACK_SPEEDS.includes(speed)) {
+      throw new RangeError(`Unsupported playback speed: ${speed}`);
+    }
+    this.speed = speed;
+  }
+
+  /** Advance exactly one tick on the next update(), pausing playback. */
+  stepFrame() {
+    this.paused = true;
+    this.pendingSteps++;
+  }
+
+  // -------------------------------------------------------------------------
+  // Loop hooks
+  // -------------------------------------------------------------------------
+
+  /**
+   * Called once per simulation step by the game loop: plays `speed` ticks,
+   * or any frame-stepped ticks while paused.
+   * @returns {number} ticks played
+   */
+  update() {
+    let ticks = this.paused ? this.pendingSteps : this.speed;
+    this.pendingSteps = 0;
+
+    let played = 0;
+    while (ticks-- > 0 && this.playTick()) played++;
+    return played;
+  }
+
+  /**
+   * Draw the game being replayed.
+   * @param {import('./renderer.js').Renderer} renderer
+   * @param {number} alpha
+   */
+  render(renderer, alpha) {
+    // Interpolating between ticks only makes sense at normal speed.
+    const smooth = !this.paused && this.speed === 1;
+    this.game.render(renderer, smooth ? alpha : 1);
+
+    let label = `REPLAY ${this.speed}×`;
+    if (this.paused) label = 'REPLAY PAUSED';
+    if (this.done) label = 'REPLAY ENDED';
+    renderer.drawText(label, this.game.width / 2, 24, { size: 14 });
+  }
+
+  /**
+   * Play a single recorded tick.
+   * @returns {boolean} false once the replay has ended
+   */
+  playTick() {
+    if (this.done) return false;
+
+    const resizes = this.replay.resizes ?? [];
+    while (
+      this.nextResize < resizes.length &&
+      resizes[this.nextResize][0] <= this.tick
+    ) {
+      const [, width, height] = resizes[this.nextResize++];
+      this.game.resize(width, height);
+    }
+
+    const pauses = this.replay.pauses ?? [];
+    while (
+      this.nextPause < pauses.length &&
+      pauses[this.nextPause] <= this.tick
+    ) {
+      this.nextPause++;
+      this.game.handleVisibilityChange(true);
+    }
+
+    const controls = controlsFromMask(
+      this.masks[this.tick],
+      this.replay.players ?? 1,
+    );
+    this.game.update(this.replay.step, controls);
+    this.tick++;
+    return true;
+  }
+
+  /**
+   * Play every remaining tick at once.
+   * @returns {this}
+   */
+  runToEnd() {
+    while (this.playTick());
+    return this;
+  }
+}
@@ -0,0 +1,245 @@
+import { describe, it, expect } from 'vitest';
+import {
+  maskFromControls,
+  controlsFromMask,
+  encodeActions,
+  decodeActions,
+  validateReplay,
+  ReplayRecorder,
+  ReplayPlayer,
+  REPLAY_VERSION,
+} from './replay.js';
+import { ACTIONS } from './input.js';
+import { Game } from './game.js';
+import { expectReplay, runReplay } from './testing/replays.js';
+import smoke from './fixtures/replays/smoke.json';
+
+const DT = 1 / 60;
+
+/** Scripted controls for tick `t`: turning, thrusting and firing. */
+function script(t) {
+  return {
+    rotateLeft: t % 120 < 30,
+    thrust: t % 90 < 10,
+    fire: t % 8 === 0,
+  };
+}
+
+/** Record `ticks` of scripted play and return the game and its replay. */
+function recordGame(ticks, { seed = 99, onTick } = {}) {
+  const game = new Game({ seed, record: true });
+  game.update(DT, {});
+  game.update(DT, { fire: true });
+  for (let t = 0; t < ticks; t++) {
+    onTick?.(game, t);
+    game.update(DT, script(t));
+  }
+  return { game, replay: game.recorder.finish({ score: game.score }) };
+}
+
+// ---------------------------------------------------------------------------
+// Encoding
+// ---------------------------------------------------------------------------
+
+describe('action masks', () => {
+  it('round-trip every action', () => {
+    for (const action of ACTIONS) {
+      const controls = controlsFromMask(maskFromControls({ [action]: true }));
+      expect(Object.keys(controls)).toEqual(ACTIONS);
+      for (const a of ACTIONS) expect(controls[a]).toBe(a === action);
+    }
+  });
+
+  it("keep each player's controls apart", () => {
+    const mask = maskFromControls([{ fire: true }, { thrust: true }]);
+    const [one, two] = controlsFromMask(mask, 2);
+    expect(one).toMatchObject({ fire: true, thrust: false });
+    expect(two).toMatchObject({ fire: false, thrust: true });
+    expect(controlsFromMask(mask).thrust).toBe(false);
+  });
+});
+
+describe('encodeActions / decodeActions', () => {
+  it('run-length encodes repeated ticks', () => {
+    expect(encodeActions([0, 0, 0, 5, 40, 40])).toBe('0*3.5.14*2');
+    expect(decodeActions('0*3.5.14*2')).toEqual([0, 0, 0, 5, 40, 40]);
+  });
+
+  it('handles long runs and empty input', () => {
+    const masks = Array(1000).fill(9);
+    expect(encodeActions(masks)).toBe('9*rs');
+    expect(decodeActions(encodeActions(masks))).toEqual(masks);
+    expect(decodeActions(encodeActions([]))).toEqual([]);
+  });
+
+  it('rejects malformed runs', () => {
+    expect(() => decodeActions('3*0')).toThrow(SyntaxError);
+    expect(() => decodeActions('3..4')).toThrow(SyntaxError);
+  });
+});
+
+describe('validateReplay', () => {
+  const valid = new ReplayRecorder({ seed: 1, width: 800, height: 600 });
+  valid.record({ fire: true });
+
+  it("accepts a recorder's output", () => {
+    expect(validateReplay(valid.finish())).toEqual([
+      maskFromControls({ fire: true }),
+    ]);
+  });
+
+  it('rejects other versions, missing fields and tick mismatches', () => {
+    const replay = valid.finish();
+    expect(() => validateReplay({ ...replay, version: 99 })).toThrow(
+      TypeError,
+    );
+    expect(() => validateReplay({ ...replay, seed: undefined })).toThrow(
+      TypeError,
+    );
+    expect(() => validateReplay({ ...replay, ticks: 2 })).toThrow(TypeError);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+describe('Game recording', () => {
+  it("records from the first tick of play, with the game's seed", () => {
+    const { game, replay } = recordGame(30);
+    expect(replay.version).toBe(REPLAY_VERSION);
+    expect(replay.seed).toBe(game.seed);
+    expect(replay.ticks).toBe(30);
+  });
+
+  it('keeps the finished replay once the game is over', () => {
+    const game = new Game({ seed: 3, record: true });
+    game.update(DT, {});
+    game.update(DT, { fire: true });
+    game.scoring.lives = 1;
+    game.world.ship.invulnerableTime = 0;
+    game.world.ship.x = game.world.asteroids[0].x;
+    game.world.ship.y = game.world.asteroids[0].y;
+    for (let t = 0; t < 600 && game.state !== 'attract'; t++) {
+      game.update(DT, {});
+    }
+    expect(game.state).toBe('attract');
+    expect(game.recorder).toBeNull();
+    expect(game.lastReplay.final).toEqual({ score: game.score, wave: 1 });
+  });
+
+  it('does not record unless asked to', () => {
+    const game = new Game({ seed: 3 });
+    game.update(DT, {});
+    game.update(DT, { fire: true });
+    expect(game.recorder).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Playback
+// ---------------------------------------------------------------------------
+
+describe('ReplayPlayer', () => {
+  it('reproduces the recorded game exactly', () => {
+    const { game, replay } = recordGame(900);
+    const copy = Game.forReplay(replay);
+    new ReplayPlayer(JSON.parse(JSON.stringify(replay)), copy).runToEnd();
+    expect(copy.world.toJSON()).toEqual(game.world.toJSON());
+    expect(copy.score).toBe(game.score);
+    expect(copy.score).toBeGreaterThan(0);
+  });
+
+  it('replays playfield resizes at the tick they happened', () => {
+    const { game, replay } = recordGame(300, {
+      onTick: (g, t) => t === 120 && g.resize(640, 480),
+    });
+    expect(replay.resizes).toEqual([[120, 640, 480]]);
+    const { game: copy } = runReplay(replay);
+    expect(copy.width).toBe(640);
+    expect(copy.world.toJSON()).toEqual(game.world.toJSON());
+  });
+
+  it('pauses at the tick the page was hidden', () => {
+    const game = new Game({ seed: 5, record: true });
+    game.update(DT, {});
+    game.update(DT, { fire: true });
+    for (let t = 0; t < 60; t++) game.update(DT, { thrust: true });
+    game.handleVisibilityChange(true);
+    for (let t = 0; t < 120; t++) game.update(DT, {});
+    game.update(DT, { pause: true });
+    for (let t = 0; t < 60; t++) game.update(DT, { rotateLeft: true });
+    const replay = game.recorder.finish();
+
+    expect(replay.pauses).toEqual([60]);
+    const { game: copy } = runReplay(replay);
+    expect(copy.state).toBe('playing');
+    expect(copy.world.toJSON()).toEqual(game.world.toJSON());
+  });
+
+  it('plays faster at 2× and 4×', () => {
+    const { replay } = recordGame(100);
+    const player = new ReplayPlayer(replay, Game.forReplay(replay));
+    expect(player.update()).toBe(1);
+    player.setSpeed(4);
+    expect(player.update()).toBe(4);
+    expect(player.tick).toBe(5);
+    expect(() => player.setSpeed(3)).toThrow(RangeError);
+  });
+
+  it('holds still while paused and frame-steps one tick at a time', () => {
+    const { replay } = recordGame(100);
+    const player = new ReplayPlayer(replay, Game.forReplay(replay));
+    player.togglePause();
+    expect(player.update()).toBe(0);
+    player.stepFrame();
+    player.stepFrame();
+    expect(player.update()).toBe(2);
+    expect(player.update()).toBe(0);
+    expect(player.tick).toBe(2);
+  });
+
+  it('reproduces a simultaneous two-player game', () => {
+    const game = new Game({
+      seed: 5,
+      record: true,
+      mode: 'versus',
+      friendlyFire: true,
+    });
+    game.update(DT, [{}, {}]);
+    game.update(DT, [{}, { fire: true }]);
+    for (let t = 0; t < 300; t++) {
+      game.update(DT, [script(t), script(t + 60)]);
+    }
+    const replay = game.recorder.finish({ score: game.score });
+    expect(replay).toMatchObject({
+      players: 2,
+      mode: 'versus',
+      friendlyFire: true,
+    });
+
+    const copy = Game.forReplay(replay);
+    new ReplayPlayer(replay, copy).runToEnd();
+    expect(copy.world.toJSON()).toEqual(game.world.toJSON());
+  });
+
+  it('stops at the end of the recording', () => {
+    const { replay } = recordGame(10);
+    const player = new ReplayPlayer(replay, Game.forReplay(replay));
+    player.setSpeed(4);
+    for (let i = 0; i < 5; i++) player.update();
+    expect(player.done).toBe(true);
+    expect(player.tick).toBe(10);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+describe('recorded replay fixtures', () => {
+  it('smoke.json still ends with its recorded score', () => {
+    const result = expectReplay(smoke);
+    expect(result.state).toBe('attract');
+  });
+});
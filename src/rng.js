@@ -0,0 +1,97 @@
+/**
+ * Seedable random number generator module.
+ *
+ * Wraps the mulberry32 PRNG: a tiny, fast generator with a single 32-bit
+ * state word, which makes it trivial to seed, copy and restore.  Every bit of
+ * gameplay randomness goes through an `Rng` so that the same seed always
+ * reproduces the same asteroid shapes, spins and breakup trajectories.
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Pick a fresh random 32-bit seed (used when no seed is supplied).
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// ---------------------------------------------------------------------------
+// Rng class
+// ---------------------------------------------------------------------------
+
+export class Rng {
+  /**
+   * @param {number} [seed] – 32-bit integer seed; random if omitted
+   */
+  constructor(seed) {
+    /** Seed this generator was created with (for replays / sharing). */
+    this.seed = (seed ?? randomSeed()) >>> 0;
+
+    /** Internal mulberry32 state. */
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1) — drop-in replacement for `Math.random()`.
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Uniform float in [min, max).
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Uniform integer in [min, max] (inclusive).
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  // -------------------------------------------------------------------------
+  // Serialization
+  // -------------------------------------------------------------------------
+
+  /** @returns {{ seed: number, state: number }} */
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Rebuild a generator mid-sequence: it continues exactly where the
+   * serialized one left off.
+   * @param {{ seed: number, state: number }} data
+   * @returns {Rng}
+   */
+  static fromJSON({ seed, state }) {
+    const rng = new Rng(seed);
+    rng.state = state >>> 0;
+    return rng;
+  }
+}
+
+/**
+ * Shared, randomly seeded generator used when a caller doesn't supply one.
+ * Fine for casual play; anything that needs reproducibility should create
+ * its own `Rng` with a known seed.
+ */
+export const defaultRng = new Rng();
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { Rng, defaultRng } from './rng.js';
+
+describe('Rng', () => {
+  it('produces the same sequence for the same seed', () => {
+    const a = new Rng(1234);
+    const b = new Rng(1234);
+    for (let i = 0; i < 20; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  it('produces different sequences for different seeds', () => {
+    const a = new Rng(1);
+    const b = new Rng(2);
+    expect(a.next()).not.toBe(b.next());
+  });
+
+  it('returns floats in [0, 1)', () => {
+    const rng = new Rng(42);
+    for (let i = 0; i < 1000; i++) {
+      const v = rng.next();
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    }
+  });
+
+  it('range() stays within [min, max)', () => {
+    const rng = new Rng(7);
+    for (let i = 0; i < 200; i++) {
+      const v = rng.range(-3, 5);
+      expect(v).toBeGreaterThanOrEqual(-3);
+      expect(v).toBeLessThan(5);
+    }
+  });
+
+  it('int() covers [min, max] inclusively', () => {
+    const rng = new Rng(99);
+    const seen = new Set();
+    for (let i = 0; i < 200; i++) seen.add(rng.int(1, 3));
+    expect([...seen].sort()).toEqual([1, 2, 3]);
+  });
+
+  it('can be resumed from a saved state', () => {
+    const rng = new Rng(5);
+    rng.next();
+    const saved = rng.state;
+    const expected = rng.next();
+    rng.state = saved;
+    expect(rng.next()).toBe(expected);
+  });
+
+  it('remembers its seed', () => {
+    expect(new Rng(77).seed).toBe(77);
+  });
+
+  it('exposes a randomly seeded default generator', () => {
+    expect(defaultRng).toBeInstanceOf(Rng);
+  });
+});
+
+describe('Rng toJSON / fromJSON', () => {
+  it('continues the sequence where it left off', () => {
+    const a = new Rng(77);
+    a.next();
+    a.next();
+    const b = Rng.fromJSON(JSON.parse(JSON.stringify(a)));
+    expect(b.seed).toBe(77);
+    for (let i = 0; i < 5; i++) expect(b.next()).toBe(a.next());
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Saucer entity module.
+ *
+ * Flying saucers enter at the left or right edge, cross the screen once on
+ * a zig-zag path and leave at the far side, shooting as they go.  The two
+ * kinds are described by SAUCER_TYPES:
+ *
+ * - **large** — slow, easy to hit, fires in random directions.
+ * - **small** — fast and worth five times as much; aims at the player,
+ *   more accurately the higher the player's score.
+ *
+ * The saucer only decides *where* to shoot; the world owns the bullets and
+ * resolves every collision (see World.updateSaucer()).
+ */
+
+import { defaultRng } from './rng.js';
+import { wrapDelta } from './collision.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Saucer kinds.  Each sets:
+ *
+ * - `radius`       – collision radius (CSS pixels); the outline scales with it
+ * - `score`        – points for destroying it
+ * - `speed`        – horizontal cruising speed (px / s)
+ * - `fireInterval` – seconds between shots
+ * - `aimed`        – whether it aims at the ship (otherwise fires at random)
+ */
+export const SAUCER_TYPES = {
+  large: {
+    radius: 20,
+    score: 200,
+    speed: 90,
+    fireInterval: 1.2,
+    aimed: false,
+  },
+  small: {
+    radius: 10,
+    score: 1000,
+    speed: 140,
+    fireInterval: 0.9,
+    aimed: true,
+  },
+};
+
+/**
+ * Classic saucer outline for a radius of 1: a domed cabin on a flat hull.
+ * Scaled by each saucer's radius.
+ */
+const SAUCER_OUTLINE = [
+  { x: -1, y: 0.1 },
+  { x: -0.45, y: -0.25 },
+  { x: -0.25, y: -0.6 },
+  { x: 0.25, y: -0.6 },
+  { x: 0.45, y: -0.25 },
+  { x: 1, y: 0.1 },
+  { x: 0.45, y: 0.45 },
+  { x: -0.45, y: 0.45 },
+];
+
+/** Vertical speed while zig-zagging, as a fraction of cruising speed. */
+export const ZIGZAG_SPEED_FRACTION = 0.6;
+
+/** Range of time between course changes (seconds). */
+export const ZIGZAG_INTERVAL = [0.6, 1.6];
+
+/** Aim error (radians, either side) of a small saucer at a score of 0. */
+export const MAX_AIM_ERROR = 0.5;
+
+/** Smallest aim error, reached at PERFECT_AIM_SCORE. */
+export const MIN_AIM_ERROR = 0.05;
+
+/** Score at which small saucers reach their best accuracy. */
+export const PERFECT_AIM_SCORE = 40000;
+
+/** Mass, on the asteroid scale, for momentum transfer when it hits one. */
+export const SAUCER_MASS = 300;
+
+/** Saucer bullets: how many can be in flight, and time between shots. */
+export const SAUCER_MAX_BULLETS = 2;
+export const SAUCER_FIRE_COOLDOWN = 0.5;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * How far (radians, either side) a small saucer's shot may stray from a
+ * perfect aim at a given player score: MAX_AIM_ERROR at 0, narrowing
+ * linearly to MIN_AIM_ERROR at PERFECT_AIM_SCORE and beyond.
+ *
+ * @param {number} score
+ * @returns {number}
+ */
+export function aimErrorForScore(score) {
+  const t = Math.min(1, Math.max(0, score / PERFECT_AIM_SCORE));
+  return MAX_AIM_ERROR + (MIN_AIM_ERROR - MAX_AIM_ERROR) * t;
+}
+
+// ---------------------------------------------------------------------------
+// Saucer class
+// ---------------------------------------------------------------------------
+
+export class Saucer {
+  /**
+   * @param {object} opts
+   * @param {'large'|'small'} [opts.type]
+   * @param {number} opts.x
+   * @param {number} opts.y
+   * @param {1|-1} [opts.direction] – 1 crosses left to right, -1 right to left
+   * @param {number} opts.range    – distance to travel before leaving (CSS pixels)
+   * @param {import('./rng.js').Rng} [opts.rng] – random source for the first course change
+   */
+  constructor({
+    type = 'large',
+    x,
+    y,
+    direction = 1,
+    range,
+    rng = defaultRng,
+  }) {
+    const definition = SAUCER_TYPES[type];
+    if (!definition) throw new Error(`Unknown saucer type: ${type}`);
+
+    /** Key into SAUCER_TYPES. */
+    this.type = type;
+
+    /** Position. */
+    this.x = x;
+    this.y = y;
+
+    /** Velocity: steady horizontally, zig-zagging vertically. */
+    this.vx = definition.speed * direction;
+    this.vy = 0;
+
+    /** Saucers never turn; kept for the shared collision and draw code. */
+    this.rotation = 0;
+
+    /** Collision radius and outline. */
+    this.radius = definition.radius;
+    this.shape = SAUCER_OUTLINE.map((v) => ({
+      x: v.x * definition.radius,
+      y: v.y * definition.radius,
+    }));
+
+    /** Horizontal distance covered so far, and the distance to cover. */
+    this.travelled = 0;
+    this.range = range;
+
+    /** Seconds until the next course change. */
+    this.zigzagTimer = rng.range(...ZIGZAG_INTERVAL);
+
+    /** Seconds until the next shot. */
+    this.fireTimer = definition.fireInterval;
+
+    /** Transform at the start of the last step (for interpolation). */
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = 0;
+  }
+
+  /** This saucer's row in SAUCER_TYPES. */
+  get definition() {
+    return SAUCER_TYPES[this.type];
+  }
+
+  /** Points for destroying this saucer. */
+  get score() {
+    return this.definition.score;
+  }
+
+  /** True once it has crossed the screen and should leave play. */
+  get departed() {
+    return this.travelled >= this.range;
+  }
+
+  /** True when a shot is due (see fired()). */
+  get readyToFire() {
+    return this.fireTimer <= 0;
+  }
+
+  // -------------------------------------------------------------------------
+  // Simulation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Fly forward by `dt` seconds, changing vertical course when due.
+   *
+   * @param {number} dt
+   * @param {import('./rng.js').Rng} [rng] – picks the new course
+   */
+  update(dt, rng = defaultRng) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    this.zigzagTimer -= dt;
+    if (this.zigzagTimer <= 0) {
+      // Up, level or down, with equal odds.
+      const heading = rng.int(-1, 1);
+      this.vy = heading * this.definition.speed * ZIGZAG_SPEED_FRACTION;
+      this.zigzagTimer = rng.range(...ZIGZAG_INTERVAL);
+    }
+
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.travelled += Math.abs(this.vx) * dt;
+    this.fireTimer -= dt;
+  }
+
+  // -------------------------------------------------------------------------
+  // Shooting
+  // -------------------------------------------------------------------------
+
+  /**
+   * Direction for the next shot.  Large saucers fire anywhere; small ones
+   * aim at the target across the nearest wrapped edge, off by up to
+   * aimErrorForScore(score) either side.  Without a target, every saucer
+   * fires at random.
+   *
+   * @param {{ x: number, y: number } | null} target
+   * @param {{ width: number, height: number }} bounds
+   * @param {number} score – the player's score
+   * @param {import('./rng.js').Rng} [rng]
+   * @returns {number} angle (radians)
+   */
+  aimAt(target, bounds, score, rng = defaultRng) {
+    if (!this.definition.aimed || !target) {
+      return rng.range(0, Math.PI * 2);
+    }
+
+    const dx = wrapDelta(target.x - this.x, bounds.width);
+    const dy = wrapDelta(target.y - this.y, bounds.height);
+    const error = aimErrorForScore(score);
+    return Math.atan2(dy, dx) + rng.range(-error, error);
+  }
+
+  /** Restart the fire timer after a shot. */
+  fired() {
+    this.fireTimer = this.definition.fireInterval;
+  }
+
+  /**
+   * World-space point on the hull in a given direction (where bullets
+   * spawn).
+   * @param {number} angle
+   * @returns {{ x: number, y: number }}
+   */
+  getNose(angle) {
+    return {
+      x: this.x + Math.cos(angle) * this.radius,
+      y: this.y + Math.sin(angle) * this.radius,
+    };
+  }
+
+  // -------------------------------------------------------------------------
+  // Serialization
+  // -------------------------------------------------------------------------
+
+  /** @returns {object} plain-data form for snapshots */
+  toJSON() {
+    return {
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      travelled: this.travelled,
+      range: this.range,
+      zigzagTimer: this.zigzagTimer,
+      fireTimer: this.fireTimer,
+    };
+  }
+
+  /**
+   * Rebuild a saucer from toJSON() output.
+   * @param {object} data
+   * @returns {Saucer}
+   */
+  static fromJSON(data) {
+    const saucer = new Saucer({
+      type: data.type,
+      x: data.x,
+      y: data.y,
+      range: data.range,
+    });
+    saucer.vx = data.vx;
+    saucer.vy = data.vy;
+    saucer.travelled = data.travelled;
+    saucer.zigzagTimer = data.zigzagTimer;
+    saucer.fireTimer = data.fireTimer;
+    return saucer;
+  }
+}
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Saucer,
+  SAUCER_TYPES,
+  ZIGZAG_SPEED_FRACTION,
+  MAX_AIM_ERROR,
+  MIN_AIM_ERROR,
+  PERFECT_AIM_SCORE,
+  aimErrorForScore,
+} from './saucer.js';
+import { Rng } from './rng.js';
+
+const BOUNDS = { width: 800, height: 600 };
+
+const makeSaucer = (opts) =>
+  new Saucer({ x: 0, y: 300, range: 800, rng: new Rng(1), ...opts });
+
+// ---------------------------------------------------------------------------
+// Construction
+// ---------------------------------------------------------------------------
+
+describe('Saucer', () => {
+  it('takes its size, score and speed from its type', () => {
+    for (const [type, def] of Object.entries(SAUCER_TYPES)) {
+      const saucer = makeSaucer({ type, direction: -1 });
+      expect(saucer.radius).toBe(def.radius);
+      expect(saucer.score).toBe(def.score);
+      expect(saucer.vx).toBe(-def.speed);
+      expect(saucer.vy).toBe(0);
+    }
+  });
+
+  it('scales its outline to its radius', () => {
+    const small = makeSaucer({ type: 'small' });
+    const xs = small.shape.map((v) => v.x);
+    expect(Math.max(...xs)).toBe(SAUCER_TYPES.small.radius);
+    expect(Math.min(...xs)).toBe(-SAUCER_TYPES.small.radius);
+  });
+
+  it('rejects unknown types', () => {
+    expect(() => makeSaucer({ type: 'mothership' })).toThrow(/Unknown/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Flight
+// ---------------------------------------------------------------------------
+
+describe('Saucer update()', () => {
+  it('crosses the screen and departs after its range', () => {
+    const saucer = makeSaucer();
+    const dt = 1 / 60;
+    let steps = 0;
+    while (!saucer.departed) {
+      saucer.update(dt, new Rng(steps));
+      steps++;
+    }
+    const expected = 800 / SAUCER_TYPES.large.speed / dt;
+    expect(steps).toBeGreaterThanOrEqual(Math.floor(expected));
+    expect(steps).toBeLessThanOrEqual(Math.ceil(expected) + 1);
+  });
+
+  it('zig-zags up, level or down when its course timer runs out', () => {
+    const rng = new Rng(3);
+    const saucer = makeSaucer({ rng });
+    const speeds = new Set();
+    for (let i = 0; i < 600; i++) {
+      saucer.update(1 / 60, rng);
+      speeds.add(saucer.vy);
+    }
+    const zig = SAUCER_TYPES.large.speed * ZIGZAG_SPEED_FRACTION;
+    expect([...speeds].sort((a, b) => a - b)).toEqual([-zig, 0, zig]);
+  });
+
+  it('comes due to fire after its interval', () => {
+    const saucer = makeSaucer();
+    saucer.update(SAUCER_TYPES.large.fireInterval / 2);
+    expect(saucer.readyToFire).toBe(false);
+    saucer.update(SAUCER_TYPES.large.fireInterval / 2);
+    expect(saucer.readyToFire).toBe(true);
+    saucer.fired();
+    expect(saucer.readyToFire).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Aim
+// ---------------------------------------------------------------------------
+
+describe('aimErrorForScore', () => {
+  it('narrows as the score rises, down to a floor', () => {
+    expect(aimErrorForScore(0)).toBe(MAX_AIM_ERROR);
+    expect(aimErrorForScore(PERFECT_AIM_SCORE / 2)).toBeLessThan(
+      MAX_AIM_ERROR,
+    );
+    expect(aimErrorForScore(PERFECT_AIM_SCORE)).toBeCloseTo(MIN_AIM_ERROR);
+    expect(aimErrorForScore(PERFECT_AIM_SCORE * 3)).toBeCloseTo(
+      MIN_AIM_ERROR,
+    );
+  });
+});
+
+describe('Saucer aimAt()', () => {
+  it('has small saucers aim at the target within the error', () => {
+    const saucer = makeSaucer({ type: 'small', x: 100, y: 100 });
+    const rng = new Rng(5);
+    for (let i = 0; i < 50; i++) {
+      const angle = saucer.aimAt({ x: 200, y: 100 }, BOUNDS, 0, rng);
+      expect(Math.abs(angle)).toBeLessThanOrEqual(MAX_AIM_ERROR);
+    }
+  });
+
+  it('aims more tightly at higher scores', () => {
+    const saucer = makeSaucer({ type: 'small', x: 100, y: 100 });
+    const spread = (score) => {
+      const rng = new Rng(9);
+      let worst = 0;
+      for (let i = 0; i < 50; i++) {
+        const angle = saucer.aimAt({ x: 200, y: 100 }, BOUNDS, score, rng);
+        worst = Math.max(worst, Math.abs(angle));
+      }
+      return worst;
+    };
+    expect(spread(PERFECT_AIM_SCORE)).toBeLessThan(spread(0) / 4);
+  });
+
+  it('aims across the nearest wrapped edge', () => {
+    const saucer = makeSaucer({ type: 'small', x: 790, y: 300 });
+    const angle = saucer.aimAt({ x: 10, y: 300 }, BOUNDS, 1e9, new Rng(1));
+    expect(Math.abs(angle)).toBeLessThanOrEqual(MIN_AIM_ERROR);
+  });
+
+  it('has large saucers fire in every direction', () => {
+    const saucer = makeSaucer({ type: 'large', x: 100, y: 100 });
+    const rng = new Rng(2);
+    const angles = Array.from({ length: 100 }, () =>
+      saucer.aimAt({ x: 200, y: 100 }, BOUNDS, 0, rng),
+    );
+    expect(Math.max(...angles) - Math.min(...angles)).toBeGreaterThan(5);
+  });
+
+  it('spawns bullets on the hull in the firing direction', () => {
+    const saucer = makeSaucer({ x: 100, y: 100 });
+    const nose = saucer.getNose(Math.PI / 2);
+    expect(nose.x).toBeCloseTo(100);
+    expect(nose.y).toBeCloseTo(100 + saucer.radius);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+describe('Saucer toJSON / fromJSON', () => {
+  it('round-trips mid-flight', () => {
+    const rng = new Rng(4);
+    const saucer = makeSaucer({ type: 'small', direction: -1, rng });
+    for (let i = 0; i < 90; i++) saucer.update(1 / 60, rng);
+    const copy = Saucer.fromJSON(JSON.parse(JSON.stringify(saucer)));
+    expect(copy.toJSON()).toEqual(saucer.toJSON());
+  });
+});
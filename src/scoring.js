@@ -0,0 +1,316 @@
+/**
+ * Scoring module.
+ *
+ * Two pieces:
+ *
+ * - **ScoreKeeper** — the running score and lives for one game, including
+ *   the extra life awarded every time the score crosses another threshold.
+ * - **HighScoreTable** — the persistent top-10 list, stored in localStorage
+ *   under a versioned schema.  Older layouts are migrated forward; corrupt
+ *   or unrecognised data is discarded rather than crashing the game.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Default points between extra lives. */
+export const DEFAULT_EXTRA_LIFE_INTERVAL = 10000;
+
+/** Hard cap on banked lives so the HUD stays readable. */
+export const MAX_LIVES = 10;
+
+/** Entries kept in the high-score table. */
+export const HIGH_SCORE_TABLE_SIZE = 10;
+
+/** localStorage key for the high-score table. */
+export const HIGH_SCORE_STORAGE_KEY = 'silica-asteroids.highscores';
+
+/**
+ * Current storage schema version.
+ *
+ * - v1: a bare array of `{ initials, score }`.
+ * - v2: `{ version, entries }` where entries also carry `date`, `wave` and
+ *   `seed`.
+ */
+export const HIGH_SCORE_SCHEMA_VERSION = 2;
+
+/**
+ * Upgrades from each older schema version to the next.  Each function takes
+ * the parsed data at version N and returns it at version N + 1.
+ */
+const HIGH_SCORE_MIGRATIONS = {
+  1: (entries) => ({
+    version: 2,
+    entries: entries.map((e) => ({
+      ...e,
+      date: null,
+      wave: null,
+      seed: null,
+    })),
+  }),
+};
+
+// ---------------------------------------------------------------------------
+// ScoreKeeper class
+// ---------------------------------------------------------------------------
+
+export class ScoreKeeper {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.lives]             – starting lives
+   * @param {number} [opts.extraLifeInterval] – points between extra lives
+   */
+  constructor({
+    lives = 3,
+    extraLifeInterval = DEFAULT_EXTRA_LIFE_INTERVAL,
+  } = {}) {
+    /** Current score. */
+    this.score = 0;
+
+    /** Lives remaining, including the ship in play. */
+    this.lives = lives;
+
+    /**
+     * Points between extra lives.  Changing it (e.g. on a new wave) only
+     * affects awards after the next one.
+     */
+    this.extraLifeInterval = extraLifeInterval;
+
+    /** Score at which the next extra life is awarded. */
+    this.nextExtraLife = extraLifeInterval;
+  }
+
+  /**
+   * Add points, awarding an extra life for every threshold crossed.
+   *
+   * @param {number} points
+   * @returns {number} extra lives awarded by this addition
+   */
+  add(points) {
+    this.score += points;
+
+    let awarded = 0;
+    while (this.score >= this.nextExtraLife) {
+      this.nextExtraLife += this.extraLifeInterval;
+      if (this.lives < MAX_LIVES) {
+        this.lives++;
+        awarded++;
+      }
+    }
+    return awarded;
+  }
+
+  /**
+   * Catch up with an externally tallied running total (e.g. `World.score`).
+   *
+   * @param {number} total
+   * @returns {number} extra lives awarded
+   */
+  syncTo(total) {
+    return total > this.score ? this.add(total - this.score) : 0;
+  }
+
+  /**
+   * Spend a life.
+   * @returns {number} lives remaining
+   */
+  loseLife() {
+    this.lives = Math.max(0, this.lives - 1);
+    return this.lives;
+  }
+
+  /** @returns {object} plain-data form for snapshots */
+  toJSON() {
+    return {
+      score: this.score,
+      lives: this.lives,
+      extraLifeInterval: this.extraLifeInterval,
+      nextExtraLife: this.nextExtraLife,
+    };
+  }
+
+  /**
+   * Rebuild a score keeper from toJSON() output.
+   * @param {object} data
+   * @returns {ScoreKeeper}
+   */
+  static fromJSON(data) {
+    const keeper = new ScoreKeeper({
+      lives: data.lives,
+      extraLifeInterval: data.extraLifeInterval,
+    });
+    keeper.score = data.score;
+    keeper.nextExtraLife = data.nextExtraLife;
+    return keeper;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Schema helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a stored entry has the v2 shape.
+ * @returns {boolean}
+ */
+function isValidEntry(e) {
+  return (
+    e !== null &&
+    typeof e === 'object' &&
+    typeof e.initials === 'string' &&
+    Number.isFinite(e.score) &&
+    e.score >= 0
+  );
+}
+
+/**
+ * Bring parsed storage data up to the current schema.  Returns null for
+ * anything that can't be understood (corrupt, or written by a newer build).
+ *
+ * @param {unknown} data
+ * @returns {{ version: number, entries: object[] } | null}
+ */
+export function migrateHighScores(data) {
+  // v1 had no envelope: the array itself was the table.
+  if (Array.isArray(data)) {
+    data = { version: 1, entries: data };
+  }
+
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    return null;
+  }
+
+  while (data.version < HIGH_SCORE_SCHEMA_VERSION) {
+    const migrate = HIGH_SCORE_MIGRATIONS[data.version];
+    if (!migrate || !Array.isArray(data.entries)) return null;
+    data = migrate(data.entries);
+  }
+
+  if (data.version !== HIGH_SCORE_SCHEMA_VERSION) return null;
+  if (!Array.isArray(data.entries)) return null;
+
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// HighScoreTable class
+// ---------------------------------------------------------------------------
+
+export class HighScoreTable {
+  /**
+   * @param {object} [opts]
+   * @param {Storage | null} [opts.storage] – persistence (default: localStorage)
+   * @param {number} [opts.size]           – entries kept
+   * @param {() => Date} [opts.now]        – clock, for stamping entries
+   */
+  constructor({
+    storage = globalThis.localStorage ?? null,
+    size = HIGH_SCORE_TABLE_SIZE,
+    now = () => new Date(),
+  } = {}) {
+    this.storage = storage;
+    this.size = size;
+    this.now = now;
+
+    /**
+     * Entries, best first.
+     * @type {{ initials: string, score: number, date: string | null, wave: number | null, seed: number | null }[]}
+     */
+    this.entries = this.load();
+  }
+
+  /** Best score on the table, or 0 when empty. */
+  get best() {
+    return this.entries[0]?.score ?? 0;
+  }
+
+  /**
+   * Whether a score would earn a place on the table.
+   * @param {number} score
+   * @returns {boolean}
+   */
+  qualifies(score) {
+    if (score <= 0) return false;
+    if (this.entries.length < this.size) return true;
+    return score > this.entries[this.entries.length - 1].score;
+  }
+
+  /**
+   * Insert an entry, keep the table sorted and trimmed, and persist it.
+   *
+   * @param {object} entry
+   * @param {string} entry.initials
+   * @param {number} entry.score
+   * @param {number} [entry.wave]
+   * @param {number} [entry.seed]
+   * @returns {number} 0-based rank, or -1 if the entry didn't make the table
+   */
+  add({ initials, score, wave = null, seed = null }) {
+    const record = {
+      initials: initials.slice(0, 3),
+      score,
+      date: this.now().toISOString().slice(0, 10),
+      wave,
+      seed,
+    };
+
+    // Ties go below existing entries: first to reach a score keeps the spot.
+    let rank = this.entries.findIndex((e) => score > e.score);
+    if (rank === -1) rank = this.entries.length;
+    if (rank >= this.size) return -1;
+
+    this.entries.splice(rank, 0, record);
+    this.entries.length = Math.min(this.entries.length, this.size);
+    this.save();
+    return rank;
+  }
+
+  /** Wipe the table (and its storage). */
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  // -------------------------------------------------------------------------
+  // Persistence
+  // -------------------------------------------------------------------------
+
+  /**
+   * Read and migrate the stored table.  Anything unreadable yields an empty
+   * table; invalid individual entries are dropped.
+   * @returns {object[]}
+   */
+  load() {
+    let data = null;
+    try {
+      const raw = this.storage?.getItem(HIGH_SCORE_STORAGE_KEY);
+      data = JSON.parse(raw ?? 'null');
+    } catch {
+      return [];
+    }
+
+    const migrated = migrateHighScores(data);
+    if (!migrated) return [];
+
+    return migrated.entries
+      .filter(isValidEntry)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.size);
+  }
+
+  /** Write the table.  Storage failures are ignored. */
+  save() {
+    try {
+      this.storage?.setItem(
+        HIGH_SCORE_STORAGE_KEY,
+        JSON.stringify({
+          version: HIGH_SCORE_SCHEMA_VERSION,
+          entries: this.entries,
+        }),
+      );
+    } catch {
+      // Quota exceeded or storage disabled: the table still works in memory.
+    }
+  }
+}
@@ -0,0 +1,233 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ScoreKeeper,
+  HighScoreTable,
+  migrateHighScores,
+  MAX_LIVES,
+  HIGH_SCORE_STORAGE_KEY,
+  HIGH_SCORE_SCHEMA_VERSION,
+  HIGH_SCORE_TABLE_SIZE,
+} from './scoring.js';
+
+/** In-memory stand-in for localStorage. */
+function makeStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+const fixedClock = () => new Date('2026-03-14T12:00:00Z');
+
+function makeTable(stored) {
+  const storage = makeStorage(
+    stored === undefined
+      ? {}
+      : {
+          [HIGH_SCORE_STORAGE_KEY]:
+            typeof stored === 'string' ? stored : JSON.stringify(stored),
+        },
+  );
+  return new HighScoreTable({ storage, now: fixedClock });
+}
+
+// ---------------------------------------------------------------------------
+// ScoreKeeper
+// ---------------------------------------------------------------------------
+
+describe('ScoreKeeper', () => {
+  it('accumulates points', () => {
+    const keeper = new ScoreKeeper();
+    keeper.add(20);
+    keeper.add(100);
+    expect(keeper.score).toBe(120);
+  });
+
+  it('awards an extra life each time the interval is crossed', () => {
+    const keeper = new ScoreKeeper({ lives: 3, extraLifeInterval: 1000 });
+    expect(keeper.add(999)).toBe(0);
+    expect(keeper.add(1)).toBe(1);
+    expect(keeper.lives).toBe(4);
+    expect(keeper.add(2500)).toBe(2);
+    expect(keeper.lives).toBe(6);
+  });
+
+  it('applies a changed interval after the next award', () => {
+    const keeper = new ScoreKeeper({ extraLifeInterval: 1000 });
+    keeper.extraLifeInterval = 5000;
+    keeper.add(1000);
+    expect(keeper.nextExtraLife).toBe(6000);
+  });
+
+  it('caps banked lives', () => {
+    const keeper = new ScoreKeeper({ lives: MAX_LIVES, extraLifeInterval: 10 });
+    expect(keeper.add(100)).toBe(0);
+    expect(keeper.lives).toBe(MAX_LIVES);
+  });
+
+  it('syncTo() catches up with an external total', () => {
+    const keeper = new ScoreKeeper({ extraLifeInterval: 100 });
+    expect(keeper.syncTo(150)).toBe(1);
+    expect(keeper.score).toBe(150);
+    expect(keeper.syncTo(150)).toBe(0);
+  });
+
+  it('loseLife() never goes below zero', () => {
+    const keeper = new ScoreKeeper({ lives: 1 });
+    expect(keeper.loseLife()).toBe(0);
+    expect(keeper.loseLife()).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// HighScoreTable — ranking
+// ---------------------------------------------------------------------------
+
+describe('HighScoreTable ranking', () => {
+  it('starts empty and qualifies any positive score', () => {
+    const table = makeTable();
+    expect(table.entries).toEqual([]);
+    expect(table.qualifies(10)).toBe(true);
+    expect(table.qualifies(0)).toBe(false);
+  });
+
+  it('keeps entries sorted best first with full metadata', () => {
+    const table = makeTable();
+    table.add({ initials: 'AAA', score: 100, wave: 1, seed: 7 });
+    expect(table.add({ initials: 'BBB', score: 300, wave: 3, seed: 8 })).toBe(
+      0,
+    );
+    expect(table.entries.map((e) => e.initials)).toEqual(['BBB', 'AAA']);
+    expect(table.entries[0]).toEqual({
+      initials: 'BBB',
+      score: 300,
+      date: '2026-03-14',
+      wave: 3,
+      seed: 8,
+    });
+    expect(table.best).toBe(300);
+  });
+
+  it('ranks ties below the existing entry', () => {
+    const table = makeTable();
+    table.add({ initials: 'OLD', score: 500 });
+    expect(table.add({ initials: 'NEW', score: 500 })).toBe(1);
+  });
+
+  it('keeps only the top ten', () => {
+    const table = makeTable();
+    for (let i = 1; i <= HIGH_SCORE_TABLE_SIZE + 2; i++) {
+      table.add({ initials: 'AAA', score: i * 10 });
+    }
+    expect(table.entries).toHaveLength(HIGH_SCORE_TABLE_SIZE);
+    expect(table.entries.at(-1).score).toBe(30);
+    expect(table.qualifies(30)).toBe(false);
+    expect(table.qualifies(31)).toBe(true);
+    expect(table.add({ initials: 'LOW', score: 5 })).toBe(-1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// HighScoreTable — persistence & schema
+// ---------------------------------------------------------------------------
+
+describe('HighScoreTable persistence', () => {
+  it('round-trips through storage with a version tag', () => {
+    const storage = makeStorage();
+    new HighScoreTable({ storage, now: fixedClock }).add({
+      initials: 'ZED',
+      score: 1234,
+      wave: 4,
+      seed: 99,
+    });
+    const raw = JSON.parse(storage.getItem(HIGH_SCORE_STORAGE_KEY));
+    expect(raw.version).toBe(HIGH_SCORE_SCHEMA_VERSION);
+
+    const reloaded = new HighScoreTable({ storage });
+    expect(reloaded.entries[0].initials).toBe('ZED');
+    expect(reloaded.entries[0].seed).toBe(99);
+  });
+
+  it('migrates a v1 bare array', () => {
+    const table = makeTable([
+      { initials: 'OLD', score: 10 },
+      { initials: 'TOP', score: 90 },
+    ]);
+    expect(table.entries).toEqual([
+      { initials: 'TOP', score: 90, date: null, wave: null, seed: null },
+      { initials: 'OLD', score: 10, date: null, wave: null, seed: null },
+    ]);
+  });
+
+  it('discards corrupt JSON', () => {
+    expect(makeTable('{{{not json').entries).toEqual([]);
+  });
+
+  it('discards data from a newer schema it cannot read', () => {
+    expect(
+      makeTable({ version: 99, entries: [{ initials: 'X', score: 1 }] })
+        .entries,
+    ).toEqual([]);
+  });
+
+  it('drops malformed entries but keeps valid ones', () => {
+    const table = makeTable({
+      version: HIGH_SCORE_SCHEMA_VERSION,
+      entries: [
+        { initials: 'OK', score: 50, date: null, wave: 1, seed: 1 },
+        { initials: 7, score: 'lots' },
+        null,
+        { initials: 'NEG', score: -5 },
+      ],
+    });
+    expect(table.entries.map((e) => e.initials)).toEqual(['OK']);
+  });
+
+  it('keeps working when storage throws', () => {
+    const broken = {
+      getItem() {
+        throw new Error('denied');
+      },
+      setItem() {
+        throw new Error('quota');
+      },
+    };
+    const table = new HighScoreTable({ storage: broken });
+    expect(() => table.add({ initials: 'AAA', score: 10 })).not.toThrow();
+    expect(table.entries).toHaveLength(1);
+  });
+
+  it('clear() empties the stored table', () => {
+    const storage = makeStorage();
+    const table = new HighScoreTable({ storage });
+    table.add({ initials: 'AAA', score: 10 });
+    table.clear();
+    expect(new HighScoreTable({ storage }).entries).toEqual([]);
+  });
+});
+
+describe('migrateHighScores', () => {
+  it('passes current-version data through', () => {
+    const data = { version: HIGH_SCORE_SCHEMA_VERSION, entries: [] };
+    expect(migrateHighScores(data)).toEqual(data);
+  });
+
+  it('rejects non-objects and missing versions', () => {
+    expect(migrateHighScores(null)).toBeNull();
+    expect(migrateHighScores('hi')).toBeNull();
+    expect(migrateHighScores({ entries: [] })).toBeNull();
+  });
+});
+
+describe('ScoreKeeper toJSON / fromJSON', () => {
+  it('round-trips score, lives and the next award', () => {
+    const keeper = new ScoreKeeper({ lives: 2, extraLifeInterval: 500 });
+    keeper.add(700);
+    keeper.extraLifeInterval = 800;
+    const copy = ScoreKeeper.fromJSON(JSON.parse(JSON.stringify(keeper)));
+    expect(copy.toJSON()).toEqual(keeper.toJSON());
+    expect(copy.add(300)).toBe(1);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Accessibility settings module.
+ *
+ * Presentation options, persisted to localStorage:
+ *
+ * - **palette** — the colours everything is drawn in: the classic white on
+ *   black, a high-contrast set with heavier lines, or a colour-blind-safe
+ *   set whose player colours stay distinct under every common form of
+ *   colour blindness (Okabe & Ito).
+ * - **reducedMotion** — calms the display: no CRT flicker or phosphor
+ *   trails, no blinking ships, and fast-spinning asteroids are drawn
+ *   turning slowly.  Defaults to the system's `prefers-reduced-motion`.
+ * - **gameSpeed** — how fast simulated time passes relative to real time,
+ *   for players who need longer to react.  The simulation itself still
+ *   steps at the same fixed rate, so replays are unaffected.
+ *
+ * Nothing here touches the DOM: main.js applies the settings to the
+ * viewport, renderer and loop whenever they change.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** localStorage key for the settings. */
+export const SETTINGS_STORAGE_KEY = 'silica-asteroids.settings';
+
+/**
+ * Colour palettes by name.  `players` colours each player's ship, shots
+ * and HUD readout; `lineWidth` is the outline width (CSS pixels).
+ *
+ * @type {Record<string, { label: string, background: string, line: string, players: string[], lineWidth: number }>}
+ */
+export const PALETTES = {
+  classic: {
+    label: 'Classic',
+    background: '#000',
+    line: '#fff',
+    players: ['#fff', '#4cf'],
+    lineWidth: 1.5,
+  },
+  highContrast: {
+    label: 'High contrast',
+    background: '#000',
+    line: '#ff0',
+    players: ['#ff0', '#fff'],
+    lineWidth: 2.5,
+  },
+  colourBlind: {
+    label: 'Colour-blind safe',
+    background: '#000',
+    line: '#fff',
+    players: ['#e69f00', '#56b4e9'],
+    lineWidth: 1.5,
+  },
+};
+
+/** Palette names, in the order cyclePalette() steps through them. */
+export const PALETTE_NAMES = Object.keys(PALETTES);
+
+/** Game speeds offered, as fractions of full speed. */
+export const GAME_SPEEDS = [0.5, 0.75, 1];
+
+/** Settings used when nothing (valid) is stored. */
+export const DEFAULT_SETTINGS = {
+  palette: 'classic',
+  reducedMotion: false,
+  gameSpeed: 1,
+};
+
+// ---------------------------------------------------------------------------
+// Settings class
+// ---------------------------------------------------------------------------
+
+export class Settings {
+  /**
+   * @param {object} [opts]
+   * @param {Storage | null} [opts.storage] – persistence (default: localStorage)
+   * @param {boolean} [opts.prefersReducedMotion] – the system preference, used until the player chooses
+   */
+  constructor({
+    storage = globalThis.localStorage ?? null,
+    prefersReducedMotion = false,
+  } = {}) {
+    this.storage = storage;
+    this.prefersReducedMotion = prefersReducedMotion;
+
+    /** Current values. */
+    this.values = this.load();
+
+    /** @type {((values: object) => void)[]} */
+    this.listeners = [];
+  }
+
+  /** The current palette's colours. */
+  get palette() {
+    return PALETTES[this.values.palette];
+  }
+
+  /**
+   * Register a callback for every change (not called for the initial
+   * values).
+   * @param {(values: { palette: string, reducedMotion: boolean, gameSpeed: number }) => void} listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  // -------------------------------------------------------------------------
+  // Changes
+  // -------------------------------------------------------------------------
+
+  /**
+   * @param {string} name – one of PALETTE_NAMES
+   * @throws {RangeError} for an unknown palette
+   */
+  setPalette(name) {
+    if (!PALETTE_NAMES.includes(name)) {
+      throw new RangeError(`Unknown palette: ${name}`);
+    }
+    this.update({ palette: name });
+  }
+
+  /** Switch to the next palette. */
+  cyclePalette() {
+    const i = PALETTE_NAMES.indexOf(this.values.palette);
+    this.setPalette(PALETTE_NAMES[(i + 1) % PALETTE_NAMES.length]);
+  }
+
+  /** @param {boolean} on */
+  setReducedMotion(on) {
+    this.update({ reducedMotion: Boolean(on) });
+  }
+
+  toggleReducedMotion() {
+    this.setReducedMotion(!this.values.reducedMotion);
+  }
+
+  /**
+   * @param {number} speed – one of GAME_SPEEDS
+   * @throws {RangeError} for a speed not offered
+   */
+  setGameSpeed(speed) {
+    if (!GAME_SPEEDS.includes(speed)) {
+      throw new RangeError(`Unsupported game speed: ${speed}`);
+    }
+    this.update({ gameSpeed: speed });
+  }
+
+  /**
+   * Step to the next slower (-1) or faster (+1) speed, stopping at either
+   * end.
+   * @param {-1 | 1} direction
+   */
+  stepGameSpeed(direction) {
+    const i = GAME_SPEEDS.indexOf(this.values.gameSpeed) + direction;
+    this.setGameSpeed(
+      GAME_SPEEDS[Math.min(Math.max(i, 0), GAME_SPEEDS.length - 1)],
+    );
+  }
+
+  /** Apply, save and report a change. */
+  update(changes) {
+    Object.assign(this.values, changes);
+    this.save();
+    for (const listener of this.listeners) listener(this.values);
+  }
+
+  // -------------------------------------------------------------------------
+  // Persistence
+  // -------------------------------------------------------------------------
+
+  /**
+   * Read the stored settings, falling back to the defaults (and the system
+   * motion preference) for anything missing or unreadable.
+   * @returns {{ palette: string, reducedMotion: boolean, gameSpeed: number }}
+   */
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(this.storage?.getItem(SETTINGS_STORAGE_KEY) ?? 'null');
+    } catch {
+      // Corrupt: use the defaults.
+    }
+    if (!data || typeof data !== 'object') data = {};
+
+    const defaults = DEFAULT_SETTINGS;
+    return {
+      palette: PALETTE_NAMES.includes(data.palette)
+        ? data.palette
+        : defaults.palette,
+      reducedMotion:
+        typeof data.reducedMotion === 'boolean'
+          ? data.reducedMotion
+          : this.prefersReducedMotion || defaults.reducedMotion,
+      gameSpeed: GAME_SPEEDS.includes(data.gameSpeed)
+        ? data.gameSpeed
+        : defaults.gameSpeed,
+    };
+  }
+
+  /** Write the settings.  Storage failures are ignored. */
+  save() {
+    try {
+      this.storage?.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.values));
+    } catch {
+      // Quota exceeded or storage disabled: settings still apply this session.
+    }
+  }
+}
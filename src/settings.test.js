@@ -0,0 +1,133 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  Settings,
+  PALETTES,
+  PALETTE_NAMES,
+  GAME_SPEEDS,
+  DEFAULT_SETTINGS,
+  SETTINGS_STORAGE_KEY,
+} from './settings.js';
+
+function makeStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+    data,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Palettes
+// ---------------------------------------------------------------------------
+
+describe('PALETTES', () => {
+  it('gives every palette its colours and a line width', () => {
+    for (const name of PALETTE_NAMES) {
+      const palette = PALETTES[name];
+      expect(palette.background).toMatch(/^#/);
+      expect(palette.line).toMatch(/^#/);
+      expect(palette.players).toHaveLength(2);
+      expect(palette.players[0]).not.toBe(palette.players[1]);
+      expect(palette.lineWidth).toBeGreaterThan(0);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Settings
+// ---------------------------------------------------------------------------
+
+describe('Settings', () => {
+  it('starts from the defaults', () => {
+    const settings = new Settings({ storage: null });
+    expect(settings.values).toEqual(DEFAULT_SETTINGS);
+    expect(settings.palette).toBe(PALETTES.classic);
+  });
+
+  it('follows the system motion preference until the player chooses', () => {
+    const storage = makeStorage();
+    const settings = new Settings({ storage, prefersReducedMotion: true });
+    expect(settings.values.reducedMotion).toBe(true);
+
+    settings.toggleReducedMotion();
+    const reloaded = new Settings({ storage, prefersReducedMotion: true });
+    expect(reloaded.values.reducedMotion).toBe(false);
+  });
+
+  it('cycles palettes and steps the game speed within range', () => {
+    const settings = new Settings({ storage: null });
+    settings.cyclePalette();
+    expect(settings.values.palette).toBe(PALETTE_NAMES[1]);
+    for (let i = 1; i < PALETTE_NAMES.length; i++) settings.cyclePalette();
+    expect(settings.values.palette).toBe(PALETTE_NAMES[0]);
+
+    settings.stepGameSpeed(1);
+    expect(settings.values.gameSpeed).toBe(1);
+    settings.stepGameSpeed(-1);
+    expect(settings.values.gameSpeed).toBe(GAME_SPEEDS.at(-2));
+    for (let i = 0; i < GAME_SPEEDS.length; i++) settings.stepGameSpeed(-1);
+    expect(settings.values.gameSpeed).toBe(GAME_SPEEDS[0]);
+  });
+
+  it('rejects palettes and speeds it does not offer', () => {
+    const settings = new Settings({ storage: null });
+    expect(() => settings.setPalette('neon')).toThrow(RangeError);
+    expect(() => settings.setGameSpeed(3)).toThrow(RangeError);
+  });
+
+  it('reports each change', () => {
+    const settings = new Settings({ storage: null });
+    const listener = vi.fn();
+    settings.onChange(listener);
+    settings.setPalette('colourBlind');
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ palette: 'colourBlind' }),
+    );
+  });
+
+  it('persists settings and reads them back', () => {
+    const storage = makeStorage();
+    const settings = new Settings({ storage });
+    settings.setPalette('highContrast');
+    settings.setReducedMotion(true);
+    settings.setGameSpeed(0.5);
+
+    const reloaded = new Settings({ storage });
+    expect(reloaded.values).toEqual({
+      palette: 'highContrast',
+      reducedMotion: true,
+      gameSpeed: 0.5,
+    });
+  });
+
+  it('falls back to the defaults for corrupt or invalid data', () => {
+    const corrupt = makeStorage({ [SETTINGS_STORAGE_KEY]: '{oops' });
+    expect(new Settings({ storage: corrupt }).values).toEqual(DEFAULT_SETTINGS);
+
+    const invalid = makeStorage({
+      [SETTINGS_STORAGE_KEY]: JSON.stringify({
+        palette: 'neon',
+        gameSpeed: 0.75,
+      }),
+    });
+    expect(new Settings({ storage: invalid }).values).toEqual({
+      ...DEFAULT_SETTINGS,
+      gameSpeed: 0.75,
+    });
+  });
+
+  it('ignores storage failures', () => {
+    const storage = {
+      getItem: () => null,
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      },
+    };
+    const settings = new Settings({ storage });
+    expect(() => settings.setReducedMotion(true)).not.toThrow();
+    expect(settings.values.reducedMotion).toBe(true);
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Ship entity module.
+ *
+ * Defines the player's Ship class: a small triangular craft that rotates in
+ * place, accelerates along its facing direction, drifts with inertia and
+ * slowly bleeds speed through drag.  The ship can also jump through
+ * hyperspace and is briefly invulnerable after respawning.
+ *
+ * Rotation follows the canvas convention: 0 radians points along +x and
+ * positive angles turn clockwise on screen.
+ */
+
+import { defaultRng } from './rng.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Collision radius (CSS pixels). */
+export const SHIP_RADIUS = 12;
+
+/**
+ * Outline of the ship relative to its centre, with the nose on +x.
+ * The notch at the back gives the classic arrowhead silhouette.
+ */
+export const SHIP_SHAPE = [
+  { x: 15, y: 0 },
+  { x: -10, y: -9 },
+  { x: -6, y: 0 },
+  { x: -10, y: 9 },
+];
+
+/** Mass, on the asteroid scale, for momentum transfer when it rams one. */
+export const SHIP_MASS = 450;
+
+/** Turn rate while a rotate control is held (radians / second). */
+export const ROTATION_SPEED = 4;
+
+/** Acceleration while thrusting (px / s²). */
+export const THRUST_ACCELERATION = 300;
+
+/** Hard cap on speed (px / s). */
+export const MAX_SPEED = 400;
+
+/**
+ * Drag coefficient (1 / s).  Velocity decays by a factor of
+ * e^(-DRAG × dt) each step, so a drifting ship loses ~40% of its speed per
+ * second when DRAG is 0.5.
+ */
+export const DRAG = 0.5;
+
+/** Minimum time between hyperspace jumps (seconds). */
+export const HYPERSPACE_COOLDOWN = 1;
+
+/** How long the ship is invulnerable after respawning (seconds). */
+export const RESPAWN_INVULNERABILITY = 3;
+
+/** Facing for a freshly spawned ship: pointing straight up. */
+const SPAWN_ROTATION = -Math.PI / 2;
+
+// ---------------------------------------------------------------------------
+// Ship class
+// ---------------------------------------------------------------------------
+
+export class Ship {
+  /**
+   * @param {object} opts
+   * @param {number} opts.x           – initial x position (CSS pixels)
+   * @param {number} opts.y           – initial y position (CSS pixels)
+   * @param {number} [opts.rotation]  – initial facing (radians); defaults to straight up
+   * @param {number} [opts.player]    – index of the player flying it
+   */
+  constructor({ x, y, rotation, player = 0 }) {
+    /** Index of the player flying this ship (0 = player one). */
+    this.player = player;
+
+    /** Position. */
+    this.x = x;
+    this.y = y;
+
+    /** Velocity vector. */
+    this.vx = 0;
+    this.vy = 0;
+
+    /** Facing angle (radians). */
+    this.rotation = rotation ?? SPAWN_ROTATION;
+
+    /** Collision radius. */
+    this.radius = SHIP_RADIUS;
+
+    /** Outline offsets. */
+    this.shape = SHIP_SHAPE;
+
+    /** Whether thrust was applied during the last update (for flame drawing). */
+    this.thrusting = false;
+
+    /** Seconds of invulnerability remaining. */
+    this.invulnerableTime = 0;
+
+    /** Seconds until hyperspace can be used again. */
+    this.hyperspaceCooldown = 0;
+
+    /** Transform at the start of the last step (for interpolation). */
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+  }
+
+  /** True while the post-respawn grace period is running. */
+  get isInvulnerable() {
+    return this.invulnerableTime > 0;
+  }
+
+  // -------------------------------------------------------------------------
+  // Simulation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Apply controls and integrate the ship forward by `dt` seconds.
+   *
+   * @param {number} dt – step length (seconds)
+   * @param {object} [controls]
+   * @param {boolean} [controls.rotateLeft]  – turn anticlockwise
+   * @param {boolean} [controls.rotateRight] – turn clockwise
+   * @param {boolean} [controls.thrust]      – accelerate along the facing
+   */
+  update(dt, controls = {}) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+
+    // --- Rotation ------------------------------------------------------------
+    if (controls.rotateLeft) this.rotation -= ROTATION_SPEED * dt;
+    if (controls.rotateRight) this.rotation += ROTATION_SPEED * dt;
+
+    // --- Thrust --------------------------------------------------------------
+    this.thrusting = Boolean(controls.thrust);
+    if (this.thrusting) {
+      this.vx += Math.cos(this.rotation) * THRUST_ACCELERATION * dt;
+      this.vy += Math.sin(this.rotation) * THRUST_ACCELERATION * dt;
+    }
+
+    // --- Drag & speed cap ----------------------------------------------------
+    const damping = Math.exp(-DRAG * dt);
+    this.vx *= damping;
+    this.vy *= damping;
+
+    const speed = Math.hypot(this.vx, this.vy);
+    if (speed > MAX_SPEED) {
+      const scale = MAX_SPEED / speed;
+      this.vx *= scale;
+      this.vy *= scale;
+    }
+
+    // --- Integrate -----------------------------------------------------------
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+
+    // --- Timers --------------------------------------------------------------
+    this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
+    this.hyperspaceCooldown = Math.max(0, this.hyperspaceCooldown - dt);
+  }
+
+  // -------------------------------------------------------------------------
+  // Abilities
+  // -------------------------------------------------------------------------
+
+  /**
+   * World-space position of the ship's nose (where bullets spawn).
+   * @returns {{ x: number, y: number }}
+   */
+  getNose() {
+    const nose = SHIP_SHAPE[0].x;
+    return {
+      x: this.x + Math.cos(this.rotation) * nose,
+      y: this.y + Math.sin(this.rotation) * nose,
+    };
+  }
+
+  /**
+   * Jump to a random location inside the given bounds, killing all momentum.
+   * Does nothing while the hyperspace cooldown is running.
+   *
+   * @param {number} width  – world width (CSS pixels)
+   * @param {number} height – world height (CSS pixels)
+   * @param {import('./rng.js').Rng} [rng] – random source for the destination
+   * @returns {boolean} whether the jump happened
+   */
+  hyperspace(width, height, rng = defaultRng) {
+    if (this.hyperspaceCooldown > 0) {
+      return false;
+    }
+
+    this.x = rng.range(0, width);
+    this.y = rng.range(0, height);
+    this.vx = 0;
+    this.vy = 0;
+
+    // Teleports must not be interpolated across the screen.
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    this.hyperspaceCooldown = HYPERSPACE_COOLDOWN;
+    return true;
+  }
+
+  // -------------------------------------------------------------------------
+  // Serialization
+  // -------------------------------------------------------------------------
+
+  /** @returns {object} plain-data form for snapshots */
+  toJSON() {
+    return {
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      rotation: this.rotation,
+      invulnerableTime: this.invulnerableTime,
+      hyperspaceCooldown: this.hyperspaceCooldown,
+      player: this.player,
+    };
+  }
+
+  /**
+   * Rebuild a ship from toJSON() output.
+   * @param {object} data
+   * @returns {Ship}
+   */
+  static fromJSON(data) {
+    const ship = new Ship({
+      x: data.x,
+      y: data.y,
+      rotation: data.rotation,
+      player: data.player ?? 0,
+    });
+    ship.vx = data.vx;
+    ship.vy = data.vy;
+    ship.invulnerableTime = data.invulnerableTime;
+    ship.hyperspaceCooldown = data.hyperspaceCooldown;
+    return ship;
+  }
+
+  /**
+   * Put the ship back at a spawn point, at rest and facing up, with a window
+   * of invulnerability.
+   *
+   * @param {number} x – spawn x (CSS pixels)
+   * @param {number} y – spawn y (CSS pixels)
+   */
+  respawn(x, y) {
+    this.x = this.prevX = x;
+    this.y = this.prevY = y;
+    this.vx = 0;
+    this.vy = 0;
+    this.rotation = this.prevRotation = SPAWN_ROTATION;
+    this.thrusting = false;
+    this.invulnerableTime = RESPAWN_INVULNERABILITY;
+    this.hyperspaceCooldown = 0;
+  }
+}
@@ -0,0 +1,231 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Ship,
+  SHIP_RADIUS,
+  SHIP_SHAPE,
+  ROTATION_SPEED,
+  THRUST_ACCELERATION,
+  MAX_SPEED,
+  HYPERSPACE_COOLDOWN,
+  RESPAWN_INVULNERABILITY,
+} from './ship.js';
+import { Rng } from './rng.js';
+
+// ---------------------------------------------------------------------------
+// Constructor
+// ---------------------------------------------------------------------------
+
+describe('Ship constructor', () => {
+  it('starts at the given position, at rest', () => {
+    const ship = new Ship({ x: 100, y: 200 });
+    expect(ship.x).toBe(100);
+    expect(ship.y).toBe(200);
+    expect(ship.vx).toBe(0);
+    expect(ship.vy).toBe(0);
+  });
+
+  it('faces straight up by default', () => {
+    const ship = new Ship({ x: 0, y: 0 });
+    expect(ship.rotation).toBeCloseTo(-Math.PI / 2);
+  });
+
+  it('uses the provided rotation', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 1 });
+    expect(ship.rotation).toBe(1);
+  });
+
+  it('has a collision radius and polygon shape', () => {
+    const ship = new Ship({ x: 0, y: 0 });
+    expect(ship.radius).toBe(SHIP_RADIUS);
+    expect(ship.shape).toBe(SHIP_SHAPE);
+    for (const v of ship.shape) {
+      expect(Math.hypot(v.x, v.y)).toBeLessThanOrEqual(SHIP_RADIUS * 1.5);
+    }
+  });
+
+  it('is not invulnerable when first created', () => {
+    expect(new Ship({ x: 0, y: 0 }).isInvulnerable).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// update() — rotation
+// ---------------------------------------------------------------------------
+
+describe('Ship update() — rotation', () => {
+  it('turns clockwise with rotateRight', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 0 });
+    ship.update(0.5, { rotateRight: true });
+    expect(ship.rotation).toBeCloseTo(ROTATION_SPEED * 0.5);
+  });
+
+  it('turns anticlockwise with rotateLeft', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 0 });
+    ship.update(0.5, { rotateLeft: true });
+    expect(ship.rotation).toBeCloseTo(-ROTATION_SPEED * 0.5);
+  });
+
+  it('holding both directions cancels out', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 0 });
+    ship.update(0.5, { rotateLeft: true, rotateRight: true });
+    expect(ship.rotation).toBeCloseTo(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// update() — thrust, inertia and drag
+// ---------------------------------------------------------------------------
+
+describe('Ship update() — thrust & inertia', () => {
+  it('accelerates along its facing direction', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 0 });
+    ship.update(0.1, { thrust: true });
+    expect(ship.vx).toBeGreaterThan(0);
+    expect(ship.vx).toBeLessThanOrEqual(THRUST_ACCELERATION * 0.1);
+    expect(ship.vy).toBeCloseTo(0);
+  });
+
+  it('records whether it is thrusting', () => {
+    const ship = new Ship({ x: 0, y: 0 });
+    ship.update(0.1, { thrust: true });
+    expect(ship.thrusting).toBe(true);
+    ship.update(0.1);
+    expect(ship.thrusting).toBe(false);
+  });
+
+  it('keeps drifting after thrust is released', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 0 });
+    ship.update(0.1, { thrust: true });
+    const x = ship.x;
+    ship.update(0.1);
+    expect(ship.x).toBeGreaterThan(x);
+  });
+
+  it('slows down under drag', () => {
+    const ship = new Ship({ x: 0, y: 0 });
+    ship.vx = 100;
+    ship.update(1);
+    expect(ship.vx).toBeLessThan(100);
+    expect(ship.vx).toBeGreaterThan(0);
+  });
+
+  it('never exceeds MAX_SPEED', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 0 });
+    for (let i = 0; i < 600; i++) ship.update(1 / 60, { thrust: true });
+    expect(Math.hypot(ship.vx, ship.vy)).toBeLessThanOrEqual(MAX_SPEED + 1e-9);
+  });
+
+  it('records the pre-step transform for interpolation', () => {
+    const ship = new Ship({ x: 5, y: 6, rotation: 0 });
+    ship.vx = 10;
+    ship.update(0.1, { rotateRight: true });
+    expect(ship.prevX).toBe(5);
+    expect(ship.prevY).toBe(6);
+    expect(ship.prevRotation).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getNose()
+// ---------------------------------------------------------------------------
+
+describe('Ship getNose()', () => {
+  it('sits ahead of the centre along the facing', () => {
+    const ship = new Ship({ x: 100, y: 100, rotation: 0 });
+    const nose = ship.getNose();
+    expect(nose.x).toBeCloseTo(100 + SHIP_SHAPE[0].x);
+    expect(nose.y).toBeCloseTo(100);
+  });
+
+  it('follows the ship rotation', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: Math.PI / 2 });
+    const nose = ship.getNose();
+    expect(nose.x).toBeCloseTo(0);
+    expect(nose.y).toBeCloseTo(SHIP_SHAPE[0].x);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// hyperspace()
+// ---------------------------------------------------------------------------
+
+describe('Ship hyperspace()', () => {
+  it('teleports within bounds and kills momentum', () => {
+    const ship = new Ship({ x: 10, y: 10 });
+    ship.vx = 50;
+    ship.vy = 50;
+    expect(ship.hyperspace(800, 600, new Rng(1))).toBe(true);
+    expect(ship.x).toBeGreaterThanOrEqual(0);
+    expect(ship.x).toBeLessThan(800);
+    expect(ship.y).toBeGreaterThanOrEqual(0);
+    expect(ship.y).toBeLessThan(600);
+    expect(ship.vx).toBe(0);
+    expect(ship.vy).toBe(0);
+  });
+
+  it('does not interpolate across the jump', () => {
+    const ship = new Ship({ x: 10, y: 10 });
+    ship.hyperspace(800, 600, new Rng(1));
+    expect(ship.prevX).toBe(ship.x);
+    expect(ship.prevY).toBe(ship.y);
+  });
+
+  it('is deterministic for a given seed', () => {
+    const a = new Ship({ x: 0, y: 0 });
+    const b = new Ship({ x: 0, y: 0 });
+    a.hyperspace(800, 600, new Rng(5));
+    b.hyperspace(800, 600, new Rng(5));
+    expect(a.x).toBe(b.x);
+    expect(a.y).toBe(b.y);
+  });
+
+  it('refuses a second jump until the cooldown expires', () => {
+    const ship = new Ship({ x: 0, y: 0 });
+    const rng = new Rng(2);
+    ship.hyperspace(800, 600, rng);
+    expect(ship.hyperspace(800, 600, rng)).toBe(false);
+    ship.update(HYPERSPACE_COOLDOWN);
+    expect(ship.hyperspace(800, 600, rng)).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// respawn()
+// ---------------------------------------------------------------------------
+
+describe('Ship respawn()', () => {
+  it('resets position, velocity and facing', () => {
+    const ship = new Ship({ x: 0, y: 0, rotation: 2 });
+    ship.vx = 30;
+    ship.vy = -20;
+    ship.respawn(400, 300);
+    expect(ship.x).toBe(400);
+    expect(ship.y).toBe(300);
+    expect(ship.vx).toBe(0);
+    expect(ship.vy).toBe(0);
+    expect(ship.rotation).toBeCloseTo(-Math.PI / 2);
+  });
+
+  it('grants a window of invulnerability that runs out', () => {
+    const ship = new Ship({ x: 0, y: 0 });
+    ship.respawn(0, 0);
+    expect(ship.isInvulnerable).toBe(true);
+    ship.update(RESPAWN_INVULNERABILITY - 0.1);
+    expect(ship.isInvulnerable).toBe(true);
+    ship.update(0.2);
+    expect(ship.isInvulnerable).toBe(false);
+  });
+});
+
+describe('Ship toJSON / fromJSON', () => {
+  it('round-trips motion and timers', () => {
+    const ship = new Ship({ x: 10, y: 20, rotation: 1 });
+    ship.vx = 3;
+    ship.vy = -4;
+    ship.invulnerableTime = 1.5;
+    ship.hyperspaceCooldown = 0.25;
+    const copy = Ship.fromJSON(JSON.parse(JSON.stringify(ship)));
+    expect(copy.toJSON()).toEqual(ship.toJSON());
+    expect(copy.prevX).toBe(10);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Headless simulation module.
+ *
+ * Plays whole games without a browser, for balancing and bot benchmarks:
+ * a Game is started with a fixed seed and stepped tick by tick, with a
+ * controller standing in for the player, until the game ends or a tick
+ * limit is reached.  Nothing here touches the DOM, a canvas or sound.
+ *
+ * A controller is a function called once per tick with the game, returning
+ * that tick's controls (the same actions InputManager.poll() produces):
+ *
+ *   const stats = runSimulation({ seed: 7, controller: createAimBot() });
+ *
+ * Three are provided: idleController (never touches anything),
+ * createScriptedController() (plays a fixed sequence of controls) and
+ * createAimBot() (turns towards the nearest asteroid and shoots).
+ *
+ * scripts/simulate.js wraps this in a command-line tool that prints the
+ * stats as JSON.
+ */
+
+import { Game } from './game.js';
+import { wrapDelta } from './collision.js';
+import { SIMULATION_STEP } from './loop.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Tick limit for a run when none is given: ten simulated minutes. */
+export const DEFAULT_MAX_TICKS = Math.round((10 * 60) / SIMULATION_STEP);
+
+/** States in which the player's game is still going. */
+const LIVE_STATES = new Set(['playing', 'lifeLost']);
+
+/** How closely the aim bot must be lined up before it fires (radians). */
+const AIM_TOLERANCE = 0.08;
+
+/** Gap (CSS pixels) to the nearest asteroid at which the aim bot bails out. */
+const PANIC_DISTANCE = 12;
+
+// ---------------------------------------------------------------------------
+// Controllers
+// ---------------------------------------------------------------------------
+
+/**
+ * Controller that never presses anything.
+ * @returns {Record<string, boolean>}
+ */
+export function idleController() {
+  return {};
+}
+
+/**
+ * Controller that plays back a fixed sequence of controls, one entry per
+ * tick, looping when it runs out.
+ *
+ * @param {Record<string, boolean>[]} script
+ * @returns {(game: Game) => Record<string, boolean>}
+ */
+export function createScriptedController(script) {
+  if (script.length === 0) {
+    throw new Error('Scripted controller needs at least one step');
+  }
+  let tick = 0;
+  return () => script[tick++ % script.length];
+}
+
+/**
+ * A simple bot: turns towards the nearest asteroid (across wrapped edges),
+ * holds fire while lined up with it and jumps to hyperspace when a rock is
+ * about to hit.  It never thrusts.
+ *
+ * @returns {(game: Game) => Record<string, boolean>}
+ */
+export function createAimBot() {
+  return (game) => {
+    const { world } = game;
+    const ship = world?.ship;
+    if (!ship) return {};
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const asteroid of world.asteroids) {
+      const dx = wrapDelta(asteroid.x - ship.x, world.width);
+      const dy = wrapDelta(asteroid.y - ship.y, world.height);
+      const distance = Math.hypot(dx, dy) - asteroid.radius;
+      if (distance < nearestDistance) {
+        nearest = { dx, dy };
+        nearestDistance = distance;
+      }
+    }
+    if (!nearest) return {};
+
+    const wanted = Math.atan2(nearest.dy, nearest.dx);
+    const error = Math.atan2(
+      Math.sin(wanted - ship.rotation),
+      Math.cos(wanted - ship.rotation),
+    );
+    const threatened = nearestDistance < ship.radius + PANIC_DISTANCE;
+    return {
+      rotateLeft: error < -AIM_TOLERANCE,
+      rotateRight: error > AIM_TOLERANCE,
+      fire: Math.abs(error) <= AIM_TOLERANCE,
+      hyperspace: threatened && !ship.isInvulnerable,
+    };
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Runs
+// ---------------------------------------------------------------------------
+
+/**
+ * Play one game headlessly.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.seed]      – world seed; random if omitted
+ * @param {(game: Game) => Record<string, boolean>} [opts.controller]
+ * @param {number} [opts.maxTicks]  – stop after this many ticks even if the game goes on
+ * @param {number} [opts.width]     – playfield width (CSS pixels)
+ * @param {number} [opts.height]    – playfield height (CSS pixels)
+ * @returns {{
+ *   seed: number,
+ *   ticks: number,
+ *   gameOver: boolean,
+ *   score: number,
+ *   wave: number,
+ *   wavesCleared: number,
+ *   survivalTime: number,
+ *   shipsLost: number,
+ *   saucersDestroyed: number,
+ *   asteroidsDestroyed: Record<number, number>,
+ * }} stats; `asteroidsDestroyed` is keyed by tier
+ */
+export function runSimulation({
+  seed,
+  controller = idleController,
+  maxTicks = DEFAULT_MAX_TICKS,
+  width,
+  height,
+} = {}) {
+  const dt = SIMULATION_STEP;
+  const game = new Game({ seed, width, height });
+  game.beginGame();
+
+  const asteroidsDestroyed = { 1: 0, 2: 0, 3: 0 };
+  let saucersDestroyed = 0;
+  let ticks = 0;
+
+  while (ticks < maxTicks && LIVE_STATES.has(game.state)) {
+    // Nobody is watching a headless game, so it is never paused.
+    game.update(dt, { ...controller(game), pause: false });
+    ticks++;
+
+    for (const event of game.world.events) {
+      if (event.type === 'asteroidDestroyed') {
+        asteroidsDestroyed[event.asteroid.tier]++;
+      } else if (event.type === 'saucerDestroyed') {
+        saucersDestroyed++;
+      }
+    }
+  }
+
+  return {
+    seed: game.seed,
+    ticks,
+    gameOver: !LIVE_STATES.has(game.state),
+    score: game.score,
+    wave: game.waves.wave,
+    wavesCleared: game.waves.wavesCleared,
+    survivalTime: ticks * dt,
+    shipsLost: game.world.shipsLost,
+    saucersDestroyed,
+    asteroidsDestroyed,
+  };
+}
+
+/**
+ * Aggregate the stats of many runs: mean, minimum and maximum of each
+ * figure, and kill totals per tier.
+ *
+ * @param {ReturnType<typeof runSimulation>[]} results – at least one
+ * @returns {object}
+ * @throws {RangeError} for no runs at all
+ */
+export function summarizeRuns(results) {
+  if (results.length === 0) {
+    throw new RangeError('Cannot summarize zero runs');
+  }
+
+  const spread = (key) => {
+    const values = results.map((r) => r[key]);
+    return {
+      mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+      min: Math.min(...values),
+      max: Math.max(...values),
+    };
+  };
+
+  const asteroidsDestroyed = { 1: 0, 2: 0, 3: 0 };
+  for (const result of results) {
+    for (const [tier, count] of Object.entries(result.asteroidsDestroyed)) {
+      asteroidsDestroyed[tier] += count;
+    }
+  }
+
+  return {
+    runs: results.length,
+    gamesOver: results.filter((r) => r.gameOver).length,
+    score: spread('score'),
+    wavesCleared: spread('wavesCleared'),
+    survivalTime: spread('survivalTime'),
+    shipsLost: spread('shipsLost'),
+    saucersDestroyed: spread('saucersDestroyed'),
+    asteroidsDestroyed,
+  };
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+  runSimulation,
+  summarizeRuns,
+  idleController,
+  createScriptedController,
+  createAimBot,
+} from './simulation.js';
+import { Game } from './game.js';
+import { Ship } from './ship.js';
+import { Asteroid } from './asteroid.js';
+
+// ---------------------------------------------------------------------------
+// runSimulation
+// ---------------------------------------------------------------------------
+
+describe('runSimulation', () => {
+  it('plays until game over and reports how it went', () => {
+    const stats = runSimulation({ seed: 1, controller: idleController });
+    expect(stats.gameOver).toBe(true);
+    expect(stats.seed).toBe(1);
+    expect(stats.shipsLost).toBe(3);
+    expect(stats.survivalTime).toBeCloseTo(stats.ticks / 60);
+    expect(Object.keys(stats.asteroidsDestroyed)).toEqual(['1', '2', '3']);
+  });
+
+  it('stops at the tick limit', () => {
+    const stats = runSimulation({ seed: 1, maxTicks: 30 });
+    expect(stats.ticks).toBe(30);
+    expect(stats.gameOver).toBe(false);
+  });
+
+  it('plays on through a controller pressing pause', () => {
+    const stats = runSimulation({
+      seed: 1,
+      controller: createScriptedController([{ pause: true }, {}]),
+      maxTicks: 30,
+    });
+    expect(stats.ticks).toBe(30);
+    expect(stats.gameOver).toBe(false);
+  });
+
+  it('is deterministic for a seed and controller', () => {
+    const run = () =>
+      runSimulation({ seed: 5, controller: createAimBot(), maxTicks: 3000 });
+    expect(run()).toEqual(run());
+  });
+
+  it('counts destroyed asteroids by tier', () => {
+    const stats = runSimulation({
+      seed: 3,
+      controller: createAimBot(),
+      maxTicks: 3000,
+    });
+    const { 1: large, 2: medium } = stats.asteroidsDestroyed;
+    expect(large).toBeGreaterThan(0);
+    expect(medium).toBeGreaterThan(0);
+    expect(stats.score).toBeGreaterThan(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Controllers
+// ---------------------------------------------------------------------------
+
+describe('createScriptedController', () => {
+  it('plays its steps in order and loops', () => {
+    const controller = createScriptedController([{ fire: true }, {}]);
+    expect([controller(), controller(), controller()]).toEqual([
+      { fire: true },
+      {},
+      { fire: true },
+    ]);
+  });
+
+  it('needs at least one step', () => {
+    expect(() => createScriptedController([])).toThrow(/at least one/);
+  });
+});
+
+describe('createAimBot', () => {
+  function aimAt(x, y) {
+    const game = new Game({ seed: 1 });
+    game.beginGame();
+    game.world.ship = new Ship({ x: 400, y: 300, rotation: 0 });
+    game.world.asteroids = [
+      new Asteroid({ tier: 3, x, y, vx: 0, vy: 0, rng: game.world.rng }),
+    ];
+    return createAimBot()(game);
+  }
+
+  it('fires at an asteroid dead ahead', () => {
+    expect(aimAt(600, 300)).toMatchObject({
+      fire: true,
+      rotateLeft: false,
+      rotateRight: false,
+    });
+  });
+
+  it('turns towards an asteroid off to one side', () => {
+    expect(aimAt(400, 500)).toMatchObject({ fire: false, rotateRight: true });
+    expect(aimAt(400, 100)).toMatchObject({ fire: false, rotateLeft: true });
+  });
+
+  it('escapes to hyperspace when a rock is about to hit', () => {
+    expect(aimAt(420, 300).hyperspace).toBe(true);
+  });
+
+  it('does nothing without a ship', () => {
+    expect(createAimBot()(new Game())).toEqual({});
+  });
+});
+
+// ---------------------------------------------------------------------------
+// summarizeRuns
+// ---------------------------------------------------------------------------
+
+describe('summarizeRuns', () => {
+  it('averages each figure and totals kills per tier', () => {
+    const run = (score, kills) => ({
+      score,
+      gameOver: true,
+      wavesCleared: 1,
+      survivalTime: 10,
+      shipsLost: 3,
+      saucersDestroyed: 0,
+      asteroidsDestroyed: { 1: kills, 2: 0, 3: 0 },
+    });
+    const summary = summarizeRuns([run(100, 2), run(300, 4)]);
+    expect(summary.runs).toBe(2);
+    expect(summary.gamesOver).toBe(2);
+    expect(summary.score).toEqual({ mean: 200, min: 100, max: 300 });
+    expect(summary.asteroidsDestroyed).toEqual({ 1: 6, 2: 0, 3: 0 });
+  });
+
+  it('needs at least one run', () => {
+    expect(() => summarizeRuns([])).toThrow(RangeError);
+  });
+});
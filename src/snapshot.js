@@ -0,0 +1,173 @@
+/**
+ * Saved-game snapshot module.
+ *
+ * A snapshot is the whole state of a game in progress — world (including
+ * the random source's position), wave director and score keeper — as plain
+ * JSON inside a versioned envelope:
+ *
+ *   { version, game: { seed, world, waves, scoring } }
+ *
+ * The game is saved to localStorage when the page is hidden for good
+ * (`pagehide`) and offered for resume on the next load.  Snapshots written
+ * by an older build are upgraded through SNAPSHOT_MIGRATIONS; anything
+ * corrupt or from a newer build is discarded.
+ */
+
+import { SAUCER_MAX_BULLETS, SAUCER_FIRE_COOLDOWN } from './saucer.js';
+import { saucerIntervalForWave } from './waves.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** localStorage key for the saved game. */
+export const SNAPSHOT_STORAGE_KEY = 'silica-asteroids.snapshot';
+
+/**
+ * Current snapshot format version.
+ *
+ * - v1: `{ version, game: { seed, world, waves, scoring } }`.
+ * - v2: the world gains `saucer` and `saucerBullets`, the wave director
+ *   `saucerTimer`.
+ * - v3: the world's `ship`, `bullets` and `score` become per-player
+ *   `ships`, `playerBullets` and `scores`, and it gains `friendlyFire`.
+ */
+export const SNAPSHOT_VERSION = 3;
+
+/**
+ * Upgrades from each older format version to the next.  Each function takes
+ * a snapshot at version N and returns it at version N + 1.  Bump
+ * SNAPSHOT_VERSION and add an entry here whenever the format changes.
+ *
+ * @type {Record<number, (snapshot: object) => object>}
+ */
+export const SNAPSHOT_MIGRATIONS = {
+  // Saved before saucers existed: no saucer in play, the first one due a
+  // full interval from now.
+  1: ({ game }) => ({
+    version: 2,
+    game: {
+      ...game,
+      world: {
+        ...game.world,
+        saucer: null,
+        saucerBullets: {
+          maxBullets: SAUCER_MAX_BULLETS,
+          fireCooldown: SAUCER_FIRE_COOLDOWN,
+          cooldown: 0,
+          active: [],
+        },
+      },
+      waves: {
+        ...game.waves,
+        saucerTimer: saucerIntervalForWave(Math.max(game.waves.wave, 1)),
+      },
+    },
+  }),
+
+  // Saved before two-player games: a single player in slot 0.
+  2: ({ game }) => {
+    const { ship, bullets, score, ...world } = game.world;
+    return {
+      version: 3,
+      game: {
+        ...game,
+        world: {
+          ...world,
+          friendlyFire: false,
+          ships: [ship],
+          playerBullets: [bullets],
+          scores: [score],
+        },
+      },
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Format
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap a game's state in a versioned envelope.
+ * @param {object} state – Game.toJSON() output
+ * @returns {{ version: number, game: object }}
+ */
+export function createSnapshot(state) {
+  return { version: SNAPSHOT_VERSION, game: state };
+}
+
+/**
+ * Bring a parsed snapshot up to the current version.  Returns null for
+ * anything that can't be understood (corrupt, or written by a newer build).
+ *
+ * @param {unknown} data
+ * @param {object} [opts]
+ * @param {number} [opts.version] – target version
+ * @param {Record<number, (snapshot: object) => object>} [opts.migrations]
+ * @returns {{ version: number, game: object } | null}
+ */
+export function migrateSnapshot(
+  data,
+  { version = SNAPSHOT_VERSION, migrations = SNAPSHOT_MIGRATIONS } = {},
+) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    return null;
+  }
+
+  while (data.version < version) {
+    const migrate = migrations[data.version];
+    if (!migrate) return null;
+    data = migrate(data);
+  }
+
+  if (data.version !== version) return null;
+  if (!data.game || typeof data.game !== 'object') return null;
+
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Store a snapshot.  Storage failures are ignored: losing a save is better
+ * than throwing during page teardown.
+ *
+ * @param {Storage | null} storage
+ * @param {{ version: number, game: object }} snapshot
+ */
+export function saveSnapshot(storage, snapshot) {
+  try {
+    storage?.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshot));
+  } catch {
+    // Quota exceeded or storage disabled.
+  }
+}
+
+/**
+ * Read and migrate the stored snapshot, if there is a usable one.
+ * @param {Storage | null} storage
+ * @returns {{ version: number, game: object } | null}
+ */
+export function loadSnapshot(storage) {
+  try {
+    const raw = storage?.getItem(SNAPSHOT_STORAGE_KEY);
+    return migrateSnapshot(JSON.parse(raw ?? 'null'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forget the stored snapshot.
+ * @param {Storage | null} storage
+ */
+export function clearSnapshot(storage) {
+  try {
+    storage?.removeItem(SNAPSHOT_STORAGE_KEY);
+  } catch {
+    // Not fatal.
+  }
+}
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSnapshot,
+  migrateSnapshot,
+  saveSnapshot,
+  loadSnapshot,
+  clearSnapshot,
+  SNAPSHOT_STORAGE_KEY,
+  SNAPSHOT_VERSION,
+} from './snapshot.js';
+import { saucerIntervalForWave } from './waves.js';
+import { World } from './world.js';
+import { Ship } from './ship.js';
+
+/** In-memory stand-in for localStorage. */
+function makeStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+describe('createSnapshot', () => {
+  it('wraps the game state in a versioned envelope', () => {
+    expect(createSnapshot({ seed: 1 })).toEqual({
+      version: SNAPSHOT_VERSION,
+      game: { seed: 1 },
+    });
+  });
+});
+
+describe('migrateSnapshot', () => {
+  it('passes current snapshots through', () => {
+    const snap = createSnapshot({ seed: 1 });
+    expect(migrateSnapshot(snap)).toEqual(snap);
+  });
+
+  it('runs migration hooks in order up to the target version', () => {
+    const migrations = {
+      1: (s) => ({ version: 2, game: { ...s.game, lives: 3 } }),
+      2: (s) => ({ version: 3, game: { ...s.game, wave: 1 } }),
+    };
+    expect(
+      migrateSnapshot(
+        { version: 1, game: { seed: 9 } },
+        { version: 3, migrations },
+      ),
+    ).toEqual({ version: 3, game: { seed: 9, lives: 3, wave: 1 } });
+  });
+
+  it('rejects versions with no migration path', () => {
+    expect(
+      migrateSnapshot({ version: 1, game: {} }, { version: 2, migrations: {} }),
+    ).toBeNull();
+  });
+
+  it('upgrades v1 saves with no saucer in play', () => {
+    const v1 = {
+      version: 1,
+      game: { seed: 3, world: { score: 40 }, waves: { wave: 4 }, scoring: {} },
+    };
+    const { version, game } = migrateSnapshot(v1);
+    expect(version).toBe(SNAPSHOT_VERSION);
+    expect(game.world).toMatchObject({ scores: [40], saucer: null });
+    expect(game.world.saucerBullets.active).toEqual([]);
+    expect(game.waves.saucerTimer).toBe(saucerIntervalForWave(4));
+  });
+
+  it('upgrades v2 saves to a single player slot', () => {
+    const world = new World({ seed: 2 });
+    world.ship = new Ship({ x: 100, y: 200 });
+    world.scores[0] = 70;
+
+    // The same world as a v2 build wrote it.
+    const v2World = world.toJSON();
+    v2World.ship = v2World.ships[0];
+    v2World.bullets = v2World.playerBullets[0];
+    v2World.score = v2World.scores[0];
+    for (const key of ['ships', 'playerBullets', 'scores', 'friendlyFire']) {
+      delete v2World[key];
+    }
+
+    const { game } = migrateSnapshot({ version: 2, game: { world: v2World } });
+    expect(World.fromJSON(game.world).toJSON()).toEqual(world.toJSON());
+  });
+
+  it('rejects snapshots from a newer build', () => {
+    expect(
+      migrateSnapshot({ version: SNAPSHOT_VERSION + 1, game: {} }),
+    ).toBeNull();
+  });
+
+  it('rejects malformed data', () => {
+    expect(migrateSnapshot(null)).toBeNull();
+    expect(migrateSnapshot([])).toBeNull();
+    expect(migrateSnapshot({ version: SNAPSHOT_VERSION })).toBeNull();
+  });
+});
+
+describe('snapshot persistence', () => {
+  it('round-trips through storage', () => {
+    const storage = makeStorage();
+    const snap = createSnapshot({ seed: 4, world: { score: 20 } });
+    saveSnapshot(storage, snap);
+    expect(loadSnapshot(storage)).toEqual(snap);
+  });
+
+  it('returns null when nothing is stored', () => {
+    expect(loadSnapshot(makeStorage())).toBeNull();
+    expect(loadSnapshot(null)).toBeNull();
+  });
+
+  it('ignores corrupt JSON', () => {
+    const storage = makeStorage({ [SNAPSHOT_STORAGE_KEY]: '{oops' });
+    expect(loadSnapshot(storage)).toBeNull();
+  });
+
+  it('clearSnapshot() forgets the save', () => {
+    const storage = makeStorage();
+    saveSnapshot(storage, createSnapshot({}));
+    clearSnapshot(storage);
+    expect(loadSnapshot(storage)).toBeNull();
+  });
+
+  it('swallows storage errors', () => {
+    const broken = {
+      getItem() {
+        throw new Error('denied');
+      },
+      setItem() {
+        throw new Error('quota');
+      },
+      removeItem() {
+        throw new Error('denied');
+      },
+    };
+    expect(() => saveSnapshot(broken, createSnapshot({}))).not.toThrow();
+    expect(loadSnapshot(broken)).toBeNull();
+    expect(() => clearSnapshot(broken)).not.toThrow();
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * State machine module.
+ *
+ * A minimal finite-state machine for top-level game flow.  Each state is a
+ * plain object of optional hooks:
+ *
+ * - `enter(params)`  — called when the machine switches into the state
+ * - `exit()`         — called when the machine leaves the state
+ * - `update(dt, controls)` — called once per simulation step
+ * - `render(renderer, alpha)` — called once per display frame
+ *
+ * Hooks may call `transition()` themselves; the switch happens immediately.
+ */
+
+export class StateMachine {
+  /**
+   * @param {Record<string, object>} states – state hooks keyed by name
+   * @param {string} initial – name of the starting state
+   * @param {object} [params] – passed to the initial state's enter()
+   */
+  constructor(states, initial, params) {
+    /** State hooks keyed by name. */
+    this.states = states;
+
+    /** Name of the active state. */
+    this.current = null;
+
+    this.transition(initial, params);
+  }
+
+  /** Hooks of the active state. */
+  get state() {
+    return this.states[this.current];
+  }
+
+  /**
+   * Leave the active state and enter another.
+   *
+   * @param {string} name   – state to switch to
+   * @param {object} [params] – passed to the new state's enter()
+   */
+  transition(name, params) {
+    if (!(name in this.states)) {
+      throw new RangeError(`Unknown state: ${name}`);
+    }
+
+    this.state?.exit?.();
+    this.current = name;
+    this.state.enter?.(params);
+  }
+
+  /** Forward a simulation step to the active state. */
+  update(dt, controls) {
+    this.state.update?.(dt, controls);
+  }
+
+  /** Forward a render to the active state. */
+  render(renderer, alpha) {
+    this.state.render?.(renderer, alpha);
+  }
+}
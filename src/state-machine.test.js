@@ -0,0 +1,49 @@
+import { describe, it, expect, vi } from 'vitest';
+import { StateMachine } from './state-machine.js';
+
+describe('StateMachine', () => {
+  it('enters the initial state with params', () => {
+    const enter = vi.fn();
+    const machine = new StateMachine({ idle: { enter } }, 'idle', { a: 1 });
+    expect(machine.current).toBe('idle');
+    expect(enter).toHaveBeenCalledWith({ a: 1 });
+  });
+
+  it('exits the old state before entering the new one', () => {
+    const order = [];
+    const machine = new StateMachine(
+      {
+        a: { exit: () => order.push('exit a') },
+        b: { enter: () => order.push('enter b') },
+      },
+      'a',
+    );
+    machine.transition('b');
+    expect(order).toEqual(['exit a', 'enter b']);
+    expect(machine.current).toBe('b');
+  });
+
+  it('forwards update and render to the active state only', () => {
+    const a = { update: vi.fn(), render: vi.fn() };
+    const b = { update: vi.fn(), render: vi.fn() };
+    const machine = new StateMachine({ a, b }, 'a');
+    machine.update(0.1, { fire: true });
+    machine.render('renderer', 0.5);
+    expect(a.update).toHaveBeenCalledWith(0.1, { fire: true });
+    expect(a.render).toHaveBeenCalledWith('renderer', 0.5);
+    expect(b.update).not.toHaveBeenCalled();
+  });
+
+  it('tolerates states without hooks', () => {
+    const machine = new StateMachine({ empty: {} }, 'empty');
+    expect(() => {
+      machine.update(1, {});
+      machine.render(null, 0);
+    }).not.toThrow();
+  });
+
+  it('throws for unknown states', () => {
+    const machine = new StateMachine({ a: {} }, 'a');
+    expect(() => machine.transition('nope')).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,449 @@
+/**
+ * Statistics and achievements module.
+ *
+ * The StatsTracker listens to the game's event bus (see events.js) and
+ * keeps count of what the players do: shots fired and how many hit,
+ * asteroids destroyed by size, saucers downed, hyperspace jumps and the
+ * longest any one ship stayed alive.  Counts are kept for the game in
+ * progress (the "session", which stays readable after the game ends) and
+ * added to lifetime totals at game over.
+ *
+ * The same events unlock achievements, each announced once through
+ * onUnlock().  Two of them watch sequences rather than totals:
+ *
+ * - **Drifter** — a wave cleared without the engine lighting once.  A ship
+ *   still thrusting when the wave starts counts as having thrusted.
+ * - **Clean sweep** — a large asteroid and every fragment its breakup()
+ *   produced, and theirs in turn, all destroyed by the players within a
+ *   few seconds of the first shot breaking it.
+ *
+ * Only the players' doing counts: rocks broken by the saucer add nothing.
+ * Both players of a two-player game share one set of counts.  Lifetime
+ * totals and unlocked achievements persist to localStorage.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** localStorage key for lifetime totals and unlocked achievements. */
+export const STATS_STORAGE_KEY = 'silica-asteroids.stats';
+
+/**
+ * Time allowed to wipe out a large asteroid's whole family, from the
+ * moment it breaks (seconds).
+ */
+export const CLEAN_SWEEP_WINDOW = 3;
+
+/** Accuracy needed over a whole game for Sharpshooter. */
+export const SHARPSHOOTER_ACCURACY = 0.75;
+
+/** Shots a game must have fired for its accuracy to count. */
+export const SHARPSHOOTER_MIN_SHOTS = 50;
+
+/** Seconds one ship must stay alive for Survivor. */
+export const SURVIVOR_TIME = 120;
+
+/** Hyperspace jumps in one game for Quantum Leaper. */
+export const LEAPER_JUMPS = 10;
+
+/** Saucers downed in one game for Saucer Hunter. */
+export const SAUCER_HUNTER_KILLS = 5;
+
+/**
+ * Every achievement, in the order the stats screen lists them.
+ * @type {{ id: string, title: string, description: string }[]}
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'drifter',
+    title: 'DRIFTER',
+    description: 'Clear a wave without thrusting',
+  },
+  {
+    id: 'cleanSweep',
+    title: 'CLEAN SWEEP',
+    description: `Destroy a large asteroid and all its fragments within ${CLEAN_SWEEP_WINDOW} seconds`,
+  },
+  {
+    id: 'sharpshooter',
+    title: 'SHARPSHOOTER',
+    description: `Finish a game with ${SHARPSHOOTER_ACCURACY * 100}% accuracy from ${SHARPSHOOTER_MIN_SHOTS} shots or more`,
+  },
+  {
+    id: 'survivor',
+    title: 'SURVIVOR',
+    description: `Keep one ship alive for ${SURVIVOR_TIME / 60} minutes`,
+  },
+  {
+    id: 'leaper',
+    title: 'QUANTUM LEAPER',
+    description: `Jump through hyperspace ${LEAPER_JUMPS} times in one game`,
+  },
+  {
+    id: 'saucerHunter',
+    title: 'SAUCER HUNTER',
+    description: `Shoot down ${SAUCER_HUNTER_KILLS} saucers in one game`,
+  },
+];
+
+/** Achievements by id. */
+const ACHIEVEMENTS_BY_ID = new Map(ACHIEVEMENTS.map((a) => [a.id, a]));
+
+/** Asteroid tiers counted separately (1 = large, 2 = medium, 3 = small). */
+const TIERS = [1, 2, 3];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * All-zero counts.
+ * @returns {{ shotsFired: number, shotsHit: number, asteroidsDestroyed: Record<number, number>, saucersDestroyed: number, hyperspaceUses: number, longestSurvival: number }}
+ */
+export function emptyStats() {
+  return {
+    shotsFired: 0,
+    shotsHit: 0,
+    asteroidsDestroyed: { 1: 0, 2: 0, 3: 0 },
+    saucersDestroyed: 0,
+    hyperspaceUses: 0,
+    longestSurvival: 0,
+  };
+}
+
+/**
+ * Fraction of shots fired that hit something.
+ * @param {{ shotsFired: number, shotsHit: number }} stats
+ * @returns {number} 0 before any shot
+ */
+export function accuracy({ shotsFired, shotsHit }) {
+  return shotsFired > 0 ? shotsHit / shotsFired : 0;
+}
+
+/**
+ * Seconds as "m:ss".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const whole = Math.floor(seconds);
+  const minutes = Math.floor(whole / 60);
+  return `${minutes}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The stats screen's table: one row per statistic, with its value for the
+ * last game and over all games.
+ *
+ * @param {ReturnType<typeof emptyStats>} session
+ * @param {ReturnType<typeof emptyStats> & { gamesPlayed: number }} lifetime
+ * @returns {[string, string, string][]} label, last game, all time
+ */
+export function statsRows(session, lifetime) {
+  const percent = (stats) => `${Math.round(accuracy(stats) * 100)}%`;
+  const row = (label, read) => [label, read(session), read(lifetime)];
+  return [
+    ['GAMES PLAYED', '', String(lifetime.gamesPlayed)],
+    row('SHOTS FIRED', (s) => String(s.shotsFired)),
+    row('ACCURACY', percent),
+    row('LARGE ROCKS', (s) => String(s.asteroidsDestroyed[1])),
+    row('MEDIUM ROCKS', (s) => String(s.asteroidsDestroyed[2])),
+    row('SMALL ROCKS', (s) => String(s.asteroidsDestroyed[3])),
+    row('SAUCERS', (s) => String(s.saucersDestroyed)),
+    row('HYPERSPACE JUMPS', (s) => String(s.hyperspaceUses)),
+    row('LONGEST LIFE', (s) => formatDuration(s.longestSurvival)),
+  ];
+}
+
+/** A stored count, or 0 if it isn't a sensible one. */
+function readCount(value) {
+  return Number.isFinite(value) && value >= 0 ? value : 0;
+}
+
+// ---------------------------------------------------------------------------
+// StatsTracker class
+// ---------------------------------------------------------------------------
+
+export class StatsTracker {
+  /**
+   * @param {object} [opts]
+   * @param {Storage | null} [opts.storage] – persistence (default: localStorage)
+   */
+  constructor({ storage = globalThis.localStorage ?? null } = {}) {
+    this.storage = storage;
+
+    /** Counts for the game in progress, or the last one played. */
+    this.session = emptyStats();
+
+    const { lifetime, unlocked } = this.load();
+
+    /** Totals over every finished game. */
+    this.lifetime = lifetime;
+
+    /** Ids of the achievements unlocked so far. @type {Set<string>} */
+    this.unlocked = unlocked;
+
+    /** @type {((achievement: { id: string, title: string, description: string }) => void)[]} */
+    this.listeners = [];
+
+    /** Simulated seconds since the tracker started. */
+    this.clock = 0;
+
+    /** How long each player slot's current ship has been alive (seconds). */
+    this.lifeTimes = [];
+
+    /** Ships whose engines are lit. @type {Set<object>} */
+    this.thrusting = new Set();
+
+    /** Whether any ship has thrusted since the current wave started. */
+    this.thrustedThisWave = false;
+
+    /**
+     * The large-asteroid family each live fragment belongs to: when the
+     * family started breaking up, how many of it are still in play, and
+     * whether anyone but the players broke one.
+     * @type {WeakMap<object, { start: number, remaining: number, spoiled: boolean }>}
+     */
+    this.families = new WeakMap();
+
+    /** Unsubscribes from the bus, once listening. */
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Follow the events on a bus, leaving any bus followed before.
+   * @param {import('./events.js').EventBus} bus
+   */
+  listen(bus) {
+    this.unsubscribe?.();
+    this.unsubscribe = bus.on('*', (event) => this.handleEvent(event));
+  }
+
+  /**
+   * Register a callback for each newly unlocked achievement.
+   * @param {(achievement: { id: string, title: string, description: string }) => void} listener
+   */
+  onUnlock(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Advance the tracker's clock and the life time of every ship in play.
+   * Called once per step of the game in progress.
+   *
+   * @param {number} dt
+   * @param {import('./world.js').World} world
+   */
+  update(dt, world) {
+    this.clock += dt;
+    world.ships.forEach((ship, slot) => {
+      if (!ship) return;
+      this.lifeTimes[slot] = (this.lifeTimes[slot] ?? 0) + dt;
+      if (this.lifeTimes[slot] >= SURVIVOR_TIME) this.unlock('survivor');
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Events
+  // -------------------------------------------------------------------------
+
+  /**
+   * Count one event and check the achievements it could unlock.
+   * @param {{ type: string }} event
+   */
+  handleEvent(event) {
+    const { session } = this;
+    switch (event.type) {
+      case 'gameStarted':
+        this.startSession();
+        break;
+      case 'shotFired':
+        session.shotsFired++;
+        break;
+      case 'shotHit':
+        session.shotsHit++;
+        break;
+      case 'asteroidDestroyed':
+        if (event.owner !== null) {
+          session.asteroidsDestroyed[event.asteroid.tier]++;
+        }
+        this.followFamily(event);
+        break;
+      case 'saucerDestroyed':
+        if (event.owner === null) break;
+        session.saucersDestroyed++;
+        if (session.saucersDestroyed >= SAUCER_HUNTER_KILLS) {
+          this.unlock('saucerHunter');
+        }
+        break;
+      case 'hyperspace':
+        session.hyperspaceUses++;
+        if (session.hyperspaceUses >= LEAPER_JUMPS) this.unlock('leaper');
+        break;
+      case 'shipDestroyed':
+        this.thrusting.delete(event.ship);
+        this.endLife(event.ship.player);
+        break;
+      case 'thrustStarted':
+        this.thrusting.add(event.ship);
+        this.thrustedThisWave = true;
+        break;
+      case 'thrustStopped':
+        this.thrusting.delete(event.ship);
+        break;
+      case 'waveStarted':
+        this.thrustedThisWave = this.thrusting.size > 0;
+        break;
+      case 'waveCleared':
+        if (!this.thrustedThisWave) this.unlock('drifter');
+        break;
+      case 'gameOver':
+        this.endSession();
+        break;
+    }
+  }
+
+  /** Start counting a new game from zero, at wave 1. */
+  startSession() {
+    this.session = emptyStats();
+    this.lifeTimes = [];
+    this.thrusting.clear();
+    this.thrustedThisWave = false;
+  }
+
+  /**
+   * Close the game's books: settle the ships still alive, check the
+   * end-of-game achievements and add the game to the lifetime totals.
+   */
+  endSession() {
+    const { session, lifetime } = this;
+    this.lifeTimes.forEach((_, slot) => this.endLife(slot));
+
+    if (
+      session.shotsFired >= SHARPSHOOTER_MIN_SHOTS &&
+      accuracy(session) >= SHARPSHOOTER_ACCURACY
+    ) {
+      this.unlock('sharpshooter');
+    }
+
+    lifetime.gamesPlayed++;
+    lifetime.shotsFired += session.shotsFired;
+    lifetime.shotsHit += session.shotsHit;
+    for (const tier of TIERS) {
+      lifetime.asteroidsDestroyed[tier] += session.asteroidsDestroyed[tier];
+    }
+    lifetime.saucersDestroyed += session.saucersDestroyed;
+    lifetime.hyperspaceUses += session.hyperspaceUses;
+    lifetime.longestSurvival = Math.max(
+      lifetime.longestSurvival,
+      session.longestSurvival,
+    );
+    this.save();
+  }
+
+  /**
+   * A player slot's ship is out of play: bank how long it lasted.
+   * @param {number} slot
+   */
+  endLife(slot) {
+    const { session } = this;
+    const time = this.lifeTimes[slot] ?? 0;
+    session.longestSurvival = Math.max(session.longestSurvival, time);
+    this.lifeTimes[slot] = 0;
+  }
+
+  /**
+   * Keep track of large asteroids' families as they break up, for Clean
+   * Sweep.  A large asteroid starts a family; its fragments join it.
+   *
+   * @param {{ asteroid: object, owner: number | null, children: object[] }} event
+   */
+  followFamily({ asteroid, owner, children }) {
+    let family = this.families.get(asteroid);
+    if (!family) {
+      if (asteroid.tier !== 1) return;
+      family = { start: this.clock, remaining: 1, spoiled: false };
+    }
+
+    family.remaining += children.length - 1;
+    if (owner === null) family.spoiled = true;
+    for (const child of children) this.families.set(child, family);
+
+    if (
+      family.remaining === 0 &&
+      !family.spoiled &&
+      this.clock - family.start <= CLEAN_SWEEP_WINDOW
+    ) {
+      this.unlock('cleanSweep');
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Achievements
+  // -------------------------------------------------------------------------
+
+  /**
+   * Unlock an achievement, saving and reporting it the first time only.
+   * @param {string} id – an ACHIEVEMENTS id
+   */
+  unlock(id) {
+    if (this.unlocked.has(id)) return;
+    this.unlocked.add(id);
+    this.save();
+    const achievement = ACHIEVEMENTS_BY_ID.get(id);
+    for (const listener of this.listeners) listener(achievement);
+  }
+
+  // -------------------------------------------------------------------------
+  // Persistence
+  // -------------------------------------------------------------------------
+
+  /**
+   * Read the stored totals and achievements; anything missing or
+   * unreadable starts from zero.
+   * @returns {{ lifetime: ReturnType<typeof emptyStats> & { gamesPlayed: number }, unlocked: Set<string> }}
+   */
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(this.storage?.getItem(STATS_STORAGE_KEY) ?? 'null');
+    } catch {
+      // Corrupt: start again.
+    }
+    if (!data || typeof data !== 'object') data = {};
+
+    const stored = data.lifetime ?? {};
+    const lifetime = { ...emptyStats(), gamesPlayed: 0 };
+    for (const key of Object.keys(lifetime)) {
+      if (key === 'asteroidsDestroyed') continue;
+      lifetime[key] = readCount(stored[key]);
+    }
+    for (const tier of TIERS) {
+      lifetime.asteroidsDestroyed[tier] = readCount(
+        stored.asteroidsDestroyed?.[tier],
+      );
+    }
+
+    const ids = Array.isArray(data.achievements) ? data.achievements : [];
+    return {
+      lifetime,
+      unlocked: new Set(ids.filter((id) => ACHIEVEMENTS_BY_ID.has(id))),
+    };
+  }
+
+  /** Write the totals and achievements.  Storage failures are ignored. */
+  save() {
+    try {
+      this.storage?.setItem(
+        STATS_STORAGE_KEY,
+        JSON.stringify({
+          lifetime: this.lifetime,
+          achievements: [...this.unlocked],
+        }),
+      );
+    } catch {
+      // Quota exceeded or storage disabled: stats still count this session.
+    }
+  }
+}
@@ -0,0 +1,313 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventBus } from './events.js';
+import { World } from './world.js';
+import { Ship } from './ship.js';
+import { Asteroid } from './asteroid.js';
+import {
+  StatsTracker,
+  ACHIEVEMENTS,
+  CLEAN_SWEEP_WINDOW,
+  SHARPSHOOTER_MIN_SHOTS,
+  SURVIVOR_TIME,
+  STATS_STORAGE_KEY,
+  accuracy,
+  emptyStats,
+  formatDuration,
+  statsRows,
+} from './stats.js';
+import { ToastQueue, TOAST_DURATION, MAX_VISIBLE_TOASTS } from './toasts.js';
+
+const DT = 1 / 60;
+
+function makeStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+    data,
+  };
+}
+
+/** A tracker listening to a fresh bus, a game already started. */
+function makeTracker(storage = null) {
+  const bus = new EventBus();
+  const stats = new StatsTracker({ storage });
+  const unlocked = [];
+  stats.onUnlock(({ id }) => unlocked.push(id));
+  stats.listen(bus);
+  bus.emit({ type: 'gameStarted', mode: 'single' });
+  return { bus, stats, unlocked };
+}
+
+const ship = (player = 0) => ({ player });
+
+/** Stand-in for a destroyed asteroid's event. */
+function destroyed(asteroid, children = [], owner = 0) {
+  return { type: 'asteroidDestroyed', asteroid, impact: null, owner, children };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+describe('stats helpers', () => {
+  it('computes accuracy, zero before any shot', () => {
+    expect(accuracy(emptyStats())).toBe(0);
+    expect(accuracy({ shotsFired: 8, shotsHit: 6 })).toBe(0.75);
+  });
+
+  it('formats durations as minutes and seconds', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(125.9)).toBe('2:05');
+  });
+
+  it('lays out the last game beside the all-time totals', () => {
+    const session = { ...emptyStats(), shotsFired: 4, shotsHit: 1 };
+    const lifetime = { ...emptyStats(), shotsFired: 10, gamesPlayed: 2 };
+    const rows = statsRows(session, lifetime);
+    expect(rows).toContainEqual(['SHOTS FIRED', '4', '10']);
+    expect(rows).toContainEqual(['ACCURACY', '25%', '0%']);
+    expect(rows).toContainEqual(['GAMES PLAYED', '', '2']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Counting
+// ---------------------------------------------------------------------------
+
+describe('StatsTracker counts', () => {
+  it('counts shots, hits, rocks by size, saucers and jumps', () => {
+    const { bus, stats } = makeTracker();
+    bus.emit({ type: 'shotFired', bullet: {}, player: 0 });
+    bus.emit({ type: 'shotFired', bullet: {}, player: 1 });
+    bus.emit({ type: 'shotHit', bullet: {}, player: 0, target: {} });
+    bus.emit(destroyed({ tier: 2 }));
+    bus.emit(destroyed({ tier: 3 }, [], null));
+    bus.emit({ type: 'saucerDestroyed', saucer: {}, owner: 1 });
+    bus.emit({ type: 'hyperspace', ship: ship(), player: 0 });
+
+    expect(stats.session).toEqual({
+      ...emptyStats(),
+      shotsFired: 2,
+      shotsHit: 1,
+      asteroidsDestroyed: { 1: 0, 2: 1, 3: 0 },
+      saucersDestroyed: 1,
+      hyperspaceUses: 1,
+    });
+  });
+
+  it('keeps the longest any one ship stayed alive', () => {
+    const { bus, stats } = makeTracker();
+    const world = { ships: [ship(0), ship(1)] };
+    for (let i = 0; i < 60; i++) stats.update(DT, world);
+    bus.emit({ type: 'shipDestroyed', ship: world.ships[1] });
+    world.ships[1] = null;
+    for (let i = 0; i < 30; i++) stats.update(DT, world);
+    bus.emit({ type: 'gameOver', score: 0 });
+    expect(stats.session.longestSurvival).toBeCloseTo(1.5);
+  });
+
+  it('starts each game from zero and adds it to the totals at game over', () => {
+    const storage = makeStorage();
+    const { bus, stats } = makeTracker(storage);
+    for (let game = 0; game < 2; game++) {
+      bus.emit({ type: 'gameStarted', mode: 'single' });
+      bus.emit({ type: 'shotFired', bullet: {}, player: 0 });
+      bus.emit({ type: 'gameOver', score: 0 });
+    }
+    expect(stats.session.shotsFired).toBe(1);
+    expect(stats.lifetime.shotsFired).toBe(2);
+    expect(stats.lifetime.gamesPlayed).toBe(2);
+
+    const reloaded = new StatsTracker({ storage });
+    expect(reloaded.lifetime).toEqual(stats.lifetime);
+  });
+
+  it('follows whichever bus it was last told to', () => {
+    const { bus, stats } = makeTracker();
+    stats.listen(new EventBus());
+    bus.emit({ type: 'shotFired', bullet: {}, player: 0 });
+    expect(stats.session.shotsFired).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Achievements
+// ---------------------------------------------------------------------------
+
+describe('StatsTracker achievements', () => {
+  it('unlocks Drifter for a wave cleared without thrusting', () => {
+    const { bus, unlocked } = makeTracker();
+    const drifting = ship();
+    bus.emit({ type: 'thrustStarted', ship: drifting, player: 0 });
+    bus.emit({ type: 'thrustStopped', ship: drifting, player: 0 });
+    bus.emit({ type: 'waveCleared', wave: 1 });
+    expect(unlocked).toEqual([]);
+
+    bus.emit({ type: 'waveStarted', wave: 2 });
+    bus.emit({ type: 'waveCleared', wave: 2 });
+    expect(unlocked).toEqual(['drifter']);
+  });
+
+  it('counts an engine still lit when the wave starts as thrusting', () => {
+    const { bus, unlocked } = makeTracker();
+    const flying = ship();
+    bus.emit({ type: 'thrustStarted', ship: flying, player: 0 });
+    bus.emit({ type: 'waveStarted', wave: 2 });
+    bus.emit({ type: 'waveCleared', wave: 2 });
+    expect(unlocked).toEqual([]);
+  });
+
+  it('unlocks Clean Sweep for a whole large family inside the window', () => {
+    const { bus, stats, unlocked } = makeTracker();
+    const large = { tier: 1 };
+    const mediums = [{ tier: 2 }, { tier: 2 }];
+    const smalls = [{ tier: 3 }, { tier: 3 }];
+
+    bus.emit(destroyed(large, mediums));
+    bus.emit(destroyed(mediums[0], smalls));
+    stats.update(CLEAN_SWEEP_WINDOW / 2, { ships: [] });
+    bus.emit(destroyed(smalls[0]));
+    bus.emit(destroyed(smalls[1]));
+    expect(unlocked).toEqual([]);
+
+    bus.emit(destroyed(mediums[1]));
+    expect(unlocked).toEqual(['cleanSweep']);
+  });
+
+  it('withholds Clean Sweep when too slow or the saucer helped', () => {
+    const { bus, stats, unlocked } = makeTracker();
+    const slow = [{ tier: 2 }];
+    bus.emit(destroyed({ tier: 1 }, slow));
+    stats.update(CLEAN_SWEEP_WINDOW + 0.1, { ships: [] });
+    bus.emit(destroyed(slow[0]));
+
+    const helped = [{ tier: 2 }];
+    bus.emit(destroyed({ tier: 1 }, helped));
+    bus.emit(destroyed(helped[0], [], null));
+    expect(unlocked).toEqual([]);
+  });
+
+  it('follows a real breakup() family through a world', () => {
+    const { bus, unlocked } = makeTracker();
+    const world = new World({ seed: 4, bus, breakupMode: 'classic' });
+    world.asteroids.push(new Asteroid({ tier: 1, x: 400, y: 300 }));
+    world.destroyAsteroid(world.asteroids[0]);
+    while (world.asteroids.length > 0) {
+      world.destroyAsteroid(world.asteroids[0]);
+    }
+    expect(unlocked).toEqual(['cleanSweep']);
+  });
+
+  it('unlocks Survivor, Sharpshooter and the per-game counts', () => {
+    const { bus, stats, unlocked } = makeTracker();
+    stats.update(SURVIVOR_TIME, { ships: [ship()] });
+
+    for (let i = 0; i < SHARPSHOOTER_MIN_SHOTS; i++) {
+      bus.emit({ type: 'shotFired', bullet: {}, player: 0 });
+      bus.emit({ type: 'shotHit', bullet: {}, player: 0, target: {} });
+      bus.emit({ type: 'hyperspace', ship: ship(), player: 0 });
+      bus.emit({ type: 'saucerDestroyed', saucer: {}, owner: 0 });
+    }
+    bus.emit({ type: 'gameOver', score: 0 });
+
+    expect(unlocked.sort()).toEqual(
+      ['leaper', 'saucerHunter', 'sharpshooter', 'survivor'].sort(),
+    );
+  });
+
+  it('reports each achievement once and remembers it across visits', () => {
+    const storage = makeStorage();
+    const { stats, unlocked } = makeTracker(storage);
+    stats.unlock('drifter');
+    stats.unlock('drifter');
+    expect(unlocked).toEqual(['drifter']);
+
+    const reloaded = new StatsTracker({ storage });
+    const listener = vi.fn();
+    reloaded.onUnlock(listener);
+    reloaded.unlock('drifter');
+    expect(listener).not.toHaveBeenCalled();
+    expect([...reloaded.unlocked]).toEqual(['drifter']);
+  });
+
+  it('gives every achievement a title and description', () => {
+    for (const { id, title, description } of ACHIEVEMENTS) {
+      expect(id).toMatch(/^[a-z][A-Za-z]+$/);
+      expect(title).toBe(title.toUpperCase());
+      expect(description.length).toBeGreaterThan(0);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+describe('StatsTracker persistence', () => {
+  it('starts from zero for corrupt or invalid data', () => {
+    const corrupt = makeStorage({ [STATS_STORAGE_KEY]: '{oops' });
+    expect(new StatsTracker({ storage: corrupt }).lifetime.gamesPlayed).toBe(0);
+
+    const invalid = makeStorage({
+      [STATS_STORAGE_KEY]: JSON.stringify({
+        lifetime: { shotsFired: -3, hyperspaceUses: 4 },
+        achievements: ['drifter', 'teleporter'],
+      }),
+    });
+    const stats = new StatsTracker({ storage: invalid });
+    expect(stats.lifetime.shotsFired).toBe(0);
+    expect(stats.lifetime.hyperspaceUses).toBe(4);
+    expect(stats.lifetime.asteroidsDestroyed).toEqual({ 1: 0, 2: 0, 3: 0 });
+    expect([...stats.unlocked]).toEqual(['drifter']);
+  });
+
+  it('ignores storage failures', () => {
+    const storage = {
+      getItem: () => null,
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      },
+    };
+    const stats = new StatsTracker({ storage });
+    expect(() => stats.unlock('drifter')).not.toThrow();
+    expect(stats.unlocked.has('drifter')).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Toasts
+// ---------------------------------------------------------------------------
+
+describe('ToastQueue', () => {
+  it('shows a few at a time, holding the rest back until there is room', () => {
+    const toasts = new ToastQueue();
+    for (let i = 0; i <= MAX_VISIBLE_TOASTS; i++) toasts.push(`T${i}`);
+    expect(toasts.visible).toHaveLength(MAX_VISIBLE_TOASTS);
+
+    toasts.update(TOAST_DURATION - DT);
+    expect(toasts.visible.map((t) => t.text)).toContain('T0');
+    toasts.update(DT * 2);
+    expect(toasts.visible.map((t) => t.text)).toEqual([
+      `T${MAX_VISIBLE_TOASTS}`,
+    ]);
+    expect(toasts.visible[0].remaining).toBe(TOAST_DURATION);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// World events on the bus
+// ---------------------------------------------------------------------------
+
+describe('StatsTracker with a world', () => {
+  it('hears shots and jumps straight from the world', () => {
+    const { bus, stats } = makeTracker();
+    const world = new World({ seed: 2, bus });
+    world.ship = new Ship({ x: 400, y: 300 });
+    world.step(DT, { fire: true, hyperspace: true });
+    expect(stats.session.shotsFired).toBe(1);
+    expect(stats.session.hyperspaceUses).toBe(1);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Renderer stress scene.
+ *
+ * A field of drifting asteroids with no ship and no waves, for checking
+ * that drawing keeps up with large counts (main.js runs it for
+ * `?stress=N`).  Every asteroid type is represented, so the batched
+ * armour and explosive markings are exercised too.  Nothing collides:
+ * with no ship or bullets in play the world only moves and wraps.
+ */
+
+import { World } from './world.js';
+import { Asteroid } from './asteroid.js';
+import { ASTEROID_TYPES } from './asteroid-types.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Asteroids in the scene when no count is given. */
+export const DEFAULT_STRESS_COUNT = 1000;
+
+/** Drift speed range (px / s). */
+const STRESS_SPEED = [10, 60];
+
+// ---------------------------------------------------------------------------
+// StressScene class
+// ---------------------------------------------------------------------------
+
+export class StressScene {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.count]  – number of asteroids
+   * @param {number} [opts.width]  – world width (CSS pixels)
+   * @param {number} [opts.height] – world height (CSS pixels)
+   * @param {number} [opts.seed]   – seed for placement and shapes
+   */
+  constructor({ count = DEFAULT_STRESS_COUNT, width, height, seed } = {}) {
+    this.world = new World({ seed, width, height });
+
+    const { rng } = this.world;
+    const types = Object.keys(ASTEROID_TYPES);
+    for (let i = 0; i < count; i++) {
+      const angle = rng.range(0, Math.PI * 2);
+      const speed = rng.range(...STRESS_SPEED);
+      this.world.asteroids.push(
+        new Asteroid({
+          type: types[rng.int(0, types.length - 1)],
+          x: rng.range(0, this.world.width),
+          y: rng.range(0, this.world.height),
+          vx: Math.cos(angle) * speed,
+          vy: Math.sin(angle) * speed,
+          rng,
+        }),
+      );
+    }
+  }
+
+  /** Advance the field by one fixed step. */
+  update(dt) {
+    this.world.step(dt);
+  }
+
+  /** Fit the field to a new viewport size. */
+  resize(width, height) {
+    this.world.resize(width, height);
+  }
+
+  /**
+   * Draw the field with a count and frame-rate readout.
+   * @param {import('./renderer.js').Renderer} renderer
+   * @param {number} alpha
+   */
+  render(renderer, alpha) {
+    renderer.render(this.world, alpha);
+
+    const count = this.world.asteroids.length;
+    const fps = renderer.frameTime ? Math.round(1000 / renderer.frameTime) : 0;
+    renderer.drawText(`${count} ASTEROIDS  ${fps} FPS`, 8, 16, {
+      size: 14,
+      align: 'left',
+    });
+  }
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect, vi } from 'vitest';
+import { StressScene } from './stress.js';
+import { ASTEROID_TYPES } from './asteroid-types.js';
+
+describe('StressScene', () => {
+  it('fills the field with every kind of asteroid', () => {
+    const scene = new StressScene({ count: 200, seed: 1 });
+    expect(scene.world.asteroids).toHaveLength(200);
+    const types = new Set(scene.world.asteroids.map((a) => a.type));
+    expect(types.size).toBe(Object.keys(ASTEROID_TYPES).length);
+  });
+
+  it('drifts without anything colliding', () => {
+    const scene = new StressScene({ count: 200, seed: 2 });
+    for (let i = 0; i < 60; i++) scene.update(1 / 60);
+    expect(scene.world.asteroids).toHaveLength(200);
+    expect(scene.world.tick).toBe(60);
+  });
+
+  it('draws the field and a readout', () => {
+    const scene = new StressScene({ count: 10, seed: 3 });
+    const renderer = { frameTime: 20, render: vi.fn(), drawText: vi.fn() };
+    scene.render(renderer, 0.5);
+    expect(renderer.render).toHaveBeenCalledWith(scene.world, 0.5);
+    expect(renderer.drawText.mock.calls[0][0]).toBe('10 ASTEROIDS  50 FPS');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Service worker.
+ *
+ * Makes the built game playable offline.  On install it precaches the
+ * whole build into a cache named after the build's version; once active it
+ * serves every same-origin GET from that cache, falling back to the
+ * network, and answers page loads offline with the cached page (whatever
+ * the query string, so `?crt` and friends still work).
+ *
+ * A new version installs alongside the old one and then waits: it only
+ * takes over when the page asks it to (see install.js, which does so
+ * between games), so a game is never swapped out from under the player.
+ * Activating deletes the caches of every older version.
+ *
+ * This file is a template, not a module: the build (see pwa.js) prepends
+ * the precache manifest as `self.__PRECACHE__` and emits it as `sw.js`.
+ * It never runs in the dev server.
+ */
+
+const { version, urls, fallback } = self.__PRECACHE__;
+
+/** Prefix of every cache this worker owns. */
+const CACHE_PREFIX = 'silica-asteroids-';
+
+/** This version's cache. */
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(urls)));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(respond(request));
+});
+
+/**
+ * The cached copy of a request if there is one, else the network's; page
+ * loads fall back to the cached page when the network is unreachable.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function respond(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const navigate = request.mode === 'navigate';
+  const cached = await cache.match(request, { ignoreSearch: navigate });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const page = navigate ? await cache.match(fallback) : undefined;
+    if (page) return page;
+    throw err;
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Replay test helpers.
+ *
+ * Recorded replays double as regression fixtures for the simulation: run
+ * one headlessly and check it still ends the way it did when it was
+ * recorded.  Any change to gameplay rules, physics or random draws that
+ * alters a recorded game shows up as a score mismatch.
+ *
+ *   import smoke from '../fixtures/replays/smoke.json';
+ *   it('replays', () => expectReplay(smoke));
+ */
+
+import { expect } from 'vitest';
+import { Game } from '../game.js';
+import { ReplayPlayer } from '../replay.js';
+
+/**
+ * Play a replay to the end without rendering.
+ *
+ * @param {object} replay – replay file contents
+ * @returns {{ score: number, wave: number, lives: number, state: string, game: Game }}
+ */
+export function runReplay(replay) {
+  const game = Game.forReplay(replay);
+  new ReplayPlayer(replay, game).runToEnd();
+  return {
+    score: game.score,
+    wave: game.waves.wave,
+    lives: game.lives,
+    state: game.state,
+    game,
+  };
+}
+
+/**
+ * Run a replay headlessly and assert its outcome.
+ *
+ * @param {object} replay – replay file contents
+ * @param {{ score: number, wave?: number }} [expected] – defaults to the
+ *   outcome stored in the replay when it was recorded
+ * @returns {ReturnType<typeof runReplay>}
+ */
+export function expectReplay(replay, expected = replay.final) {
+  const result = runReplay(replay);
+  expect(result.score, 'replay final score').toBe(expected.score);
+  if (expected.wave !== undefined) {
+    expect(result.wave, 'replay final wave').toBe(expected.wave);
+  }
+  return result;
+}
@@ -0,0 +1,51 @@
+/**
+ * Toast notifications module.
+ *
+ * Short messages (unlocked achievements) shown across the top of the
+ * playfield for a few seconds, whatever screen is up.  Only a few show at
+ * once; the rest wait their turn and start counting down once shown, so
+ * a burst of unlocks is never lost.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** How long each toast stays up (seconds). */
+export const TOAST_DURATION = 4;
+
+/** Toasts shown at once. */
+export const MAX_VISIBLE_TOASTS = 3;
+
+// ---------------------------------------------------------------------------
+// ToastQueue class
+// ---------------------------------------------------------------------------
+
+export class ToastQueue {
+  constructor() {
+    /** Waiting and showing toasts, oldest first. @type {{ text: string, remaining: number }[]} */
+    this.toasts = [];
+  }
+
+  /** The toasts on screen now, oldest first. */
+  get visible() {
+    return this.toasts.slice(0, MAX_VISIBLE_TOASTS);
+  }
+
+  /**
+   * Queue a message.
+   * @param {string} text
+   */
+  push(text) {
+    this.toasts.push({ text, remaining: TOAST_DURATION });
+  }
+
+  /**
+   * Count down the toasts on screen and drop the ones that are done.
+   * @param {number} dt
+   */
+  update(dt) {
+    for (const toast of this.visible) toast.remaining -= dt;
+    this.toasts = this.toasts.filter((toast) => toast.remaining > 0);
+  }
+}
@@ -0,0 +1,379 @@
+/**
+ * Wave director module.
+ *
+ * Spawns a field of large (tier-1) asteroids at the start of each wave, waits
+ * for the player to clear it — every breakup() child included — and then,
+ * after a short breather, starts the next, harder wave.
+ *
+ * Difficulty scales with the wave number: more asteroids, faster asteroids,
+ * a growing share of special variants (armoured, explosive — see
+ * asteroid-types.js), more frequent saucers and a higher score threshold
+ * between extra lives.
+ *
+ * The director also sends in the saucers (see saucer.js): one at a time, on
+ * a timer that runs while a wave is live, with small saucers becoming more
+ * likely as the player's score grows.
+ */
+
+import { Asteroid, TIER_RADII } from './asteroid.js';
+import { wrapDelta } from './collision.js';
+import { Saucer } from './saucer.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Tier-1 asteroids in the first wave. */
+export const BASE_ASTEROID_COUNT = 4;
+
+/** Extra tier-1 asteroids added per wave after the first. */
+export const ASTEROIDS_PER_WAVE = 2;
+
+/** Upper limit on tier-1 asteroids in any wave. */
+export const MAX_WAVE_ASTEROIDS = 12;
+
+/** Speed range (px / s) for tier-1 asteroids in the first wave. */
+export const BASE_SPEED_MIN = 30;
+export const BASE_SPEED_MAX = 60;
+
+/** Fractional speed increase per wave (0.1 → +10% per wave). */
+export const SPEED_GROWTH_PER_WAVE = 0.1;
+
+/** Cap on the speed multiplier so late waves stay playable. */
+export const MAX_SPEED_MULTIPLIER = 2.5;
+
+/** Large variants that can replace a plain large asteroid in a wave. */
+export const WAVE_VARIANTS = ['armouredLarge', 'explosiveLarge'];
+
+/** First wave on which variants can appear. */
+export const VARIANT_START_WAVE = 3;
+
+/** Chance of a variant on VARIANT_START_WAVE, and its growth per wave. */
+export const BASE_VARIANT_CHANCE = 0.1;
+export const VARIANT_CHANCE_GROWTH = 0.05;
+
+/** Cap on the variant chance so most of the field stays plain. */
+export const MAX_VARIANT_CHANCE = 0.4;
+
+/** Score between extra lives on wave 1. */
+export const BASE_EXTRA_LIFE_THRESHOLD = 10000;
+
+/** Additional points needed between extra lives for each later wave. */
+export const EXTRA_LIFE_THRESHOLD_GROWTH = 2500;
+
+/** No asteroid may spawn closer than this to the player spawn (CSS pixels). */
+export const SAFE_SPAWN_RADIUS = 150;
+
+/** Pause between clearing a wave and spawning the next one (seconds). */
+export const WAVE_DELAY = 2;
+
+/** Seconds from the start of wave 1 until a saucer appears. */
+export const BASE_SAUCER_INTERVAL = 25;
+
+/** Seconds cut from the saucer interval for each later wave. */
+export const SAUCER_INTERVAL_DECREASE = 2.5;
+
+/** Shortest time between saucers on late waves (seconds). */
+export const MIN_SAUCER_INTERVAL = 8;
+
+/** Chance that a saucer is a small one at a score of 0. */
+export const BASE_SMALL_SAUCER_CHANCE = 0.2;
+
+/** Score from which every saucer is a small one. */
+export const SMALL_SAUCER_ONLY_SCORE = 40000;
+
+/** Rejection-sampling attempts before falling back to an edge position. */
+const MAX_SPAWN_ATTEMPTS = 20;
+
+// ---------------------------------------------------------------------------
+// Difficulty curves
+// ---------------------------------------------------------------------------
+
+/**
+ * Number of tier-1 asteroids to spawn on a given wave.
+ * @param {number} wave – 1-based wave number
+ * @returns {number}
+ */
+export function asteroidCountForWave(wave) {
+  return Math.min(
+    BASE_ASTEROID_COUNT + (wave - 1) * ASTEROIDS_PER_WAVE,
+    MAX_WAVE_ASTEROIDS,
+  );
+}
+
+/**
+ * Speed range (px / s) for tier-1 asteroids on a given wave.
+ * @param {number} wave – 1-based wave number
+ * @returns {{ min: number, max: number }}
+ */
+export function speedRangeForWave(wave) {
+  const multiplier = Math.min(
+    1 + (wave - 1) * SPEED_GROWTH_PER_WAVE,
+    MAX_SPEED_MULTIPLIER,
+  );
+  return {
+    min: BASE_SPEED_MIN * multiplier,
+    max: BASE_SPEED_MAX * multiplier,
+  };
+}
+
+/**
+ * Chance that each large asteroid on a given wave is a special variant.
+ * @param {number} wave – 1-based wave number
+ * @returns {number} probability in [0, MAX_VARIANT_CHANCE]
+ */
+export function variantChanceForWave(wave) {
+  if (wave < VARIANT_START_WAVE) return 0;
+  return Math.min(
+    BASE_VARIANT_CHANCE + (wave - VARIANT_START_WAVE) * VARIANT_CHANCE_GROWTH,
+    MAX_VARIANT_CHANCE,
+  );
+}
+
+/**
+ * Seconds between saucers (counted from the wave start or the last saucer
+ * leaving) on a given wave.
+ * @param {number} wave – 1-based wave number
+ * @returns {number}
+ */
+export function saucerIntervalForWave(wave) {
+  return Math.max(
+    BASE_SAUCER_INTERVAL - (wave - 1) * SAUCER_INTERVAL_DECREASE,
+    MIN_SAUCER_INTERVAL,
+  );
+}
+
+/**
+ * Chance that the next saucer is a small (aiming) one at a given score:
+ * BASE_SMALL_SAUCER_CHANCE at 0, rising linearly to certainty at
+ * SMALL_SAUCER_ONLY_SCORE.
+ * @param {number} score
+ * @returns {number} probability in [BASE_SMALL_SAUCER_CHANCE, 1]
+ */
+export function smallSaucerChance(score) {
+  const t = Math.min(1, Math.max(0, score / SMALL_SAUCER_ONLY_SCORE));
+  return BASE_SMALL_SAUCER_CHANCE + (1 - BASE_SMALL_SAUCER_CHANCE) * t;
+}
+
+/**
+ * Points needed between extra lives while playing a given wave.
+ * @param {number} wave – 1-based wave number
+ * @returns {number}
+ */
+export function extraLifeThresholdForWave(wave) {
+  return BASE_EXTRA_LIFE_THRESHOLD + (wave - 1) * EXTRA_LIFE_THRESHOLD_GROWTH;
+}
+
+// ---------------------------------------------------------------------------
+// WaveDirector class
+// ---------------------------------------------------------------------------
+
+export class WaveDirector {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.delay] – seconds between clearing a wave and the next one
+   */
+  constructor({ delay = WAVE_DELAY } = {}) {
+    /** Breather between waves (seconds). */
+    this.delay = delay;
+
+    /** Current wave number (0 before the first wave starts). */
+    this.wave = 0;
+
+    /** Number of waves fully cleared. */
+    this.wavesCleared = 0;
+
+    /** Seconds until the next wave spawns, or null while a wave is live. */
+    this.countdown = null;
+
+    /** Seconds until the next saucer, counted only while none is in play. */
+    this.saucerTimer = saucerIntervalForWave(1);
+  }
+
+  /** Extra-life threshold for the wave currently in play. */
+  get extraLifeThreshold() {
+    return extraLifeThresholdForWave(Math.max(this.wave, 1));
+  }
+
+  /** @returns {object} plain-data form for snapshots */
+  toJSON() {
+    return {
+      delay: this.delay,
+      wave: this.wave,
+      wavesCleared: this.wavesCleared,
+      countdown: this.countdown,
+      saucerTimer: this.saucerTimer,
+    };
+  }
+
+  /**
+   * Rebuild a director from toJSON() output.
+   * @param {object} data
+   * @returns {WaveDirector}
+   */
+  static fromJSON(data) {
+    const director = new WaveDirector({ delay: data.delay });
+    director.wave = data.wave;
+    director.wavesCleared = data.wavesCleared;
+    director.countdown = data.countdown;
+    director.saucerTimer = data.saucerTimer;
+    return director;
+  }
+
+  /**
+   * Reset to wave 1 and spawn it immediately.
+   * @param {import('./world.js').World} world
+   */
+  start(world) {
+    this.wave = 0;
+    this.wavesCleared = 0;
+    this.countdown = null;
+    this.spawnWave(world, 1);
+  }
+
+  /**
+   * Watch for the current wave being cleared and spawn the next one once the
+   * delay has elapsed.  While a wave is live, send in a saucer whenever the
+   * saucer timer runs out.
+   *
+   * @param {number} dt – step length (seconds)
+   * @param {import('./world.js').World} world
+   * @returns {'cleared' | 'started' | null} what happened this step, if anything
+   */
+  update(dt, world) {
+    if (this.countdown === null) {
+      if (this.wave > 0 && world.asteroids.length === 0) {
+        this.wavesCleared++;
+        this.countdown = this.delay;
+        return 'cleared';
+      }
+      if (this.wave > 0) this.updateSaucerTimer(dt, world);
+      return null;
+    }
+
+    this.countdown -= dt;
+    if (this.countdown <= 0) {
+      this.spawnWave(world, this.wave + 1);
+      return 'started';
+    }
+    return null;
+  }
+
+  /**
+   * Add a wave's worth of tier-1 asteroids to the world, some of them
+   * special variants on later waves.
+   *
+   * @param {import('./world.js').World} world
+   * @param {number} wave – 1-based wave number
+   */
+  spawnWave(world, wave) {
+    this.wave = wave;
+    this.countdown = null;
+    this.saucerTimer = saucerIntervalForWave(wave);
+
+    const { rng } = world;
+    const { min, max } = speedRangeForWave(wave);
+    const variantChance = variantChanceForWave(wave);
+
+    for (let i = 0; i < asteroidCountForWave(wave); i++) {
+      const { x, y } = this.pickSpawnPoint(world);
+      const heading = rng.range(0, Math.PI * 2);
+      const speed = rng.range(min, max);
+
+      // Only draw for a variant once they're possible, so early waves use
+      // the same random sequence as before variants existed.
+      const type =
+        variantChance > 0 && rng.next() < variantChance
+          ? WAVE_VARIANTS[rng.int(0, WAVE_VARIANTS.length - 1)]
+          : 'large';
+
+      world.asteroids.push(
+        new Asteroid({
+          type,
+          x,
+          y,
+          vx: Math.cos(heading) * speed,
+          vy: Math.sin(heading) * speed,
+          rng,
+        }),
+      );
+    }
+  }
+
+  /**
+   * Count down to the next saucer while none is in play, and send one in
+   * when the time comes.
+   *
+   * @param {number} dt
+   * @param {import('./world.js').World} world
+   */
+  updateSaucerTimer(dt, world) {
+    if (world.saucer) return;
+
+    this.saucerTimer -= dt;
+    if (this.saucerTimer > 0) return;
+
+    this.spawnSaucer(world);
+    this.saucerTimer = saucerIntervalForWave(this.wave);
+  }
+
+  /**
+   * Put a saucer at a random height on the left or right edge, heading
+   * across the screen.  Small saucers get likelier as the score rises.
+   *
+   * @param {import('./world.js').World} world
+   * @returns {Saucer}
+   */
+  spawnSaucer(world) {
+    const { rng, width, height } = world;
+    const type =
+      rng.next() < smallSaucerChance(world.score) ? 'small' : 'large';
+    const direction = rng.next() < 0.5 ? 1 : -1;
+
+    world.saucer = new Saucer({
+      type,
+      x: direction === 1 ? 0 : width,
+      y: rng.range(0, height),
+      direction,
+      range: width,
+      rng,
+    });
+    return world.saucer;
+  }
+
+  /**
+   * Pick a random position at least SAFE_SPAWN_RADIUS (plus the asteroid's
+   * own radius) away from the player spawn point at the centre of the world,
+   * and from every ship in play.
+   *
+   * @param {import('./world.js').World} world
+   * @returns {{ x: number, y: number }}
+   */
+  pickSpawnPoint(world) {
+    const { rng, width, height } = world;
+    const keepClear = [{ x: width / 2, y: height / 2 }, ...world.liveShips()];
+
+    // Leave room for the asteroid itself, but never demand more clearance
+    // than the world can offer on a very small screen.
+    const minDistance = Math.min(
+      SAFE_SPAWN_RADIUS + TIER_RADII[1],
+      Math.min(width, height) / 2,
+    );
+
+    const isSafe = (x, y) =>
+      keepClear.every((p) => {
+        const dx = wrapDelta(x - p.x, width);
+        const dy = wrapDelta(y - p.y, height);
+        return dx * dx + dy * dy >= minDistance * minDistance;
+      });
+
+    for (let attempt = 0; attempt < MAX_SPAWN_ATTEMPTS; attempt++) {
+      const x = rng.range(0, width);
+      const y = rng.range(0, height);
+      if (isSafe(x, y)) return { x, y };
+    }
+
+    // Fall back to the world edge, which is as far from the centre as it gets.
+    return { x: 0, y: rng.range(0, height) };
+  }
+}
@@ -0,0 +1,297 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WaveDirector,
+  asteroidCountForWave,
+  speedRangeForWave,
+  extraLifeThresholdForWave,
+  variantChanceForWave,
+  BASE_ASTEROID_COUNT,
+  MAX_WAVE_ASTEROIDS,
+  BASE_SPEED_MIN,
+  BASE_SPEED_MAX,
+  BASE_EXTRA_LIFE_THRESHOLD,
+  SAFE_SPAWN_RADIUS,
+  WAVE_DELAY,
+  WAVE_VARIANTS,
+  VARIANT_START_WAVE,
+  BASE_VARIANT_CHANCE,
+  MAX_VARIANT_CHANCE,
+  saucerIntervalForWave,
+  smallSaucerChance,
+  BASE_SAUCER_INTERVAL,
+  MIN_SAUCER_INTERVAL,
+  BASE_SMALL_SAUCER_CHANCE,
+  SMALL_SAUCER_ONLY_SCORE,
+} from './waves.js';
+import { World } from './world.js';
+import { Ship } from './ship.js';
+
+// ---------------------------------------------------------------------------
+// Difficulty curves
+// ---------------------------------------------------------------------------
+
+describe('asteroidCountForWave', () => {
+  it('starts at the base count', () => {
+    expect(asteroidCountForWave(1)).toBe(BASE_ASTEROID_COUNT);
+  });
+
+  it('grows with each wave', () => {
+    expect(asteroidCountForWave(2)).toBeGreaterThan(asteroidCountForWave(1));
+  });
+
+  it('is capped', () => {
+    expect(asteroidCountForWave(100)).toBe(MAX_WAVE_ASTEROIDS);
+  });
+});
+
+describe('speedRangeForWave', () => {
+  it('uses the base range on wave 1', () => {
+    expect(speedRangeForWave(1)).toEqual({
+      min: BASE_SPEED_MIN,
+      max: BASE_SPEED_MAX,
+    });
+  });
+
+  it('gets faster on later waves, up to a cap', () => {
+    expect(speedRangeForWave(5).min).toBeGreaterThan(BASE_SPEED_MIN);
+    expect(speedRangeForWave(1000)).toEqual(speedRangeForWave(2000));
+  });
+});
+
+describe('extraLifeThresholdForWave', () => {
+  it('starts at the base threshold and rises', () => {
+    expect(extraLifeThresholdForWave(1)).toBe(BASE_EXTRA_LIFE_THRESHOLD);
+    expect(extraLifeThresholdForWave(3)).toBeGreaterThan(
+      BASE_EXTRA_LIFE_THRESHOLD,
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// WaveDirector — spawning
+// ---------------------------------------------------------------------------
+
+describe('WaveDirector spawning', () => {
+  function makeWorld(seed = 1) {
+    return new World({ seed, width: 800, height: 600 });
+  }
+
+  it('start() spawns wave 1 of tier-1 asteroids', () => {
+    const world = makeWorld();
+    const director = new WaveDirector();
+    director.start(world);
+    expect(director.wave).toBe(1);
+    expect(world.asteroids).toHaveLength(BASE_ASTEROID_COUNT);
+    expect(world.asteroids.every((a) => a.tier === 1)).toBe(true);
+  });
+
+  it('keeps asteroids away from the centre spawn point', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const world = makeWorld(seed);
+      new WaveDirector().spawnWave(world, 5);
+      for (const a of world.asteroids) {
+        const d = Math.hypot(a.x - 400, a.y - 300);
+        expect(d).toBeGreaterThanOrEqual(SAFE_SPAWN_RADIUS);
+      }
+    }
+  });
+
+  it('keeps asteroids away from the ship', () => {
+    const world = makeWorld(4);
+    world.ship = new Ship({ x: 100, y: 100 });
+    new WaveDirector().spawnWave(world, 5);
+    for (const a of world.asteroids) {
+      expect(Math.hypot(a.x - 100, a.y - 100)).toBeGreaterThanOrEqual(
+        SAFE_SPAWN_RADIUS,
+      );
+    }
+  });
+
+  it("keeps asteroids away from every player's ship", () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const world = new World({ seed, width: 800, height: 600, players: 2 });
+      world.ships[0] = new Ship({ x: 100, y: 100 });
+      world.ships[1] = new Ship({ x: 700, y: 500, player: 1 });
+      new WaveDirector().spawnWave(world, 5);
+      for (const a of world.asteroids) {
+        for (const ship of world.ships) {
+          const d = Math.hypot(a.x - ship.x, a.y - ship.y);
+          expect(d).toBeGreaterThanOrEqual(SAFE_SPAWN_RADIUS);
+        }
+      }
+    }
+  });
+
+  it('spawns within the wave speed range', () => {
+    const world = makeWorld();
+    new WaveDirector().spawnWave(world, 3);
+    const { min, max } = speedRangeForWave(3);
+    for (const a of world.asteroids) {
+      const speed = Math.hypot(a.vx, a.vy);
+      expect(speed).toBeGreaterThanOrEqual(min - 1e-9);
+      expect(speed).toBeLessThanOrEqual(max + 1e-9);
+    }
+  });
+
+  it('is deterministic for a given world seed', () => {
+    const a = makeWorld(9);
+    const b = makeWorld(9);
+    new WaveDirector().start(a);
+    new WaveDirector().start(b);
+    expect(a.asteroids.map((r) => [r.x, r.y, r.vx, r.vy])).toEqual(
+      b.asteroids.map((r) => [r.x, r.y, r.vx, r.vy]),
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// WaveDirector — wave progression
+// ---------------------------------------------------------------------------
+
+describe('WaveDirector progression', () => {
+  it('does not report a clear while asteroids or children remain', () => {
+    const world = new World({ seed: 2 });
+    const director = new WaveDirector();
+    director.start(world);
+
+    // Break every asteroid once: children are still in play.
+    world.asteroids = world.asteroids.flatMap((a) => a.breakup().children);
+    expect(director.update(1 / 60, world)).toBeNull();
+  });
+
+  it('reports a clear once every asteroid is gone', () => {
+    const world = new World({ seed: 2 });
+    const director = new WaveDirector();
+    director.start(world);
+    world.asteroids.length = 0;
+    expect(director.update(1 / 60, world)).toBe('cleared');
+    expect(director.wavesCleared).toBe(1);
+  });
+
+  it('starts the next wave after the delay', () => {
+    const world = new World({ seed: 2 });
+    const director = new WaveDirector();
+    director.start(world);
+    world.asteroids.length = 0;
+    director.update(1 / 60, world);
+
+    expect(director.update(WAVE_DELAY / 2, world)).toBeNull();
+    expect(world.asteroids).toHaveLength(0);
+
+    expect(director.update(WAVE_DELAY / 2, world)).toBe('started');
+    expect(director.wave).toBe(2);
+    expect(world.asteroids).toHaveLength(asteroidCountForWave(2));
+  });
+
+  it('exposes the extra-life threshold for the current wave', () => {
+    const world = new World({ seed: 2 });
+    const director = new WaveDirector();
+    director.spawnWave(world, 4);
+    expect(director.extraLifeThreshold).toBe(extraLifeThresholdForWave(4));
+  });
+});
+
+describe('variantChanceForWave', () => {
+  it('is zero before variants start', () => {
+    expect(variantChanceForWave(VARIANT_START_WAVE - 1)).toBe(0);
+  });
+
+  it('grows from the base chance up to a cap', () => {
+    expect(variantChanceForWave(VARIANT_START_WAVE)).toBe(BASE_VARIANT_CHANCE);
+    expect(variantChanceForWave(VARIANT_START_WAVE + 1)).toBeGreaterThan(
+      BASE_VARIANT_CHANCE,
+    );
+    expect(variantChanceForWave(100)).toBe(MAX_VARIANT_CHANCE);
+  });
+});
+
+describe('WaveDirector variants', () => {
+  it('spawns only plain asteroids early on', () => {
+    const world = new World({ seed: 5 });
+    new WaveDirector().spawnWave(world, 1);
+    expect(world.asteroids.every((a) => a.type === 'large')).toBe(true);
+  });
+
+  it('mixes in variants on late waves', () => {
+    const world = new World({ seed: 5 });
+    const director = new WaveDirector();
+    for (let wave = 10; wave < 15; wave++) director.spawnWave(world, wave);
+    const types = new Set(world.asteroids.map((a) => a.type));
+    for (const variant of WAVE_VARIANTS) expect(types).toContain(variant);
+    expect(world.asteroids.every((a) => a.tier === 1)).toBe(true);
+  });
+});
+
+describe('saucer curves', () => {
+  it('sends saucers more often on later waves, down to a floor', () => {
+    expect(saucerIntervalForWave(1)).toBe(BASE_SAUCER_INTERVAL);
+    expect(saucerIntervalForWave(3)).toBeLessThan(saucerIntervalForWave(2));
+    expect(saucerIntervalForWave(100)).toBe(MIN_SAUCER_INTERVAL);
+  });
+
+  it('makes small saucers likelier as the score rises', () => {
+    expect(smallSaucerChance(0)).toBe(BASE_SMALL_SAUCER_CHANCE);
+    expect(smallSaucerChance(SMALL_SAUCER_ONLY_SCORE / 2)).toBeGreaterThan(
+      BASE_SMALL_SAUCER_CHANCE,
+    );
+    expect(smallSaucerChance(SMALL_SAUCER_ONLY_SCORE)).toBe(1);
+  });
+});
+
+describe('WaveDirector saucers', () => {
+  function liveWave(wave = 1) {
+    const world = new World({ seed: 4 });
+    const director = new WaveDirector();
+    director.spawnWave(world, wave);
+    return { world, director };
+  }
+
+  it('sends a saucer in from an edge once the wave interval passes', () => {
+    const { world, director } = liveWave(2);
+    director.update(saucerIntervalForWave(2) - 0.1, world);
+    expect(world.saucer).toBeNull();
+    director.update(0.2, world);
+    expect(world.saucer).not.toBeNull();
+    expect([0, world.width]).toContain(world.saucer.x);
+    expect(world.saucer.range).toBe(world.width);
+  });
+
+  it('only sends small saucers at high scores', () => {
+    const { world, director } = liveWave();
+    world.scores[0] = SMALL_SAUCER_ONLY_SCORE;
+    for (let i = 0; i < 10; i++) {
+      world.saucer = null;
+      director.spawnSaucer(world);
+      expect(world.saucer.type).toBe('small');
+    }
+  });
+
+  it('holds the timer while a saucer is in play', () => {
+    const { world, director } = liveWave();
+    director.spawnSaucer(world);
+    const first = world.saucer;
+    director.update(BASE_SAUCER_INTERVAL * 2, world);
+    expect(world.saucer).toBe(first);
+    expect(director.saucerTimer).toBe(saucerIntervalForWave(1));
+  });
+
+  it('sends none between waves', () => {
+    const { world, director } = liveWave();
+    world.asteroids = [];
+    director.update(0, world);
+    director.update(BASE_SAUCER_INTERVAL, world);
+    expect(world.saucer).toBeNull();
+  });
+});
+
+describe('WaveDirector toJSON / fromJSON', () => {
+  it('round-trips progress', () => {
+    const director = new WaveDirector({ delay: 3 });
+    director.wave = 4;
+    director.wavesCleared = 3;
+    director.countdown = 1.5;
+    director.saucerTimer = 7;
+    const copy = WaveDirector.fromJSON(JSON.parse(JSON.stringify(director)));
+    expect(copy.toJSON()).toEqual(director.toJSON());
+  });
+});
@@ -0,0 +1,842 @@
+/**
+ * World module.
+ *
+ * Holds the live entity lists and advances them by one fixed simulation step
+ * at a time.  Nothing in here touches the canvas, so the world can be created
+ * and stepped deterministically in Node.
+ *
+ * The world is a torus: anything leaving one edge re-enters on the opposite
+ * side.  Its size is owned here rather than read from the canvas; the canvas
+ * reports viewport changes and the world rescales itself to match.
+ *
+ * Besides the ship and asteroids, at most one flying saucer is in play at a
+ * time (spawned by the wave director), with its own pool of bullets.  Only
+ * the player's shots and collisions score points; rocks broken by the
+ * saucer are free.
+ *
+ * A world can hold more than one player at once (simultaneous two-player
+ * games).  Each player has a slot: their ship (or null while it is out of
+ * play), their own bullet pool and their own score.  Points go to the
+ * player whose shot or ship did the damage — the `owner` threaded through
+ * hitAsteroid() and friends, null for nobody.  With friendly fire on,
+ * players' bullets also destroy each other's ships.
+ */
+
+import { Rng } from './rng.js';
+import { BulletSystem, BULLET_MASS } from './bullet.js';
+import { Ship, SHIP_MASS } from './ship.js';
+import { Asteroid } from './asteroid.js';
+import { EventBus } from './events.js';
+import {
+  Saucer,
+  SAUCER_MASS,
+  SAUCER_MAX_BULLETS,
+  SAUCER_FIRE_COOLDOWN,
+} from './saucer.js';
+import {
+  SpatialHash,
+  entitiesCollide,
+  pointHitsEntity,
+  wrapDelta,
+} from './collision.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Size used when a world is created without explicit dimensions. */
+export const DEFAULT_WORLD_WIDTH = 800;
+export const DEFAULT_WORLD_HEIGHT = 600;
+
+/**
+ * An explosive asteroid's blast hits each neighbour like a body of this
+ * mass moving outward from the blast centre at this speed (px / s).
+ */
+export const EXPLOSION_IMPACT_MASS = 600;
+export const EXPLOSION_IMPACT_SPEED = 200;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Offsets at which an entity must be drawn so that a body straddling one or
+ * more edges appears on both (or all four) sides.  Always includes the
+ * zero offset for the entity itself.
+ *
+ * @param {{ x: number, y: number, radius: number }} entity
+ * @param {{ width: number, height: number }} bounds
+ * @returns {{ x: number, y: number }[]}
+ */
+export function wrapOffsets(entity, { width, height }) {
+  const xs = [0];
+  const ys = [0];
+
+  if (entity.x - entity.radius < 0) xs.push(width);
+  else if (entity.x + entity.radius > width) xs.push(-width);
+
+  if (entity.y - entity.radius < 0) ys.push(height);
+  else if (entity.y + entity.radius > height) ys.push(-height);
+
+  const offsets = [];
+  for (const x of xs) {
+    for (const y of ys) {
+      offsets.push({ x, y });
+    }
+  }
+  return offsets;
+}
+
+// ---------------------------------------------------------------------------
+// World class
+// ---------------------------------------------------------------------------
+
+export class World {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.seed]   – seed for the world's random source; random if omitted
+   * @param {number} [opts.width]  – world width (CSS pixels)
+   * @param {number} [opts.height] – world height (CSS pixels)
+   * @param {'classic'|'physics'} [opts.breakupMode] – how asteroids fragment
+   * @param {boolean} [opts.carveFragments] – cut fragment shapes from the parent outline
+   * @param {number} [opts.players] – number of player slots
+   * @param {boolean} [opts.friendlyFire] – whether players can shoot each other
+   * @param {EventBus} [opts.bus] – where events are published as they happen
+   */
+  constructor({
+    seed,
+    width = DEFAULT_WORLD_WIDTH,
+    height = DEFAULT_WORLD_HEIGHT,
+    breakupMode = 'physics',
+    carveFragments = true,
+    players = 1,
+    friendlyFire = false,
+    bus = new EventBus(),
+  } = {}) {
+    /** Random source for everything spawned into this world. */
+    this.rng = new Rng(seed);
+
+    /** Options passed to every Asteroid.breakup() (see asteroid.js). */
+    this.breakupOptions = {
+      mode: breakupMode,
+      carve: carveFragments,
+    };
+
+    /**
+     * Toroidal extent of the world.  Mutated in place by resize() so that
+     * anything holding a reference sees the new size.
+     */
+    this.bounds = { width, height };
+
+    /** @type {import('./asteroid.js').Asteroid[]} */
+    this.asteroids = [];
+
+    /**
+     * Each player's ship, or null while theirs is out of play.
+     * @type {(import('./ship.js').Ship | null)[]}
+     */
+    this.ships = Array(players).fill(null);
+
+    /** Each player's bullets (pooled). */
+    this.playerBullets = Array.from(
+      { length: players },
+      () => new BulletSystem(),
+    );
+
+    /** Whether players' bullets hit each other's ships. */
+    this.friendlyFire = friendlyFire;
+
+    /**
+     * The saucer crossing the screen, or null while none is.
+     * @type {import('./saucer.js').Saucer | null}
+     */
+    this.saucer = null;
+
+    /** Saucer bullets, pooled apart so they never use up the player's. */
+    this.saucerBullets = createSaucerBullets();
+
+    /** Broad-phase index of asteroids, rebuilt every step. */
+    this.asteroidHash = new SpatialHash({ bounds: this.bounds });
+
+    /** Asteroids destroyed during the current step's collision pass. */
+    this.destroyed = new Set();
+
+    /**
+     * What happened during the last step, in order, for cosmetic systems
+     * (particles, sound) to react to.  Cleared at the start of every step.
+     * See EVENT_TYPES in events.js for the types and their fields.
+     *
+     * @type {{ type: string }[]}
+     */
+    this.events = [];
+
+    /**
+     * Bus every event is also published on the moment it happens, for
+     * observers that outlive a step (statistics, achievements).  Replaced
+     * by the game so that all its worlds share one.
+     */
+    this.bus = bus;
+
+    /** Ships destroyed by asteroid impacts so far. */
+    this.shipsLost = 0;
+
+    /** Points each player has earned from destroyed asteroids and saucers. */
+    this.scores = Array(players).fill(0);
+
+    /** Number of simulation steps taken so far. */
+    this.tick = 0;
+
+    /** Simulated time elapsed (seconds). */
+    this.time = 0;
+  }
+
+  /** World width (CSS pixels). */
+  get width() {
+    return this.bounds.width;
+  }
+
+  /** World height (CSS pixels). */
+  get height() {
+    return this.bounds.height;
+  }
+
+  /** Number of player slots. */
+  get players() {
+    return this.ships.length;
+  }
+
+  /** Player one's ship; shorthand for `ships[0]`. */
+  get ship() {
+    return this.ships[0];
+  }
+
+  set ship(ship) {
+    this.ships[0] = ship;
+  }
+
+  /** Player one's bullets; shorthand for `playerBullets[0]`. */
+  get bullets() {
+    return this.playerBullets[0];
+  }
+
+  set bullets(system) {
+    this.playerBullets[0] = system;
+  }
+
+  /**
+   * Every player's points together.  Read-only: points are scored into a
+   * player's own slot of `scores`.
+   */
+  get score() {
+    return this.scores.reduce((sum, score) => sum + score, 0);
+  }
+
+  /** Ships currently in play. */
+  liveShips() {
+    return this.ships.filter(Boolean);
+  }
+
+  /**
+   * Every entity currently in play, for passes that treat them uniformly
+   * (wrapping, resizing, drawing).
+   * @returns {object[]}
+   */
+  entities() {
+    const list = [...this.asteroids];
+    for (const system of this.playerBullets) list.push(...system.active);
+    list.push(...this.saucerBullets.active, ...this.liveShips());
+    if (this.saucer) list.push(this.saucer);
+    return list;
+  }
+
+  // -------------------------------------------------------------------------
+  // Serialization
+  // -------------------------------------------------------------------------
+
+  /**
+   * Plain-data form of the whole world, including the random source's
+   * position in its sequence: a world rebuilt by fromJSON() continues
+   * exactly as this one would have.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      width: this.width,
+      height: this.height,
+      breakupMode: this.breakupOptions.mode,
+      carveFragments: this.breakupOptions.carve,
+      rng: this.rng.toJSON(),
+      friendlyFire: this.friendlyFire,
+      asteroids: this.asteroids.map((a) => a.toJSON()),
+      ships: this.ships.map((ship) => ship?.toJSON() ?? null),
+      playerBullets: this.playerBullets.map((system) => system.toJSON()),
+      saucer: this.saucer?.toJSON() ?? null,
+      saucerBullets: this.saucerBullets.toJSON(),
+      shipsLost: this.shipsLost,
+      scores: [...this.scores],
+      tick: this.tick,
+      time: this.time,
+    };
+  }
+
+  /**
+   * Rebuild a world from toJSON() output.
+   * @param {object} data
+   * @returns {World}
+   */
+  static fromJSON(data) {
+    const world = new World({
+      width: data.width,
+      height: data.height,
+      breakupMode: data.breakupMode,
+      carveFragments: data.carveFragments,
+      players: data.ships.length,
+      friendlyFire: data.friendlyFire,
+    });
+    world.rng = Rng.fromJSON(data.rng);
+    world.asteroids = data.asteroids.map((a) =>
+      Asteroid.fromJSON(a, world.rng),
+    );
+    world.ships = data.ships.map((ship) => ship && Ship.fromJSON(ship));
+    world.playerBullets = data.playerBullets.map((system) =>
+      BulletSystem.fromJSON(system),
+    );
+    world.saucer = data.saucer ? Saucer.fromJSON(data.saucer) : null;
+    world.saucerBullets = BulletSystem.fromJSON(data.saucerBullets);
+    world.shipsLost = data.shipsLost;
+    world.scores = [...data.scores];
+    world.tick = data.tick;
+    world.time = data.time;
+    return world;
+  }
+
+  // -------------------------------------------------------------------------
+  // Events
+  // -------------------------------------------------------------------------
+
+  /**
+   * Record an event for this step and publish it on the bus.
+   * @param {string} type – a key of EVENT_TYPES
+   * @param {object} payload – the type's fields
+   */
+  emit(type, payload) {
+    const event = { type, ...payload };
+    this.events.push(event);
+    this.bus.emit(event);
+  }
+
+  // -------------------------------------------------------------------------
+  // Simulation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Advance every entity by `dt` seconds.
+   *
+   * @param {number} dt – step length (seconds); normally SIMULATION_STEP
+   * @param {object | object[]} [controls] – player controls for this step,
+   *   or one set per player; a single set drives player one
+   * @param {boolean} [controls.rotateLeft]
+   * @param {boolean} [controls.rotateRight]
+   * @param {boolean} [controls.thrust]
+   * @param {boolean} [controls.fire]
+   * @param {boolean} [controls.hyperspace]
+   */
+  step(dt, controls = {}) {
+    this.events.length = 0;
+
+    const perPlayer = Array.isArray(controls) ? controls : [controls];
+    this.ships.forEach((ship, player) => {
+      if (ship) this.updateShip(ship, player, dt, perPlayer[player] ?? {});
+    });
+
+    for (const asteroid of this.asteroids) {
+      asteroid.update(dt);
+    }
+
+    this.updateSaucer(dt);
+
+    for (const system of this.playerBullets) system.update(dt);
+    this.saucerBullets.update(dt);
+
+    for (const entity of this.entities()) {
+      this.wrap(entity);
+    }
+
+    this.resolveCollisions();
+
+    this.tick++;
+    this.time += dt;
+  }
+
+  /**
+   * Apply one player's controls to their ship: fly, jump and shoot.
+   * @param {import('./ship.js').Ship} ship
+   * @param {number} player
+   * @param {number} dt
+   * @param {object} controls
+   */
+  updateShip(ship, player, dt, controls) {
+    const wasThrusting = ship.thrusting;
+    ship.update(dt, controls);
+    if (ship.thrusting !== wasThrusting) {
+      const type = ship.thrusting ? 'thrustStarted' : 'thrustStopped';
+      this.emit(type, { ship, player });
+    }
+    if (
+      controls.hyperspace &&
+      ship.hyperspace(this.width, this.height, this.rng)
+    ) {
+      this.emit('hyperspace', { ship, player });
+    }
+    if (controls.fire) {
+      const bullet = this.playerBullets[player].fire(ship);
+      if (bullet) this.emit('shotFired', { bullet, player });
+    }
+  }
+
+  /**
+   * Fly the saucer, let it shoot when its timer is up, and take it out of
+   * play once it has crossed the screen.
+   * @param {number} dt
+   */
+  updateSaucer(dt) {
+    const { saucer } = this;
+    if (!saucer) return;
+
+    saucer.update(dt, this.rng);
+    if (saucer.departed) {
+      this.saucer = null;
+      return;
+    }
+
+    if (!saucer.readyToFire) return;
+    const target = this.nearestShip(saucer);
+    const angle = saucer.aimAt(target, this.bounds, this.score, this.rng);
+    const bullet = this.saucerBullets.fire(saucer, angle);
+    if (bullet) {
+      saucer.fired();
+      this.emit('saucerFired', { saucer, bullet });
+    }
+  }
+
+  /**
+   * The ship in play closest to a point, across wrapped edges.
+   * @param {{ x: number, y: number }} from
+   * @returns {import('./ship.js').Ship | null}
+   */
+  nearestShip(from) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const ship of this.liveShips()) {
+      const dx = wrapDelta(ship.x - from.x, this.width);
+      const dy = wrapDelta(ship.y - from.y, this.height);
+      const distance = dx * dx + dy * dy;
+      if (distance < nearestDistance) {
+        nearest = ship;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  // -------------------------------------------------------------------------
+  // Bounds
+  // -------------------------------------------------------------------------
+
+  /**
+   * Wrap an entity's position back inside the world.  The interpolation
+   * origin moves by the same amount so the renderer doesn't draw the entity
+   * streaking across the whole screen for one frame.
+   *
+   * @param {{ x: number, y: number, prevX?: number, prevY?: number }} entity
+   */
+  wrap(entity) {
+    const { width, height } = this.bounds;
+
+    if (entity.x < 0 || entity.x >= width) {
+      const shift = Math.floor(entity.x / width) * width;
+      entity.x -= shift;
+      if (entity.prevX !== undefined) entity.prevX -= shift;
+    }
+
+    if (entity.y < 0 || entity.y >= height) {
+      const shift = Math.floor(entity.y / height) * height;
+      entity.y -= shift;
+      if (entity.prevY !== undefined) entity.prevY -= shift;
+    }
+  }
+
+  /**
+   * Change the world size, e.g. after the viewport is resized mid-game.
+   *
+   * Positions are rescaled proportionally so the layout of the field is kept
+   * (an asteroid at the centre stays at the centre) and nothing ends up
+   * outside the new bounds.  Velocities are left alone so game speed doesn't
+   * depend on window size.  A saucer's crossing is rescaled with its
+   * position, so it still leaves at the far edge.
+   *
+   * @param {number} width  – new width (CSS pixels)
+   * @param {number} height – new height (CSS pixels)
+   */
+  resize(width, height) {
+    if (width <= 0 || height <= 0) return;
+
+    const sx = width / this.bounds.width;
+    const sy = height / this.bounds.height;
+
+    for (const entity of this.entities()) {
+      entity.x *= sx;
+      entity.y *= sy;
+      entity.prevX *= sx;
+      entity.prevY *= sy;
+    }
+    if (this.saucer) {
+      this.saucer.travelled *= sx;
+      this.saucer.range *= sx;
+    }
+
+    this.bounds.width = width;
+    this.bounds.height = height;
+    this.asteroidHash.setBounds(this.bounds);
+  }
+
+  // -------------------------------------------------------------------------
+  // Collisions
+  // -------------------------------------------------------------------------
+
+  /**
+   * Rebuild the asteroid spatial hash and resolve every collision for this
+   * step: ships against asteroids first, then the saucer against the ships
+   * and asteroids, then every side's bullets.
+   */
+  resolveCollisions() {
+    const hash = this.asteroidHash;
+    hash.clear();
+    for (const asteroid of this.asteroids) {
+      hash.insert(asteroid);
+    }
+
+    // Children from this step's breakups aren't in the hash; parents that
+    // were already destroyed are skipped when they show up as candidates.
+    this.destroyed.clear();
+
+    this.ships.forEach((ship, player) => {
+      if (ship) this.resolveShipCollision(player);
+    });
+    this.resolveSaucerCollision();
+    this.resolvePlayerShots();
+    this.resolveSaucerShots();
+  }
+
+  /**
+   * Destroy a player's ship if it touches an asteroid (unless it is still
+   * in its respawn grace period).  The asteroid takes a hit as if shot by
+   * that player.
+   * @param {number} player
+   */
+  resolveShipCollision(player) {
+    const ship = this.ships[player];
+    if (ship.isInvulnerable) return;
+
+    const candidates = this.asteroidHash.query(ship.x, ship.y, ship.radius);
+    for (const asteroid of candidates) {
+      if (
+        this.destroyed.has(asteroid) ||
+        !entitiesCollide(ship, asteroid, this.bounds)
+      ) {
+        continue;
+      }
+
+      this.hitAsteroid(
+        asteroid,
+        this.impactFrom(ship, asteroid, SHIP_MASS),
+        1,
+        player,
+      );
+      this.destroyShip(player);
+      return;
+    }
+  }
+
+  /**
+   * Ram the saucer: touching a ship destroys both (and scores the saucer
+   * for that ship's player); touching an asteroid destroys the saucer and
+   * hits the asteroid, for no points.
+   */
+  resolveSaucerCollision() {
+    const { saucer } = this;
+    if (!saucer) return;
+
+    for (const ship of this.liveShips()) {
+      if (ship.isInvulnerable || !entitiesCollide(ship, saucer, this.bounds)) {
+        continue;
+      }
+      this.destroySaucer(ship.player);
+      this.destroyShip(ship.player);
+      return;
+    }
+
+    const candidates = this.asteroidHash.query(
+      saucer.x,
+      saucer.y,
+      saucer.radius,
+    );
+    for (const asteroid of candidates) {
+      if (
+        this.destroyed.has(asteroid) ||
+        !entitiesCollide(saucer, asteroid, this.bounds)
+      ) {
+        continue;
+      }
+
+      this.hitAsteroid(
+        asteroid,
+        this.impactFrom(saucer, asteroid, SAUCER_MASS),
+        1,
+        null,
+      );
+      this.destroySaucer(null);
+      return;
+    }
+  }
+
+  /**
+   * Each player's bullets hit the saucer and asteroids, for that player's
+   * points, and — with friendly fire on — the other players' ships.
+   */
+  resolvePlayerShots() {
+    this.playerBullets.forEach((system, player) => {
+      const { saucer } = this;
+      if (saucer) {
+        for (const bullet of system.active) {
+          if (!pointHitsEntity(bullet, saucer, this.bounds)) continue;
+          system.release(bullet);
+          this.emit('shotHit', { bullet, player, target: saucer });
+          this.destroySaucer(player);
+          break;
+        }
+      }
+
+      if (this.friendlyFire) {
+        for (const ship of this.liveShips()) {
+          if (ship.player === player) continue;
+          this.resolveShotsAtShip(system, ship, player);
+        }
+      }
+
+      this.resolveBulletHits(system, player);
+    });
+  }
+
+  /** Saucer bullets hit the ships and asteroids; the rocks score nothing. */
+  resolveSaucerShots() {
+    for (const ship of this.liveShips()) {
+      this.resolveShotsAtShip(this.saucerBullets, ship);
+    }
+    this.resolveBulletHits(this.saucerBullets, null);
+  }
+
+  /**
+   * Destroy a ship (unless it is invulnerable) with the first of a pool's
+   * bullets that hits it, consuming the bullet.
+   *
+   * @param {BulletSystem} system
+   * @param {import('./ship.js').Ship} ship
+   * @param {number | null} [shooter] – player whose bullets these are, if any
+   */
+  resolveShotsAtShip(system, ship, shooter = null) {
+    if (ship.isInvulnerable) return;
+    for (const bullet of system.active) {
+      if (!pointHitsEntity(bullet, ship, this.bounds)) continue;
+      system.release(bullet);
+      if (shooter !== null) {
+        this.emit('shotHit', { bullet, player: shooter, target: ship });
+      }
+      this.destroyShip(ship.player);
+      return;
+    }
+  }
+
+  /**
+   * Check every bullet in flight against nearby asteroids.  A hit consumes
+   * the bullet and damages the asteroid (see hitAsteroid()).
+   *
+   * @param {BulletSystem} system
+   * @param {number | null} owner – player credited with destroyed asteroids
+   */
+  resolveBulletHits(system, owner) {
+    const bullets = system.active;
+    const candidates = [];
+
+    for (let b = bullets.length - 1; b >= 0; b--) {
+      const bullet = bullets[b];
+      this.asteroidHash.query(bullet.x, bullet.y, bullet.radius, candidates);
+
+      for (const asteroid of candidates) {
+        if (
+          this.destroyed.has(asteroid) ||
+          !pointHitsEntity(bullet, asteroid, this.bounds)
+        ) {
+          continue;
+        }
+
+        if (owner !== null) {
+          this.emit('shotHit', { bullet, player: owner, target: asteroid });
+        }
+        this.hitAsteroid(
+          asteroid,
+          this.impactFrom(bullet, asteroid, BULLET_MASS),
+          1,
+          owner,
+        );
+        system.release(bullet);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Take a player's ship out of play.
+   * @param {number} [player]
+   */
+  destroyShip(player = 0) {
+    this.emit('shipDestroyed', { ship: this.ships[player] });
+    this.ships[player] = null;
+    this.shipsLost++;
+  }
+
+  /**
+   * Take the saucer out of play.
+   * @param {number | null} owner – player who scores it, if anyone
+   */
+  destroySaucer(owner) {
+    const { saucer } = this;
+    if (owner !== null) this.scores[owner] += saucer.score;
+    this.emit('saucerDestroyed', { saucer, owner });
+    this.saucer = null;
+  }
+
+  /**
+   * Describe a body hitting an asteroid for a physics breakup.  The contact
+   * point is taken as the body's position, moved across any wrapped edge
+   * so it sits next to the asteroid rather than on the far side of the
+   * world.
+   *
+   * @param {{ x: number, y: number, vx: number, vy: number }} body
+   * @param {import('./asteroid.js').Asteroid} asteroid
+   * @param {number} mass
+   * @returns {{ x: number, y: number, vx: number, vy: number, mass: number }}
+   */
+  impactFrom(body, asteroid, mass) {
+    return {
+      x: asteroid.x + wrapDelta(body.x - asteroid.x, this.width),
+      y: asteroid.y + wrapDelta(body.y - asteroid.y, this.height),
+      vx: body.vx,
+      vy: body.vy,
+      mass,
+    };
+  }
+
+  /**
+   * Damage an asteroid, destroying it once its hit points run out.  An
+   * armoured asteroid that survives is knocked by the impact instead (in
+   * physics breakup mode).
+   *
+   * @param {import('./asteroid.js').Asteroid} asteroid
+   * @param {object} impact – what hit it (see impactFrom)
+   * @param {number} [damage] – hits dealt
+   * @param {number | null} [owner] – player who scores if it is destroyed
+   * @returns {boolean} whether the asteroid was destroyed
+   */
+  hitAsteroid(asteroid, impact, damage = 1, owner = 0) {
+    if (asteroid.damage(damage)) {
+      this.destroyAsteroid(asteroid, impact, owner);
+      return true;
+    }
+
+    this.emit('asteroidHit', { asteroid, impact });
+    if (this.breakupOptions.mode === 'physics') {
+      // Inelastic: the impactor's momentum is absorbed by the asteroid.
+      const share = impact.mass / (asteroid.mass + impact.mass);
+      asteroid.vx += (impact.vx - asteroid.vx) * share;
+      asteroid.vy += (impact.vy - asteroid.vy) * share;
+    }
+    return false;
+  }
+
+  /**
+   * Replace an asteroid with its breakup() children and bank its score
+   * for the player responsible.  Explosive types then damage every other
+   * asteroid within their blast, on the same player's account.
+   *
+   * @param {import('./asteroid.js').Asteroid} asteroid
+   * @param {object} [impact] – what hit it (see impactFrom)
+   * @param {number | null} [owner] – player who banks its score, if anyone
+   */
+  destroyAsteroid(asteroid, impact, owner = 0) {
+    const { children, score } = asteroid.breakup({
+      ...this.breakupOptions,
+      impact,
+    });
+    const index = this.asteroids.indexOf(asteroid);
+    this.asteroids.splice(index, 1, ...children);
+    this.destroyed.add(asteroid);
+    if (owner !== null) this.scores[owner] += score;
+    this.emit('asteroidDestroyed', { asteroid, impact, owner, children });
+
+    const { explosion } = asteroid.definition;
+    if (explosion) this.explode(asteroid, explosion, owner);
+  }
+
+  /**
+   * Damage every asteroid caught in a blast centred on `source`.  Only
+   * asteroids in this step's spatial hash are affected, so the source's own
+   * fresh fragments are spared; a neighbour that is itself explosive can
+   * set off a chain reaction.
+   *
+   * @param {{ x: number, y: number }} source
+   * @param {{ radius: number, damage: number }} explosion
+   * @param {number | null} [owner] – player who scores what it destroys
+   */
+  explode(source, { radius, damage }, owner = 0) {
+    const caught = this.asteroidHash.query(source.x, source.y, radius);
+
+    for (const neighbour of caught) {
+      if (neighbour === source || this.destroyed.has(neighbour)) continue;
+
+      const dx = wrapDelta(neighbour.x - source.x, this.width);
+      const dy = wrapDelta(neighbour.y - source.y, this.height);
+      const distance = Math.hypot(dx, dy);
+      if (distance > radius + neighbour.radius) continue;
+
+      // The blast reaches the neighbour from the source's side, pushing it
+      // directly away.
+      const nx = distance > 0 ? dx / distance : 1;
+      const ny = distance > 0 ? dy / distance : 0;
+      this.hitAsteroid(
+        neighbour,
+        {
+          x: neighbour.x - nx * neighbour.radius,
+          y: neighbour.y - ny * neighbour.radius,
+          vx: nx * EXPLOSION_IMPACT_SPEED,
+          vy: ny * EXPLOSION_IMPACT_SPEED,
+          mass: EXPLOSION_IMPACT_MASS,
+        },
+        damage,
+        owner,
+      );
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Private helpers
+// ---------------------------------------------------------------------------
+
+/** @returns {BulletSystem} an empty pool sized for saucer fire */
+function createSaucerBullets() {
+  return new BulletSystem({
+    maxBullets: SAUCER_MAX_BULLETS,
+    fireCooldown: SAUCER_FIRE_COOLDOWN,
+  });
+}
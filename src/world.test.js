@@ -0,0 +1,734 @@
+import { describe, it, expect } from 'vitest';
+import { World, wrapOffsets } from './world.js';
+import { Asteroid, ASTEROID_SCORES } from './asteroid.js';
+import { ASTEROID_TYPES } from './asteroid-types.js';
+import { Ship } from './ship.js';
+import { BULLET_MASS } from './bullet.js';
+import { WaveDirector } from './waves.js';
+import { Saucer, SAUCER_TYPES } from './saucer.js';
+import { EventBus } from './events.js';
+
+describe('World.step()', () => {
+  it('moves asteroids by velocity × dt', () => {
+    const world = new World();
+    world.asteroids.push(
+      new Asteroid({
+        tier: 1,
+        x: 100,
+        y: 100,
+        vx: 60,
+        vy: -30,
+        angularVelocity: 0,
+      }),
+    );
+    world.step(0.5);
+    expect(world.asteroids[0].x).toBe(130);
+    expect(world.asteroids[0].y).toBe(85);
+  });
+
+  it('counts ticks and elapsed time', () => {
+    const world = new World();
+    world.step(0.25);
+    world.step(0.25);
+    expect(world.tick).toBe(2);
+    expect(world.time).toBe(0.5);
+  });
+
+  it('produces identical results for identical inputs', () => {
+    const make = () => {
+      const world = new World();
+      world.asteroids.push(
+        new Asteroid({
+          tier: 2,
+          x: 0,
+          y: 0,
+          vx: 7,
+          vy: 3,
+          angularVelocity: 1,
+        }),
+      );
+      for (let i = 0; i < 120; i++) world.step(1 / 60);
+      return world.asteroids[0];
+    };
+    const a = make();
+    const b = make();
+    expect(a.x).toBe(b.x);
+    expect(a.y).toBe(b.y);
+    expect(a.rotation).toBe(b.rotation);
+  });
+});
+
+describe('World seed', () => {
+  it('seeds its random source from the constructor option', () => {
+    expect(new World({ seed: 42 }).rng.seed).toBe(42);
+  });
+
+  it('gives equal sequences for equal seeds', () => {
+    const a = new World({ seed: 8 });
+    const b = new World({ seed: 8 });
+    expect(a.rng.next()).toBe(b.rng.next());
+  });
+});
+
+describe('World bullets', () => {
+  function makeWorld() {
+    const world = new World({ seed: 1 });
+    world.ship = new Ship({ x: 100, y: 300, rotation: 0 });
+    return world;
+  }
+
+  it('fires from the ship when the fire control is held', () => {
+    const world = makeWorld();
+    world.step(1 / 60, { fire: true });
+    expect(world.bullets.active).toHaveLength(1);
+  });
+
+  it('breaks up an asteroid that a bullet hits and scores it', () => {
+    const world = makeWorld();
+    world.asteroids.push(
+      new Asteroid({
+        tier: 1,
+        x: 160,
+        y: 300,
+        vx: 0,
+        vy: 0,
+        rng: world.rng,
+      }),
+    );
+    world.step(1 / 60, { fire: true });
+    for (let i = 0; i < 30; i++) world.step(1 / 60);
+
+    expect(world.score).toBe(ASTEROID_SCORES[1]);
+    expect(world.asteroids).toHaveLength(2);
+    expect(world.asteroids.every((a) => a.tier === 2)).toBe(true);
+    expect(world.bullets.active).toHaveLength(0);
+  });
+
+  it('does nothing to asteroids the bullet misses', () => {
+    const world = makeWorld();
+    world.asteroids.push(
+      new Asteroid({ tier: 3, x: 100, y: 100, vx: 0, vy: 0 }),
+    );
+    world.step(1 / 60, { fire: true });
+    for (let i = 0; i < 30; i++) world.step(1 / 60);
+    expect(world.score).toBe(0);
+    expect(world.asteroids).toHaveLength(1);
+  });
+});
+
+describe('World bounds', () => {
+  it('defaults to a fixed size and honours explicit dimensions', () => {
+    const world = new World({ width: 1024, height: 768 });
+    expect(world.width).toBe(1024);
+    expect(world.height).toBe(768);
+  });
+
+  it('wraps entities leaving any edge', () => {
+    const world = new World({ width: 800, height: 600 });
+    const a = new Asteroid({
+      tier: 3,
+      x: 799,
+      y: 1,
+      vx: 120,
+      vy: -120,
+      angularVelocity: 0,
+    });
+    world.asteroids.push(a);
+    world.step(0.1);
+    expect(a.x).toBeCloseTo(11);
+    expect(a.y).toBeCloseTo(589);
+  });
+
+  it('moves the interpolation origin along with a wrap', () => {
+    const world = new World({ width: 800, height: 600 });
+    const a = new Asteroid({
+      tier: 3,
+      x: 799,
+      y: 300,
+      vx: 120,
+      vy: 0,
+      angularVelocity: 0,
+    });
+    world.asteroids.push(a);
+    world.step(0.1);
+    expect(a.x - a.prevX).toBeCloseTo(12);
+  });
+
+  it('wraps the ship too', () => {
+    const world = new World({ width: 800, height: 600 });
+    world.ship = new Ship({ x: 1, y: 300, rotation: Math.PI });
+    world.ship.vx = -100;
+    world.step(0.1);
+    expect(world.ship.x).toBeGreaterThan(780);
+  });
+
+  it('hyperspace keeps the ship inside the world', () => {
+    const world = new World({ seed: 3, width: 300, height: 200 });
+    world.ship = new Ship({ x: 10, y: 10 });
+    world.step(1 / 60, { hyperspace: true });
+    expect(world.ship.x).toBeLessThan(300);
+    expect(world.ship.y).toBeLessThan(200);
+  });
+
+  it('registers bullet hits across a wrapped edge', () => {
+    const world = new World({ seed: 1, width: 800, height: 600 });
+    world.asteroids.push(
+      new Asteroid({
+        tier: 1,
+        x: 20,
+        y: 300,
+        vx: 0,
+        vy: 0,
+        shape: [
+          { x: -40, y: -40 },
+          { x: 40, y: -40 },
+          { x: 40, y: 40 },
+          { x: -40, y: 40 },
+        ],
+      }),
+    );
+    world.bullets.active.push(
+      world.bullets.pool.pop().reset({ x: 790, y: 300, vx: 0, vy: 0 }),
+    );
+    world.step(1 / 60);
+    expect(world.score).toBe(ASTEROID_SCORES[1]);
+  });
+});
+
+describe('World resize()', () => {
+  it('rescales positions proportionally', () => {
+    const world = new World({ width: 800, height: 600 });
+    const a = new Asteroid({ tier: 1, x: 400, y: 150, vx: 10, vy: 0 });
+    world.asteroids.push(a);
+    world.resize(1600, 300);
+    expect(a.x).toBe(800);
+    expect(a.y).toBe(75);
+    expect(a.prevX).toBe(800);
+    expect(world.width).toBe(1600);
+    expect(world.height).toBe(300);
+  });
+
+  it('leaves velocities untouched', () => {
+    const world = new World({ width: 800, height: 600 });
+    const a = new Asteroid({ tier: 1, x: 400, y: 150, vx: 10, vy: 5 });
+    world.asteroids.push(a);
+    world.resize(400, 300);
+    expect(a.vx).toBe(10);
+    expect(a.vy).toBe(5);
+  });
+
+  it('keeps every entity inside the new bounds', () => {
+    const world = new World({ width: 800, height: 600 });
+    const a = new Asteroid({ tier: 1, x: 799, y: 599, vx: 0, vy: 0 });
+    world.asteroids.push(a);
+    world.resize(200, 100);
+    expect(a.x).toBeLessThan(200);
+    expect(a.y).toBeLessThan(100);
+  });
+
+  it('rescales a saucer’s crossing so it still leaves at the far edge', () => {
+    for (const [width, remaining] of [
+      [400, 200],
+      [1600, 800],
+    ]) {
+      const world = new World({ width: 800, height: 600 });
+      world.saucer = new Saucer({ x: 400, y: 300, range: 800, rng: world.rng });
+      world.saucer.travelled = 400;
+      world.resize(width, 600);
+      expect(world.saucer.x).toBe(width / 2);
+      expect(world.saucer.range).toBe(width);
+
+      let distance = 0;
+      while (world.saucer) {
+        world.step(1 / 60);
+        distance += SAUCER_TYPES.large.speed / 60;
+      }
+      expect(distance).toBeCloseTo(remaining, -1);
+    }
+  });
+
+  it('ignores degenerate sizes', () => {
+    const world = new World({ width: 800, height: 600 });
+    world.resize(0, 0);
+    expect(world.width).toBe(800);
+  });
+});
+
+describe('wrapOffsets', () => {
+  const bounds = { width: 800, height: 600 };
+
+  it('returns only the zero offset for entities fully inside', () => {
+    expect(wrapOffsets({ x: 400, y: 300, radius: 40 }, bounds)).toEqual([
+      { x: 0, y: 0 },
+    ]);
+  });
+
+  it('adds a mirrored copy for an entity straddling the left edge', () => {
+    expect(wrapOffsets({ x: 10, y: 300, radius: 40 }, bounds)).toEqual([
+      { x: 0, y: 0 },
+      { x: 800, y: 0 },
+    ]);
+  });
+
+  it('adds all four copies in a corner', () => {
+    const offsets = wrapOffsets({ x: 790, y: 590, radius: 40 }, bounds);
+    expect(offsets).toHaveLength(4);
+    expect(offsets).toContainEqual({ x: -800, y: -600 });
+  });
+});
+
+describe('World ship collisions', () => {
+  function makeWorld() {
+    const world = new World({ seed: 1, width: 800, height: 600 });
+    world.ship = new Ship({ x: 400, y: 300 });
+    return world;
+  }
+
+  it('destroys the ship and breaks up the asteroid it hits', () => {
+    const world = makeWorld();
+    world.asteroids.push(
+      new Asteroid({ tier: 2, x: 400, y: 300, vx: 0, vy: 0 }),
+    );
+    world.step(1 / 60);
+    expect(world.ship).toBeNull();
+    expect(world.shipsLost).toBe(1);
+    expect(world.asteroids.every((a) => a.tier === 3)).toBe(true);
+    expect(world.score).toBe(ASTEROID_SCORES[2]);
+  });
+
+  it('spares an invulnerable ship', () => {
+    const world = makeWorld();
+    world.ship.respawn(400, 300);
+    world.asteroids.push(
+      new Asteroid({ tier: 2, x: 400, y: 300, vx: 0, vy: 0 }),
+    );
+    world.step(1 / 60);
+    expect(world.ship).not.toBeNull();
+  });
+
+  it('ignores asteroids that are merely nearby', () => {
+    const world = makeWorld();
+    world.asteroids.push(
+      new Asteroid({ tier: 3, x: 460, y: 300, vx: 0, vy: 0 }),
+    );
+    world.step(1 / 60);
+    expect(world.ship).not.toBeNull();
+  });
+});
+
+describe('World breakup mode', () => {
+  function hitWith(opts) {
+    const world = new World({ seed: 3, ...opts });
+    const asteroid = new Asteroid({
+      tier: 1,
+      x: 400,
+      y: 300,
+      vx: 0,
+      vy: 0,
+      rng: world.rng,
+    });
+    world.asteroids.push(asteroid);
+    world.destroyAsteroid(
+      asteroid,
+      world.impactFrom(
+        { x: 400, y: 330, vx: 0, vy: -500 },
+        asteroid,
+        BULLET_MASS,
+      ),
+    );
+    return world.asteroids;
+  }
+
+  it('uses physics breakup by default, driven by the impact', () => {
+    const children = hitWith({});
+    const meanVy =
+      children.reduce((sum, c) => sum + c.vy, 0) / children.length;
+    expect(meanVy).toBeLessThan(0);
+  });
+
+  it('can fall back to the classic split', () => {
+    // A classic split of a stationary asteroid leaves both children still.
+    for (const child of hitWith({ breakupMode: 'classic' })) {
+      expect(child.vx).toBe(0);
+      expect(child.vy).toBe(0);
+    }
+  });
+
+  it('measures the impact point across a wrapped edge', () => {
+    const world = new World({ width: 800, height: 600 });
+    const asteroid = new Asteroid({ tier: 1, x: 790, y: 300, vx: 0, vy: 0 });
+    const impact = world.impactFrom(
+      { x: 5, y: 300, vx: -500, vy: 0 },
+      asteroid,
+      BULLET_MASS,
+    );
+    expect(impact.x).toBe(805);
+  });
+});
+
+describe('World asteroid variants', () => {
+  const still = (opts) =>
+    new Asteroid({ x: 400, y: 300, vx: 0, vy: 0, ...opts });
+
+  function shoot(world, target) {
+    world.hitAsteroid(
+      target,
+      world.impactFrom(
+        { x: target.x, y: target.y + 10, vx: 0, vy: -500 },
+        target,
+        BULLET_MASS,
+      ),
+    );
+  }
+
+  it('an armoured asteroid survives until its last hit', () => {
+    const world = new World();
+    const rock = still({ type: 'armouredLarge' });
+    world.asteroids.push(rock);
+
+    shoot(world, rock);
+    shoot(world, rock);
+    expect(world.asteroids).toEqual([rock]);
+    expect(world.score).toBe(0);
+    // The absorbed shots knock it along their line of travel.
+    expect(rock.vy).toBeLessThan(0);
+
+    shoot(world, rock);
+    expect(world.asteroids).not.toContain(rock);
+    expect(world.score).toBe(ASTEROID_TYPES.armouredLarge.score);
+  });
+
+  it('an explosive asteroid damages neighbours within its blast', () => {
+    const world = new World();
+    const bomb = still({ type: 'explosiveLarge' });
+    const near = still({ tier: 2, x: 460 });
+    const far = still({ tier: 2, x: 700 });
+    world.asteroids.push(bomb, near, far);
+    world.resolveCollisions();
+
+    shoot(world, bomb);
+    expect(world.asteroids).not.toContain(near);
+    expect(world.asteroids).toContain(far);
+    expect(world.score).toBe(
+      ASTEROID_TYPES.explosiveLarge.score + ASTEROID_SCORES[2],
+    );
+  });
+
+  it('explosions chain through other explosive asteroids', () => {
+    const world = new World();
+    const first = still({ type: 'explosiveLarge' });
+    const second = still({ type: 'explosiveLarge', x: 500 });
+    const victim = still({ tier: 3, x: 580 });
+    world.asteroids.push(first, second, victim);
+    world.resolveCollisions();
+
+    shoot(world, first);
+    expect(world.asteroids).not.toContain(second);
+    expect(world.asteroids).not.toContain(victim);
+  });
+});
+
+describe('World events', () => {
+  it('reports a ship crash and the asteroid it destroyed', () => {
+    const world = new World({ seed: 1 });
+    const ship = new Ship({ x: 400, y: 300 });
+    const rock = new Asteroid({ tier: 2, x: 400, y: 300, vx: 0, vy: 0 });
+    world.ship = ship;
+    world.asteroids.push(rock);
+
+    world.step(1 / 60);
+    expect(world.events.map((e) => e.type)).toEqual([
+      'asteroidDestroyed',
+      'shipDestroyed',
+    ]);
+    expect(world.events[0].asteroid).toBe(rock);
+    expect(world.events[1].ship).toBe(ship);
+  });
+
+  it('reports a hit that an armoured asteroid survives', () => {
+    const world = new World();
+    const rock = new Asteroid({ type: 'armouredLarge', x: 400, y: 300 });
+    world.hitAsteroid(rock, { x: 400, y: 310, vx: 0, vy: 0, mass: 1 });
+    expect(world.events).toEqual([
+      expect.objectContaining({ type: 'asteroidHit', asteroid: rock }),
+    ]);
+  });
+
+  it('reports shots actually fired, not ones held back by the cooldown', () => {
+    const world = new World();
+    world.ship = new Ship({ x: 400, y: 300 });
+
+    world.step(1 / 60, { fire: true });
+    expect(world.events).toEqual([
+      { type: 'shotFired', bullet: world.bullets.active[0], player: 0 },
+    ]);
+
+    world.step(1 / 60, { fire: true });
+    expect(world.events).toEqual([]);
+  });
+
+  it('clears the list at the start of every step', () => {
+    const world = new World();
+    world.events.push({ type: 'asteroidHit' });
+    world.step(1 / 60);
+    expect(world.events).toEqual([]);
+  });
+
+  it('reports the engine lighting and cutting out, not every step', () => {
+    const world = new World();
+    world.ship = new Ship({ x: 400, y: 300 });
+    const types = (controls) => {
+      world.step(1 / 60, controls);
+      return world.events.map((e) => e.type);
+    };
+    expect(types({ thrust: true })).toEqual(['thrustStarted']);
+    expect(types({ thrust: true })).toEqual([]);
+    expect(types({})).toEqual(['thrustStopped']);
+  });
+
+  it('reports hyperspace jumps, not ones held back by the cooldown', () => {
+    const world = new World({ seed: 2 });
+    world.ship = new Ship({ x: 400, y: 300 });
+    world.step(1 / 60, { hyperspace: true });
+    expect(world.events).toEqual([
+      { type: 'hyperspace', ship: world.ship, player: 0 },
+    ]);
+    world.step(1 / 60, { hyperspace: true });
+    expect(world.events).toEqual([]);
+  });
+
+  it("reports a player's shot hitting, and the fragments it made", () => {
+    const world = new World({ seed: 3 });
+    world.ship = new Ship({ x: 400, y: 400, rotation: -Math.PI / 2 });
+    const rock = new Asteroid({ tier: 1, x: 400, y: 340, vx: 0, vy: 0 });
+    world.asteroids.push(rock);
+    const events = [];
+    for (let i = 0; i < 30 && world.asteroids.includes(rock); i++) {
+      world.step(1 / 60, { fire: i === 0 });
+      events.push(...world.events);
+    }
+
+    const hit = events.find((e) => e.type === 'shotHit');
+    expect(hit).toMatchObject({ player: 0, target: rock });
+    const broken = events.find((e) => e.type === 'asteroidDestroyed');
+    expect(broken.children.length).toBeGreaterThan(0);
+    expect(world.asteroids).toEqual(expect.arrayContaining(broken.children));
+  });
+
+  it('publishes every event on its bus as it happens', () => {
+    const bus = new EventBus();
+    const heard = [];
+    bus.on('*', (event) => heard.push(event));
+    const world = new World({ bus });
+    world.ship = new Ship({ x: 400, y: 300 });
+    world.step(1 / 60, { fire: true });
+    expect(heard).toEqual(world.events);
+    expect(heard).toHaveLength(1);
+  });
+});
+
+describe('World saucers', () => {
+  function saucerWorld(opts) {
+    const world = new World({ seed: 5 });
+    world.saucer = new Saucer({
+      x: 400,
+      y: 300,
+      range: world.width,
+      rng: world.rng,
+      ...opts,
+    });
+    return world;
+  }
+
+  it('scores a saucer shot down by the player', () => {
+    const world = saucerWorld({ type: 'small' });
+    world.saucer.vx = 0;
+    world.ship = new Ship({ x: 400, y: 400, rotation: -Math.PI / 2 });
+    for (let i = 0; i < 30 && world.saucer; i++) {
+      world.step(1 / 60, { fire: true });
+    }
+    expect(world.saucer).toBeNull();
+    expect(world.score).toBe(SAUCER_TYPES.small.score);
+  });
+
+  it('fires when its timer is up and reports the shot', () => {
+    const world = saucerWorld();
+    world.saucer.fireTimer = 0;
+    world.step(1 / 60);
+    expect(world.saucerBullets.active).toHaveLength(1);
+    expect(world.events).toEqual([
+      expect.objectContaining({ type: 'saucerFired', saucer: world.saucer }),
+    ]);
+  });
+
+  it('destroys the ship with its bullets', () => {
+    const world = saucerWorld({ type: 'small' });
+    world.ship = new Ship({ x: 400, y: 380 });
+    world.saucer.fireTimer = 0;
+    for (let i = 0; i < 30 && world.ship; i++) world.step(1 / 60);
+    expect(world.ship).toBeNull();
+    expect(world.shipsLost).toBe(1);
+  });
+
+  it('breaks up asteroids it shoots without scoring them', () => {
+    const world = saucerWorld();
+    const rock = new Asteroid({ tier: 1, x: 400, y: 200, vx: 0, vy: 0 });
+    world.asteroids.push(rock);
+    world.saucer.x = world.saucer.prevX = 0;
+    world.saucerBullets.fire(world.saucer, 0);
+    world.saucerBullets.active[0].x = 400;
+    world.saucerBullets.active[0].y = 200;
+    world.step(1 / 60);
+    expect(world.asteroids).not.toContain(rock);
+    expect(world.score).toBe(0);
+  });
+
+  it('is destroyed by flying into an asteroid, for no points', () => {
+    const world = saucerWorld();
+    const rock = new Asteroid({ tier: 1, x: 400, y: 300, vx: 0, vy: 0 });
+    world.asteroids.push(rock);
+    world.step(1 / 60);
+    expect(world.saucer).toBeNull();
+    expect(world.asteroids).not.toContain(rock);
+    expect(world.asteroids.length).toBeGreaterThan(0);
+    expect(world.score).toBe(0);
+    expect(world.events.map((e) => e.type)).toContain('saucerDestroyed');
+  });
+
+  it('takes the ship with it when rammed, and scores', () => {
+    const world = saucerWorld();
+    world.ship = new Ship({ x: 400, y: 300 });
+    world.step(1 / 60);
+    expect(world.saucer).toBeNull();
+    expect(world.ship).toBeNull();
+    expect(world.score).toBe(SAUCER_TYPES.large.score);
+  });
+
+  it('leaves play after crossing the screen', () => {
+    const world = saucerWorld();
+    world.saucer.travelled = world.width - 1;
+    world.step(1 / 60);
+    expect(world.saucer).toBeNull();
+    expect(world.events).toEqual([]);
+  });
+});
+
+describe('World players', () => {
+  /** Two ships on the centre line, both facing right. */
+  function twoPlayerWorld(opts) {
+    const world = new World({ seed: 3, players: 2, ...opts });
+    world.ships[0] = new Ship({ x: 100, y: 300, rotation: 0 });
+    world.ships[1] = new Ship({ x: 400, y: 300, rotation: 0, player: 1 });
+    return world;
+  }
+
+  it("applies each player's controls to their own ship and bullets", () => {
+    const world = twoPlayerWorld();
+    world.step(1 / 60, [{}, { fire: true }]);
+    expect(world.playerBullets[0].active).toHaveLength(0);
+    expect(world.playerBullets[1].active).toHaveLength(1);
+    expect(world.events).toEqual([
+      expect.objectContaining({ type: 'shotFired', player: 1 }),
+    ]);
+  });
+
+  it('credits a broken asteroid to the player who shot it', () => {
+    const world = twoPlayerWorld();
+    world.asteroids.push(
+      new Asteroid({ tier: 1, x: 460, y: 300, vx: 0, vy: 0, rng: world.rng }),
+    );
+    const destroyed = [];
+    for (let i = 0; i < 30; i++) {
+      world.step(1 / 60, [{}, { fire: i === 0 }]);
+      destroyed.push(
+        ...world.events.filter((e) => e.type === 'asteroidDestroyed'),
+      );
+    }
+
+    expect(world.scores).toEqual([0, ASTEROID_SCORES[1]]);
+    expect(world.score).toBe(ASTEROID_SCORES[1]);
+    expect(destroyed).toEqual([expect.objectContaining({ owner: 1 })]);
+  });
+
+  it("keeps the team's total read-only", () => {
+    const world = twoPlayerWorld();
+    world.scores[1] = 40;
+    expect(() => {
+      world.score += 10;
+    }).toThrow(TypeError);
+    expect(world.scores).toEqual([0, 40]);
+  });
+
+  it("only lets shots hit the other player's ship with friendly fire on", () => {
+    const shoot = (friendlyFire) => {
+      const world = twoPlayerWorld({ friendlyFire });
+      world.step(1 / 60, [{ fire: true }, {}]);
+      for (let i = 0; i < 60 && world.ships[1]; i++) world.step(1 / 60);
+      return world;
+    };
+
+    expect(shoot(false).ships[1]).not.toBeNull();
+    const world = shoot(true);
+    expect(world.ships[1]).toBeNull();
+    expect(world.ships[0]).not.toBeNull();
+    expect(world.scores).toEqual([0, 0]);
+  });
+
+  it('round-trips every player slot through JSON', () => {
+    const world = twoPlayerWorld({ friendlyFire: true });
+    world.step(1 / 60, [{ fire: true }, { fire: true }]);
+    world.scores[1] = 50;
+    const copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+    expect(copy.players).toBe(2);
+    expect(copy.friendlyFire).toBe(true);
+    expect(copy.ships[1].player).toBe(1);
+    expect(copy.toJSON()).toEqual(world.toJSON());
+  });
+});
+
+describe('World toJSON / fromJSON', () => {
+  function busyWorld() {
+    const world = new World({ seed: 11 });
+    new WaveDirector().spawnWave(world, 3);
+    world.ship = new Ship({ x: 400, y: 300 });
+    world.saucer = new Saucer({
+      type: 'small',
+      x: 0,
+      y: 100,
+      range: world.width,
+      rng: world.rng,
+    });
+    return world;
+  }
+
+  const controls = (tick) => ({
+    rotateLeft: tick % 50 < 20,
+    thrust: tick % 30 < 10,
+    fire: tick % 7 === 0,
+  });
+
+  it('round-trips through JSON text', () => {
+    const world = busyWorld();
+    for (let i = 0; i < 60; i++) world.step(1 / 60, controls(i));
+    const copy = World.fromJSON(JSON.parse(JSON.stringify(world)));
+    expect(copy.toJSON()).toEqual(world.toJSON());
+  });
+
+  it('continues exactly as the original would have', () => {
+    const original = busyWorld();
+    for (let i = 0; i < 90; i++) original.step(1 / 60, controls(i));
+    const copy = World.fromJSON(JSON.parse(JSON.stringify(original)));
+
+    for (let i = 90; i < 400; i++) {
+      original.step(1 / 60, controls(i));
+      copy.step(1 / 60, controls(i));
+    }
+    expect(copy.toJSON()).toEqual(original.toJSON());
+    expect(copy.score).toBeGreaterThan(0);
+  });
+
+  it('shares one random source between the world and its asteroids', () => {
+    const copy = World.fromJSON(busyWorld().toJSON());
+    for (const a of copy.asteroids) expect(a.rng).toBe(copy.rng);
+  });
+});
@@ -1,6 +1,8 @@
 import { defineConfig } from 'vite';
+import { pwaPlugin } from './src/pwa.js';
 
 export default defineConfig({
+  plugins: [pwaPlugin()],
   server: {
     open: true,
   },